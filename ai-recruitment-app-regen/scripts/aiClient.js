@@ -0,0 +1,168 @@
+/**
+ * Client for the AI recruitment proxy, generated from its OpenAPI document
+ * (AI Recruitment Proxy API v1) by server/tools/generate-client.js.
+ * Do not edit: change the API contract or server/lib/openapi.js and run
+ * `npm run generate:client` in server/. Every method resolves with the
+ * fetch Response, whatever its status.
+ */
+const AIClient = {
+  /**
+   * Send a request to the proxy with the session cookie
+   * @param {string} method - HTTP method
+   * @param {string} path - Path on the proxy
+   * @param {Object} body - JSON body (optional)
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} Fetch response
+   */
+  send(method, path, body, { baseUrl = "", signal } = {}) {
+    return fetch(baseUrl + path, {
+      method,
+      credentials: "include",
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal,
+    });
+  },
+
+  /**
+   * Generate a job description
+   * POST /api/v1/generate
+   * @param {Object} body - { answers, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON TextResponse
+   */
+  generate(body, options) {
+    return this.send("POST", "/api/v1/generate", body, options);
+  },
+
+  /**
+   * Generate a job description, streaming it
+   * POST /api/v1/generate/stream
+   * @param {Object} body - { answers, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: text/event-stream
+   */
+  generateStream(body, options) {
+    return this.send("POST", "/api/v1/generate/stream", body, options);
+  },
+
+  /**
+   * Polish a job description
+   * POST /api/v1/polish
+   * @param {Object} body - { jd, instructions, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON TextResponse
+   */
+  polish(body, options) {
+    return this.send("POST", "/api/v1/polish", body, options);
+  },
+
+  /**
+   * Polish a job description, streaming it
+   * POST /api/v1/polish/stream
+   * @param {Object} body - { jd, instructions, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: text/event-stream
+   */
+  polishStream(body, options) {
+    return this.send("POST", "/api/v1/polish/stream", body, options);
+  },
+
+  /**
+   * Build a sourcing strategy
+   * POST /api/v1/sourcing
+   * @param {Object} body - { jd, location, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON SourcingStrategy
+   */
+  sourcing(body, options) {
+    return this.send("POST", "/api/v1/sourcing", body, options);
+  },
+
+  /**
+   * Check a job description for exclusionary language
+   * POST /api/v1/jd/lint
+   * @param {Object} body - { jd, ai?, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON LintReport
+   */
+  lintJD(body, options) {
+    return this.send("POST", "/api/v1/jd/lint", body, options);
+  },
+
+  /**
+   * Translate and localize a job description
+   * POST /api/v1/translate
+   * @param {Object} body - { jd, locale, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON Translation
+   */
+  translate(body, options) {
+    return this.send("POST", "/api/v1/translate", body, options);
+  },
+
+  /**
+   * Score a candidate against a job description
+   * POST /api/v1/candidates/match
+   * @param {Object} body - { jdId, resume, ai?, model? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON CandidateMatch
+   */
+  matchCandidate(body, options) {
+    return this.send("POST", "/api/v1/candidates/match", body, options);
+  },
+
+  /**
+   * Estimate a pay range
+   * POST /api/v1/salary/estimate
+   * @param {Object} body - { role, location?, hireType?, skills?, currency?, period?, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON SalaryEstimate
+   */
+  estimateSalary(body, options) {
+    return this.send("POST", "/api/v1/salary/estimate", body, options);
+  },
+
+  /**
+   * Write an outreach sequence
+   * POST /api/v1/outreach/generate
+   * @param {Object} body - { jd, channel, tone, steps?, profile?, company?, model?, requisitionId? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON OutreachSequence
+   */
+  generateOutreach(body, options) {
+    return this.send("POST", "/api/v1/outreach/generate", body, options);
+  },
+
+  /**
+   * Chat completion
+   * POST /api/v1/chat
+   * @param {Object} body - { messages, model?, temperature?, json? }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON
+   */
+  chat(body, options) {
+    return this.send("POST", "/api/v1/chat", body, options);
+  },
+
+  /**
+   * Sign in
+   * POST /api/v1/auth/login
+   * @param {Object} body - { username, password }
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON
+   */
+  login(body, options) {
+    return this.send("POST", "/api/v1/auth/login", body, options);
+  },
+
+  /**
+   * Liveness and the configured provider
+   * GET /health
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} 200: JSON Health
+   */
+  health(options) {
+    return this.send("GET", "/health", undefined, options);
+  },
+};
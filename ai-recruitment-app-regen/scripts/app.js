@@ -10,8 +10,6 @@
 const CONSTANTS = {
   // Storage Keys
   STORAGE_KEYS: {
-    USERS: "users",
-    CURRENT_USER: "currentUser",
     JOB_DESCRIPTIONS: "jobDescriptions",
     OPENAI_API_KEY: "openai_api_key",
     OPENAI_MODEL: "openai_model",
@@ -24,7 +22,6 @@ const CONSTANTS = {
   API: {
     DEFAULT_MODEL: "gpt-4o-mini",
     DEFAULT_PROXY_BASE: "http://localhost:8787",
-    OPENAI_ENDPOINT: "https://api.openai.com/v1/chat/completions",
     TEMPERATURE: 0.3,
   },
 
@@ -47,12 +44,122 @@ const CONSTANTS = {
     LINK_LIKE: "linklike",
   },
 
+  // Locales a saved JD can be translated into (see the translate route in
+  // shared/apiContract.js)
+  TRANSLATION_LOCALES: {
+    "en-US": "English (US)",
+    "en-GB": "English (UK)",
+    "es-ES": "Spanish (Spain)",
+    "es-MX": "Spanish (Mexico)",
+    "de-DE": "German",
+    "fr-FR": "French (France)",
+    "fr-CA": "French (Canada)",
+    "pt-BR": "Portuguese (Brazil)",
+    "hi-IN": "Hindi",
+    "ja-JP": "Japanese",
+  },
+
+  // Currencies offered for pay ranges in the JD builder
+  PAY_CURRENCIES: {
+    USD: "USD ($)",
+    CAD: "CAD ($)",
+    EUR: "EUR (€)",
+    GBP: "GBP (£)",
+    AUD: "AUD ($)",
+    INR: "INR (₹)",
+  },
+
+  // Resume files candidate validation reads (see server/lib/resumes.js)
+  RESUMES: {
+    ACCEPT: ".pdf,.docx,.txt",
+    MAX_BYTES: 5 * 1024 * 1024,
+  },
+
+  // Labels for candidate match requirements and their statuses
+  REQUIREMENT_KINDS: {
+    skill: "Skill",
+    goal: "1-year goal",
+    kpi: "KPI",
+  },
+  MATCH_STATUSES: {
+    met: { label: "Met", color: "#10b981" },
+    partial: { label: "Partial", color: "#f59e0b" },
+    missing: { label: "Missing", color: "#ef4444" },
+  },
+
+  // Interview lengths and weekday names for interview scheduling
+  INTERVIEWS: {
+    DURATIONS: [15, 30, 45, 60, 90, 120],
+    WEEKDAYS: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  },
+
+  // Scorecard criteria, ratings and recommendations (see server/lib/scorecards.js)
+  SCORECARDS: {
+    CRITERION_KINDS: {
+      skill: "Key skills",
+      goal: "1-year goals",
+      kpi: "KPIs",
+      superstar: "Superstar outcomes",
+    },
+    RATINGS: { 1: "Well below", 2: "Below", 3: "Meets", 4: "Exceeds" },
+    RECOMMENDATIONS: {
+      strong_no: { label: "Strong no hire", color: "#b91c1c" },
+      no: { label: "No hire", color: "#ef4444" },
+      yes: { label: "Hire", color: "#10b981" },
+      strong_yes: { label: "Strong hire", color: "#047857" },
+    },
+    DECISIONS: {
+      hire: { label: "Hire", color: "#10b981" },
+      no_hire: { label: "No hire", color: "#ef4444" },
+      mixed: { label: "Mixed: discuss in a debrief", color: "#f59e0b" },
+    },
+  },
+
+  // Columns of the candidate pipeline board, in order (see the
+  // moveCandidate route in shared/apiContract.js)
+  PIPELINE_STAGES: {
+    sourced: { label: "Sourced", color: "#6b7280" },
+    contacted: { label: "Contacted", color: "#3b82f6" },
+    screen: { label: "Screen", color: "#8b5cf6" },
+    interview: { label: "Interview", color: "#f59e0b" },
+    offer: { label: "Offer", color: "#0ea5e9" },
+    hired: { label: "Hired", color: "#10b981" },
+    rejected: { label: "Rejected", color: "#ef4444" },
+  },
+
   // Job Description Sources
   JD_SOURCES: {
     SAVED: "saved",
     CUSTOM: "custom",
   },
 
+  // Friendly messages for the proxy's AI error codes
+  AI_ERROR_MESSAGES: {
+    ai_timeout: "The AI took too long to respond. Please try again.",
+    ai_rate_limited:
+      "The AI service is busy right now. Please try again in a moment.",
+    ai_unavailable:
+      "The AI service is unavailable right now. Please try again later.",
+    ai_circuit_open:
+      "The AI service is having problems, so requests are paused for a moment.",
+    ai_misconfigured:
+      "The AI service is not set up correctly. Please contact your administrator.",
+    ai_request_rejected:
+      "The AI service could not process this request. Try shortening the text.",
+    ai_invalid_output:
+      "The AI returned an incomplete result. Please try again.",
+    ai_error: "Something went wrong while contacting the AI service.",
+  },
+
+  // Labels for the inclusive-language linter's finding categories
+  LINT_CATEGORIES: {
+    gender: "Gender-coded",
+    age: "Age",
+    ability: "Ableist",
+    degree: "Degree requirement",
+    requirements: "Requirements",
+  },
+
   // Input Types
   INPUT_TYPES: {
     TEXT: "text",
@@ -371,12 +478,17 @@ const DOMUtils = {
       case "innerHTML":
         element.innerHTML = value;
         break;
+      case "for":
       case "htmlFor":
         element.setAttribute("for", value);
         break;
       case "href":
         element.setAttribute("href", value);
         break;
+      // Read-only as a property: an input's <datalist> is set by id
+      case "list":
+        element.setAttribute("list", value);
+        break;
       default:
         if (key.startsWith("on") && typeof value === "function") {
           element.addEventListener(key.substring(2).toLowerCase(), value);
@@ -444,6 +556,15 @@ const StringUtils = {
       ? text.substring(0, maxLength) + "..."
       : text;
   },
+
+  /**
+   * Format a US dollar amount, keeping fractions of a cent visible
+   * @param {number} amount - Amount in USD
+   * @returns {string} Formatted amount, e.g. $0.0042 or $12.50
+   */
+  formatCost(amount) {
+    return "$" + amount.toFixed(amount > 0 && amount < 1 ? 4 : 2);
+  },
 };
 
 /**
@@ -467,7 +588,6 @@ const ValidationUtils = {
    */
   validateSignup(fields) {
     const errors = {};
-    const users = StorageManager.loadUsers();
 
     // Basic field validation
     if (!fields.first) errors.first = "First name is required.";
@@ -489,24 +609,7 @@ const ValidationUtils = {
       }
     }
 
-    // Username uniqueness check
-    if (
-      fields.username &&
-      users.some(
-        (u) => u.username.toLowerCase() === fields.username.toLowerCase()
-      )
-    ) {
-      errors.username = "Username already taken.";
-    }
-
-    // Email uniqueness check
-    if (
-      fields.email &&
-      users.some((u) => u.email.toLowerCase() === fields.email.toLowerCase())
-    ) {
-      errors.email = "Email address already registered.";
-    }
-
+    // Username/email uniqueness is checked by the server on signup
     return errors;
   },
 
@@ -534,75 +637,8 @@ const ValidationUtils = {
  */
 const StorageManager = {
   /**
-   * Load users from localStorage
-   * @returns {Array} Array of users
-   */
-  loadUsers() {
-    try {
-      return JSON.parse(
-        localStorage.getItem(CONSTANTS.STORAGE_KEYS.USERS) || "[]"
-      );
-    } catch (error) {
-      console.error("Error loading users:", error);
-      return [];
-    }
-  },
-
-  /**
-   * Save users to localStorage
-   * @param {Array} users - Users to save
-   */
-  saveUsers(users) {
-    try {
-      localStorage.setItem(CONSTANTS.STORAGE_KEYS.USERS, JSON.stringify(users));
-    } catch (error) {
-      console.error("Error saving users:", error);
-    }
-  },
-
-  /**
-   * Get current user from sessionStorage
-   * @returns {Object|null} Current user or null
-   */
-  getCurrentUser() {
-    try {
-      return JSON.parse(
-        sessionStorage.getItem(CONSTANTS.STORAGE_KEYS.CURRENT_USER) || "null"
-      );
-    } catch (error) {
-      console.error("Error getting current user:", error);
-      return null;
-    }
-  },
-
-  /**
-   * Set current user in sessionStorage
-   * @param {Object} user - User to set as current
-   */
-  setCurrentUser(user) {
-    try {
-      sessionStorage.setItem(
-        CONSTANTS.STORAGE_KEYS.CURRENT_USER,
-        JSON.stringify(user)
-      );
-    } catch (error) {
-      console.error("Error setting current user:", error);
-    }
-  },
-
-  /**
-   * Clear current user from sessionStorage
-   */
-  clearCurrentUser() {
-    try {
-      sessionStorage.removeItem(CONSTANTS.STORAGE_KEYS.CURRENT_USER);
-    } catch (error) {
-      console.error("Error clearing current user:", error);
-    }
-  },
-
-  /**
-   * Load all job descriptions
+   * Load job descriptions saved in this browser by older versions
+   * (they are moved to the server library by JDService.importLocalJobDescriptions)
    * @returns {Array} Array of job descriptions
    */
   loadJobDescriptions() {
@@ -617,8 +653,8 @@ const StorageManager = {
   },
 
   /**
-   * Save all job descriptions
-   * @param {Array} jobDescriptions - Job descriptions to save
+   * Replace the job descriptions kept in this browser
+   * @param {Array} jobDescriptions - Job descriptions to keep
    */
   saveJobDescriptions(jobDescriptions) {
     try {
@@ -631,16 +667,6 @@ const StorageManager = {
     }
   },
 
-  /**
-   * Save a single job description
-   * @param {Object} jobDescription - Job description to save
-   */
-  saveJobDescription(jobDescription) {
-    const jobDescriptions = this.loadJobDescriptions();
-    jobDescriptions.unshift(jobDescription);
-    this.saveJobDescriptions(jobDescriptions);
-  },
-
   /**
    * Get API key (always empty since we use proxy)
    * @returns {string} Empty string (API key handled by server)
@@ -713,2563 +739,8883 @@ const StorageManager = {
 };
 
 // ============================================================================
-// UI COMPONENTS
+// API CLIENT
 // ============================================================================
 
 /**
- * Reusable UI components with consistent styling and behavior
+ * JSON requests to the proxy server, sending the session cookie
  */
-const UIComponents = {
+const ApiClient = {
   /**
-   * Create a label element
-   * @param {string} forId - ID of associated element
-   * @param {string} text - Label text
-   * @returns {Element} Label element
+   * Call a proxy endpoint
+   * @param {string} path - Endpoint path (from ApiContract.path())
+   * @param {Object} options - Fetch options; an object `body` is sent as JSON
+   * @returns {Promise<Object>} Response data
    */
-  createLabel(forId, text) {
-    return DOMUtils.createElement(
-      "label",
-      {
-        class: "sr-only",
-        htmlFor: forId,
-      },
-      text
-    );
+  async request(path, options = {}) {
+    const { body, ...fetchOptions } = options;
+    const response = await fetch(StorageManager.getProxyBase() + path, {
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      ...fetchOptions,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      error.code = data.code || null;
+      error.fields = data.fields || {};
+      error.requestId = response.headers.get("X-Request-Id");
+      throw error;
+    }
+    return data;
   },
+};
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Server-side accounts and sessions. The session lives in an HttpOnly cookie
+ * set by the proxy, so the signed-in user is only known after asking the server.
+ */
+const AuthService = {
+  currentUser: null,
 
   /**
-   * Create a button element
-   * @param {string} label - Button text
-   * @param {Object} options - Button options
-   * @returns {Element} Button element
+   * Get the signed-in user from the last server check
+   * @returns {Object|null} Current user or null
    */
-  createButton(label, options = {}) {
-    const {
-      variant = CONSTANTS.BUTTON_VARIANTS.PRIMARY,
-      onClick = null,
-      href = null,
-    } = options;
+  getCurrentUser() {
+    return this.currentUser;
+  },
 
-    const className = this.getButtonClassName(variant);
-    const elementType = href ? "a" : "button";
-    const attributes = { class: className, onclick: onClick };
+  /**
+   * Refresh the signed-in user from the server session
+   * @returns {Promise<Object|null>} Current user or null
+   */
+  async restoreSession() {
+    try {
+      const { user } = await ApiClient.request(ApiContract.path("me"));
+      this.currentUser = user;
+    } catch (error) {
+      // Keep the cached user when the proxy is unreachable; only a 401 ends the session
+      if (error.status === 401) this.currentUser = null;
+    }
+    return this.currentUser;
+  },
 
-    if (href) {
-      attributes.href = href;
+  /**
+   * Create an account
+   * @param {Object} fields - Signup fields
+   * @returns {Promise<Object>} Created user
+   */
+  async signup(fields) {
+    const { user } = await ApiClient.request(ApiContract.path("signup"), {
+      method: "POST",
+      body: fields,
+    });
+    return user;
+  },
+
+  /**
+   * Sign in and start a server session
+   * @param {Object} credentials - Username and password
+   * @returns {Promise<Object>} Signed-in user
+   */
+  async login(credentials) {
+    const { user } = await ApiClient.request(ApiContract.path("login"), {
+      method: "POST",
+      body: credentials,
+    });
+    this.currentUser = user;
+    return user;
+  },
+
+  /**
+   * End the server session
+   */
+  async logout() {
+    try {
+      await ApiClient.request(ApiContract.path("logout"), { method: "POST" });
+    } finally {
+      this.currentUser = null;
     }
+  },
+};
 
-    return DOMUtils.createElement(elementType, attributes, label);
+// ============================================================================
+// JOB DESCRIPTION LIBRARY
+// ============================================================================
+
+/**
+ * Job descriptions stored on the proxy server and shared by all signed-in users
+ */
+const JDService = {
+  /**
+   * List job descriptions, newest first
+   * @param {number} page - Page number (1-based)
+   * @param {number} pageSize - Items per page (max 100)
+   * @returns {Promise<Object>} { items, page, pageSize, total, totalPages }
+   */
+  list(page = 1, pageSize = 20) {
+    return ApiClient.request(
+      `${ApiContract.path("listJDs")}?page=${page}&pageSize=${pageSize}`
+    );
   },
 
   /**
-   * Get button CSS class name based on variant
-   * @param {string} variant - Button variant
-   * @returns {string} CSS class name
+   * List every job description, newest first, a page at a time
+   * @returns {Promise<Array>} Job descriptions
    */
-  getButtonClassName(variant) {
-    switch (variant) {
-      case CONSTANTS.BUTTON_VARIANTS.LINK_LIKE:
-        return "btn linklike";
-      case CONSTANTS.BUTTON_VARIANTS.SECONDARY:
-        return "btn secondary";
-      default:
-        return "btn";
+  async listAll() {
+    const items = [];
+    for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+      const result = await this.list(page, 100);
+      items.push(...result.items);
+      totalPages = result.totalPages;
     }
+    return items;
   },
 
   /**
-   * Create a text input element
-   * @param {string} placeholder - Input placeholder
-   * @param {string} type - Input type
-   * @param {string} name - Input name
-   * @param {string} id - Input ID
-   * @param {string} value - Input value
-   * @returns {Element} Input element
+   * Count saved job descriptions
+   * @returns {Promise<number>} Total number of job descriptions
    */
-  createTextInput(
-    placeholder,
-    type = CONSTANTS.INPUT_TYPES.TEXT,
-    name = null,
-    id = null,
-    value = ""
-  ) {
-    return DOMUtils.createElement("input", {
-      class: "input",
-      placeholder,
-      type,
-      name,
-      id: id || name || this.generateIdFromPlaceholder(placeholder),
-      value,
-    });
+  async count() {
+    const { total } = await this.list(1, 1);
+    return total;
   },
 
   /**
-   * Generate ID from placeholder text
-   * @param {string} placeholder - Placeholder text
-   * @returns {string} Generated ID
+   * Get a job description
+   * @param {string} id - Job description id
+   * @returns {Promise<Object>} Job description
    */
-  generateIdFromPlaceholder(placeholder) {
-    return placeholder.toLowerCase().replace(/\s+/g, "-");
+  async get(id) {
+    const { jd } = await ApiClient.request(ApiContract.path("getJD", { id }));
+    return jd;
   },
 
   /**
-   * Create a section element
-   * @param {string} title - Section title
-   * @param {Element|Array} content - Section content
-   * @returns {Element} Section element
+   * Save a new job description
+   * @param {Object} jobDescription - Title, location, content and answers
+   * @returns {Promise<Object>} Saved job description
    */
-  createSection(title, content) {
-    return DOMUtils.createElement("section", { class: "card" }, [
-      DOMUtils.createElement("h2", {}, title),
-      DOMUtils.createElement("div", {}, content),
-    ]);
+  async create(jobDescription) {
+    const { jd } = await ApiClient.request(ApiContract.path("createJD"), {
+      method: "POST",
+      body: jobDescription,
+    });
+    return jd;
   },
 
   /**
-   * Create a loading spinner
-   * @param {string} text - Loading text
-   * @param {number} size - Spinner size in pixels
-   * @returns {Element} Loading spinner element
+   * Update a job description
+   * @param {string} id - Job description id
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} Updated job description
    */
-  createLoadingSpinner(text = "Loading...", size = 32) {
-    return DOMUtils.createElement(
-      "div",
-      {
-        class: "card",
-        style: "margin-top: 20px; text-align: center; padding: 40px 20px;",
-      },
-      [
-        DOMUtils.createElement("div", {
-          class: "loading-spinner",
-          style: `width: ${size}px; height: ${size}px; border: 3px solid #e5e7eb; border-top: 3px solid #2563eb; border-radius: 50%; margin: 0 auto 16px;`,
-        }),
-        DOMUtils.createElement(
-          "h3",
-          { style: "margin: 0 0 8px 0; color: #1f2937;" },
-          text
-        ),
-      ]
+  async update(id, changes) {
+    const { jd } = await ApiClient.request(
+      ApiContract.path("updateJD", { id }),
+      { method: "PUT", body: changes }
     );
+    return jd;
   },
 
   /**
-   * Create a notice/alert element
-   * @param {string} message - Notice message
-   * @param {string} type - Notice type (error, success, info)
-   * @returns {Element} Notice element
+   * List the translations saved for a job description
+   * @param {string} id - Id of the original job description
+   * @returns {Promise<Array>} Translated job descriptions, newest first
    */
-  createNotice(message, type = "info") {
-    const className = `notice ${type}`;
-    return DOMUtils.createElement("div", { class: className }, message);
+  async listVariants(id) {
+    const { items } = await ApiClient.request(
+      `${ApiContract.path("listJDs")}?variantOf=${encodeURIComponent(
+        id
+      )}&pageSize=100`
+    );
+    return items;
+  },
+
+  /**
+   * Delete a job description, with its translations
+   * @param {string} id - Job description id
+   */
+  async remove(id) {
+    await ApiClient.request(ApiContract.path("deleteJD", { id }), {
+      method: "DELETE",
+    });
+  },
+
+  /**
+   * Requisition a job description's AI usage is reported under. JDs saved
+   * before usage tracking have no requisitionId and use their own id.
+   * @param {Object} jobDescription - Job description
+   * @returns {string} Requisition id
+   */
+  requisitionIdOf(jobDescription) {
+    return jobDescription.requisitionId || jobDescription.id;
+  },
+
+  /**
+   * Move job descriptions saved in this browser by older versions to the
+   * server library. Final JDs missing a required pay range come in as drafts;
+   * items that fail to upload stay in the browser for next time.
+   * @returns {Promise<number>} Number of imported job descriptions
+   */
+  async importLocalJobDescriptions() {
+    const local = StorageManager.loadJobDescriptions();
+    const remaining = [];
+
+    for (const jd of local) {
+      const imported = {
+        title: jd.title || "Untitled job description",
+        location: jd.location || "",
+        content: jd.text || jd.content || "",
+        answers: jd.answers || {},
+        final: !!jd.final,
+        createdAt: jd.createdAt,
+      };
+      try {
+        await this.create(imported).catch((error) => {
+          if (error.code !== "pay_range_required") throw error;
+          return this.create({ ...imported, final: false });
+        });
+      } catch (error) {
+        console.error("Error importing job description:", error);
+        remaining.push(jd);
+      }
+    }
+
+    if (local.length) StorageManager.saveJobDescriptions(remaining);
+    return local.length - remaining.length;
   },
 };
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// CANDIDATE VALIDATION
 // ============================================================================
 
 /**
- * Copy text to clipboard with user feedback
- * @param {string} text - Text to copy
+ * Resume parsing on the proxy server. Resumes are parsed per request and
+ * never stored.
  */
-function copyToClipboard(text) {
-  const cleanText = StringUtils.cleanForHR(text);
-
-  try {
-    navigator.clipboard.writeText(cleanText);
-    showNotification(
-      "✅ Job description copied! Ready to paste into HR systems.",
-      "success"
-    );
-  } catch (error) {
-    // Fallback for older browsers
-    const textarea = DOMUtils.createElement("textarea", {}, cleanText);
-    document.body.appendChild(textarea);
-    textarea.select();
-    document.execCommand("copy");
-    textarea.remove();
-    showNotification(
-      "✅ Job description copied! Ready to paste into HR systems.",
-      "success"
-    );
-  }
-}
+const ResumeService = {
+  /**
+   * Read a file as base64
+   * @param {File} file - File from a file input
+   * @returns {Promise<string>} Base64 contents, without the data: URL prefix
+   */
+  readAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  },
 
-/**
- * Download text as a file
- * @param {string} filename - Name of the file
- * @param {string} text - Text content to download
- */
-function downloadText(filename, text) {
-  const blob = new Blob([text], { type: "text/plain" });
-  const url = URL.createObjectURL(blob);
-  const link = DOMUtils.createElement(
-    "a",
-    { href: url, download: filename },
-    ""
-  );
+  /**
+   * Parse a resume file (PDF, DOCX or TXT)
+   * @param {File} file - Resume file
+   * @returns {Promise<Object>} { text, truncated, profile }
+   */
+  async parseFile(file) {
+    const extension = file.name.toLowerCase().match(/\.\w+$/)?.[0];
+    if (!CONSTANTS.RESUMES.ACCEPT.split(",").includes(extension)) {
+      throw new Error(`${file.name} is not a PDF, DOCX or TXT file.`);
+    }
+    if (file.size > CONSTANTS.RESUMES.MAX_BYTES) {
+      throw new Error(
+        `${file.name} is larger than ${
+          CONSTANTS.RESUMES.MAX_BYTES / 1024 / 1024
+        } MB.`
+      );
+    }
+    return ApiClient.request(ApiContract.path("parseResume"), {
+      method: "POST",
+      body: { filename: file.name, data: await this.readAsBase64(file) },
+    });
+  },
 
-  document.body.appendChild(link);
-  link.click();
+  /**
+   * Parse pasted resume text
+   * @param {string} text - Resume text
+   * @returns {Promise<Object>} { text, truncated, profile }
+   */
+  parseText(text) {
+    return ApiClient.request(ApiContract.path("parseResume"), {
+      method: "POST",
+      body: { text },
+    });
+  },
+};
 
-  setTimeout(() => {
-    URL.revokeObjectURL(url);
-    link.remove();
-  }, 500);
-}
+// ============================================================================
+// INTERVIEW SCHEDULING
+// ============================================================================
 
 /**
- * Show notification to user
- * @param {string} message - Notification message
- * @param {string} type - Notification type (success, error, info, warning)
+ * Interviewers, interview loops and booked interviews on the proxy server.
+ * The server matches slots and emails the invites.
  */
-function showNotification(message, type = "info") {
-  // Create notification container if it doesn't exist
-  let container = document.querySelector("#notification-container");
-  if (!container) {
-    container = document.createElement("div");
-    container.id = "notification-container";
-    container.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      z-index: 10000;
-      display: flex;
-      flex-direction: column;
-      gap: 12px;
-      pointer-events: none;
-    `;
-    document.body.appendChild(container);
-  }
+const SchedulingService = {
+  /**
+   * List interviewers, by name
+   * @returns {Promise<Array>} [{ id, name, email, timeZone, availability }]
+   */
+  async listInterviewers() {
+    const { items } = await ApiClient.request(
+      ApiContract.path("listInterviewers")
+    );
+    return items;
+  },
 
-  // Create notification element
-  const notification = document.createElement("div");
-  notification.style.cssText = `
-    min-width: 320px;
-    max-width: 480px;
-    padding: 16px 20px;
-    border-radius: 12px;
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.12);
-    backdrop-filter: blur(8px);
-    border: 1px solid rgba(255, 255, 255, 0.2);
-    color: white;
-    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-    font-size: 14px;
-    font-weight: 500;
-    line-height: 1.5;
-    display: flex;
-    align-items: center;
-    gap: 12px;
-    pointer-events: auto;
-    cursor: pointer;
-    transform: translateX(100%);
-    opacity: 0;
-    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-  `;
+  /**
+   * Add an interviewer, or update one that has an id
+   * @param {Object} interviewer - { id?, name, email, timeZone, availability }
+   * @returns {Promise<Object>} Saved interviewer
+   */
+  async saveInterviewer({ id, name, email, timeZone, availability }) {
+    const body = { name, email, timeZone, availability };
+    const { interviewer } = await ApiClient.request(
+      id
+        ? ApiContract.path("updateInterviewer", { id })
+        : ApiContract.path("createInterviewer"),
+      { method: id ? "PUT" : "POST", body }
+    );
+    return interviewer;
+  },
 
-  // Set type-specific styles and icons
-  let icon, bgColor, borderColor;
-  switch (type) {
-    case "success":
-      icon = "✅";
-      bgColor = "linear-gradient(135deg, #10b981 0%, #059669 100%)";
-      borderColor = "rgba(16, 185, 129, 0.3)";
-      break;
-    case "error":
-      icon = "❌";
-      bgColor = "linear-gradient(135deg, #ef4444 0%, #dc2626 100%)";
-      borderColor = "rgba(239, 68, 68, 0.3)";
-      break;
-    case "warning":
-      icon = "⚠️";
-      bgColor = "linear-gradient(135deg, #f59e0b 0%, #d97706 100%)";
-      borderColor = "rgba(245, 158, 11, 0.3)";
-      break;
-    default: // info
-      icon = "ℹ️";
-      bgColor = "linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)";
-      borderColor = "rgba(59, 130, 246, 0.3)";
-  }
+  /**
+   * Remove an interviewer from the team and from every interview loop
+   * @param {string} id - Interviewer id
+   */
+  async removeInterviewer(id) {
+    await ApiClient.request(ApiContract.path("deleteInterviewer", { id }), {
+      method: "DELETE",
+    });
+  },
 
-  notification.style.background = bgColor;
-  notification.style.borderColor = borderColor;
+  /**
+   * Get a job description's interview loop
+   * @param {string} id - Job description id
+   * @returns {Promise<Object>} { jdId, stages, timeZone: { zone, flexible } }
+   */
+  getLoop(id) {
+    return ApiClient.request(ApiContract.path("getInterviewLoop", { id }));
+  },
 
-  // Create content
-  notification.innerHTML = `
-    <span style="font-size: 16px; flex-shrink: 0;">${icon}</span>
-    <span style="flex: 1;">${message}</span>
-    <span style="opacity: 0.7; font-size: 12px; flex-shrink: 0;">×</span>
-  `;
+  /**
+   * Save a job description's interview loop
+   * @param {string} id - Job description id
+   * @param {Array} stages - [{ id?, name, durationMinutes, interviewerIds }]
+   * @returns {Promise<Object>} { jdId, stages, timeZone }
+   */
+  saveLoop(id, stages) {
+    return ApiClient.request(ApiContract.path("saveInterviewLoop", { id }), {
+      method: "PUT",
+      body: { stages },
+    });
+  },
 
-  // Add click to dismiss
-  notification.addEventListener("click", () => {
-    dismissNotification(notification);
-  });
+  /**
+   * Find times when a stage's interviewers and the candidate are free
+   * @param {Object} request - { jdId, stageId, timeZone? }
+   * @returns {Promise<Object>} { stage, timeZone, slots: [{ start, end }] }
+   */
+  findSlots(request) {
+    return ApiClient.request(ApiContract.path("findInterviewSlots"), {
+      method: "POST",
+      body: request,
+    });
+  },
 
-  // Add to container
-  container.appendChild(notification);
+  /**
+   * List a job description's interviews, soonest first
+   * @param {string} jdId - Job description id
+   * @returns {Promise<Array>} Interviews
+   */
+  async listInterviews(jdId) {
+    const { items } = await ApiClient.request(
+      `${ApiContract.path("listInterviews")}?jdId=${encodeURIComponent(jdId)}`
+    );
+    return items;
+  },
 
-  // Animate in
-  setTimeout(() => {
-    notification.style.transform = "translateX(0)";
-    notification.style.opacity = "1";
-  }, 10);
+  /**
+   * Book an interview; the server emails the invite
+   * @param {Object} booking - { jdId, stageId, start, candidate, timeZone?,
+   *   location? }
+   * @returns {Promise<Object>} Interview, with `invite: { sent }`
+   */
+  async schedule(booking) {
+    const { interview } = await ApiClient.request(
+      ApiContract.path("scheduleInterview"),
+      { method: "POST", body: booking }
+    );
+    return interview;
+  },
 
-  // Auto dismiss after delay (longer for errors)
-  const dismissDelay =
-    type === "error" ? 7000 : type === "success" ? 4000 : 5000;
-  setTimeout(() => {
-    dismissNotification(notification);
-  }, dismissDelay);
-}
+  /**
+   * Cancel an interview; the server emails the cancellation
+   * @param {string} id - Interview id
+   * @returns {Promise<Object>} Cancelled interview
+   */
+  async cancel(id) {
+    const { interview } = await ApiClient.request(
+      ApiContract.path("cancelInterview", { id }),
+      { method: "POST" }
+    );
+    return interview;
+  },
 
-/**
- * Dismiss a notification with animation
- * @param {HTMLElement} notification - Notification element to dismiss
- */
-function dismissNotification(notification) {
-  if (!notification || !notification.parentNode) return;
+  /**
+   * Get an interview's calendar invite
+   * @param {string} id - Interview id
+   * @returns {Promise<string>} .ics contents
+   */
+  async getInvite(id) {
+    const response = await fetch(
+      StorageManager.getProxyBase() +
+        ApiContract.path("interviewInvite", { id }),
+      { credentials: "include" }
+    );
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return response.text();
+  },
 
-  notification.style.transform = "translateX(100%)";
-  notification.style.opacity = "0";
+  /**
+   * Invites the server's mail outbox has sent, newest first
+   * @returns {Promise<Array>} [{ to, subject, method, sentAt }]
+   */
+  async listOutbox() {
+    const { items } = await ApiClient.request(ApiContract.path("listOutbox"));
+    return items;
+  },
+};
 
-  setTimeout(() => {
-    if (notification.parentNode) {
-      notification.parentNode.removeChild(notification);
-    }
-  }, 300);
-}
+// ============================================================================
+// INTERVIEW FEEDBACK
+// ============================================================================
 
 /**
- * Route guard to check if user is authenticated
- * @param {Function} viewFunction - Function to render the view
- * @returns {Function} Protected view function
+ * Interview scorecards on the proxy server. The panel's scorecards for a
+ * candidate stay hidden from an interviewer until they submit their own.
  */
-function createRouteGuard(viewFunction) {
-  return () => {
-    if (!StorageManager.getCurrentUser()) {
-      showNotification("Please login to access this page.", "error");
-      location.hash = "#/login";
-      return Views.Login();
-    }
-    return viewFunction();
-  };
-}
+const ScorecardService = {
+  /**
+   * Get the signed-in user's scorecard for an interview
+   * @param {string} id - Interview id
+   * @returns {Promise<Object>} { interview, criteria, scorecard (or null) }
+   */
+  get(id) {
+    return ApiClient.request(ApiContract.path("getScorecard", { id }));
+  },
+
+  /**
+   * Save a scorecard as a draft, or submit it
+   * @param {string} id - Interview id
+   * @param {Object} scorecard - { ratings, recommendation, notes, submit }
+   * @returns {Promise<Object>} Saved scorecard
+   */
+  async save(id, scorecard) {
+    const { scorecard: saved } = await ApiClient.request(
+      ApiContract.path("saveScorecard", { id }),
+      { method: "PUT", body: scorecard }
+    );
+    return saved;
+  },
+
+  /**
+   * Get the panel's submitted scorecards for a candidate
+   * @param {string} jdId - Job description id
+   * @param {string} email - Candidate email
+   * @returns {Promise<Object>} { locked, count, summary, scorecards }
+   */
+  summary(jdId, email) {
+    return ApiClient.request(
+      `${ApiContract.path("candidateScorecards")}?jdId=${encodeURIComponent(
+        jdId
+      )}&email=${encodeURIComponent(email)}`
+    );
+  },
+};
 
 // ============================================================================
-// AI INTEGRATION
+// CANDIDATE PIPELINE
 // ============================================================================
 
 /**
- * AI service for handling OpenAI API calls and proxy interactions
+ * Candidates tracked against a saved JD, and their stage on its board
  */
-const AIService = {
+const CandidateService = {
   /**
-   * Generate content via proxy
-   * @param {Object} answers - User answers for job description
-   * @returns {Promise<string>} Generated content
+   * List a job description's candidates, oldest first
+   * @param {string} jdId - Job description id
+   * @returns {Promise<Array>} Candidates
    */
-  async generateViaProxy(answers) {
-    // Create a modified answers object without any company information
-    const answersForAPI = { ...answers };
-    // Always delete company information to make job descriptions generic
-    delete answersForAPI.company;
-
-    // Convert skills array to string if it exists
-    if (answersForAPI.skills && Array.isArray(answersForAPI.skills)) {
-      answersForAPI.skills = answersForAPI.skills.join(", ");
-    }
+  async list(jdId) {
+    const { items } = await ApiClient.request(
+      `${ApiContract.path("listCandidates")}?jdId=${encodeURIComponent(jdId)}`
+    );
+    return items;
+  },
 
-    // Convert benefits array to string if it exists
-    if (answersForAPI.benefits && Array.isArray(answersForAPI.benefits)) {
-      answersForAPI.benefits = answersForAPI.benefits.join(", ");
-    }
-
-    console.log("Sending to AI proxy:", {
-      url: StorageManager.getProxyBase() + "/api/generate",
-      answers: answersForAPI,
-      model: StorageManager.getModel(),
-    });
-
-    const response = await fetch(
-      StorageManager.getProxyBase() + "/api/generate",
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          answers: answersForAPI,
-          model: StorageManager.getModel(),
-        }),
-      }
+  /**
+   * Add a candidate to a job description's pipeline
+   * @param {Object} candidate - { jdId, name, email, phone, profileUrl,
+   *   source, stage?, note? }
+   * @returns {Promise<Object>} Created candidate
+   */
+  async create(candidate) {
+    const { candidate: created } = await ApiClient.request(
+      ApiContract.path("createCandidate"),
+      { method: "POST", body: candidate }
     );
+    return created;
+  },
 
-    console.log("AI proxy response status:", response.status);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("AI proxy error response:", errorText);
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
+  /**
+   * Update a candidate's details
+   * @param {string} id - Candidate id
+   * @param {Object} details - { name, email, phone, profileUrl, source }
+   * @returns {Promise<Object>} Updated candidate
+   */
+  async update(id, { name, email, phone, profileUrl, source }) {
+    const { candidate } = await ApiClient.request(
+      ApiContract.path("updateCandidate", { id }),
+      { method: "PUT", body: { name, email, phone, profileUrl, source } }
+    );
+    return candidate;
+  },
 
-    const data = await response.json();
-    console.log("AI proxy response data:", data);
-    return data.text;
+  /**
+   * Remove a candidate from the pipeline
+   * @param {string} id - Candidate id
+   */
+  async remove(id) {
+    await ApiClient.request(ApiContract.path("deleteCandidate", { id }), {
+      method: "DELETE",
+    });
   },
 
   /**
-   * Polish content via proxy
-   * @param {string} content - Content to polish
-   * @param {string} instructions - Polish instructions
-   * @returns {Promise<string>} Polished content
+   * Move a candidate to another stage
+   * @param {string} id - Candidate id
+   * @param {string} stage - Stage to enter
+   * @returns {Promise<Object>} Updated candidate
    */
-  async polishViaProxy(content, instructions) {
-    const response = await fetch(
-      StorageManager.getProxyBase() + "/api/polish",
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          content,
-          instructions,
-          model: StorageManager.getModel(),
-        }),
-      }
+  async move(id, stage) {
+    const { candidate } = await ApiClient.request(
+      ApiContract.path("moveCandidate", { id }),
+      { method: "POST", body: { stage } }
     );
+    return candidate;
+  },
 
-    if (!response.ok) {
-      throw new Error(await response.text());
-    }
-
-    const data = await response.json();
-    return data.text;
+  /**
+   * Add a note to a candidate
+   * @param {string} id - Candidate id
+   * @param {string} text - Note
+   * @returns {Promise<Object>} Updated candidate
+   */
+  async addNote(id, text) {
+    const { candidate } = await ApiClient.request(
+      ApiContract.path("addCandidateNote", { id }),
+      { method: "POST", body: { text } }
+    );
+    return candidate;
   },
 
   /**
-   * Generate sourcing strategy via proxy
-   * @param {string} jobDescription - Job description text
-   * @param {string} location - Job location
-   * @returns {Promise<Object>} Sourcing strategy data
+   * Put a candidate on an outreach sequence, starting from its first message
+   * @param {string} id - Candidate id
+   * @param {Object} sequence - { channel, steps, templateId? }, with the
+   *   placeholders filled in for this candidate
+   * @returns {Promise<Object>} Updated candidate
    */
-  async sourcingViaProxy(jobDescription, location) {
-    const response = await fetch(
-      StorageManager.getProxyBase() + "/api/sourcing",
+  async startOutreach(id, { channel, steps, templateId }) {
+    const { candidate } = await ApiClient.request(
+      ApiContract.path("setCandidateOutreach", { id }),
       {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          jd: jobDescription,
-          location,
-          model: StorageManager.getModel(),
-        }),
+        method: "PUT",
+        body: { channel, steps, ...(templateId && { templateId }) },
       }
     );
-
-    if (!response.ok) {
-      throw new Error(await response.text());
-    }
-
-    const data = await response.json();
-    return data;
+    return candidate;
   },
 
   /**
-   * Chat with OpenAI API
-   * @param {Array} messages - Chat messages
-   * @param {Object} options - Chat options
-   * @returns {Promise<string>} AI response
+   * Take a candidate off their outreach sequence
+   * @param {string} id - Candidate id
+   * @returns {Promise<Object>} Updated candidate
    */
-  async chat(messages, options = {}) {
-    const apiKey = StorageManager.getApiKey();
-    if (!apiKey) {
-      throw new Error(
-        "Missing OpenAI API key. Go to Settings and save your key."
-      );
-    }
-
-    const model = options.model || StorageManager.getModel();
-    const endpoint = options.endpoint || CONSTANTS.API.OPENAI_ENDPOINT;
-
-    const requestBody = {
-      model,
-      messages,
-      temperature: options.temperature ?? CONSTANTS.API.TEMPERATURE,
-    };
-
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI error: ${response.status} ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content?.trim?.() || "";
+  async stopOutreach(id) {
+    const { candidate } = await ApiClient.request(
+      ApiContract.path("deleteCandidateOutreach", { id }),
+      { method: "DELETE" }
+    );
+    return candidate;
   },
 
   /**
-   * Generate sourcing strategy
-   * @param {string} jobDescription - Job description
-   * @param {string} location - Job location
-   * @returns {Promise<Object>} Sourcing strategy
+   * Record that a message of the candidate's sequence was sent
+   * @param {string} id - Candidate id
+   * @param {number} step - Index of the message; must be the next unsent one
+   * @returns {Promise<Object>} Updated candidate
    */
-  async generateSourcingStrategy(jobDescription, location) {
-    const systemPrompt = this.buildSourcingSystemPrompt(location);
-    const userPrompt = `Job Description:\n\n${jobDescription}`;
-
-    const response = await this.chat([
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt },
-    ]);
-
-    return this.parseSourcingResponse(response, location);
+  async markOutreachSent(id, step) {
+    const { candidate } = await ApiClient.request(
+      ApiContract.path("markOutreachSent", { id }),
+      { method: "POST", body: { step } }
+    );
+    return candidate;
   },
+};
 
+/**
+ * The signed-in user's saved outreach sequences. Templates keep their
+ * placeholders; they're filled in when a sequence is copied or assigned.
+ */
+const OutreachService = {
   /**
-   * Build system prompt for sourcing strategy generation
-   * @param {string} location - Job location
-   * @returns {string} System prompt
+   * List the user's templates, most recently saved first
+   * @returns {Promise<Array>} Templates: { id, name, channel, tone, steps }
    */
-  buildSourcingSystemPrompt(location) {
-    return `You are a recruiter who has just completed an intake meeting and has a detailed job description for a role based in ${location}. Your next task is to identify potential candidates for this role. Follow these steps:
-
-1. Based on the job description scoped above, identify 10 top companies known for having talent with relevant skills and experience for this role.
-
-2. Generate a specific Boolean search string for each identified company to use in LinkedIn searches. CRITICAL: Each LinkedIn search string MUST include the specific company name to target candidates from that exact company. The goal is to find LinkedIn profiles of potential candidates who could fit this role well and work at the specific company.
-
-3. Also create a Boolean string to search in Dice job portal.
-
-IMPORTANT: You must respond with ONLY valid JSON in this exact format:
-{
-  "companies": [
-    {
-      "name": "Company Name",
-      "linkedinSearch": "Boolean search string for LinkedIn that includes the company name",
-      "reason": "Why this company has relevant talent"
-    }
-  ],
-  "diceSearch": "Boolean search string for Dice job portal",
-  "summary": "Brief summary of sourcing strategy"
-}
+  async listTemplates() {
+    const { items } = await ApiClient.request(
+      ApiContract.path("listOutreachTemplates")
+    );
+    return items;
+  },
 
-EXAMPLES of proper LinkedIn search strings:
-- For Google: site:linkedin.com/in/ ("Google" OR "Alphabet") AND "software engineer" AND "${location}"
-- For Microsoft: site:linkedin.com/in/ "Microsoft" AND "data scientist" AND "${location}"
-- For Amazon: site:linkedin.com/in/ "Amazon" AND "product manager" AND "${location}"
+  /**
+   * Save a sequence as a new template
+   * @param {Object} template - { name, channel, tone, steps }
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate({ name, channel, tone, steps }) {
+    const { template } = await ApiClient.request(
+      ApiContract.path("createOutreachTemplate"),
+      { method: "POST", body: { name, channel, tone, steps } }
+    );
+    return template;
+  },
 
-Do not include any text before or after the JSON.`;
+  /**
+   * Replace a template
+   * @param {string} id - Template id
+   * @param {Object} template - { name, channel, tone, steps }
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(id, { name, channel, tone, steps }) {
+    const { template } = await ApiClient.request(
+      ApiContract.path("updateOutreachTemplate", { id }),
+      { method: "PUT", body: { name, channel, tone, steps } }
+    );
+    return template;
   },
 
   /**
-   * Parse sourcing response from AI
-   * @param {string} response - AI response
-   * @param {string} location - Job location
-   * @returns {Object} Parsed sourcing data
+   * Delete a template
+   * @param {string} id - Template id
    */
-  parseSourcingResponse(response, location) {
-    try {
-      let jsonStr = response.trim();
+  async removeTemplate(id) {
+    await ApiClient.request(
+      ApiContract.path("deleteOutreachTemplate", { id }),
+      { method: "DELETE" }
+    );
+  },
+};
 
-      // Find JSON object boundaries
-      const jsonStart = jsonStr.indexOf("{");
-      const jsonEnd = jsonStr.lastIndexOf("}") + 1;
+// ============================================================================
+// PROMPT TEMPLATES
+// ============================================================================
 
-      if (jsonStart !== -1 && jsonEnd > jsonStart) {
-        jsonStr = jsonStr.substring(jsonStart, jsonEnd);
-      }
+/**
+ * Versioned AI system prompts kept on the proxy server (admins only)
+ */
+const PromptService = {
+  /**
+   * List prompts with their current version
+   * @returns {Promise<Array>} Prompts: { name, description, variables, current }
+   */
+  async list() {
+    const { prompts } = await ApiClient.request(
+      ApiContract.path("listPrompts")
+    );
+    return prompts;
+  },
 
-      const parsed = JSON.parse(jsonStr);
+  /**
+   * Get a prompt with its version history
+   * @param {string} name - Prompt name
+   * @returns {Promise<Object>} { prompt, versions } with the newest version first
+   */
+  get(name) {
+    return ApiClient.request(ApiContract.path("getPrompt", { name }));
+  },
 
-      // Validate and clean structure
-      return {
-        companies: Array.isArray(parsed.companies) ? parsed.companies : [],
-        diceSearch: parsed.diceSearch || "",
-        summary: parsed.summary || "Sourcing strategy generated successfully.",
-      };
-    } catch (error) {
-      console.error("JSON parsing failed:", error);
-      console.error("Response was:", response);
+  /**
+   * Save a new version of a prompt
+   * @param {string} name - Prompt name
+   * @param {string} template - Template text
+   * @param {string} note - What changed
+   * @returns {Promise<Object>} Saved version
+   */
+  async save(name, template, note) {
+    const { version } = await ApiClient.request(
+      ApiContract.path("savePrompt", { name }),
+      { method: "POST", body: { template, note } }
+    );
+    return version;
+  },
 
-      // Return fallback data
-      return {
-        companies: [
-          {
-            name: "Sample Company",
-            linkedinSearch: `site:linkedin.com/in/ "Sample Company" AND "software developer" AND "${location}"`,
-            reason: "Sample company with relevant talent",
-          },
-        ],
-        diceSearch: `"${location}" AND "software developer" AND "full time"`,
-        summary:
-          "Fallback sourcing strategy generated. Please check your AI settings.",
-      };
-    }
+  /**
+   * Make an earlier version current again. The server saves it as a new
+   * version, so the history keeps every change.
+   * @param {string} name - Prompt name
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} Saved version
+   */
+  async rollback(name, version) {
+    const { version: saved } = await ApiClient.request(
+      ApiContract.path("rollbackPrompt", { name }),
+      { method: "POST", body: { version } }
+    );
+    return saved;
   },
 };
 
 // ============================================================================
-// JOB DESCRIPTION BUILDER
+// USAGE REPORTING
 // ============================================================================
 
 /**
- * Job Description Builder service
+ * Token usage and cost of AI calls, as recorded by the proxy server
  */
-const JobDescriptionBuilder = {
+const UsageService = {
   /**
-   * Build AI prompt from user answers
-   * @param {Object} answers - User answers
-   * @returns {string} Formatted prompt
+   * Get the usage report. Admins get everyone's usage, other users their own.
+   * @param {string} period - "day" (last 30 days) or "month" (last 12 months)
+   * @returns {Promise<Object>} { totals, buckets, byFeature, byModel, byUser,
+   *   byRequisition, costPerRequisition, scope, from, to }
    */
-  buildPromptFromAnswers(answers) {
-    const lines = [];
-
-    lines.push(`Job Role: ${answers.role || ""}`);
-    if (answers.company) lines.push(`Company: ${answers.company}`);
-    lines.push(`Location: ${answers.location || ""}`);
-    if (answers.timezone) lines.push(`Time zone: ${answers.timezone}`);
-    lines.push(`Employment type: ${answers.hireType || ""}`);
-    if (answers.duration) lines.push(`Contract duration: ${answers.duration}`);
-    if (answers.domain) lines.push(`Domain preference: ${answers.domain}`);
-    if (answers.skills) lines.push(`Key skills: ${answers.skills}`);
-    if (answers.goals) lines.push(`1-year success goals: ${answers.goals}`);
-    if (answers.kpi) lines.push(`KPIs: ${answers.kpi}`);
-    if (answers.superstar)
-      lines.push(`Superstar outcomes: ${answers.superstar}`);
-    if (answers.ninety) lines.push(`First 90 days: ${answers.ninety}`);
-    if (answers.benefits) lines.push(`Benefits and perks: ${answers.benefits}`);
-    if (answers.applicationProcess) {
-      lines.push(`Application process: ${answers.applicationProcess}`);
-    }
-
-    return lines.join("\n");
+  get(period = "day") {
+    return ApiClient.request(`${ApiContract.path("usage")}?period=${period}`);
   },
 
   /**
-   * Build job description from answers (fallback)
-   * @param {Object} answers - User answers
-   * @returns {string} Formatted job description
+   * Get the signed-in user's quotas, and their team's, with current usage
+   * @returns {Promise<Object>} { enabled, user: [...], team: { name, quotas } | null };
+   *   each quota is { name, limit, used, percent, resetsAt }
    */
-  buildJobDescription(answers) {
-    const sections = [
-      `JOB TITLE: ${answers.role || ""}`,
-      answers.company ? `COMPANY: ${answers.company}` : "",
-      `LOCATION: ${answers.location || ""}`,
-      answers.timezone ? `TIME ZONE: ${answers.timezone}` : "",
-      `EMPLOYMENT TYPE: ${answers.hireType || ""}`,
-      answers.duration ? `CONTRACT DURATION: ${answers.duration}` : "",
-      "",
-      "JOB SUMMARY",
-      `We are seeking a ${answers.role || "professional"} to join our team${
-        answers.location ? ` in ${answers.location}` : ""
-      }. ${answers.domain ? `This role focuses on ${answers.domain}.` : ""}`,
-      "",
-      "KEY RESPONSIBILITIES",
-      answers.goals ? `• ${answers.goals.split("\n").join("\n• ")}` : "",
-      "",
-      "REQUIRED SKILLS",
-      answers.skills ? `• ${answers.skills.split("\n").join("\n• ")}` : "",
-      "",
-      "PREFERRED QUALIFICATIONS",
-      answers.kpi ? `• ${answers.kpi.split("\n").join("\n• ")}` : "",
-      "",
-      "SUPERSTAR OUTCOMES",
-      answers.superstar
-        ? `• ${answers.superstar.split("\n").join("\n• ")}`
-        : "",
-      "",
-      "FIRST 90 DAYS",
-      answers.ninety ? `• ${answers.ninety.split("\n").join("\n• ")}` : "",
-      "",
-      "BENEFITS & PERKS",
-      answers.benefits
-        ? `• ${answers.benefits.split("\n").join("\n• ")}`
-        : "• Competitive salary\n• Health insurance\n• Professional development opportunities",
-      "",
-      "HOW TO APPLY",
-      answers.applicationProcess ||
-        "Please submit your resume and cover letter to our HR department.",
-      "",
-      "Equal Opportunity Employer",
-      "We are an equal opportunity employer and value diversity at our company. We do not discriminate on the basis of race, religion, color, national origin, gender, sexual orientation, age, marital status, veteran status, or disability status.",
-    ];
-
-    return sections.filter((line) => line !== "").join("\n");
+  getQuota() {
+    return ApiClient.request(ApiContract.path("quota"));
   },
 };
 
 // ============================================================================
-// VIEWS (SCREENS)
+// UI COMPONENTS
 // ============================================================================
 
 /**
- * Application views/screens
+ * Reusable UI components with consistent styling and behavior
  */
-const Views = {
+const UIComponents = {
   /**
-   * Home screen
-   * @returns {Element} Home view element
+   * Create a label element
+   * @param {string} forId - ID of associated element
+   * @param {string} text - Label text
+   * @returns {Element} Label element
    */
-  Home() {
-    const currentUser = StorageManager.getCurrentUser();
-    const jobDescriptions = StorageManager.loadJobDescriptions();
-
-    if (currentUser) {
-      // User is logged in - show personalized dashboard
-      return Views.renderAuthenticatedHome(currentUser, jobDescriptions);
-    } else {
-      // User is not logged in - show welcome screen
-      return Views.renderUnauthenticatedHome();
-    }
+  createLabel(forId, text) {
+    return DOMUtils.createElement(
+      "label",
+      {
+        class: "sr-only",
+        htmlFor: forId,
+      },
+      text
+    );
   },
 
   /**
-   * Render home page for authenticated users
-   * @param {Object} user - Current user
-   * @param {Array} jobDescriptions - User's job descriptions
-   * @returns {Element} Authenticated home view
+   * Create a button element
+   * @param {string} label - Button text
+   * @param {Object} options - Button options
+   * @returns {Element} Button element
    */
-  renderAuthenticatedHome(user, jobDescriptions) {
-    return DOMUtils.createElement("div", { class: "container" }, [
-      // Welcome section
-      DOMUtils.createElement("div", { class: "card network" }, [
-        DOMUtils.createElement(
-          "h2",
-          { class: "section-title" },
-          `Welcome back, ${user.first || user.username}!`
-        ),
-        DOMUtils.createElement(
-          "p",
-          { class: "subtitle" },
-          "Ready to streamline your recruitment process? Choose your workspace below."
-        ),
-      ]),
+  createButton(label, options = {}) {
+    const {
+      variant = CONSTANTS.BUTTON_VARIANTS.PRIMARY,
+      onClick = null,
+      href = null,
+    } = options;
 
-      DOMUtils.createElement("div", { class: "grid grid-2" }, [
-        // Workspace selection
-        UIComponents.createSection("Choose a workspace", [
-          DOMUtils.createElement(
-            "p",
-            { class: "caption" },
-            "Pick Sales or Recruitment to continue"
-          ),
-          DOMUtils.createElement("div", { class: "grid grid-2" }, [
-            UIComponents.createSection("Sales", [
-              DOMUtils.createElement(
-                "p",
-                {},
-                "Tools for crafting sales job descriptions with AI."
-              ),
-              UIComponents.createButton("Go to Sales", { href: "#/sales" }),
-            ]),
-            UIComponents.createSection("Recruitment", [
-              DOMUtils.createElement(
-                "p",
-                {},
-                "End-to-end recruiter workflow assistance."
-              ),
-              UIComponents.createButton("Go to Recruitment", {
-                href: "#/recruitment",
-              }),
-            ]),
-          ]),
-        ]),
+    const className = this.getButtonClassName(variant);
+    const elementType = href ? "a" : "button";
+    const attributes = { class: className, onclick: onClick };
 
-        // User dashboard
-        UIComponents.createSection("Your Dashboard", [
-          Views.createDashboardStats(jobDescriptions),
-          DOMUtils.createElement(
-            "div",
-            { class: "grid", style: "margin-top: 16px;" },
-            [
-              UIComponents.createButton("View All Job Descriptions", {
-                href: "#/jd-view",
-                style: "width: 100%; justify-content: center;",
-              }),
-              UIComponents.createButton("Start Sourcing", {
-                href: "#/sourcing",
-                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-                style: "width: 100%; justify-content: center;",
-              }),
-            ]
-          ),
-        ]),
-      ]),
-    ]);
+    if (href) {
+      attributes.href = href;
+    }
+
+    return DOMUtils.createElement(elementType, attributes, label);
   },
 
   /**
-   * Render home page for unauthenticated users
-   * @returns {Element} Unauthenticated home view
+   * Get button CSS class name based on variant
+   * @param {string} variant - Button variant
+   * @returns {string} CSS class name
    */
-  renderUnauthenticatedHome() {
-    return DOMUtils.createElement("div", { class: "container" }, [
-      DOMUtils.createElement("div", { class: "grid grid-2" }, [
-        UIComponents.createSection("Choose a workspace", [
-          DOMUtils.createElement(
-            "p",
-            { class: "caption" },
-            "Pick Sales or Recruitment to continue"
-          ),
-          DOMUtils.createElement("div", { class: "grid grid-2" }, [
-            UIComponents.createSection("Sales", [
-              DOMUtils.createElement(
-                "p",
-                {},
-                "Tools for crafting sales job descriptions with AI."
-              ),
-              UIComponents.createButton("Go to Sales", { href: "#/sales" }),
-            ]),
-            UIComponents.createSection("Recruitment", [
-              DOMUtils.createElement(
-                "p",
-                {},
-                "End-to-end recruiter workflow assistance."
-              ),
-              UIComponents.createButton("Go to Recruitment", {
-                href: "#/recruitment",
-              }),
-            ]),
-          ]),
-        ]),
-        UIComponents.createSection("Get Started", [
-          DOMUtils.createElement(
-            "p",
-            { class: "caption" },
-            "Sign in to save your work and access all features"
-          ),
-          DOMUtils.createElement("div", { class: "grid" }, [
-            UIComponents.createButton("Login", { href: "#/login" }),
-            UIComponents.createButton("Sign up", {
-              variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-              href: "#/signup",
-            }),
-          ]),
-        ]),
-      ]),
-    ]);
+  getButtonClassName(variant) {
+    switch (variant) {
+      case CONSTANTS.BUTTON_VARIANTS.LINK_LIKE:
+        return "btn linklike";
+      case CONSTANTS.BUTTON_VARIANTS.SECONDARY:
+        return "btn secondary";
+      default:
+        return "btn";
+    }
   },
 
   /**
-   * Create dashboard stats for authenticated users
-   * @param {Array} jobDescriptions - User's job descriptions
-   * @returns {Element} Stats element
+   * Create a text input element
+   * @param {string} placeholder - Input placeholder
+   * @param {string} type - Input type
+   * @param {string} name - Input name
+   * @param {string} id - Input ID
+   * @param {string} value - Input value
+   * @returns {Element} Input element
    */
-  createDashboardStats(jobDescriptions) {
-    const stats = [
-      {
-        label: "Job Descriptions",
-        value: jobDescriptions.length,
-        color: "#2563eb",
-      },
-      { label: "Active Tools", value: "2", color: "#10b981" },
-      { label: "Coming Soon", value: "3", color: "#f59e0b" },
-    ];
+  createTextInput(
+    placeholder,
+    type = CONSTANTS.INPUT_TYPES.TEXT,
+    name = null,
+    id = null,
+    value = ""
+  ) {
+    return DOMUtils.createElement("input", {
+      class: "input",
+      placeholder,
+      type,
+      name,
+      id: id || name || this.generateIdFromPlaceholder(placeholder),
+      value,
+    });
+  },
+
+  /**
+   * Generate ID from placeholder text
+   * @param {string} placeholder - Placeholder text
+   * @returns {string} Generated ID
+   */
+  generateIdFromPlaceholder(placeholder) {
+    return placeholder.toLowerCase().replace(/\s+/g, "-");
+  },
+
+  /**
+   * Create a section element
+   * @param {string} title - Section title
+   * @param {Element|Array} content - Section content
+   * @returns {Element} Section element
+   */
+  createSection(title, content) {
+    return DOMUtils.createElement("section", { class: "card" }, [
+      DOMUtils.createElement("h2", {}, title),
+      DOMUtils.createElement("div", {}, content),
+    ]);
+  },
 
+  /**
+   * Create a loading spinner
+   * @param {string} text - Loading text
+   * @param {number} size - Spinner size in pixels
+   * @returns {Element} Loading spinner element
+   */
+  createLoadingSpinner(text = "Loading...", size = 32) {
     return DOMUtils.createElement(
       "div",
       {
-        style:
-          "display: flex; justify-content: space-between; gap: 16px; margin-bottom: 16px;",
+        class: "card",
+        style: "margin-top: 20px; text-align: center; padding: 40px 20px;",
       },
-      stats.map((stat) =>
+      [
+        DOMUtils.createElement("div", {
+          class: "loading-spinner",
+          style: `width: ${size}px; height: ${size}px; border: 3px solid #e5e7eb; border-top: 3px solid #2563eb; border-radius: 50%; margin: 0 auto 16px;`,
+        }),
         DOMUtils.createElement(
-          "div",
-          {
-            style:
-              "text-align: center; flex: 1; padding: 12px; background: #f8fafc; border-radius: 8px;",
-          },
-          [
-            DOMUtils.createElement(
-              "div",
-              {
-                style: `font-size: 20px; font-weight: 700; color: ${stat.color}; margin-bottom: 4px;`,
-              },
-              stat.value
-            ),
-            DOMUtils.createElement(
-              "div",
-              {
-                style:
-                  "font-size: 12px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px;",
-              },
-              stat.label
-            ),
-          ]
-        )
-      )
+          "h3",
+          { style: "margin: 0 0 8px 0; color: #1f2937;" },
+          text
+        ),
+      ]
     );
   },
 
   /**
-   * Login screen
-   * @returns {Element} Login view element
+   * Create a text element that fills in once a value resolves
+   * @param {Promise} promise - Promise for the value to show
+   * @param {string} placeholder - Text shown while loading
+   * @returns {Element} Span element
    */
-  Login() {
-    const handleSubmit = async (event) => {
-      event.preventDefault();
+  createAsyncText(promise, placeholder = "…") {
+    const element = DOMUtils.createElement("span", {}, placeholder);
+    promise
+      .then((value) => {
+        element.textContent = value;
+      })
+      .catch(() => {
+        element.textContent = "–";
+      });
+    return element;
+  },
 
-      const credentials = {
-        username: DOMUtils.select("#login-username").value.trim(),
-        password: DOMUtils.select("#login-password").value,
-      };
+  /**
+   * Create a notice/alert element
+   * @param {string} message - Notice message
+   * @param {string} type - Notice type (error, success, info)
+   * @returns {Element} Notice element
+   */
+  createNotice(message, type = "info") {
+    const className = `notice ${type}`;
+    return DOMUtils.createElement("div", { class: className }, message);
+  },
+};
 
-      const errors = ValidationUtils.validateLogin(credentials);
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
 
-      if (Object.keys(errors).length > 0) {
-        const errorMessage = Object.values(errors).join(". ");
+/**
+ * Copy text to clipboard with user feedback
+ * @param {string} text - Text to copy
+ */
+function copyToClipboard(text) {
+  const cleanText = StringUtils.cleanForHR(text);
+
+  try {
+    navigator.clipboard.writeText(cleanText);
+    showNotification(
+      "✅ Job description copied! Ready to paste into HR systems.",
+      "success"
+    );
+  } catch (error) {
+    // Fallback for older browsers
+    const textarea = DOMUtils.createElement("textarea", {}, cleanText);
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand("copy");
+    textarea.remove();
+    showNotification(
+      "✅ Job description copied! Ready to paste into HR systems.",
+      "success"
+    );
+  }
+}
+
+/**
+ * Download text as a file
+ * @param {string} filename - Name of the file
+ * @param {string} text - Text content to download
+ * @param {string} type - MIME type, e.g. "text/calendar" for an invite
+ */
+function downloadText(filename, text, type = "text/plain") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = DOMUtils.createElement(
+    "a",
+    { href: url, download: filename },
+    ""
+  );
+
+  document.body.appendChild(link);
+  link.click();
+
+  setTimeout(() => {
+    URL.revokeObjectURL(url);
+    link.remove();
+  }, 500);
+}
+
+/**
+ * Show notification to user
+ * @param {string} message - Notification message, shown as plain text (line
+ *   breaks are kept); it often quotes names other users typed
+ * @param {string} type - Notification type (success, error, info, warning)
+ * @param {number} duration - Auto-dismiss delay in ms (optional, defaults by type)
+ * @param {string} requestId - Proxy request id to quote to support (optional)
+ * @returns {HTMLElement} Notification element
+ */
+function showNotification(
+  message,
+  type = "info",
+  duration = null,
+  requestId = null
+) {
+  // Create notification container if it doesn't exist
+  let container = document.querySelector("#notification-container");
+  if (!container) {
+    container = document.createElement("div");
+    container.id = "notification-container";
+    container.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      z-index: 10000;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      pointer-events: none;
+    `;
+    document.body.appendChild(container);
+  }
+
+  // Create notification element
+  const notification = document.createElement("div");
+  notification.style.cssText = `
+    min-width: 320px;
+    max-width: 480px;
+    padding: 16px 20px;
+    border-radius: 12px;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.12);
+    backdrop-filter: blur(8px);
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    color: white;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+    font-size: 14px;
+    font-weight: 500;
+    line-height: 1.5;
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    pointer-events: auto;
+    cursor: pointer;
+    transform: translateX(100%);
+    opacity: 0;
+    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+  `;
+
+  // Set type-specific styles and icons
+  let icon, bgColor, borderColor;
+  switch (type) {
+    case "success":
+      icon = "✅";
+      bgColor = "linear-gradient(135deg, #10b981 0%, #059669 100%)";
+      borderColor = "rgba(16, 185, 129, 0.3)";
+      break;
+    case "error":
+      icon = "❌";
+      bgColor = "linear-gradient(135deg, #ef4444 0%, #dc2626 100%)";
+      borderColor = "rgba(239, 68, 68, 0.3)";
+      break;
+    case "warning":
+      icon = "⚠️";
+      bgColor = "linear-gradient(135deg, #f59e0b 0%, #d97706 100%)";
+      borderColor = "rgba(245, 158, 11, 0.3)";
+      break;
+    default: // info
+      icon = "ℹ️";
+      bgColor = "linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)";
+      borderColor = "rgba(59, 130, 246, 0.3)";
+  }
+
+  notification.style.background = bgColor;
+  notification.style.borderColor = borderColor;
+
+  // Create content
+  notification.innerHTML = `
+    <span style="font-size: 16px; flex-shrink: 0;">${icon}</span>
+    <span class="notification-message" style="flex: 1; white-space: pre-line;"></span>
+    <span style="opacity: 0.7; font-size: 12px; flex-shrink: 0;">×</span>
+  `;
+  notification.querySelector(".notification-message").textContent = message;
+  // The same id is on the proxy's log line for the failed request
+  if (requestId) {
+    const reference = document.createElement("div");
+    reference.style.cssText =
+      "font-size: 12px; font-weight: 400; opacity: 0.85;";
+    reference.textContent = `Request ID: ${requestId}`;
+    notification.querySelector(".notification-message").appendChild(reference);
+  }
+
+  // Add click to dismiss
+  notification.addEventListener("click", () => {
+    dismissNotification(notification);
+  });
+
+  // Add to container
+  container.appendChild(notification);
+
+  // Animate in
+  setTimeout(() => {
+    notification.style.transform = "translateX(0)";
+    notification.style.opacity = "1";
+  }, 10);
+
+  // Auto dismiss after delay (longer for errors)
+  const dismissDelay =
+    duration || (type === "error" ? 7000 : type === "success" ? 4000 : 5000);
+  setTimeout(() => {
+    dismissNotification(notification);
+  }, dismissDelay);
+
+  return notification;
+}
+
+/**
+ * Show a rate-limit notice that counts down until the user can retry
+ * @param {number} seconds - Seconds until the next request is allowed
+ */
+function showRetryCountdown(seconds) {
+  let remaining = Math.max(1, Math.ceil(seconds));
+  const format = () =>
+    `Too many requests right now. You can try again in ${remaining}s.`;
+
+  const notification = showNotification(
+    format(),
+    "warning",
+    (remaining + 2) * 1000
+  );
+  const message = notification.querySelector(".notification-message");
+
+  const timer = setInterval(() => {
+    remaining--;
+    if (!notification.parentNode) {
+      clearInterval(timer);
+    } else if (remaining <= 0) {
+      clearInterval(timer);
+      message.textContent = "You can try again now.";
+    } else {
+      message.textContent = format();
+    }
+  }, 1000);
+}
+
+/**
+ * Get a user-facing message for an AI request error
+ * @param {Error} error - Error thrown by AIService
+ * @returns {string} Field errors or a friendly message for known error codes,
+ *   else the error text
+ */
+function getAIErrorMessage(error) {
+  if (error.fields) return Object.values(error.fields).join(" ");
+  // The proxy explains which quota ran out and when it resets
+  if (error.code === "quota_exceeded") return error.serverMessage;
+  const message = CONSTANTS.AI_ERROR_MESSAGES[error.code];
+  if (!message) return error.message || String(error);
+  return error.retryAfter
+    ? `${message} (retry in ${error.retryAfter}s)`
+    : message;
+}
+
+/**
+ * Show an AI request error, with a countdown when the proxy rate-limited us
+ * @param {Error} error - Error thrown by AIService
+ * @param {string} prefix - Text shown before the error message
+ */
+function showAIError(error, prefix = "") {
+  if (error.status === 429 && error.code !== "quota_exceeded") {
+    showRetryCountdown(error.retryAfter);
+    return;
+  }
+  showNotification(
+    prefix + getAIErrorMessage(error),
+    "error",
+    null,
+    error.requestId
+  );
+}
+
+/**
+ * Dismiss a notification with animation
+ * @param {HTMLElement} notification - Notification element to dismiss
+ */
+function dismissNotification(notification) {
+  if (!notification || !notification.parentNode) return;
+
+  notification.style.transform = "translateX(100%)";
+  notification.style.opacity = "0";
+
+  setTimeout(() => {
+    if (notification.parentNode) {
+      notification.parentNode.removeChild(notification);
+    }
+  }, 300);
+}
+
+/**
+ * Route guard to check if user is authenticated
+ * @param {Function} viewFunction - Function to render the view
+ * @returns {Function} Protected view function
+ */
+function createRouteGuard(viewFunction) {
+  return () => {
+    if (!AuthService.getCurrentUser()) {
+      showNotification("Please login to access this page.", "error");
+      location.hash = "#/login";
+      return Views.Login();
+    }
+
+    // Re-check the server session so an expired or revoked one bounces to login
+    AuthService.restoreSession().then((user) => {
+      if (!user && location.hash !== "#/login") {
+        showNotification(
+          "Your session has expired. Please login again.",
+          "error"
+        );
+        location.hash = "#/login";
+      }
+    });
+
+    return viewFunction();
+  };
+}
+
+/**
+ * Route guard for admin-only screens. The server enforces this too; the
+ * guard just keeps other users away from a screen they can't load.
+ * @param {Function} viewFunction - Function to render the view
+ * @returns {Function} Protected view function
+ */
+function createAdminRouteGuard(viewFunction) {
+  return createRouteGuard(() => {
+    if (!AuthService.getCurrentUser().isAdmin) {
+      showNotification("Only admins can access this page.", "error");
+      location.hash = "#/";
+      return Views.Home();
+    }
+    return viewFunction();
+  });
+}
+
+// ============================================================================
+// AI INTEGRATION
+// ============================================================================
+
+/**
+ * AI service for proxy interactions (the proxy talks to the configured AI provider)
+ */
+const AIService = {
+  /**
+   * Build an error from a failed proxy response
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Error>} Error with status, the proxy's error code and
+   *   field errors (if any) and retryAfter seconds when the proxy sent Retry-After
+   */
+  async readProxyError(response) {
+    const errorText = await response.text();
+    let message = errorText;
+    let code = null;
+    let fields = null;
+    try {
+      const body = JSON.parse(errorText);
+      message = body.error || errorText;
+      code = body.code || null;
+      fields = body.fields || null;
+    } catch (parseError) {
+      // Not JSON; keep the raw text
+    }
+
+    const error = new Error(`HTTP ${response.status}: ${message}`);
+    error.status = response.status;
+    error.code = code;
+    error.fields = fields;
+    error.serverMessage = message;
+    error.requestId = response.headers.get("X-Request-Id");
+    const retryAfter = Number(response.headers.get("Retry-After"));
+    if (retryAfter || response.status === 429) {
+      error.retryAfter = retryAfter || 1;
+    }
+    return error;
+  },
+
+  // Quotas already warned about on this page, so each warning appears once
+  shownQuotaWarnings: new Set(),
+
+  /**
+   * Warn once per quota when the proxy reports it is nearly used up
+   * @param {Response} response - Successful proxy response
+   */
+  showQuotaWarning(response) {
+    const warning = response.headers.get("Quota-Warning");
+    if (!warning) return;
+    // The percentage grows with every request; the rest names the quota
+    const quota = warning.replace(/\d+%/, "");
+    if (this.shownQuotaWarnings.has(quota)) return;
+    this.shownQuotaWarnings.add(quota);
+    showNotification(warning, "warning");
+  },
+
+  /**
+   * POST to an AI route of the proxy through the generated AIClient. The
+   * body is checked against the shared API contract first, so a request the
+   * server would reject never leaves.
+   * @param {string} routeName - Route name in ApiContract.ROUTES (also the
+   *   AIClient method)
+   * @param {Object} body - Request body
+   * @returns {Promise<Response>} Successful fetch response
+   */
+  async postToProxy(routeName, body) {
+    const fields = ApiContract.validate(routeName, body);
+    if (Object.keys(fields).length) {
+      const error = new Error(Object.values(fields).join(" "));
+      error.fields = fields;
+      throw error;
+    }
+
+    const response = await AIClient[routeName](body, {
+      baseUrl: StorageManager.getProxyBase(),
+    });
+
+    console.log("AI proxy response status:", response.status);
+
+    if (!response.ok) {
+      const error = await this.readProxyError(response);
+      console.error("AI proxy error response:", error.message);
+      throw error;
+    }
+    this.showQuotaWarning(response);
+    return response;
+  },
+
+  /**
+   * Read Server-Sent Events from a streaming proxy response
+   * @param {Response} response - Fetch response with an event-stream body
+   * @param {Function} onEvent - Called with (event, data) for each event
+   */
+  async readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split("\n\n");
+      buffer = blocks.pop();
+
+      blocks.forEach((block) => {
+        let event = "message";
+        let data = "";
+        block.split("\n").forEach((line) => {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
+        });
+        if (data) onEvent(event, JSON.parse(data));
+      });
+    }
+  },
+
+  /**
+   * Generate content via proxy
+   * @param {Object} answers - User answers for job description
+   * @param {Function} onToken - Called with each text chunk as it arrives
+   *   (optional; streams from /api/generate/stream when given)
+   * @returns {Promise<Object>} { text, prompt, requisitionId } where prompt is
+   *   the { name, version } of the template that produced the text and
+   *   requisitionId groups the AI usage of this JD for cost reports
+   */
+  async generateViaProxy(answers, onToken = null) {
+    // Create a modified answers object without any company information
+    const answersForAPI = { ...answers };
+    // Always delete company information to make job descriptions generic
+    delete answersForAPI.company;
+
+    // Convert skills array to string if it exists
+    if (answersForAPI.skills && Array.isArray(answersForAPI.skills)) {
+      answersForAPI.skills = answersForAPI.skills.join(", ");
+    }
+
+    // Convert benefits array to string if it exists
+    if (answersForAPI.benefits && Array.isArray(answersForAPI.benefits)) {
+      answersForAPI.benefits = answersForAPI.benefits.join(", ");
+    }
+
+    const streaming = typeof onToken === "function";
+    const routeName = streaming ? "generateStream" : "generate";
+
+    console.log("Sending to AI proxy:", {
+      route: ApiContract.path(routeName),
+      answers: answersForAPI,
+      model: StorageManager.getModel(),
+    });
+
+    const response = await this.postToProxy(routeName, {
+      answers: answersForAPI,
+      model: StorageManager.getModel(),
+    });
+
+    if (!streaming) {
+      const data = await response.json();
+      console.log("AI proxy response data:", data);
+      return {
+        text: data.text,
+        prompt: data.prompt || null,
+        requisitionId: data.requisitionId || null,
+      };
+    }
+
+    // Only the `done` event carries the final text; a stream that ends
+    // without it was cut off and must not be treated as a complete JD
+    let finalText = null;
+    let prompt = null;
+    let requisitionId = null;
+    await this.readEventStream(response, (event, data) => {
+      if (event === "token") onToken(data.text);
+      else if (event === "done") {
+        finalText = data.text;
+        prompt = data.prompt || null;
+        requisitionId = data.requisitionId || null;
+      } else if (event === "error") {
+        const error = new Error(data.error);
+        error.code = data.code || null;
+        error.requestId = response.headers.get("X-Request-Id");
+        throw error;
+      }
+    });
+
+    if (finalText === null) {
+      throw new Error("The generation stream ended before it completed.");
+    }
+    return { text: finalText, prompt, requisitionId };
+  },
+
+  /**
+   * Polish content via proxy
+   * @param {string} content - Content to polish
+   * @param {string} instructions - Polish instructions
+   * @param {string} requisitionId - Requisition the JD belongs to (optional)
+   * @returns {Promise<Object>} { text, prompt } where prompt is the
+   *   { name, version } of the template that produced the text
+   */
+  async polishViaProxy(content, instructions, requisitionId = null) {
+    const response = await this.postToProxy("polish", {
+      jd: content,
+      instructions,
+      model: StorageManager.getModel(),
+      ...(requisitionId && { requisitionId }),
+    });
+
+    const data = await response.json();
+    return { text: data.text, prompt: data.prompt || null };
+  },
+
+  /**
+   * Generate sourcing strategy via proxy
+   * @param {string} jobDescription - Job description text
+   * @param {string} location - Job location
+   * @param {string} requisitionId - Requisition of a saved JD (optional)
+   * @returns {Promise<Object>} Sourcing strategy data
+   */
+  async sourcingViaProxy(jobDescription, location, requisitionId = null) {
+    const response = await this.postToProxy("sourcing", {
+      jd: jobDescription,
+      location,
+      model: StorageManager.getModel(),
+      ...(requisitionId && { requisitionId }),
+    });
+
+    const data = await response.json();
+    return data;
+  },
+
+  /**
+   * Write an outreach sequence for a candidate via proxy
+   * @param {Object} request - { jd, channel, tone, steps, profile, company }
+   * @param {string} requisitionId - Requisition of a saved JD (optional)
+   * @returns {Promise<Object>} { channel, tone, steps: [{ delayDays,
+   *   subject, body }] }
+   */
+  async outreachViaProxy(request, requisitionId = null) {
+    const response = await this.postToProxy("generateOutreach", {
+      ...request,
+      model: StorageManager.getModel(),
+      ...(requisitionId && { requisitionId }),
+    });
+    return response.json();
+  },
+
+  /**
+   * Translate and localize a job description via proxy
+   * @param {string} content - Job description text
+   * @param {string} locale - Target locale, e.g. "de-DE"
+   * @param {string} requisitionId - Requisition the JD belongs to (optional)
+   * @returns {Promise<Object>} { text, prompt } where prompt is the
+   *   { name, version } of the template that produced the text
+   */
+  async translateViaProxy(content, locale, requisitionId = null) {
+    const response = await this.postToProxy("translate", {
+      jd: content,
+      locale,
+      model: StorageManager.getModel(),
+      ...(requisitionId && { requisitionId }),
+    });
+
+    const data = await response.json();
+    return { text: data.text, prompt: data.prompt || null };
+  },
+
+  /**
+   * Estimate a pay range for a role via proxy
+   * @param {Object} job - { role, location, hireType, skills, currency, period }
+   * @returns {Promise<Object>} { min, max, currency, period, rationale,
+   *   estimate, disclaimer }
+   */
+  async estimateSalaryViaProxy(job) {
+    const response = await this.postToProxy("estimateSalary", {
+      ...job,
+      model: StorageManager.getModel(),
+    });
+    return response.json();
+  },
+
+  /**
+   * Check a job description for exclusionary language via proxy
+   * @param {string} jobDescription - Job description text
+   * @param {Object} options - { ai, requisitionId }; `ai` also asks the model
+   *   for findings the word lists miss
+   * @returns {Promise<Object>} { findings, summary, ai }
+   */
+  async lintViaProxy(
+    jobDescription,
+    { ai = false, requisitionId = null } = {}
+  ) {
+    const response = await this.postToProxy("lintJD", {
+      jd: jobDescription,
+      ai,
+      ...(ai && { model: StorageManager.getModel() }),
+      ...(requisitionId && { requisitionId }),
+    });
+    return response.json();
+  },
+
+  /**
+   * Score a resume against a saved job description via proxy
+   * @param {string} jdId - Id of the saved job description
+   * @param {string} resume - Resume text
+   * @param {Object} options - { ai }; `ai` also asks the model for a status
+   *   and rationale per requirement
+   * @returns {Promise<Object>} { jdId, title, score, byKind, breakdown, ai }
+   */
+  async matchViaProxy(jdId, resume, { ai = false } = {}) {
+    const response = await this.postToProxy("matchCandidate", {
+      jdId,
+      resume,
+      ai,
+      ...(ai && { model: StorageManager.getModel() }),
+    });
+    return response.json();
+  },
+
+  /**
+   * Get the AI provider and model the proxy server is configured with
+   * @returns {Promise<Object>} { provider, model }
+   */
+  async getProviderInfo() {
+    const response = await AIClient.health({
+      baseUrl: StorageManager.getProxyBase(),
+    });
+    if (!response.ok) {
+      throw await this.readProxyError(response);
+    }
+    const { provider, model } = await response.json();
+    return { provider, model };
+  },
+
+  /**
+   * Chat with the AI provider configured on the proxy server
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Chat options ({ model, temperature, json });
+   *   `json` asks the provider for a JSON object response
+   * @returns {Promise<string>} AI response
+   */
+  async chat(messages, options = {}) {
+    const response = await this.postToProxy("chat", {
+      messages,
+      model: options.model || StorageManager.getModel(),
+      temperature: options.temperature ?? CONSTANTS.API.TEMPERATURE,
+      json: Boolean(options.json),
+    });
+
+    const data = await response.json();
+    return data.text || "";
+  },
+};
+
+// ============================================================================
+// JOB DESCRIPTION BUILDER
+// ============================================================================
+
+/**
+ * Job Description Builder service
+ */
+const JobDescriptionBuilder = {
+  /**
+   * Build AI prompt from user answers
+   * @param {Object} answers - User answers
+   * @returns {string} Formatted prompt
+   */
+  buildPromptFromAnswers(answers) {
+    const lines = [];
+
+    lines.push(`Job Role: ${answers.role || ""}`);
+    if (answers.company) lines.push(`Company: ${answers.company}`);
+    lines.push(`Location: ${answers.location || ""}`);
+    if (answers.timezone) lines.push(`Time zone: ${answers.timezone}`);
+    lines.push(`Employment type: ${answers.hireType || ""}`);
+    if (answers.duration) lines.push(`Contract duration: ${answers.duration}`);
+    if (answers.domain) lines.push(`Domain preference: ${answers.domain}`);
+    if (answers.skills) lines.push(`Key skills: ${answers.skills}`);
+    if (answers.goals) lines.push(`1-year success goals: ${answers.goals}`);
+    if (answers.kpi) lines.push(`KPIs: ${answers.kpi}`);
+    if (answers.superstar)
+      lines.push(`Superstar outcomes: ${answers.superstar}`);
+    if (answers.ninety) lines.push(`First 90 days: ${answers.ninety}`);
+    if (answers.benefits) lines.push(`Benefits and perks: ${answers.benefits}`);
+    if (answers.applicationProcess) {
+      lines.push(`Application process: ${answers.applicationProcess}`);
+    }
+
+    return lines.join("\n");
+  },
+
+  /**
+   * Build job description from answers (fallback)
+   * @param {Object} answers - User answers
+   * @returns {string} Formatted job description
+   */
+  buildJobDescription(answers) {
+    const sections = [
+      `JOB TITLE: ${answers.role || ""}`,
+      answers.company ? `COMPANY: ${answers.company}` : "",
+      `LOCATION: ${answers.location || ""}`,
+      answers.timezone ? `TIME ZONE: ${answers.timezone}` : "",
+      `EMPLOYMENT TYPE: ${answers.hireType || ""}`,
+      answers.duration ? `CONTRACT DURATION: ${answers.duration}` : "",
+      answers.compensation?.min
+        ? `PAY RANGE: ${PayTransparency.formatRange(answers.compensation)}`
+        : "",
+      "",
+      "JOB SUMMARY",
+      `We are seeking a ${answers.role || "professional"} to join our team${
+        answers.location ? ` in ${answers.location}` : ""
+      }. ${answers.domain ? `This role focuses on ${answers.domain}.` : ""}`,
+      "",
+      "KEY RESPONSIBILITIES",
+      answers.goals ? `• ${answers.goals.split("\n").join("\n• ")}` : "",
+      "",
+      "REQUIRED SKILLS",
+      answers.skills ? `• ${answers.skills.split("\n").join("\n• ")}` : "",
+      "",
+      "PREFERRED QUALIFICATIONS",
+      answers.kpi ? `• ${answers.kpi.split("\n").join("\n• ")}` : "",
+      "",
+      "SUPERSTAR OUTCOMES",
+      answers.superstar
+        ? `• ${answers.superstar.split("\n").join("\n• ")}`
+        : "",
+      "",
+      "FIRST 90 DAYS",
+      answers.ninety ? `• ${answers.ninety.split("\n").join("\n• ")}` : "",
+      "",
+      "BENEFITS & PERKS",
+      answers.benefits
+        ? `• ${answers.benefits.split("\n").join("\n• ")}`
+        : "• Competitive salary\n• Health insurance\n• Professional development opportunities",
+      "",
+      "HOW TO APPLY",
+      answers.applicationProcess ||
+        "Please submit your resume and cover letter to our HR department.",
+      "",
+      "Equal Opportunity Employer",
+      "We are an equal opportunity employer and value diversity at our company. We do not discriminate on the basis of race, religion, color, national origin, gender, sexual orientation, age, marital status, veteran status, or disability status.",
+    ];
+
+    return sections.filter((line) => line !== "").join("\n");
+  },
+};
+
+// ============================================================================
+// VIEWS (SCREENS)
+// ============================================================================
+
+/**
+ * Application views/screens
+ */
+const Views = {
+  /**
+   * Home screen
+   * @returns {Element} Home view element
+   */
+  Home() {
+    const currentUser = AuthService.getCurrentUser();
+
+    if (currentUser) {
+      // User is logged in - show personalized dashboard
+      return Views.renderAuthenticatedHome(currentUser);
+    } else {
+      // User is not logged in - show welcome screen
+      return Views.renderUnauthenticatedHome();
+    }
+  },
+
+  /**
+   * Render home page for authenticated users
+   * @param {Object} user - Current user
+   * @returns {Element} Authenticated home view
+   */
+  renderAuthenticatedHome(user) {
+    return DOMUtils.createElement("div", { class: "container" }, [
+      // Welcome section
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          `Welcome back, ${user.first || user.username}!`
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          "Ready to streamline your recruitment process? Choose your workspace below."
+        ),
+      ]),
+
+      DOMUtils.createElement("div", { class: "grid grid-2" }, [
+        // Workspace selection
+        UIComponents.createSection("Choose a workspace", [
+          DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "Pick Sales or Recruitment to continue"
+          ),
+          DOMUtils.createElement("div", { class: "grid grid-2" }, [
+            UIComponents.createSection("Sales", [
+              DOMUtils.createElement(
+                "p",
+                {},
+                "Tools for crafting sales job descriptions with AI."
+              ),
+              UIComponents.createButton("Go to Sales", { href: "#/sales" }),
+            ]),
+            UIComponents.createSection("Recruitment", [
+              DOMUtils.createElement(
+                "p",
+                {},
+                "End-to-end recruiter workflow assistance."
+              ),
+              UIComponents.createButton("Go to Recruitment", {
+                href: "#/recruitment",
+              }),
+            ]),
+          ]),
+        ]),
+
+        // User dashboard
+        UIComponents.createSection("Your Dashboard", [
+          Views.createDashboardStats(
+            UIComponents.createAsyncText(JDService.count())
+          ),
+          DOMUtils.createElement(
+            "div",
+            { class: "grid", style: "margin-top: 16px;" },
+            [
+              UIComponents.createButton("View All Job Descriptions", {
+                href: "#/jd-view",
+                style: "width: 100%; justify-content: center;",
+              }),
+              UIComponents.createButton("Start Sourcing", {
+                href: "#/sourcing",
+                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                style: "width: 100%; justify-content: center;",
+              }),
+            ]
+          ),
+          Views.renderQuotaPanel(),
+        ]),
+      ]),
+    ]);
+  },
+
+  /**
+   * AI quota display for the dashboard. It stays empty when the proxy
+   * enforces no quotas.
+   * @returns {Element} Quota panel element
+   */
+  renderQuotaPanel() {
+    const panel = DOMUtils.createElement("div", { style: "margin-top: 16px;" });
+    const labels = {
+      requestsPerDay: "AI requests today",
+      tokensPerMonth: "Tokens this month",
+      costPerMonth: "Spend this month",
+    };
+    const format = (name, value) =>
+      name === "costPerMonth"
+        ? StringUtils.formatCost(value)
+        : value.toLocaleString();
+
+    const bar = (quota) => {
+      const color =
+        quota.percent >= 100
+          ? "#dc2626"
+          : quota.percent >= 80
+          ? "#f59e0b"
+          : "#10b981";
+      return DOMUtils.createElement("div", { style: "margin-bottom: 10px;" }, [
+        DOMUtils.createElement(
+          "div",
+          {
+            style:
+              "display: flex; justify-content: space-between; font-size: 13px; color: #374151;",
+          },
+          [
+            DOMUtils.createElement("span", {}, labels[quota.name]),
+            DOMUtils.createElement(
+              "span",
+              {},
+              `${format(quota.name, quota.used)} of ${format(
+                quota.name,
+                quota.limit
+              )}`
+            ),
+          ]
+        ),
+        DOMUtils.createElement(
+          "div",
+          {
+            style:
+              "height: 6px; background: #e5e7eb; border-radius: 3px; overflow: hidden; margin-top: 4px;",
+          },
+          [
+            DOMUtils.createElement("div", {
+              style: `height: 100%; width: ${Math.min(
+                100,
+                quota.percent
+              )}%; background: ${color};`,
+            }),
+          ]
+        ),
+      ]);
+    };
+
+    const group = (title, quotas) =>
+      quotas.length
+        ? [
+            DOMUtils.createElement(
+              "div",
+              {
+                style:
+                  "font-size: 12px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px; margin: 8px 0;",
+              },
+              title
+            ),
+            ...quotas.map(bar),
+          ]
+        : [];
+
+    UsageService.getQuota()
+      .then((status) => {
+        if (!status.enabled) return;
+        DOMUtils.appendChildren(panel, [
+          ...group("Your AI quota", status.user),
+          ...group(
+            `Team quota (${status.team?.name})`,
+            status.team?.quotas || []
+          ),
+        ]);
+      })
+      .catch((error) => console.error("Could not load quotas:", error));
+
+    return panel;
+  },
+
+  /**
+   * Render home page for unauthenticated users
+   * @returns {Element} Unauthenticated home view
+   */
+  renderUnauthenticatedHome() {
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "grid grid-2" }, [
+        UIComponents.createSection("Choose a workspace", [
+          DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "Pick Sales or Recruitment to continue"
+          ),
+          DOMUtils.createElement("div", { class: "grid grid-2" }, [
+            UIComponents.createSection("Sales", [
+              DOMUtils.createElement(
+                "p",
+                {},
+                "Tools for crafting sales job descriptions with AI."
+              ),
+              UIComponents.createButton("Go to Sales", { href: "#/sales" }),
+            ]),
+            UIComponents.createSection("Recruitment", [
+              DOMUtils.createElement(
+                "p",
+                {},
+                "End-to-end recruiter workflow assistance."
+              ),
+              UIComponents.createButton("Go to Recruitment", {
+                href: "#/recruitment",
+              }),
+            ]),
+          ]),
+        ]),
+        UIComponents.createSection("Get Started", [
+          DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "Sign in to save your work and access all features"
+          ),
+          DOMUtils.createElement("div", { class: "grid" }, [
+            UIComponents.createButton("Login", { href: "#/login" }),
+            UIComponents.createButton("Sign up", {
+              variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+              href: "#/signup",
+            }),
+          ]),
+        ]),
+      ]),
+    ]);
+  },
+
+  /**
+   * Create dashboard stats for authenticated users
+   * @param {number|Element} jobDescriptionCount - Number of saved job descriptions
+   * @returns {Element} Stats element
+   */
+  createDashboardStats(jobDescriptionCount) {
+    const stats = [
+      {
+        label: "Job Descriptions",
+        value: jobDescriptionCount,
+        color: "#2563eb",
+      },
+      { label: "Active Tools", value: "6", color: "#10b981" },
+      { label: "Coming Soon", value: "0", color: "#f59e0b" },
+    ];
+
+    return DOMUtils.createElement(
+      "div",
+      {
+        style:
+          "display: flex; justify-content: space-between; gap: 16px; margin-bottom: 16px;",
+      },
+      stats.map((stat) =>
+        DOMUtils.createElement(
+          "div",
+          {
+            style:
+              "text-align: center; flex: 1; padding: 12px; background: #f8fafc; border-radius: 8px;",
+          },
+          [
+            DOMUtils.createElement(
+              "div",
+              {
+                style: `font-size: 20px; font-weight: 700; color: ${stat.color}; margin-bottom: 4px;`,
+              },
+              stat.value
+            ),
+            DOMUtils.createElement(
+              "div",
+              {
+                style:
+                  "font-size: 12px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px;",
+              },
+              stat.label
+            ),
+          ]
+        )
+      )
+    );
+  },
+
+  /**
+   * Login screen
+   * @returns {Element} Login view element
+   */
+  Login() {
+    const handleSubmit = async (event) => {
+      event.preventDefault();
+
+      const credentials = {
+        username: DOMUtils.select("#login-username").value.trim(),
+        password: DOMUtils.select("#login-password").value,
+      };
+
+      const errors = ValidationUtils.validateLogin(credentials);
+
+      if (Object.keys(errors).length > 0) {
+        const errorMessage = Object.values(errors).join(". ");
+        showNotification(errorMessage, "error");
+        return;
+      }
+
+      try {
+        const user = await AuthService.login(credentials);
+
+        showNotification(
+          `Welcome back, ${user.first || user.username}!`,
+          "success"
+        );
+        location.hash = "#/";
+        NavigationManager.updateHeaderAuth();
+        importBrowserJobDescriptions();
+      } catch (error) {
+        console.error("Login error:", error);
+        showNotification(
+          error.status === 401
+            ? "Invalid username or password."
+            : "Login failed. Please try again.",
+          "error"
+        );
+      }
+    };
+
+    return DOMUtils.createElement("div", { class: "full-center" }, [
+      DOMUtils.createElement("div", { class: "card centered network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          "AI for recruitment"
+        ),
+        DOMUtils.createElement("p", { class: "subtitle" }, "Welcome back"),
+        DOMUtils.createElement(
+          "form",
+          { class: "form", onsubmit: handleSubmit },
+          [
+            UIComponents.createLabel("login-username", "Username"),
+            UIComponents.createTextInput(
+              "Username",
+              CONSTANTS.INPUT_TYPES.TEXT,
+              "username",
+              "login-username"
+            ),
+            UIComponents.createLabel("login-password", "Password"),
+            DOMUtils.createElement(
+              "div",
+              { class: "password-input-container" },
+              [
+                DOMUtils.createElement("input", {
+                  class: "input",
+                  id: "login-password",
+                  type: CONSTANTS.INPUT_TYPES.PASSWORD,
+                  name: "password",
+                  placeholder: "Enter your password",
+                  style: "padding-right: 40px;",
+                }),
+                DOMUtils.createElement(
+                  "button",
+                  {
+                    type: "button",
+                    class: "password-toggle-btn",
+                    id: "login-password-toggle",
+                    onclick: () => {
+                      const passwordInput = DOMUtils.select("#login-password");
+                      const toggleBtn = DOMUtils.select(
+                        "#login-password-toggle"
+                      );
+
+                      if (passwordInput.type === "password") {
+                        passwordInput.type = "text";
+                        toggleBtn.innerHTML = "👁️";
+                        toggleBtn.title = "Hide password";
+                      } else {
+                        passwordInput.type = "password";
+                        toggleBtn.innerHTML = "🙈";
+                        toggleBtn.title = "Show password";
+                      }
+                    },
+                    title: "Show password",
+                    style:
+                      "position: absolute; right: 8px; top: 50%; transform: translateY(-50%); background: none; border: none; cursor: pointer; font-size: 16px; padding: 4px;",
+                  },
+                  "🙈"
+                ),
+              ]
+            ),
+            UIComponents.createButton("Login"),
+            UIComponents.createButton("Sign up", {
+              variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+              href: "#/signup",
+            }),
+          ]
+        ),
+      ]),
+    ]);
+  },
+
+  /**
+   * Signup screen
+   * @returns {Element} Signup view element
+   */
+  Signup() {
+    const handleSubmit = async (event) => {
+      event.preventDefault();
+
+      const fields = {
+        first: DOMUtils.select("#su-first").value.trim(),
+        last: DOMUtils.select("#su-last").value.trim(),
+        username: DOMUtils.select("#su-username").value.trim(),
+        email: DOMUtils.select("#su-email").value.trim(),
+        password: DOMUtils.select("#su-password").value,
+      };
+
+      const errors = ValidationUtils.validateSignup(fields);
+
+      if (Object.keys(errors).length > 0) {
+        const errorMessage = Object.values(errors)
+          .map((error) => `- ${error}`)
+          .join("\n");
         showNotification(errorMessage, "error");
         return;
       }
 
-      try {
-        const users = StorageManager.loadUsers();
-        const user = users.find(
-          (u) => u.username.toLowerCase() === credentials.username.toLowerCase()
-        );
+      try {
+        // The server hashes the password and checks username/email uniqueness
+        await AuthService.signup(fields);
+
+        showNotification(
+          "Account created successfully! You can now login.",
+          "success"
+        );
+        setTimeout(() => {
+          location.hash = "#/login";
+        }, 1500);
+      } catch (error) {
+        console.error("Signup error:", error);
+        const fieldErrors = Object.values(error.fields || {});
+        showNotification(
+          fieldErrors.length
+            ? fieldErrors.map((message) => `- ${message}`).join("\n")
+            : "Account creation failed. Please try again.",
+          "error"
+        );
+      }
+    };
+
+    const handlePasswordChange = () => {
+      const password = DOMUtils.select("#su-password").value;
+      const strengthIndicator = DOMUtils.select("#password-strength");
+
+      if (strengthIndicator && password) {
+        const validation = PasswordSecurity.validatePasswordStrength(password);
+        const strength = validation.strength;
+
+        let strengthText = "";
+        let strengthColor = "";
+
+        if (strength < 30) {
+          strengthText = "Weak";
+          strengthColor = "#ef4444";
+        } else if (strength < 60) {
+          strengthText = "Medium";
+          strengthColor = "#f59e0b";
+        } else if (strength < 80) {
+          strengthText = "Good";
+          strengthColor = "#10b981";
+        } else {
+          strengthText = "Strong";
+          strengthColor = "#059669";
+        }
+
+        strengthIndicator.textContent = `Password Strength: ${strengthText} (${strength}%)`;
+        strengthIndicator.style.color = strengthColor;
+        strengthIndicator.style.fontSize = "12px";
+        strengthIndicator.style.marginTop = "4px";
+      }
+    };
+
+    return UIComponents.createSection("Create your account", [
+      DOMUtils.createElement(
+        "form",
+        { class: "form", onsubmit: handleSubmit },
+        [
+          UIComponents.createLabel("su-first", "First Name"),
+          UIComponents.createTextInput(
+            "First Name",
+            CONSTANTS.INPUT_TYPES.TEXT,
+            "first",
+            "su-first"
+          ),
+          UIComponents.createLabel("su-last", "Last Name"),
+          UIComponents.createTextInput(
+            "Last Name",
+            CONSTANTS.INPUT_TYPES.TEXT,
+            "last",
+            "su-last"
+          ),
+          UIComponents.createLabel("su-username", "Username"),
+          UIComponents.createTextInput(
+            "Username",
+            CONSTANTS.INPUT_TYPES.TEXT,
+            "username",
+            "su-username"
+          ),
+          UIComponents.createLabel("su-email", "Email"),
+          UIComponents.createTextInput(
+            "Email",
+            CONSTANTS.INPUT_TYPES.EMAIL,
+            "email",
+            "su-email"
+          ),
+          UIComponents.createLabel("su-password", "Password"),
+          DOMUtils.createElement("div", { class: "password-input-container" }, [
+            DOMUtils.createElement("input", {
+              class: "input",
+              id: "su-password",
+              type: CONSTANTS.INPUT_TYPES.PASSWORD,
+              name: "password",
+              placeholder: "Create a strong password",
+              oninput: handlePasswordChange,
+              style: "padding-right: 40px;",
+            }),
+            DOMUtils.createElement(
+              "button",
+              {
+                type: "button",
+                class: "password-toggle-btn",
+                id: "su-password-toggle",
+                onclick: () => {
+                  const passwordInput = DOMUtils.select("#su-password");
+                  const toggleBtn = DOMUtils.select("#su-password-toggle");
+
+                  if (passwordInput.type === "password") {
+                    passwordInput.type = "text";
+                    toggleBtn.innerHTML = "👁️";
+                    toggleBtn.title = "Hide password";
+                  } else {
+                    passwordInput.type = "password";
+                    toggleBtn.innerHTML = "🙈";
+                    toggleBtn.title = "Show password";
+                  }
+                },
+                title: "Show password",
+                style:
+                  "position: absolute; right: 8px; top: 50%; transform: translateY(-50%); background: none; border: none; cursor: pointer; font-size: 16px; padding: 4px;",
+              },
+              "🙈"
+            ),
+          ]),
+          DOMUtils.createElement("div", { id: "password-strength" }),
+          DOMUtils.createElement(
+            "div",
+            {
+              style: "margin: 8px 0; font-size: 12px; color: #6b7280;",
+            },
+            [
+              DOMUtils.createElement(
+                "p",
+                { style: "margin: 4px 0;" },
+                "Password requirements:"
+              ),
+              DOMUtils.createElement(
+                "ul",
+                { style: "margin: 4px 0; padding-left: 16px;" },
+                [
+                  DOMUtils.createElement(
+                    "li",
+                    {},
+                    "At least 8 characters long"
+                  ),
+                  DOMUtils.createElement(
+                    "li",
+                    {},
+                    "Contains uppercase and lowercase letters"
+                  ),
+                  DOMUtils.createElement(
+                    "li",
+                    {},
+                    "Contains at least one number"
+                  ),
+                  DOMUtils.createElement(
+                    "li",
+                    {},
+                    "Contains at least one special character"
+                  ),
+                ]
+              ),
+            ]
+          ),
+          UIComponents.createButton("Sign up"),
+          DOMUtils.createElement("div", {}, [
+            DOMUtils.createElement(
+              "span",
+              { class: "caption" },
+              "Already have an account? "
+            ),
+            DOMUtils.createElement("a", { href: "#/login" }, "Login"),
+          ]),
+        ]
+      ),
+    ]);
+  },
+
+  /**
+   * Sales workspace screen
+   * @returns {Element} Sales view element
+   */
+  Sales() {
+    return UIComponents.createSection("Sales Workspace", [
+      DOMUtils.createElement("div", { class: "grid grid-2" }, [
+        UIComponents.createSection("Job Description Builder", [
+          DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "Create compelling sales job descriptions with AI assistance"
+          ),
+          UIComponents.createButton("Start Building", {
+            href: "#/jd-builder",
+            style: "width: 100%; justify-content: center;",
+          }),
+        ]),
+        UIComponents.createSection("Your Sales JDs", [
+          DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "View and manage your saved sales job descriptions"
+          ),
+          UIComponents.createButton("View All", {
+            href: "#/jd-view",
+            variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+            style: "width: 100%; justify-content: center;",
+          }),
+        ]),
+      ]),
+      DOMUtils.createElement(
+        "div",
+        { class: "grid grid-2", style: "margin-top: 24px;" },
+        [
+          UIComponents.createSection("Candidate Sourcing", [
+            DOMUtils.createElement(
+              "p",
+              { class: "caption" },
+              "Find top sales talent using AI-powered search strategies"
+            ),
+            UIComponents.createButton("Start Sourcing", {
+              href: "#/sourcing",
+              variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+              style: "width: 100%; justify-content: center;",
+            }),
+          ]),
+          UIComponents.createSection("Quick Actions", [
+            DOMUtils.createElement(
+              "p",
+              { class: "caption" },
+              "Common sales recruitment tasks"
+            ),
+            DOMUtils.createElement("div", { class: "grid" }, [
+              UIComponents.createButton("Back to Home", {
+                href: "#/",
+                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                style: "width: 100%; justify-content: center;",
+              }),
+            ]),
+          ]),
+        ]
+      ),
+    ]);
+  },
+};
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+/**
+ * Application routing configuration
+ */
+const Router = {
+  routes: {
+    "": Views.Home,
+    "#/": Views.Home,
+    "#/login": Views.Login,
+    "#/signup": Views.Signup,
+    // Additional routes will be added after Views object is extended
+  },
+
+  /**
+   * Render the current view based on hash
+   */
+  render() {
+    const root = DOMUtils.select("#app");
+    if (!root) {
+      console.error("App root element not found");
+      return;
+    }
+
+    root.innerHTML = "";
+    const currentHash = location.hash;
+    const view = this.routes[currentHash] || Views.Home;
+
+    try {
+      const content = view();
+      if (!content || !content.nodeType) {
+        throw new Error(
+          `View function returned invalid content: ${typeof content}`
+        );
+      }
+      root.appendChild(content);
+    } catch (error) {
+      console.error("Error rendering content:", error);
+      root.innerHTML = `
+        <div class="container">
+          <div class="card">
+            <h2>Error</h2>
+            <p>There was an error loading the page: ${error.message}</p>
+          </div>
+        </div>
+      `;
+    }
+  },
+};
+
+// ============================================================================
+// APPLICATION INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the application
+ */
+function initializeApp() {
+  // Set up event listeners
+  window.addEventListener("hashchange", () => {
+    Router.render();
+    NavigationManager.updateHeaderAuth();
+  });
+
+  window.addEventListener("DOMContentLoaded", async () => {
+    const yearElement = DOMUtils.select("#year");
+    if (yearElement) {
+      yearElement.textContent = new Date().getFullYear();
+    }
+    // Route guards need to know about the server session before first render
+    await AuthService.restoreSession();
+    Router.render();
+    NavigationManager.updateHeaderAuth();
+    if (AuthService.getCurrentUser()) importBrowserJobDescriptions();
+  });
+}
+
+/**
+ * Move job descriptions left in this browser by older versions to the server
+ */
+async function importBrowserJobDescriptions() {
+  const imported = await JDService.importLocalJobDescriptions();
+  if (imported) {
+    showNotification(
+      `Moved ${imported} job description(s) from this browser to your shared library.`,
+      "success"
+    );
+  }
+}
+
+// Start the application
+initializeApp();
+/**
+ * Clean Views Implementation
+ * Additional views and components for the clean codebase
+ */
+
+// ============================================================================
+// ADDITIONAL VIEWS
+// ============================================================================
+
+// Extend the Views object with additional methods
+Object.assign(Views, {
+  /**
+   * Job Description View screen
+   * @returns {Element} JDView element
+   */
+  JDView() {
+    const routeHash = location.hash;
+    const state = { page: 1, result: null };
+
+    const rerenderJDView = () => {
+      // Don't overwrite another screen if the user navigated away meanwhile
+      if (location.hash !== routeHash) return;
+      const root = DOMUtils.select("#app");
+      root.innerHTML = "";
+      root.appendChild(Views.renderJDView(state, loadPage));
+    };
+
+    const loadPage = async (page) => {
+      try {
+        state.result = await JDService.list(page);
+        state.page = page;
+      } catch (error) {
+        showNotification(
+          "Could not load job descriptions: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+        state.result = state.result || { items: [], total: 0, totalPages: 1 };
+      }
+      rerenderJDView();
+    };
+
+    setTimeout(() => loadPage(1), 0);
+
+    return UIComponents.createLoadingSpinner("Loading job descriptions...");
+  },
+
+  /**
+   * Render a page of the job description library
+   * @param {Object} state - Current page and list result
+   * @param {Function} onPageChange - Page change handler
+   * @returns {Element} JDView element
+   */
+  renderJDView(state, onPageChange) {
+    const jobDescriptions = state.result.items;
+
+    if (!state.result.total) {
+      return DOMUtils.createElement("div", { class: "container" }, [
+        DOMUtils.createElement("div", { class: "card network" }, [
+          DOMUtils.createElement(
+            "h2",
+            { class: "section-title" },
+            "Job Descriptions"
+          ),
+          DOMUtils.createElement(
+            "p",
+            { class: "subtitle" },
+            "No saved items yet."
+          ),
+          UIComponents.createButton("Create one now", { href: "#/jd-builder" }),
+        ]),
+      ]);
+    }
+
+    const latest = jobDescriptions[0];
+    const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+    const jobDescriptionItems = jobDescriptions.map((jd) =>
+      DOMUtils.createElement("div", { class: "item" }, [
+        DOMUtils.createElement("span", {
+          class: "icon",
+          innerHTML:
+            '<svg viewBox="0 0 24 24" fill="none"><rect x="4" y="3" width="16" height="18" rx="2" stroke-width="2"/><path d="M8 7h8M8 11h8M8 15h5" stroke-width="2"/></svg>',
+        }),
+        DOMUtils.createElement("div", {}, [
+          DOMUtils.createElement("strong", {}, jd.title),
+          DOMUtils.createElement(
+            "div",
+            { class: "caption" },
+            `${formatDate(jd.createdAt)}${
+              jd.createdBy ? ` • ${jd.createdBy.username}` : ""
+            }${
+              jd.locale
+                ? ` • ${
+                    CONSTANTS.TRANSLATION_LOCALES[jd.locale] || jd.locale
+                  } translation`
+                : ""
+            }`
+          ),
+        ]),
+        UIComponents.createButton("View", {
+          variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+          onClick: () => Views.showJobDescription(jd),
+        }),
+      ])
+    );
+
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "grid grid-2" }, [
+        DOMUtils.createElement("section", { class: "card" }, [
+          DOMUtils.createElement("h3", {}, "Latest"),
+          DOMUtils.createElement(
+            "pre",
+            { style: "white-space:pre-wrap" },
+            latest.content
+          ),
+          DOMUtils.createElement(
+            "div",
+            { style: "display:flex; gap:8px; flex-wrap:wrap; marginTop:" },
+            [
+              UIComponents.createButton("Copy", {
+                onClick: () => copyToClipboard(latest.content),
+              }),
+              UIComponents.createButton("Download .txt", {
+                onClick: () =>
+                  downloadText(
+                    StringUtils.toFilename(latest.title || "job-description") +
+                      ".txt",
+                    latest.content
+                  ),
+              }),
+              UIComponents.createButton("Open builder", {
+                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                href: "#/jd-builder",
+              }),
+            ]
+          ),
+        ]),
+        DOMUtils.createElement("section", { class: "card" }, [
+          DOMUtils.createElement("h3", {}, "Saved job descriptions"),
+          DOMUtils.createElement("div", { class: "list" }, jobDescriptionItems),
+          state.result.totalPages > 1 &&
+            DOMUtils.createElement(
+              "div",
+              {
+                style:
+                  "display:flex; gap:8px; align-items:center; justify-content:space-between; margin-top:12px",
+              },
+              [
+                UIComponents.createButton("← Previous", {
+                  variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                  onClick: () => state.page > 1 && onPageChange(state.page - 1),
+                }),
+                DOMUtils.createElement(
+                  "span",
+                  { class: "caption" },
+                  `Page ${state.page} of ${state.result.totalPages}`
+                ),
+                UIComponents.createButton("Next →", {
+                  variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                  onClick: () =>
+                    state.page < state.result.totalPages &&
+                    onPageChange(state.page + 1),
+                }),
+              ]
+            ),
+        ]),
+      ]),
+    ]);
+  },
+
+  /**
+   * Show detailed job description view
+   * @param {Object} jobDescription - Job description object
+   */
+  showJobDescription(jobDescription) {
+    // Prompt template behind the last polish, recorded when the result is saved
+    let polishPrompt = null;
+
+    const handlePolish = async () => {
+      try {
+        const instructions = DOMUtils.select("#polish-notes").value.trim();
+        if (!instructions) {
+          showNotification("Add what you want to polish.", "error");
+          return;
+        }
+
+        const { text, prompt } = await AIService.polishViaProxy(
+          jobDescription.content,
+          instructions,
+          JDService.requisitionIdOf(jobDescription)
+        );
+        polishPrompt = prompt;
+
+        DOMUtils.select("#jd-text").textContent = text;
+        rerenderPayTransparency();
+        runLint();
+      } catch (error) {
+        showAIError(error);
+      }
+    };
+
+    // Inclusive-language findings for the text in #jd-text
+    const lint = { report: null, isLoading: true, aiLoading: false };
+
+    const rerenderLint = () => {
+      const panel = DOMUtils.select("#jd-lint");
+      if (!panel) return;
+      panel.replaceWith(
+        Views.renderLintPanel(lint, {
+          onApply: handleApplyFix,
+          onAskAI: () => runLint(true),
+        })
+      );
+    };
+
+    const runLint = async (ai = false) => {
+      lint[ai ? "aiLoading" : "isLoading"] = true;
+      rerenderLint();
+      try {
+        lint.report = await AIService.lintViaProxy(
+          DOMUtils.select("#jd-text").textContent,
+          { ai, requisitionId: JDService.requisitionIdOf(jobDescription) }
+        );
+        if (lint.report.ai.ok === false) {
+          showAIError(
+            { code: lint.report.ai.code, message: lint.report.ai.error },
+            "Showing word-list findings only. "
+          );
+        }
+      } catch (error) {
+        showAIError(error, "Could not check the wording: ");
+      } finally {
+        lint.isLoading = false;
+        lint.aiLoading = false;
+        rerenderLint();
+      }
+    };
+
+    const handleApplyFix = (finding) => {
+      const element = DOMUtils.select("#jd-text");
+      const text = element.textContent;
+      if (text.slice(finding.start, finding.end) !== finding.text) {
+        // The text changed since it was checked; the offsets are stale
+        runLint();
+        return;
+      }
+      element.textContent =
+        text.slice(0, finding.start) +
+        finding.suggestion +
+        text.slice(finding.end);
+
+      // Shift the findings after the fix rather than re-checking, which
+      // would drop the AI's findings
+      const shift = finding.suggestion.length - (finding.end - finding.start);
+      const findings = lint.report.findings
+        .filter((other) => other.id !== finding.id)
+        .map((other) =>
+          other.start >= finding.end
+            ? { ...other, start: other.start + shift, end: other.end + shift }
+            : other
+        );
+      lint.report = { ...lint.report, findings };
+      rerenderLint();
+      rerenderPayTransparency();
+    };
+
+    const checkPayTransparency = () =>
+      PayTransparency.check({
+        location:
+          jobDescription.location || jobDescription.answers?.location || "",
+        content: DOMUtils.select("#jd-text").textContent,
+      });
+
+    const rerenderPayTransparency = () =>
+      DOMUtils.select("#jd-pay").replaceWith(
+        Views.renderPayTransparencyNotice(checkPayTransparency())
+      );
+
+    const handleSaveFinal = async () => {
+      const payCheck = checkPayTransparency();
+      if (!payCheck.ok) {
+        showNotification(payCheck.message, "error");
+        return;
+      }
+      try {
+        const promptVersions = { ...jobDescription.promptVersions };
+        if (polishPrompt)
+          promptVersions[polishPrompt.name] = polishPrompt.version;
+
+        await JDService.update(jobDescription.id, {
+          content: DOMUtils.select("#jd-text").textContent,
+          final: true,
+          promptVersions,
+        });
+        showNotification("Saved final version.", "success");
+        location.hash = "#/jd-view";
+      } catch (error) {
+        showNotification(
+          "Could not save: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      }
+    };
+
+    // Saved translations of this JD, or the original when it is one itself
+    const translations = {
+      variants: null,
+      original: null,
+      isTranslating: false,
+      locale: null,
+    };
+
+    const rerenderTranslations = () => {
+      const panel = DOMUtils.select("#jd-translations");
+      if (!panel) return;
+      panel.replaceWith(
+        Views.renderTranslationsPanel(jobDescription, translations, {
+          onTranslate: handleTranslate,
+        })
+      );
+    };
+
+    const loadTranslations = async () => {
+      try {
+        if (jobDescription.variantOf) {
+          translations.original = await JDService.get(jobDescription.variantOf);
+        } else {
+          translations.variants = await JDService.listVariants(
+            jobDescription.id
+          );
+        }
+      } catch (error) {
+        showNotification(
+          "Could not load translations: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      }
+      rerenderTranslations();
+    };
+
+    const handleTranslate = async (locale) => {
+      const label = CONSTANTS.TRANSLATION_LOCALES[locale];
+      const existing = (translations.variants || []).find(
+        (variant) => variant.locale === locale
+      );
+      if (
+        existing &&
+        !confirm(`Replace the saved ${label} translation with a new one?`)
+      ) {
+        return;
+      }
+
+      translations.locale = locale;
+      translations.isTranslating = true;
+      rerenderTranslations();
+      try {
+        const requisitionId = JDService.requisitionIdOf(jobDescription);
+        const { text, prompt } = await AIService.translateViaProxy(
+          jobDescription.content,
+          locale,
+          requisitionId
+        );
+        const promptVersions = prompt ? { [prompt.name]: prompt.version } : {};
+        if (existing) {
+          await JDService.update(existing.id, {
+            content: text,
+            final: false,
+            promptVersions,
+          });
+        } else {
+          await JDService.create({
+            title: `${jobDescription.title} (${label})`,
+            location: jobDescription.location || "",
+            content: text,
+            answers: jobDescription.answers || {},
+            variantOf: jobDescription.id,
+            locale,
+            requisitionId,
+            promptVersions,
+          });
+        }
+        showNotification(`Saved the ${label} translation.`, "success");
+        translations.variants = await JDService.listVariants(jobDescription.id);
+      } catch (error) {
+        showAIError(error, "Could not translate: ");
+      } finally {
+        translations.isTranslating = false;
+        rerenderTranslations();
+      }
+    };
+
+    const handleDelete = async () => {
+      const message = `${
+        translations.variants?.length
+          ? `Delete "${jobDescription.title}" and its ${translations.variants.length} translation(s) for everyone?`
+          : `Delete "${jobDescription.title}" for everyone?`
+      } Its candidate pipeline, interviews and feedback are deleted too.`;
+      if (!confirm(message)) return;
+      try {
+        await JDService.remove(jobDescription.id);
+        showNotification("Job description deleted.", "success");
+        // JDView may already be the current route, so render it explicitly
+        if (location.hash === "#/jd-view") Router.render();
+        else location.hash = "#/jd-view";
+      } catch (error) {
+        showNotification(
+          "Could not delete: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      }
+    };
+
+    const root = DOMUtils.select("#app");
+    root.innerHTML = "";
+    root.appendChild(
+      DOMUtils.createElement("div", { class: "container" }, [
+        DOMUtils.createElement("div", { class: "card network" }, [
+          DOMUtils.createElement(
+            "h2",
+            { class: "section-title" },
+            jobDescription.title
+          ),
+          Object.keys(jobDescription.promptVersions || {}).length
+            ? DOMUtils.createElement(
+                "p",
+                {
+                  style: "margin: 0 0 12px 0; color: #6b7280; font-size: 13px;",
+                },
+                "Prompt templates: " +
+                  Object.entries(jobDescription.promptVersions)
+                    .map(([name, version]) => `${name} v${version}`)
+                    .join(", ")
+              )
+            : null,
+          Views.renderPayTransparencyNotice(
+            PayTransparency.check({
+              location:
+                jobDescription.location ||
+                jobDescription.answers?.location ||
+                "",
+              content: jobDescription.content,
+            })
+          ),
+          DOMUtils.createElement(
+            "pre",
+            {
+              id: "jd-text",
+              style: "white-space:pre-wrap",
+            },
+            jobDescription.content
+          ),
+          Views.renderLintPanel(lint, {}),
+          Views.renderTranslationsPanel(jobDescription, translations, {}),
+          DOMUtils.createElement(
+            "div",
+            { class: "card", style: "margin-top:12px" },
+            [
+              DOMUtils.createElement("h4", {}, "Polish with AI"),
+              DOMUtils.createElement("textarea", {
+                class: "input",
+                id: "polish-notes",
+                rows: 4,
+                placeholder:
+                  "e.g., make it punchier, emphasize cloud migration, reduce buzzwords, add measurable KPIs...",
+              }),
+              DOMUtils.createElement(
+                "div",
+                { style: "display:flex; gap:8px; margin-top:8px" },
+                [
+                  UIComponents.createButton("Polish with AI", {
+                    onClick: handlePolish,
+                  }),
+                ]
+              ),
+            ]
+          ),
+          DOMUtils.createElement(
+            "div",
+            {
+              style: "display:flex; gap:8px; flex-wrap:wrap; margin-top:8px",
+            },
+            [
+              UIComponents.createButton("Copy", {
+                onClick: () => copyToClipboard(jobDescription.content),
+              }),
+              UIComponents.createButton("Download .txt", {
+                onClick: () =>
+                  downloadText(
+                    StringUtils.toFilename(
+                      jobDescription.title || "job-description"
+                    ) + ".txt",
+                    jobDescription.content
+                  ),
+              }),
+              UIComponents.createButton("Back to list", {
+                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                onClick: () => {
+                  if (location.hash === "#/jd-view") Router.render();
+                  else location.hash = "#/jd-view";
+                },
+              }),
+              UIComponents.createButton("Save Final", {
+                onClick: handleSaveFinal,
+              }),
+              UIComponents.createButton("Delete", {
+                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                onClick: handleDelete,
+              }),
+            ]
+          ),
+        ]),
+      ])
+    );
+    runLint();
+    loadTranslations();
+  },
+
+  /**
+   * Render a job description's translations: for an original, the saved
+   * translations and a way to add one; for a translation, its original
+   * @param {Object} jobDescription - Job description being shown
+   * @param {Object} translations - { variants, original, isTranslating,
+   *   locale } where locale is the last one picked
+   * @param {Object} handlers - { onTranslate(locale) }
+   * @returns {Element} Translations panel element
+   */
+  renderTranslationsPanel(jobDescription, translations, { onTranslate }) {
+    const label = (locale) => CONSTANTS.TRANSLATION_LOCALES[locale] || locale;
+    const panel = (children) =>
+      DOMUtils.createElement(
+        "div",
+        { id: "jd-translations", class: "card", style: "margin-top:12px" },
+        [DOMUtils.createElement("h4", {}, "Translations"), ...children]
+      );
+
+    if (jobDescription.variantOf) {
+      const { original } = translations;
+      return panel([
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          `${label(jobDescription.locale)} translation${
+            original ? ` of “${original.title}”` : ""
+          }. Translate the original again to update it.`
+        ),
+        original
+          ? UIComponents.createButton("Open original", {
+              variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+              onClick: () => Views.showJobDescription(original),
+            })
+          : null,
+      ]);
+    }
+
+    const localeSelect = DOMUtils.createElement(
+      "select",
+      { class: "input", id: "translate-locale", style: "flex:1" },
+      Object.entries(CONSTANTS.TRANSLATION_LOCALES).map(([locale, name]) =>
+        DOMUtils.createElement(
+          "option",
+          { value: locale, selected: locale === translations.locale },
+          name
+        )
+      )
+    );
+
+    return panel([
+      DOMUtils.createElement(
+        "p",
+        { class: "subtitle" },
+        "Localized versions adapt spelling, date and number formats and the equal opportunity statement to the country. Review them with a native speaker before posting."
+      ),
+      translations.variants?.length
+        ? DOMUtils.createElement(
+            "div",
+            { class: "list" },
+            translations.variants.map((variant) =>
+              DOMUtils.createElement("div", { class: "item" }, [
+                DOMUtils.createElement("div", {}, [
+                  DOMUtils.createElement("strong", {}, label(variant.locale)),
+                  DOMUtils.createElement(
+                    "div",
+                    { class: "caption" },
+                    `${new Date(
+                      variant.updatedAt || variant.createdAt
+                    ).toLocaleString()}${variant.final ? " • Final" : ""}`
+                  ),
+                ]),
+                UIComponents.createButton("View", {
+                  variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                  onClick: () => Views.showJobDescription(variant),
+                }),
+              ])
+            )
+          )
+        : null,
+      onTranslate
+        ? DOMUtils.createElement(
+            "div",
+            { style: "display:flex; gap:8px; margin-top:8px" },
+            [
+              localeSelect,
+              translations.isTranslating
+                ? DOMUtils.createElement(
+                    "span",
+                    { class: "caption" },
+                    "Translating…"
+                  )
+                : UIComponents.createButton("Translate", {
+                    onClick: () => onTranslate(localeSelect.value),
+                  }),
+            ]
+          )
+        : null,
+    ]);
+  },
+
+  /**
+   * Render the pay-transparency status of a job description
+   * @param {Object} result - PayTransparency.check() result
+   * @returns {Element} Notice element (empty when no law applies)
+   */
+  renderPayTransparencyNotice(result) {
+    if (!result.message) return DOMUtils.createElement("div", { id: "jd-pay" });
+    let type = "info";
+    if (result.required) type = result.ok ? "success" : "error";
+    const notice = UIComponents.createNotice(result.message, type);
+    notice.id = "jd-pay";
+    notice.style.marginBottom = "12px";
+    return notice;
+  },
+
+  /**
+   * Render the inclusive-language findings for a job description
+   * @param {Object} lint - { report, isLoading, aiLoading }
+   * @param {Object} handlers - { onApply(finding), onAskAI }
+   * @returns {Element} Lint panel element
+   */
+  renderLintPanel(lint, { onApply, onAskAI }) {
+    const findings = lint.report?.findings || [];
+    let status = "Checking the wording…";
+    if (!lint.isLoading && lint.report) {
+      status = findings.length
+        ? `${findings.length} suggestion${
+            findings.length === 1 ? "" : "s"
+          } to make this job description more inclusive.`
+        : "No exclusionary wording found.";
+    } else if (!lint.isLoading) {
+      status = "The wording could not be checked.";
+    }
+
+    const renderFinding = (finding) =>
+      DOMUtils.createElement(
+        "li",
+        {
+          style:
+            "padding:8px 0; border-top:1px solid #e5e7eb; display:flex; gap:12px; align-items:flex-start;",
+        },
+        [
+          DOMUtils.createElement("div", { style: "flex:1" }, [
+            DOMUtils.createElement(
+              "div",
+              { style: "font-size:12px; color:#6b7280;" },
+              (CONSTANTS.LINT_CATEGORIES[finding.category] ||
+                finding.category) + (finding.source === "ai" ? " · AI" : "")
+            ),
+            DOMUtils.createElement("div", {}, [
+              DOMUtils.createElement("strong", {}, `“${finding.text}”`),
+              finding.suggestion ? ` → “${finding.suggestion}”` : null,
+            ]),
+            DOMUtils.createElement(
+              "div",
+              { style: "font-size:14px; color:#374151;" },
+              finding.message
+            ),
+          ]),
+          finding.suggestion && onApply
+            ? UIComponents.createButton("Apply fix", {
+                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                onClick: () => onApply(finding),
+              })
+            : null,
+        ]
+      );
+
+    return DOMUtils.createElement(
+      "div",
+      { id: "jd-lint", class: "card", style: "margin-top:12px" },
+      [
+        DOMUtils.createElement("h4", {}, "Inclusive language"),
+        DOMUtils.createElement("p", { class: "subtitle" }, status),
+        findings.length
+          ? DOMUtils.createElement(
+              "ul",
+              { style: "list-style:none; padding:0; margin:0;" },
+              findings.map(renderFinding)
+            )
+          : null,
+        onAskAI && lint.report && !lint.report.ai.used
+          ? DOMUtils.createElement("div", { style: "margin-top:8px" }, [
+              lint.aiLoading
+                ? DOMUtils.createElement(
+                    "span",
+                    { class: "caption" },
+                    "Asking the AI…"
+                  )
+                : UIComponents.createButton("Ask AI for more", {
+                    variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                    onClick: onAskAI,
+                  }),
+            ])
+          : null,
+      ]
+    );
+  },
+
+  /**
+   * Sourcing screen
+   * @returns {Element} Sourcing view element
+   */
+  Sourcing() {
+    const routeHash = location.hash;
+    let jobDescriptions = [];
+
+    const state = {
+      selectedJobDescription: null,
+      customJobDescription: "",
+      jobDescriptionSource: CONSTANTS.JD_SOURCES.CUSTOM,
+      location: "",
+      isLoading: false,
+      results: null,
+      loadingStep: 0,
+      // The outreach composer, once opened from one of the target companies
+      outreach: null,
+      // Platform the searches are shown converted for; null shows them as
+      // generated
+      searchPlatform: null,
+      // The Boolean query builder once opened: { platform, groups }, with
+      // groups holding the terms per BooleanSearch.BUILDER_GROUPS key
+      builder: null,
+    };
+
+    // Define rerender function first
+    let rerenderSourcing;
+
+    const handleJobDescriptionSelect = (jd) => {
+      state.selectedJobDescription = jd;
+      state.results = null;
+      state.outreach = null;
+      rerenderSourcing();
+    };
+
+    const handleSourceChange = (source) => {
+      state.jobDescriptionSource = source;
+      state.results = null;
+      state.outreach = null;
+      if (source === CONSTANTS.JD_SOURCES.SAVED) {
+        state.customJobDescription = "";
+      } else {
+        state.selectedJobDescription = null;
+      }
+      rerenderSourcing();
+    };
+
+    const getCurrentJobDescriptionText = () => {
+      if (
+        state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED &&
+        state.selectedJobDescription
+      ) {
+        return state.selectedJobDescription.content;
+      } else if (
+        state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM &&
+        state.customJobDescription.trim()
+      ) {
+        return state.customJobDescription.trim();
+      }
+      return null;
+    };
+
+    const handleLocationSubmit = async () => {
+      const jobDescriptionText = getCurrentJobDescriptionText();
+      if (!jobDescriptionText || !state.location.trim()) {
+        showNotification(
+          "Please provide a job description and enter a location.",
+          "error"
+        );
+        return;
+      }
+
+      state.isLoading = true;
+      state.loadingStep = 1;
+      rerenderSourcing();
+
+      const progressInterval = setInterval(() => {
+        if (state.loadingStep < CONSTANTS.UI.PROGRESS_STEPS.length) {
+          state.loadingStep++;
+          rerenderSourcing();
+        }
+      }, 1000);
+
+      try {
+        const savedJobDescription =
+          state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED
+            ? state.selectedJobDescription
+            : null;
+        const results = await AIService.sourcingViaProxy(
+          jobDescriptionText,
+          state.location,
+          savedJobDescription && JDService.requisitionIdOf(savedJobDescription)
+        );
+
+        clearInterval(progressInterval);
+        state.results = results;
+        state.outreach = null;
+      } catch (error) {
+        clearInterval(progressInterval);
+        showAIError(error, "Error generating sourcing strategy: ");
+      } finally {
+        state.isLoading = false;
+        state.loadingStep = 0;
+        rerenderSourcing();
+      }
+    };
+
+    const copySearchString = (text) => {
+      copyToClipboard(text);
+    };
+
+    const fixSearchString = (owner, key, fixed) => {
+      owner[key] = fixed;
+      rerenderSourcing();
+    };
+
+    const handleSearchPlatform = (platform) => {
+      state.searchPlatform = platform;
+      rerenderSourcing();
+    };
+
+    const emptyBuilderGroups = () =>
+      Object.fromEntries(
+        Object.keys(BooleanSearch.BUILDER_GROUPS).map((key) => [key, []])
+      );
+
+    // Adds each term unless the list already has it, in any case
+    const addTerms = (list, terms) => {
+      terms.forEach((term) => {
+        const value = String(term || "").trim();
+        if (
+          value &&
+          !list.some((t) => t.toLowerCase() === value.toLowerCase())
+        ) {
+          list.push(value);
+        }
+      });
+      return list;
+    };
+
+    const jobTitle = () => {
+      const jd = savedJobDescription();
+      return jd ? jd.answers?.role || jd.title || "" : "";
+    };
+
+    const jobSkills = () => {
+      const skills = savedJobDescription()?.answers?.skills || [];
+      return Array.isArray(skills) ? skills : String(skills).split(/[\n,]/);
+    };
+
+    const handleOpenBuilder = () => {
+      state.builder = {
+        platform: state.searchPlatform || "google",
+        groups: emptyBuilderGroups(),
+      };
+      rerenderSourcing();
+    };
+
+    // Seeding replaces the builder's terms, so it asks before dropping any
+    const seedBuilder = (groups) => {
+      const hasTerms = Object.values(state.builder.groups).some(
+        (terms) => terms.length
+      );
+      if (hasTerms && !confirm("Replace the terms in the query builder?")) {
+        return;
+      }
+      state.builder.groups = groups;
+      rerenderSourcing();
+    };
+
+    // The companies come from the result, the rest from its Dice search:
+    // a group with the job title in it lists title synonyms, one with the
+    // location lists locations and any other group is nice-to-haves; single
+    // words are must-haves and NOTs exclusions
+    const handleSeedFromResults = () => {
+      const groups = emptyBuilderGroups();
+      const title = jobTitle().toLowerCase();
+      const location = state.location.trim().toLowerCase();
+      const leaves = (node) => {
+        if (node.type === "phrase" || node.type === "term") return [node.value];
+        return node.type === "not" ? [] : node.children.flatMap(leaves);
+      };
+      const tree = BooleanSearch.canonical(
+        BooleanSearch.lint(state.results.diceSearch || "", "dice").tree
+      );
+      const parts = !tree ? [] : tree.type === "and" ? tree.children : [tree];
+      parts.forEach((node) => {
+        if (node.type === "not") {
+          addTerms(groups.exclude, leaves(node.child));
+          return;
+        }
+        const terms = leaves(node);
+        const lower = terms.map((term) => term.toLowerCase());
+        const group =
+          title && lower.includes(title)
+            ? groups.titles
+            : location && lower.includes(location)
+            ? groups.locations
+            : node.type === "or"
+            ? groups.niceToHave
+            : groups.mustHave;
+        addTerms(group, terms);
+      });
+      addTerms(groups.titles, [jobTitle()]);
+      if (!groups.locations.length) {
+        addTerms(groups.locations, [state.location]);
+      }
+      addTerms(
+        groups.companies,
+        (state.results.companies || []).map((company) => company.name)
+      );
+      seedBuilder(groups);
+    };
+
+    const handleSeedFromSkills = () => {
+      const groups = emptyBuilderGroups();
+      addTerms(groups.titles, [jobTitle()]);
+      addTerms(groups.mustHave, jobSkills());
+      addTerms(groups.locations, [
+        state.location || savedJobDescription().answers?.location,
+      ]);
+      seedBuilder(groups);
+    };
+
+    const handleAddTerm = (group, term) => {
+      addTerms(state.builder.groups[group], [term]);
+      rerenderSourcing();
+      DOMUtils.select(`#qb-${group}`)?.focus();
+    };
+
+    const savedJobDescription = () =>
+      state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED
+        ? state.selectedJobDescription
+        : null;
+
+    // Sequences are written with placeholders; these are the values they're
+    // filled in with when a message is copied or the sequence assigned
+    const placeholderValues = (candidate) => {
+      const values = { ...state.outreach.values };
+      if (candidate) values.firstName = candidate.name.trim().split(/\s+/)[0];
+      return values;
+    };
+
+    const fillSteps = (values) =>
+      state.outreach.steps.map((step) => ({
+        ...step,
+        subject: Outreach.fill(step.subject, values),
+        body: Outreach.fill(step.body, values),
+      }));
+
+    // The first problem with the composer's messages, if any
+    const sequenceProblem = () => {
+      const { channel, steps } = state.outreach;
+      if (!steps.length) return "Generate a sequence or load a template first.";
+      for (const [i, step] of steps.entries()) {
+        const [problem] = Outreach.problems(channel, step);
+        if (problem) return `Message ${i + 1}: ${problem}`;
+      }
+      return null;
+    };
+
+    const handleOpenOutreach = async (company) => {
+      const user = AuthService.getCurrentUser();
+      const jd = savedJobDescription();
+      const composer = {
+        company,
+        channel: "inmail",
+        tone: "friendly",
+        stepCount: 3,
+        profile: "",
+        values: {
+          firstName: "",
+          company: company.name,
+          role: jd?.title || "",
+          senderName: user
+            ? [user.first, user.last].filter(Boolean).join(" ")
+            : "",
+        },
+        steps: [],
+        templates: [],
+        templateId: "",
+        templateName: "",
+        // The saved JD's pipeline, to assign the sequence to
+        candidates: [],
+        candidateId: "",
+        isBusy: false,
+      };
+      state.outreach = composer;
+      rerenderSourcing();
+      try {
+        const [templates, candidates] = await Promise.all([
+          OutreachService.listTemplates(),
+          jd ? CandidateService.list(jd.id) : [],
+        ]);
+        Object.assign(composer, { templates, candidates });
+      } catch (error) {
+        showNotification(
+          "Could not load your outreach templates: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      }
+      if (state.outreach === composer) rerenderSourcing();
+    };
+
+    const runOutreach = async (task, failure) => {
+      const composer = state.outreach;
+      composer.isBusy = true;
+      rerenderSourcing();
+      try {
+        await task(composer);
+      } catch (error) {
+        showNotification(
+          `${failure}: ${
+            Object.values(error.fields || {})[0] || error.message
+          }`,
+          "error",
+          null,
+          error.requestId
+        );
+      } finally {
+        composer.isBusy = false;
+        rerenderSourcing();
+      }
+    };
+
+    const handleGenerateOutreach = async () => {
+      const composer = state.outreach;
+      composer.isBusy = true;
+      rerenderSourcing();
+      try {
+        const jd = savedJobDescription();
+        const sequence = await AIService.outreachViaProxy(
+          {
+            jd: getCurrentJobDescriptionText(),
+            channel: composer.channel,
+            tone: composer.tone,
+            steps: composer.stepCount,
+            ...(composer.profile.trim() && {
+              profile: composer.profile.trim(),
+            }),
+            company: {
+              name: composer.company.name,
+              reason: composer.company.reason || "",
+            },
+          },
+          jd && JDService.requisitionIdOf(jd)
+        );
+        composer.steps = sequence.steps;
+        composer.templateId = "";
+      } catch (error) {
+        showAIError(error, "Error writing outreach: ");
+      } finally {
+        composer.isBusy = false;
+        rerenderSourcing();
+      }
+    };
+
+    const handleLoadTemplate = (id) => {
+      const composer = state.outreach;
+      const template = composer.templates.find((t) => t.id === id);
+      if (!template) return;
+      Object.assign(composer, {
+        channel: template.channel,
+        tone: template.tone || composer.tone,
+        stepCount: template.steps.length,
+        steps: template.steps.map((step) => ({ ...step })),
+        templateId: template.id,
+        templateName: template.name,
+      });
+      rerenderSourcing();
+    };
+
+    const handleSaveTemplate = ({ asNew = false } = {}) => {
+      const composer = state.outreach;
+      const problem = sequenceProblem();
+      if (problem) return showNotification(problem, "warning");
+      if (!composer.templateName.trim()) {
+        return showNotification("Name the template first.", "warning");
+      }
+      runOutreach(async () => {
+        const template = {
+          name: composer.templateName.trim(),
+          channel: composer.channel,
+          tone: composer.tone,
+          steps: composer.steps,
+        };
+        const saved =
+          composer.templateId && !asNew
+            ? await OutreachService.updateTemplate(
+                composer.templateId,
+                template
+              )
+            : await OutreachService.createTemplate(template);
+        composer.templates = [
+          saved,
+          ...composer.templates.filter((t) => t.id !== saved.id),
+        ];
+        composer.templateId = saved.id;
+        showNotification(`Template "${saved.name}" saved.`, "success");
+      }, "Could not save the template");
+    };
+
+    const handleDeleteTemplate = () => {
+      const composer = state.outreach;
+      const template = composer.templates.find(
+        (t) => t.id === composer.templateId
+      );
+      if (!template || !confirm(`Delete the template "${template.name}"?`)) {
+        return;
+      }
+      runOutreach(async () => {
+        await OutreachService.removeTemplate(template.id);
+        composer.templates = composer.templates.filter(
+          (t) => t.id !== template.id
+        );
+        composer.templateId = "";
+      }, "Could not delete the template");
+    };
+
+    const handleAssignOutreach = () => {
+      const composer = state.outreach;
+      const candidate = composer.candidates.find(
+        (c) => c.id === composer.candidateId
+      );
+      if (!candidate) {
+        return showNotification("Choose a candidate first.", "warning");
+      }
+      const problem = sequenceProblem();
+      if (problem) return showNotification(problem, "warning");
+      const steps = fillSteps(placeholderValues(candidate));
+      const [missing] = Outreach.placeholdersIn(
+        steps.map((step) => `${step.subject} ${step.body}`).join(" ")
+      );
+      if (missing) {
+        return showNotification(
+          `Fill in ${Outreach.PLACEHOLDERS[missing]} first.`,
+          "warning"
+        );
+      }
+      if (
+        candidate.outreach &&
+        !confirm(
+          `${candidate.name} is already on a sequence. Replace it and start over?`
+        )
+      ) {
+        return;
+      }
+      runOutreach(async () => {
+        const updated = await CandidateService.startOutreach(candidate.id, {
+          channel: composer.channel,
+          steps,
+          templateId: composer.templateId,
+        });
+        composer.candidates = composer.candidates.map((c) =>
+          c.id === updated.id ? updated : c
+        );
+        showNotification(
+          `${updated.name} is on the sequence. Track it in the Candidate Pipeline.`,
+          "success"
+        );
+      }, "Could not assign the sequence");
+    };
+
+    const handleCopyOutreach = (index, part) => {
+      const step = fillSteps(placeholderValues())[index];
+      copyToClipboard(step[part]);
+    };
+
+    rerenderSourcing = () => {
+      if (location.hash !== routeHash) return;
+      const root = DOMUtils.select("#app");
+      root.innerHTML = "";
+      root.appendChild(
+        Views.renderSourcingInterface(
+          jobDescriptions,
+          state,
+          handleJobDescriptionSelect,
+          handleSourceChange,
+          handleLocationSubmit,
+          copySearchString,
+          fixSearchString,
+          handleSearchPlatform,
+          {
+            onOpen: handleOpenOutreach,
+            onClose: () => {
+              state.outreach = null;
+              rerenderSourcing();
+            },
+            onChange: rerenderSourcing,
+            onGenerate: handleGenerateOutreach,
+            onLoadTemplate: handleLoadTemplate,
+            onSaveTemplate: handleSaveTemplate,
+            onDeleteTemplate: handleDeleteTemplate,
+            onAssign: handleAssignOutreach,
+            onCopy: handleCopyOutreach,
+          },
+          {
+            onOpen: handleOpenBuilder,
+            onClose: () => {
+              state.builder = null;
+              rerenderSourcing();
+            },
+            onAdd: handleAddTerm,
+            onRemove: (group, index) => {
+              state.builder.groups[group].splice(index, 1);
+              rerenderSourcing();
+            },
+            onPlatform: (platform) => {
+              state.builder.platform = platform;
+              rerenderSourcing();
+            },
+            onSeedFromResults: state.results ? handleSeedFromResults : null,
+            onSeedFromSkills: jobSkills().length ? handleSeedFromSkills : null,
+            onClear: () => seedBuilder(emptyBuilderGroups()),
+            onCopy: copySearchString,
+          }
+        )
+      );
+    };
+
+    // Initial render once the saved job descriptions have loaded
+    JDService.listAll()
+      .then((items) => {
+        jobDescriptions = items;
+        if (items.length > 0) {
+          state.jobDescriptionSource = CONSTANTS.JD_SOURCES.SAVED;
+        }
+      })
+      .catch((error) => {
+        showNotification(
+          "Could not load saved job descriptions: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      })
+      .finally(() => rerenderSourcing());
+
+    return UIComponents.createLoadingSpinner("Loading job descriptions...");
+  },
+
+  /**
+   * Render sourcing interface
+   * @param {Array} jobDescriptions - Available job descriptions
+   * @param {Object} state - Current state
+   * @param {Function} onJDSelect - JD selection handler
+   * @param {Function} onSourceChange - Source change handler
+   * @param {Function} onLocationSubmit - Location submit handler
+   * @param {Function} onCopySearch - Copy search handler
+   * @param {Function} onFixSearch - Search string fix handler
+   * @param {Function} onSearchPlatform - Platform tab handler
+   * @param {Object} outreachHandlers - Outreach composer handlers
+   * @param {Object} builderHandlers - Query builder handlers
+   * @returns {Element} Sourcing interface element
+   */
+  renderSourcingInterface(
+    jobDescriptions,
+    state,
+    onJDSelect,
+    onSourceChange,
+    onLocationSubmit,
+    onCopySearch,
+    onFixSearch,
+    onSearchPlatform,
+    outreachHandlers,
+    builderHandlers
+  ) {
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          "Sourcing Consultants"
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          "Generate Boolean search strings for finding candidates"
+        ),
+
+        // Show helpful message when no saved JDs exist
+        jobDescriptions.length === 0 &&
+          DOMUtils.createElement(
+            "div",
+            {
+              style:
+                "margin-bottom: 20px; padding: 16px; background: #eff6ff; border: 1px solid #3b82f6; border-radius: 12px;",
+            },
+            [
+              DOMUtils.createElement(
+                "p",
+                {
+                  style: "margin: 0 0 8px 0; font-weight: 500; color: #1e40af;",
+                },
+                "💡 Quick Start"
+              ),
+              DOMUtils.createElement(
+                "p",
+                { style: "margin: 0; font-size: 14px; color: #1e40af;" },
+                "No saved job descriptions? No problem! You can paste any job description directly into the text area below to generate sourcing strategies."
+              ),
+            ]
+          ),
+
+        DOMUtils.createElement("div", { class: "form" }, [
+          DOMUtils.createElement(
+            "label",
+            { style: "font-weight: 600; margin-bottom: 12px; display: block;" },
+            "Job Description Source:"
+          ),
+
+          // Radio buttons for JD source selection
+          DOMUtils.createElement(
+            "div",
+            { style: "display: flex; gap: 20px; margin-bottom: 16px;" },
+            [
+              DOMUtils.createElement(
+                "label",
+                {
+                  style:
+                    "display: flex; align-items: center; gap: 8px; cursor: pointer;",
+                },
+                [
+                  DOMUtils.createElement("input", {
+                    type: "radio",
+                    name: "jd-source",
+                    value: CONSTANTS.JD_SOURCES.SAVED,
+                    checked:
+                      state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED,
+                    disabled: state.isLoading,
+                    onchange: () => onSourceChange(CONSTANTS.JD_SOURCES.SAVED),
+                    style: "margin: 0;",
+                  }),
+                  DOMUtils.createElement(
+                    "span",
+                    {},
+                    "Use Saved Job Description"
+                  ),
+                ]
+              ),
+              DOMUtils.createElement(
+                "label",
+                {
+                  style:
+                    "display: flex; align-items: center; gap: 8px; cursor: pointer;",
+                },
+                [
+                  DOMUtils.createElement("input", {
+                    type: "radio",
+                    name: "jd-source",
+                    value: CONSTANTS.JD_SOURCES.CUSTOM,
+                    checked:
+                      state.jobDescriptionSource ===
+                      CONSTANTS.JD_SOURCES.CUSTOM,
+                    disabled: state.isLoading,
+                    onchange: () => onSourceChange(CONSTANTS.JD_SOURCES.CUSTOM),
+                    style: "margin: 0;",
+                  }),
+                  DOMUtils.createElement(
+                    "span",
+                    {},
+                    "Paste Custom Job Description"
+                  ),
+                ]
+              ),
+            ]
+          ),
+
+          // Saved JD selection
+          state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED &&
+            DOMUtils.createElement("div", { style: "margin-bottom: 16px;" }, [
+              DOMUtils.createElement(
+                "label",
+                { for: "jd-select" },
+                "Select Job Description:"
+              ),
+              jobDescriptions.length > 0
+                ? DOMUtils.createElement(
+                    "select",
+                    {
+                      id: "jd-select",
+                      class: "input",
+                      disabled: state.isLoading,
+                      onchange: (e) =>
+                        onJDSelect(
+                          jobDescriptions.find((jd) => jd.id === e.target.value)
+                        ),
+                      style: state.isLoading
+                        ? "opacity: 0.6; cursor: not-allowed;"
+                        : "",
+                    },
+                    [
+                      DOMUtils.createElement(
+                        "option",
+                        { value: "" },
+                        "Choose a job description..."
+                      ),
+                      ...jobDescriptions.map((jd) =>
+                        DOMUtils.createElement(
+                          "option",
+                          {
+                            value: jd.id,
+                          },
+                          `${jd.title} - ${new Date(
+                            jd.createdAt
+                          ).toLocaleDateString()}`
+                        )
+                      ),
+                    ]
+                  )
+                : DOMUtils.createElement(
+                    "div",
+                    {
+                      style:
+                        "padding: 16px; background: #fef3c7; border: 1px solid #f59e0b; border-radius: 12px; color: #92400e;",
+                    },
+                    [
+                      DOMUtils.createElement(
+                        "p",
+                        { style: "margin: 0 0 8px 0; font-weight: 500;" },
+                        "No saved job descriptions found."
+                      ),
+                      DOMUtils.createElement(
+                        "div",
+                        { style: "margin: 0; font-size: 14px;" },
+                        [
+                          DOMUtils.createElement(
+                            "p",
+                            { style: "margin: 0 0 8px 0;" },
+                            "Create one using the Job Description Builder or use the 'Paste Custom Job Description' option above."
+                          ),
+                          UIComponents.createButton("Create Job Description", {
+                            href: "#/jd-builder",
+                            style: "padding: 8px 16px; font-size: 14px;",
+                          }),
+                        ]
+                      ),
+                    ]
+                  ),
+            ]),
+
+          // Custom JD textarea
+          state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM &&
+            DOMUtils.createElement("div", { style: "margin-bottom: 16px;" }, [
+              DOMUtils.createElement(
+                "label",
+                { for: "custom-jd" },
+                "Paste Your Job Description:"
+              ),
+              DOMUtils.createElement("textarea", {
+                id: "custom-jd",
+                class: "input",
+                placeholder: "Paste your job description here...",
+                rows: CONSTANTS.UI.TEXTAREA_ROWS,
+                disabled: state.isLoading,
+                value: state.customJobDescription,
+                oninput: (e) => {
+                  state.customJobDescription = e.target.value;
+                  state.results = null;
+                },
+                style: state.isLoading
+                  ? "opacity: 0.6; cursor: not-allowed;"
+                  : "",
+              }),
+            ]),
+
+          // Preview section
+          (state.selectedJobDescription ||
+            (state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM &&
+              state.customJobDescription.trim())) &&
+            DOMUtils.createElement(
+              "div",
+              {
+                class: "card",
+                style: "margin: 10px 0; background: #f8f9fa",
+              },
+              [
+                DOMUtils.createElement(
+                  "h4",
+                  {},
+                  state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM
+                    ? "Custom Job Description Preview:"
+                    : "Selected Job Description:"
+                ),
+                DOMUtils.createElement(
+                  "pre",
+                  {
+                    style:
+                      "white-space: pre-wrap; font-size: 12px; max-height: 200px; overflow-y: auto",
+                  },
+                  state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM
+                    ? StringUtils.truncate(state.customJobDescription)
+                    : StringUtils.truncate(state.selectedJobDescription.content)
+                ),
+              ]
+            ),
+
+          // Location input
+          DOMUtils.createElement(
+            "label",
+            { for: "location-input" },
+            "Job Location:"
+          ),
+          DOMUtils.createElement("input", {
+            id: "location-input",
+            class: "input",
+            placeholder: "e.g., New York, Remote, San Francisco",
+            value: state.location,
+            disabled: state.isLoading,
+            oninput: (e) => {
+              state.location = e.target.value;
+            },
+            style: state.isLoading ? "opacity: 0.6; cursor: not-allowed;" : "",
+          }),
+
+          // Submit button or loading state
+          state.isLoading
+            ? Views.renderLoadingState(state)
+            : UIComponents.createButton("Generate Sourcing Strategy", {
+                onClick: onLocationSubmit,
+                style: "width: 100%; justify-content: center;",
+              }),
+        ]),
+
+        // Results section
+        state.results &&
+          Views.renderSourcingResults(state.results, {
+            platform: state.searchPlatform,
+            onPlatform: onSearchPlatform,
+            onCopySearch,
+            onFixSearch,
+            onWriteOutreach: outreachHandlers.onOpen,
+          }),
+
+        !state.builder && !state.isLoading
+          ? UIComponents.createButton("Build a Search Yourself", {
+              variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+              onClick: builderHandlers.onOpen,
+              style: "margin-top: 16px;",
+            })
+          : null,
+      ]),
+      state.builder && Views.renderQueryBuilder(state.builder, builderHandlers),
+      state.results &&
+        state.outreach &&
+        Views.renderOutreachComposer(state.outreach, outreachHandlers),
+    ]);
+  },
+
+  /**
+   * Render loading state for sourcing
+   * @param {Object} state - Current state object
+   * @returns {Element} Loading state element
+   */
+  renderLoadingState(state) {
+    const currentStep =
+      CONSTANTS.UI.PROGRESS_STEPS[state.loadingStep - 1] || "Starting...";
+    const progress =
+      (state.loadingStep / CONSTANTS.UI.PROGRESS_STEPS.length) * 100;
+
+    return DOMUtils.createElement(
+      "div",
+      {
+        style:
+          "display: flex; align-items: center; justify-content: center; gap: 8px; padding: 12px 16px; background: #6b7280; color: white; border-radius: 999px; width: 100%; font-weight: 600; cursor: not-allowed;",
+      },
+      [
+        DOMUtils.createElement("div", {
+          class: "loading-spinner",
+          style:
+            "width: 16px; height: 16px; border: 2px solid #ffffff; border-top: 2px solid transparent; border-radius: 50%;",
+        }),
+        "Generating sourcing strategy...",
+      ]
+    );
+  },
+
+  /**
+   * Render sourcing results, as generated or with every search converted
+   * for one platform
+   * @param {Object} results - Sourcing results
+   * @param {Object} options - { platform, onPlatform(platform),
+   *   onCopySearch(query), onFixSearch(owner, key, fixed),
+   *   onWriteOutreach(company) }; platform is a BooleanSearch.PLATFORMS key,
+   *   or null for the searches as generated
+   * @returns {Element} Results element
+   */
+  renderSourcingResults(
+    results,
+    { platform, onPlatform, onCopySearch, onFixSearch, onWriteOutreach }
+  ) {
+    const rules = platform && BooleanSearch.PLATFORMS[platform];
+    const renderSearch = (owner, key, fallback, copyLabel) => {
+      const query = owner[key];
+      const source = BooleanSearch.detectPlatform(query, fallback);
+      if (!rules || !query) {
+        return Views.renderBooleanSearch(query, source, {
+          copyLabel,
+          onCopy: onCopySearch,
+          onFix: (fixed) => onFixSearch(owner, key, fixed),
+        });
+      }
+      // Converted searches are rewritten from the generated one; fixing
+      // that one fixes them too
+      return Views.renderBooleanSearch(
+        BooleanSearch.convert(query, source, platform).query,
+        platform,
+        { copyLabel: `Copy ${rules.label} Search`, onCopy: onCopySearch }
+      );
+    };
+    const limits = rules
+      ? [
+          rules.prefix && `starts with ${rules.prefix}`,
+          rules.maxLength && `up to ${rules.maxLength} characters`,
+          rules.maxWords && `${rules.maxWords} words`,
+          rules.maxOperators && `${rules.maxOperators} operators`,
+        ].filter(Boolean)
+      : [];
+    const tab = (key, label) =>
+      UIComponents.createButton(label, {
+        variant:
+          platform === key
+            ? CONSTANTS.BUTTON_VARIANTS.PRIMARY
+            : CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+        onClick: () => onPlatform(key),
+      });
+
+    return DOMUtils.createElement(
+      "div",
+      { class: "card", style: "margin-top: 20px" },
+      [
+        DOMUtils.createElement("h3", {}, "Sourcing Strategy"),
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          results.summary || ""
+        ),
+
+        DOMUtils.createElement(
+          "div",
+          {
+            id: "search-platforms",
+            style:
+              "display: flex; gap: 8px; flex-wrap: wrap; margin-top: 16px;",
+          },
+          [
+            tab(null, "As generated"),
+            ...Object.entries(BooleanSearch.PLATFORMS).map(([key, p]) =>
+              tab(key, p.label)
+            ),
+          ]
+        ),
+        rules
+          ? DOMUtils.createElement(
+              "p",
+              { class: "caption", style: "margin: 8px 0 0 0;" },
+              `Every search below is rewritten for ${rules.label}${
+                limits.length ? `: ${limits.join(", ")}` : ""
+              }.`
+            )
+          : null,
+
+        DOMUtils.createElement(
+          "h4",
+          { style: "margin-top: 20px" },
+          rules ? "Skills Search" : "Dice Job Portal Search"
+        ),
+        renderSearch(results, "diceSearch", "dice", "Copy Dice Search"),
+
+        DOMUtils.createElement(
+          "h4",
+          { style: "margin-top: 20px" },
+          rules
+            ? `Company-Specific ${rules.label} Searches`
+            : "Company-Specific LinkedIn Searches"
+        ),
+        DOMUtils.createElement(
+          "p",
+          {
+            style:
+              "margin: 8px 0 16px 0; font-size: 14px; color: #6b7280; font-style: italic;",
+          },
+          rules
+            ? `Each search string targets candidates from the specific company listed. Paste these into ${rules.label} search.`
+            : "Each search string targets candidates from the specific company listed. Copy and paste these into Google or LinkedIn search to find relevant profiles."
+        ),
+        DOMUtils.createElement(
+          "div",
+          { class: "grid" },
+          (results.companies || []).map((company) =>
+            DOMUtils.createElement("div", { class: "card" }, [
+              DOMUtils.createElement("h5", {}, company.name),
+              DOMUtils.createElement(
+                "p",
+                { class: "caption" },
+                company.reason || ""
+              ),
+              renderSearch(
+                company,
+                "linkedinSearch",
+                "linkedin",
+                "Copy LinkedIn Search"
+              ),
+              UIComponents.createButton("Write Outreach", {
+                onClick: () => onWriteOutreach(company),
+              }),
+            ])
+          )
+        ),
+      ]
+    );
+  },
+
+  /**
+   * Render a generated Boolean search: the string, what's wrong with it on
+   * the platform it's for, a one-click fix and how the platform reads it.
+   * Strings with errors ask before they're copied.
+   * @param {string} query - Search string
+   * @param {string} platform - BooleanSearch.PLATFORMS key it's checked for
+   * @param {Object} options - { copyLabel, onCopy(query), onFix(fixed) };
+   *   without onFix there's no Auto-fix
+   * @returns {Element} Search card
+   */
+  renderBooleanSearch(query, platform, { copyLabel, onCopy, onFix }) {
+    if (!query) {
+      return DOMUtils.createElement(
+        "div",
+        { class: "card", style: "background: #f8f9fa; margin: 10px 0" },
+        "No search string generated"
+      );
+    }
+    const { label } = BooleanSearch.PLATFORMS[platform];
+    const { problems, fixed, tree } = BooleanSearch.lint(query, platform);
+    const errors = problems.filter((p) => p.severity === "error");
+
+    return DOMUtils.createElement(
+      "div",
+      {
+        class: "card boolean-search",
+        style: `background: #f8f9fa; margin: 10px 0; border-left: 4px solid ${
+          errors.length ? "#dc2626" : problems.length ? "#f59e0b" : "#10b981"
+        };`,
+      },
+      [
+        DOMUtils.createElement(
+          "pre",
+          {
+            style:
+              "white-space: pre-wrap; font-family: monospace; font-size: 12px; margin: 0",
+          },
+          query
+        ),
+        problems.length
+          ? DOMUtils.createElement(
+              "ul",
+              {
+                class: "boolean-problems",
+                style: "margin: 8px 0; padding-left: 20px; font-size: 13px;",
+              },
+              problems.map((problem) =>
+                DOMUtils.createElement(
+                  "li",
+                  {
+                    style: `color: ${
+                      problem.severity === "error" ? "#b91c1c" : "#92400e"
+                    };`,
+                  },
+                  problem.message
+                )
+              )
+            )
+          : DOMUtils.createElement(
+              "p",
+              { class: "caption", style: "margin: 8px 0; color: #047857;" },
+              `✓ Valid ${label} search`
+            ),
+        DOMUtils.createElement(
+          "div",
+          { style: "display: flex; gap: 8px; flex-wrap: wrap;" },
+          [
+            UIComponents.createButton(copyLabel, {
+              variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+              onClick: () => {
+                if (
+                  errors.length &&
+                  !confirm(
+                    `This ${label} search has ${errors.length} error${
+                      errors.length === 1 ? "" : "s"
+                    } and may not find what you expect. Copy it anyway?`
+                  )
+                ) {
+                  return;
+                }
+                onCopy(query);
+              },
+            }),
+            onFix && fixed !== null && fixed.trim()
+              ? UIComponents.createButton("Auto-fix", {
+                  onClick: () => onFix(fixed),
+                })
+              : null,
+          ]
+        ),
+        tree
+          ? DOMUtils.createElement(
+              "details",
+              { style: "margin-top: 8px; font-size: 13px;" },
+              [
+                DOMUtils.createElement(
+                  "summary",
+                  { style: "cursor: pointer;" },
+                  fixed !== null
+                    ? `How ${label} reads it once fixed`
+                    : `How ${label} reads it`
+                ),
+                DOMUtils.createElement(
+                  "ul",
+                  { style: "margin: 4px 0; padding-left: 20px;" },
+                  Views.renderBooleanTree(tree)
+                ),
+              ]
+            )
+          : null,
+      ]
+    );
+  },
+
+  /**
+   * Render a parsed Boolean search as nested list items
+   * @param {Object} node - BooleanSearch.lint() tree node
+   * @returns {Element} List item
+   */
+  renderBooleanTree(node) {
+    const branch = (label, children) =>
+      DOMUtils.createElement("li", {}, [
+        DOMUtils.createElement("strong", {}, label),
+        DOMUtils.createElement(
+          "ul",
+          { style: "margin: 0; padding-left: 20px;" },
+          children.map((child) => Views.renderBooleanTree(child))
+        ),
+      ]);
+
+    switch (node.type) {
+      case "and":
+        return branch("All of (AND)", node.children);
+      case "or":
+        return branch("Any of (OR)", node.children);
+      case "not":
+        return branch("Excluding (NOT)", node.child ? [node.child] : []);
+      case "phrase":
+        return DOMUtils.createElement(
+          "li",
+          {},
+          `Exact phrase: "${node.value}"`
+        );
+      case "field":
+        return DOMUtils.createElement("li", {}, `${node.name}: ${node.value}`);
+      default:
+        return DOMUtils.createElement("li", {}, `Word: ${node.value}`);
+    }
+  },
+
+  /**
+   * Render the Boolean query builder: the terms of each group, the platform
+   * to write for and the search they compile to, checked like the
+   * generated ones
+   * @param {Object} builder - See Views.Sourcing()
+   * @param {Object} handlers - Event handlers; onSeedFromResults and
+   *   onSeedFromSkills are null when there's nothing to seed from
+   * @returns {Element} Builder card
+   */
+  renderQueryBuilder(builder, handlers) {
+    const tree = BooleanSearch.build(builder.groups);
+    const hasTerms = Object.values(builder.groups).some(
+      (terms) => terms.length
+    );
+    const hints = {
+      and: "A profile needs every one of these",
+      or: "A profile needs at least one of these",
+      not: "Profiles with any of these are left out",
+    };
+
+    const renderGroup = ([key, group]) =>
+      DOMUtils.createElement("div", { style: "margin-bottom: 16px;" }, [
+        DOMUtils.createElement(
+          "label",
+          { for: `qb-${key}`, style: "font-weight: 600;" },
+          group.label
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "caption", style: "margin: 2px 0 8px 0;" },
+          hints[group.join]
+        ),
+        DOMUtils.createElement(
+          "div",
+          {
+            style:
+              "display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px;",
+          },
+          builder.groups[key].map((term, index) =>
+            DOMUtils.createElement(
+              "span",
+              {
+                style: `display: flex; align-items: center; border-radius: 16px; padding: 4px 12px; font-size: 14px; ${
+                  group.join === "not"
+                    ? "background: #fee2e2; border: 1px solid #dc2626; color: #991b1b;"
+                    : "background: #e0f2fe; border: 1px solid #0288d1; color: #01579b;"
+                }`,
+              },
+              [
+                term,
+                DOMUtils.createElement(
+                  "button",
+                  {
+                    type: "button",
+                    ariaLabel: `Remove ${term}`,
+                    style:
+                      "background: none; border: none; color: inherit; margin-left: 8px; cursor: pointer; font-size: 16px; line-height: 1; padding: 0;",
+                    onclick: () => handlers.onRemove(key, index),
+                  },
+                  "×"
+                ),
+              ]
+            )
+          )
+        ),
+        DOMUtils.createElement("input", {
+          type: "text",
+          id: `qb-${key}`,
+          class: "input",
+          placeholder: "Type a term and press Enter",
+          onkeydown: (e) => {
+            if (e.key !== "Enter") return;
+            e.preventDefault();
+            if (e.target.value.trim()) handlers.onAdd(key, e.target.value);
+          },
+        }),
+      ]);
+
+    return DOMUtils.createElement("div", { id: "qb", class: "card network" }, [
+      DOMUtils.createElement(
+        "div",
+        {
+          style:
+            "display: flex; gap: 12px; align-items: center; justify-content: space-between;",
+        },
+        [
+          DOMUtils.createElement(
+            "h3",
+            { style: "margin: 0;" },
+            "Boolean Query Builder"
+          ),
+          UIComponents.createButton("Close", {
+            variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+            onClick: handlers.onClose,
+          }),
+        ]
+      ),
+      DOMUtils.createElement(
+        "p",
+        { class: "subtitle" },
+        "Add terms to each group and the search is written for you."
+      ),
+      DOMUtils.createElement(
+        "div",
+        {
+          style:
+            "display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 16px;",
+        },
+        [
+          handlers.onSeedFromResults
+            ? UIComponents.createButton("Start from AI Result", {
+                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                onClick: handlers.onSeedFromResults,
+              })
+            : null,
+          handlers.onSeedFromSkills
+            ? UIComponents.createButton("Start from JD Skills", {
+                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                onClick: handlers.onSeedFromSkills,
+              })
+            : null,
+          hasTerms
+            ? UIComponents.createButton("Clear", {
+                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                onClick: handlers.onClear,
+              })
+            : null,
+        ]
+      ),
+      ...Object.entries(BooleanSearch.BUILDER_GROUPS).map(renderGroup),
+      DOMUtils.createElement("label", { for: "qb-platform" }, "Write for:"),
+      DOMUtils.createElement(
+        "select",
+        {
+          id: "qb-platform",
+          class: "input",
+          onchange: (e) => handlers.onPlatform(e.target.value),
+        },
+        Object.entries(BooleanSearch.PLATFORMS).map(([key, platform]) =>
+          DOMUtils.createElement(
+            "option",
+            { value: key, selected: key === builder.platform },
+            platform.label
+          )
+        )
+      ),
+      tree
+        ? Views.renderBooleanSearch(
+            BooleanSearch.render(tree, builder.platform),
+            builder.platform,
+            { copyLabel: "Copy Search", onCopy: handlers.onCopy }
+          )
+        : DOMUtils.createElement(
+            "p",
+            { class: "caption", style: "margin-top: 12px;" },
+            "Add a term to see the search."
+          ),
+    ]);
+  },
+
+  /**
+   * Render the outreach composer: settings, the generated or loaded
+   * messages with their length against the channel's limits, templates and
+   * assigning the sequence to a pipeline candidate
+   * @param {Object} composer - See Views.Sourcing(); fields are written to as
+   *   they're typed
+   * @param {Object} handlers - Event handlers
+   * @returns {Element} Composer card
+   */
+  renderOutreachComposer(composer, handlers) {
+    const channel = Outreach.CHANNELS[composer.channel];
+    const disabled = composer.isBusy;
+
+    const select = (id, label, value, options, onchange) => [
+      DOMUtils.createElement("label", { for: id }, label),
+      DOMUtils.createElement(
+        "select",
+        { id, class: "input", disabled, onchange },
+        options.map(([optionValue, optionLabel]) =>
+          DOMUtils.createElement(
+            "option",
+            { value: optionValue, selected: String(value) === optionValue },
+            optionLabel
+          )
+        )
+      ),
+    ];
+
+    // Kept up to date as the text is typed, without a rerender
+    const counter = (text, limit) => {
+      const element = DOMUtils.createElement("span", { class: "caption" });
+      const update = (value) => {
+        element.textContent = `${value.length} / ${limit}`;
+        element.style.color = value.length > limit ? "#dc2626" : "";
+      };
+      update(text);
+      return { element, update };
+    };
+
+    const renderStep = (step, index) => {
+      const bodyCount = counter(step.body, channel.maxLength);
+      const subjectCount =
+        channel.subjectMaxLength > 0 &&
+        counter(step.subject, channel.subjectMaxLength);
+      return DOMUtils.createElement(
+        "div",
+        {
+          class: "card",
+          id: `or-step-${index}`,
+          style: "background: #f8f9fa; margin: 10px 0;",
+        },
+        [
+          DOMUtils.createElement(
+            "h5",
+            { style: "margin: 0 0 8px 0;" },
+            index === 0 ? "First message" : `Follow-up ${index}`
+          ),
+          index > 0
+            ? DOMUtils.createElement(
+                "label",
+                {
+                  style:
+                    "display: flex; align-items: center; gap: 8px; font-size: 14px;",
+                },
+                [
+                  "Send",
+                  DOMUtils.createElement("input", {
+                    id: `or-step-${index}-delay`,
+                    class: "input",
+                    type: "number",
+                    min: 1,
+                    max: 60,
+                    value: step.delayDays,
+                    disabled,
+                    style: "width: 80px; margin: 0;",
+                    oninput: (e) =>
+                      (step.delayDays = Math.max(1, Number(e.target.value))),
+                  }),
+                  "days after the previous message if there's no reply",
+                ]
+              )
+            : null,
+          subjectCount
+            ? DOMUtils.createElement("div", {}, [
+                DOMUtils.createElement(
+                  "label",
+                  { for: `or-step-${index}-subject` },
+                  "Subject: "
+                ),
+                subjectCount.element,
+                DOMUtils.createElement("input", {
+                  id: `or-step-${index}-subject`,
+                  class: "input",
+                  value: step.subject,
+                  disabled,
+                  oninput: (e) => {
+                    step.subject = e.target.value;
+                    subjectCount.update(step.subject);
+                  },
+                }),
+              ])
+            : null,
+          DOMUtils.createElement(
+            "label",
+            { for: `or-step-${index}-body` },
+            "Message: "
+          ),
+          bodyCount.element,
+          DOMUtils.createElement("textarea", {
+            id: `or-step-${index}-body`,
+            class: "input",
+            rows: composer.channel === "sms" ? 3 : 8,
+            value: step.body,
+            disabled,
+            oninput: (e) => {
+              step.body = e.target.value;
+              bodyCount.update(step.body);
+            },
+          }),
+          DOMUtils.createElement(
+            "div",
+            { style: "display: flex; gap: 8px; flex-wrap: wrap;" },
+            [
+              subjectCount
+                ? UIComponents.createButton("Copy Subject", {
+                    variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                    onClick: () => handlers.onCopy(index, "subject"),
+                  })
+                : null,
+              UIComponents.createButton("Copy Message", {
+                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                onClick: () => handlers.onCopy(index, "body"),
+              }),
+            ]
+          ),
+        ]
+      );
+    };
+
+    const button = (label, onclick, variant) =>
+      DOMUtils.createElement(
+        "button",
+        {
+          class: UIComponents.getButtonClassName(
+            variant || CONSTANTS.BUTTON_VARIANTS.SECONDARY
+          ),
+          disabled,
+          onclick,
+        },
+        label
+      );
+
+    return DOMUtils.createElement(
+      "div",
+      { id: "or-composer", class: "card network" },
+      [
+        DOMUtils.createElement(
+          "div",
+          {
+            style:
+              "display: flex; gap: 12px; align-items: center; justify-content: space-between;",
+          },
+          [
+            DOMUtils.createElement(
+              "h3",
+              { style: "margin: 0;" },
+              `Outreach: ${composer.company.name}`
+            ),
+            UIComponents.createButton("Close", {
+              variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+              onClick: handlers.onClose,
+            }),
+          ]
+        ),
+        composer.company.reason
+          ? DOMUtils.createElement(
+              "p",
+              { class: "caption" },
+              composer.company.reason
+            )
+          : null,
+
+        DOMUtils.createElement("div", { class: "form" }, [
+          ...select(
+            "or-channel",
+            "Channel:",
+            composer.channel,
+            Object.entries(Outreach.CHANNELS).map(([value, c]) => [
+              value,
+              c.subjectMaxLength
+                ? `${c.label} (subject ${c.subjectMaxLength}, message ${c.maxLength} characters)`
+                : `${c.label} (${c.maxLength} characters)`,
+            ]),
+            (e) => {
+              composer.channel = e.target.value;
+              handlers.onChange();
+            }
+          ),
+          ...select(
+            "or-tone",
+            "Tone:",
+            composer.tone,
+            Object.entries(Outreach.TONES).map(([value, t]) => [
+              value,
+              t.label,
+            ]),
+            (e) => (composer.tone = e.target.value)
+          ),
+          ...select(
+            "or-step-count",
+            "Messages:",
+            composer.stepCount,
+            Array.from({ length: Outreach.MAX_STEPS }, (_, i) => [
+              String(i + 1),
+              i === 0
+                ? "1 message, no follow-ups"
+                : `${i + 1} messages: the first and ${i} follow-up${
+                    i === 1 ? "" : "s"
+                  }`,
+            ]),
+            (e) => (composer.stepCount = Number(e.target.value))
+          ),
+          DOMUtils.createElement(
+            "label",
+            { for: "or-profile" },
+            "Candidate profile (optional):"
+          ),
+          DOMUtils.createElement("textarea", {
+            id: "or-profile",
+            class: "input",
+            rows: 4,
+            maxLength: 5000,
+            disabled,
+            placeholder:
+              "Paste a few lines from their profile: current role, projects, interests...",
+            value: composer.profile,
+            oninput: (e) => (composer.profile = e.target.value),
+          }),
+          composer.isBusy
+            ? UIComponents.createLoadingSpinner("Working...")
+            : UIComponents.createButton(
+                composer.steps.length
+                  ? "Regenerate Sequence"
+                  : "Generate Sequence",
+                {
+                  onClick: handlers.onGenerate,
+                  style: "width: 100%; justify-content: center;",
+                }
+              ),
+        ]),
+
+        composer.templates.length
+          ? DOMUtils.createElement("div", { class: "form" }, [
+              ...select(
+                "or-template",
+                "Or start from one of your templates:",
+                composer.templateId,
+                [
+                  ["", "Choose a template..."],
+                  ...composer.templates.map((t) => [
+                    t.id,
+                    `${t.name} (${Outreach.CHANNELS[t.channel].label}, ${
+                      t.steps.length
+                    } message${t.steps.length === 1 ? "" : "s"})`,
+                  ]),
+                ],
+                (e) => handlers.onLoadTemplate(e.target.value)
+              ),
+            ])
+          : null,
+
+        ...(composer.steps.length
+          ? [
+              DOMUtils.createElement(
+                "h4",
+                { style: "margin: 16px 0 4px 0;" },
+                "Placeholders"
+              ),
+              DOMUtils.createElement(
+                "p",
+                { class: "caption" },
+                "Messages keep placeholders such as {{firstName}}, so they can be saved as a template. They're filled in from these fields when you copy a message; assigning the sequence uses the candidate's own first name."
+              ),
+              DOMUtils.createElement(
+                "div",
+                { class: "form" },
+                Object.entries(Outreach.PLACEHOLDERS).flatMap(
+                  ([key, label]) => [
+                    DOMUtils.createElement(
+                      "label",
+                      { for: `or-value-${key}` },
+                      `${label} ({{${key}}}):`
+                    ),
+                    DOMUtils.createElement("input", {
+                      id: `or-value-${key}`,
+                      class: "input",
+                      value: composer.values[key],
+                      oninput: (e) => (composer.values[key] = e.target.value),
+                    }),
+                  ]
+                )
+              ),
+
+              DOMUtils.createElement(
+                "h4",
+                { style: "margin: 16px 0 4px 0;" },
+                "Sequence"
+              ),
+              ...composer.steps.map(renderStep),
+
+              DOMUtils.createElement(
+                "h4",
+                { style: "margin: 16px 0 4px 0;" },
+                "Save as a template"
+              ),
+              DOMUtils.createElement("div", { class: "form" }, [
+                DOMUtils.createElement("input", {
+                  id: "or-template-name",
+                  class: "input",
+                  ariaLabel: "Template name",
+                  placeholder: "e.g. Backend engineers, friendly InMail",
+                  maxLength: 100,
+                  value: composer.templateName,
+                  oninput: (e) => (composer.templateName = e.target.value),
+                }),
+                DOMUtils.createElement(
+                  "div",
+                  { style: "display: flex; gap: 8px; flex-wrap: wrap;" },
+                  composer.templateId
+                    ? [
+                        button("Update Template", () =>
+                          handlers.onSaveTemplate()
+                        ),
+                        button("Save as New", () =>
+                          handlers.onSaveTemplate({ asNew: true })
+                        ),
+                        button(
+                          "Delete Template",
+                          handlers.onDeleteTemplate,
+                          CONSTANTS.BUTTON_VARIANTS.LINK_LIKE
+                        ),
+                      ]
+                    : [button("Save Template", () => handlers.onSaveTemplate())]
+                ),
+              ]),
+
+              DOMUtils.createElement(
+                "h4",
+                { style: "margin: 16px 0 4px 0;" },
+                "Assign to a candidate"
+              ),
+              composer.candidates.length
+                ? DOMUtils.createElement("div", { class: "form" }, [
+                    ...select(
+                      "or-candidate",
+                      "Candidate in this job's pipeline:",
+                      composer.candidateId,
+                      [
+                        ["", "Choose a candidate..."],
+                        ...composer.candidates.map((c) => [
+                          c.id,
+                          c.outreach
+                            ? `${c.name} (on a sequence: ${c.outreach.sent.length} of ${c.outreach.steps.length} sent)`
+                            : c.name,
+                        ]),
+                      ],
+                      (e) => (composer.candidateId = e.target.value)
+                    ),
+                    button(
+                      "Assign Sequence",
+                      handlers.onAssign,
+                      CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                    ),
+                  ])
+                : DOMUtils.createElement(
+                    "p",
+                    { class: "caption" },
+                    "To track which message each candidate is on, use a saved job description and add the candidate to its pipeline."
+                  ),
+            ]
+          : []),
+      ]
+    );
+  },
+
+  /**
+   * Recruitment screen
+   * @returns {Element} Recruitment view element
+   */
+  Recruitment() {
+    const icons = {
+      posting:
+        '<svg viewBox="0 0 24 24" fill="none"><rect x="4" y="3" width="16" height="18" rx="2" stroke-width="2"/><path d="M8 7h8M8 11h8M8 15h5" stroke-width="2"/></svg>',
+      search:
+        '<svg viewBox="0 0 24 24" fill="none"><circle cx="11" cy="11" r="6" stroke-width="2"/><path d="M20 20l-3.5-3.5" stroke-width="2"/></svg>',
+      check:
+        '<svg viewBox="0 0 24 24" fill="none"><path d="M20 7l-9 9-5-5" stroke-width="2"/></svg>',
+      calendar:
+        '<svg viewBox="0 0 24 24" fill="none"><rect x="3" y="5" width="18" height="16" rx="2" stroke-width="2"/><path d="M16 3v4M8 3v4M3 11h18" stroke-width="2"/></svg>',
+      feedback:
+        '<svg viewBox="0 0 24 24" fill="none"><path d="M21 15a4 4 0 0 1-4 4H8l-4 3V7a4 4 0 0 1 4-4h9a4 4 0 0 1 4 4v8z" stroke-width="2"/></svg>',
+      pipeline:
+        '<svg viewBox="0 0 24 24" fill="none"><rect x="3" y="4" width="5" height="16" rx="1" stroke-width="2"/><rect x="10" y="4" width="5" height="11" rx="1" stroke-width="2"/><rect x="17" y="4" width="4" height="7" rx="1" stroke-width="2"/></svg>',
+      plus: '<svg viewBox="0 0 24 24" fill="none"><circle cx="12" cy="12" r="10" stroke-width="2"/><path d="M12 8v8M8 12h8" stroke-width="2"/></svg>',
+    };
+
+    const createFeatureCard = (
+      title,
+      description,
+      iconSvg,
+      action,
+      status = "available"
+    ) => {
+      const statusColor =
+        status === "available"
+          ? "#10b981"
+          : status === "coming-soon"
+          ? "#f59e0b"
+          : "#6b7280";
+      const statusText =
+        status === "available"
+          ? "Ready"
+          : status === "coming-soon"
+          ? "Coming Soon"
+          : "In Development";
+
+      return DOMUtils.createElement(
+        "div",
+        {
+          class: "card",
+          style: `border-left: 4px solid ${statusColor}; position: relative;`,
+        },
+        [
+          DOMUtils.createElement(
+            "div",
+            {
+              style:
+                "display: flex; align-items: center; gap: 12px; margin-bottom: 8px;",
+            },
+            [
+              DOMUtils.createElement("span", {
+                class: "icon",
+                innerHTML: iconSvg,
+                style: `color: ${statusColor};`,
+              }),
+              DOMUtils.createElement(
+                "h3",
+                { style: "margin: 0; font-size: 18px;" },
+                title
+              ),
+              DOMUtils.createElement(
+                "span",
+                {
+                  style: `background: ${statusColor}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 11px; font-weight: 600;`,
+                },
+                statusText
+              ),
+            ]
+          ),
+          DOMUtils.createElement(
+            "p",
+            {
+              style:
+                "margin: 0 0 12px 0; color: #6b7280; font-size: 14px; line-height: 1.4;",
+            },
+            description
+          ),
+          action &&
+            DOMUtils.createElement(
+              "div",
+              { style: "margin-top: auto;" },
+              action
+            ),
+        ]
+      );
+    };
+
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "div",
+          { style: "text-align: center; margin-bottom: 32px;" },
+          [
+            DOMUtils.createElement(
+              "h2",
+              { class: "section-title" },
+              "AI-Powered Recruitment Hub"
+            ),
+            DOMUtils.createElement(
+              "p",
+              {
+                class: "subtitle",
+                style: "font-size: 16px; max-width: 600px; margin: 0 auto;",
+              },
+              "Streamline your recruitment process with intelligent tools designed for modern recruiters"
+            ),
+          ]
+        ),
+
+        DOMUtils.createElement(
+          "div",
+          { class: "grid grid-2", style: "gap: 20px;" },
+          [
+            createFeatureCard(
+              "Job Description Builder",
+              "Create compelling, AI-generated job descriptions that attract top talent. Includes company-specific formatting and ATS optimization.",
+              icons.posting,
+              UIComponents.createButton("Create Job Description", {
+                href: "#/jd-builder",
+                style: "width: 100%; justify-content: center;",
+              }),
+              "available"
+            ),
+
+            createFeatureCard(
+              "Smart Candidate Sourcing",
+              "Generate targeted Boolean search strings for LinkedIn and job portals. Find candidates from top companies with relevant skills.",
+              icons.search,
+              UIComponents.createButton("Start Sourcing", {
+                href: "#/sourcing",
+                style: "width: 100%; justify-content: center;",
+              }),
+              "available"
+            ),
+
+            createFeatureCard(
+              "Candidate Validation",
+              "Upload or paste resumes and score them against a saved job description's skills, goals and KPIs, with an AI rationale per requirement.",
+              icons.check,
+              UIComponents.createButton("Validate Candidates", {
+                href: "#/candidates",
+                style: "width: 100%; justify-content: center;",
+              }),
+              "available"
+            ),
+
+            createFeatureCard(
+              "Candidate Pipeline",
+              "Track the people you find for each job on a board from sourced to hired, with stage history and notes.",
+              icons.pipeline,
+              UIComponents.createButton("Open Pipeline", {
+                href: "#/pipeline",
+                style: "width: 100%; justify-content: center;",
+              }),
+              "available"
+            ),
+
+            createFeatureCard(
+              "Interview Scheduling",
+              "Define interview loops per job, match interviewer availability across time zones and send calendar invites.",
+              icons.calendar,
+              UIComponents.createButton("Schedule Interviews", {
+                href: "#/scheduling",
+                style: "width: 100%; justify-content: center;",
+              }),
+              "available"
+            ),
+
+            createFeatureCard(
+              "Interview Feedback",
+              "Scorecards built from the JD's skills, goals and KPIs, with evidence-backed ratings and a panel hire / no-hire summary.",
+              icons.feedback,
+              UIComponents.createButton("Give Feedback", {
+                href: "#/feedback",
+                style: "width: 100%; justify-content: center;",
+              }),
+              "available"
+            ),
+
+            createFeatureCard(
+              "Quick Actions",
+              "Access your saved job descriptions and recent sourcing strategies in one place.",
+              icons.plus,
+              DOMUtils.createElement(
+                "div",
+                { style: "display: flex; gap: 8px; flex-wrap: wrap;" },
+                [
+                  UIComponents.createButton("View All JDs", {
+                    href: "#/jd-view",
+                    variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                    style: "flex: 1; min-width: 120px;",
+                  }),
+                  UIComponents.createButton("Settings", {
+                    href: "#/settings",
+                    variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                    style: "flex: 1; min-width: 120px;",
+                  }),
+                ]
+              ),
+              "available"
+            ),
+          ]
+        ),
+
+        // Stats Section
+        DOMUtils.createElement(
+          "div",
+          {
+            class: "card",
+            style:
+              "margin-top: 24px; background: linear-gradient(135deg, #f8fafc, #e2e8f0); text-align: center;",
+          },
+          [
+            DOMUtils.createElement(
+              "h3",
+              { style: "margin: 0 0 8px 0; color: #1f2937;" },
+              "Your Recruitment Dashboard"
+            ),
+            DOMUtils.createElement(
+              "p",
+              {
+                style: "margin: 0; color: #6b7280; font-size: 14px;",
+              },
+              "Track your progress and manage your recruitment pipeline efficiently"
+            ),
+            DOMUtils.createElement(
+              "div",
+              {
+                style:
+                  "display: flex; justify-content: center; gap: 24px; margin-top: 16px; flex-wrap: wrap;",
+              },
+              [
+                Views.createStatItem(
+                  UIComponents.createAsyncText(JDService.count()),
+                  "Job Descriptions"
+                ),
+                Views.createStatItem("6", "Active Tools"),
+                Views.createStatItem("0", "Coming Soon"),
+              ]
+            ),
+          ]
+        ),
+      ]),
+    ]);
+  },
+
+  /**
+   * Create stat item for dashboard
+   * @param {string|number|Element} value - Stat value
+   * @param {string} label - Stat label
+   * @returns {Element} Stat item element
+   */
+  createStatItem(value, label) {
+    return DOMUtils.createElement("div", { style: "text-align: center;" }, [
+      DOMUtils.createElement(
+        "div",
+        {
+          style: "font-size: 24px; font-weight: 700; color: #2563eb;",
+        },
+        value
+      ),
+      DOMUtils.createElement(
+        "div",
+        {
+          style:
+            "font-size: 12px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px;",
+        },
+        label
+      ),
+    ]);
+  },
+
+  /**
+   * Candidate validation screen: parse resumes and score them against a
+   * saved job description's skills, goals and KPIs
+   * @returns {Element} Candidate validation view element
+   */
+  CandidateValidation() {
+    const routeHash = location.hash;
+    let jobDescriptions = [];
+    let nextId = 1;
+
+    const state = {
+      jobDescription: null,
+      candidates: [],
+      pasted: "",
+      ai: false,
+      isScoring: false,
+    };
+
+    let rerender;
+
+    const addCandidate = async (source, parse) => {
+      const candidate = { id: nextId++, source, status: "parsing" };
+      state.candidates.push(candidate);
+      rerender();
+      try {
+        Object.assign(candidate, await parse(), { status: "ready" });
+      } catch (error) {
+        candidate.status = "error";
+        candidate.error = Object.values(error.fields || {})[0] || error.message;
+      }
+      rerender();
+    };
+
+    const handleFiles = (files) => {
+      [...files].forEach((file) =>
+        addCandidate(file.name, () => ResumeService.parseFile(file))
+      );
+    };
+
+    const handlePaste = () => {
+      const text = state.pasted.trim();
+      if (!text) {
+        showNotification("Paste a resume first.", "error");
+        return;
+      }
+      state.pasted = "";
+      addCandidate("Pasted resume", () => ResumeService.parseText(text));
+    };
+
+    const handleJobDescriptionSelect = (jd) => {
+      state.jobDescription = jd || null;
+      // Scores are only meaningful against the JD they were made for
+      state.candidates.forEach((candidate) => delete candidate.match);
+      rerender();
+    };
 
-        if (!user) {
-          showNotification("Invalid username or password.", "error");
-          return;
+    const handleRemove = (candidate) => {
+      state.candidates = state.candidates.filter((c) => c !== candidate);
+      rerender();
+    };
+
+    const handleScore = async () => {
+      const ready = state.candidates.filter((c) => c.status === "ready");
+      if (!state.jobDescription || !ready.length) return;
+
+      state.isScoring = true;
+      let aiFailure = null;
+      // One at a time, so a batch doesn't trip the proxy's rate limit
+      for (const candidate of ready) {
+        candidate.isScoring = true;
+        rerender();
+        try {
+          candidate.match = await AIService.matchViaProxy(
+            state.jobDescription.id,
+            candidate.text,
+            { ai: state.ai }
+          );
+          if (candidate.match.ai.ok === false) aiFailure = candidate.match.ai;
+        } catch (error) {
+          showAIError(
+            error,
+            `Could not score ${candidate.profile?.name || candidate.source}: `
+          );
+          if (error.status === 404 || error.status === 400) break;
+        } finally {
+          candidate.isScoring = false;
         }
+      }
+      if (aiFailure) {
+        showAIError(
+          { code: aiFailure.code, message: aiFailure.error },
+          "Showing keyword scores only. "
+        );
+      }
+      state.isScoring = false;
+      rerender();
+    };
 
-        // Debug logging
-        console.log("User found:", {
-          username: user.username,
-          hasHashedPassword: !!user.hashedPassword,
-          hasSalt: !!user.salt,
-          hasLegacyPassword: !!user.password,
-          userData: user,
-        });
+    rerender = () => {
+      if (location.hash !== routeHash) return;
+      const root = DOMUtils.select("#app");
+      root.innerHTML = "";
+      root.appendChild(
+        Views.renderCandidateValidation(jobDescriptions, state, {
+          onJDSelect: handleJobDescriptionSelect,
+          onFiles: handleFiles,
+          onPaste: handlePaste,
+          onScore: handleScore,
+          onRemove: handleRemove,
+        })
+      );
+    };
+
+    JDService.listAll()
+      .then((items) => {
+        // Translations share their original's answers, so only originals are listed
+        jobDescriptions = items.filter((jd) => !jd.variantOf);
+      })
+      .catch((error) => {
+        showNotification(
+          "Could not load saved job descriptions: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      })
+      .finally(() => rerender());
+
+    return UIComponents.createLoadingSpinner("Loading job descriptions...");
+  },
+
+  /**
+   * Render the candidate validation screen
+   * @param {Array} jobDescriptions - Saved job descriptions
+   * @param {Object} state - { jobDescription, candidates, pasted, ai, isScoring }
+   * @param {Object} handlers - { onJDSelect, onFiles, onPaste, onScore, onRemove }
+   * @returns {Element} Candidate validation element
+   */
+  renderCandidateValidation(jobDescriptions, state, handlers) {
+    const ready = state.candidates.filter((c) => c.status === "ready");
+    // Best match first; unscored candidates keep the order they were added in
+    const candidates = [...state.candidates].sort(
+      (a, b) => (b.match?.score ?? -1) - (a.match?.score ?? -1)
+    );
+
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          "Candidate Validation"
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          "Score resumes against the skills, 1-year goals and KPIs of a saved job description"
+        ),
+
+        DOMUtils.createElement("div", { class: "form" }, [
+          DOMUtils.createElement(
+            "label",
+            { for: "cv-jd-select" },
+            "Job Description:"
+          ),
+          jobDescriptions.length > 0
+            ? DOMUtils.createElement(
+                "select",
+                {
+                  id: "cv-jd-select",
+                  class: "input",
+                  disabled: state.isScoring,
+                  value: state.jobDescription?.id || "",
+                  onchange: (e) =>
+                    handlers.onJDSelect(
+                      jobDescriptions.find((jd) => jd.id === e.target.value)
+                    ),
+                },
+                [
+                  DOMUtils.createElement(
+                    "option",
+                    { value: "" },
+                    "Choose a job description..."
+                  ),
+                  ...jobDescriptions.map((jd) =>
+                    DOMUtils.createElement(
+                      "option",
+                      {
+                        value: jd.id,
+                        selected: state.jobDescription?.id === jd.id,
+                      },
+                      `${jd.title} - ${new Date(
+                        jd.createdAt
+                      ).toLocaleDateString()}`
+                    )
+                  ),
+                ]
+              )
+            : UIComponents.createNotice(
+                "No saved job descriptions yet. Create one with the Job Description Builder to score candidates against it.",
+                "info"
+              ),
 
-        // Verify password - handle both old and new user data structures
-        let isValidPassword = false;
+          DOMUtils.createElement(
+            "label",
+            { for: "cv-files", style: "margin-top: 16px; display: block;" },
+            "Upload resumes:"
+          ),
+          DOMUtils.createElement("input", {
+            id: "cv-files",
+            type: "file",
+            multiple: true,
+            accept: CONSTANTS.RESUMES.ACCEPT,
+            class: "input",
+            onchange: (e) => {
+              handlers.onFiles(e.target.files);
+              e.target.value = "";
+            },
+          }),
+          DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            `PDF, DOCX or TXT, up to ${
+              CONSTANTS.RESUMES.MAX_BYTES / 1024 / 1024
+            } MB each. Resumes are read by the server and not stored.`
+          ),
 
-        if (user.hashedPassword && user.salt) {
-          // New secure password verification
-          console.log("Using secure password verification");
-          isValidPassword = await PasswordSecurity.verifyPassword(
-            credentials.password,
-            user.hashedPassword,
-            user.salt
-          );
-          console.log("Secure verification result:", isValidPassword);
-        } else if (user.password) {
-          // Legacy password verification (plain text comparison)
-          console.log("Using legacy password verification");
-          console.log("Entered password:", credentials.password);
-          console.log("Stored password:", user.password);
-          isValidPassword = credentials.password === user.password;
-          console.log("Legacy verification result:", isValidPassword);
-
-          // If legacy login is successful, upgrade the user to secure hashing
-          if (isValidPassword) {
-            try {
-              const { hashedPassword, salt } =
-                await PasswordSecurity.hashPassword(credentials.password);
-              user.hashedPassword = hashedPassword;
-              user.salt = salt;
-              delete user.password; // Remove plain text password
-
-              // Update user in storage
-              const users = StorageManager.loadUsers();
-              const userIndex = users.findIndex(
-                (u) => u.username.toLowerCase() === user.username.toLowerCase()
-              );
-              if (userIndex !== -1) {
-                users[userIndex] = user;
-                StorageManager.saveUsers(users);
-                console.log("User password upgraded to secure hashing");
-              }
-            } catch (error) {
-              console.error("Error upgrading user password:", error);
-              // Continue with login even if upgrade fails
-            }
-          }
-        } else {
-          // No password field found - invalid user data
-          showNotification(
-            "Account data is corrupted. Please contact support.",
-            "error"
-          );
-          return;
-        }
+          DOMUtils.createElement(
+            "label",
+            { for: "cv-paste", style: "margin-top: 16px; display: block;" },
+            "Or paste a resume:"
+          ),
+          DOMUtils.createElement("textarea", {
+            id: "cv-paste",
+            class: "input",
+            rows: CONSTANTS.UI.TEXTAREA_ROWS,
+            placeholder: "Paste the resume text here...",
+            value: state.pasted,
+            oninput: (e) => (state.pasted = e.target.value),
+          }),
+          DOMUtils.createElement("div", { style: "margin-top: 8px;" }, [
+            UIComponents.createButton("Add Pasted Resume", {
+              variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+              onClick: handlers.onPaste,
+            }),
+          ]),
 
-        if (!isValidPassword) {
-          showNotification("Invalid username or password.", "error");
-          return;
-        }
+          DOMUtils.createElement(
+            "label",
+            {
+              style:
+                "display: flex; align-items: center; gap: 8px; margin-top: 16px; cursor: pointer;",
+            },
+            [
+              DOMUtils.createElement("input", {
+                id: "cv-ai",
+                type: "checkbox",
+                checked: state.ai,
+                disabled: state.isScoring,
+                onchange: (e) => (state.ai = e.target.checked),
+                style: "margin: 0;",
+              }),
+              DOMUtils.createElement(
+                "span",
+                {},
+                "Ask the AI for a rationale per requirement (counts toward your AI usage)"
+              ),
+            ]
+          ),
+          DOMUtils.createElement("div", { style: "margin-top: 16px;" }, [
+            DOMUtils.createElement(
+              "button",
+              {
+                id: "cv-score",
+                class: UIComponents.getButtonClassName(
+                  CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                ),
+                disabled:
+                  state.isScoring || !state.jobDescription || !ready.length,
+                onclick: handlers.onScore,
+              },
+              state.isScoring
+                ? "Scoring..."
+                : `Score ${ready.length} Candidate${
+                    ready.length === 1 ? "" : "s"
+                  }`
+            ),
+          ]),
+        ]),
 
-        // Set current user (without password data)
-        StorageManager.setCurrentUser({
-          username: user.username,
-          first: user.first,
-          last: user.last,
-          email: user.email,
-        });
+        candidates.length
+          ? DOMUtils.createElement(
+              "div",
+              { id: "cv-candidates", style: "margin-top: 24px;" },
+              candidates.map((candidate) =>
+                Views.renderCandidateCard(candidate, {
+                  onRemove: state.isScoring
+                    ? null
+                    : () => handlers.onRemove(candidate),
+                })
+              )
+            )
+          : null,
+      ]),
+    ]);
+  },
 
-        showNotification(
-          `Welcome back, ${user.first || user.username}!`,
-          "success"
-        );
-        location.hash = "#/";
-        NavigationManager.updateHeaderAuth();
-      } catch (error) {
-        console.error("Login error:", error);
-        showNotification("Login failed. Please try again.", "error");
-      }
+  /**
+   * Render one candidate: parsed profile, scores and the per-requirement breakdown
+   * @param {Object} candidate - { source, status, error, profile, truncated,
+   *   match, isScoring }
+   * @param {Object} handlers - { onRemove }
+   * @returns {Element} Candidate card
+   */
+  renderCandidateCard(candidate, { onRemove }) {
+    const { profile, match } = candidate;
+    const badge = (text, color) =>
+      DOMUtils.createElement(
+        "span",
+        {
+          style: `background: ${color}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: 600; white-space: nowrap;`,
+        },
+        text
+      );
+    const scoreColor = (score) =>
+      score >= 75 ? "#10b981" : score >= 40 ? "#f59e0b" : "#ef4444";
+    const statusBadge = (status) => {
+      const { label, color } = CONSTANTS.MATCH_STATUSES[status];
+      return badge(label, color);
     };
 
-    return DOMUtils.createElement("div", { class: "full-center" }, [
-      DOMUtils.createElement("div", { class: "card centered network" }, [
-        DOMUtils.createElement(
-          "h2",
-          { class: "section-title" },
-          "AI for recruitment"
-        ),
-        DOMUtils.createElement("p", { class: "subtitle" }, "Welcome back"),
-        DOMUtils.createElement(
-          "form",
-          { class: "form", onsubmit: handleSubmit },
-          [
-            UIComponents.createLabel("login-username", "Username"),
-            UIComponents.createTextInput(
-              "Username",
-              CONSTANTS.INPUT_TYPES.TEXT,
-              "username",
-              "login-username"
+    let status = null;
+    if (candidate.status === "parsing") status = "Reading the resume…";
+    else if (candidate.status === "error") status = candidate.error;
+    else if (candidate.isScoring) status = "Scoring…";
+    else if (!match) status = "Ready to score.";
+
+    const details = profile
+      ? [
+          candidate.source,
+          profile.email,
+          profile.phone,
+          profile.location,
+          profile.experienceYears !== null &&
+            `about ${profile.experienceYears} year${
+              profile.experienceYears === 1 ? "" : "s"
+            } of experience`,
+        ].filter(Boolean)
+      : [candidate.source];
+
+    const renderRequirement = (item) =>
+      DOMUtils.createElement(
+        "tr",
+        { style: "border-top: 1px solid #e5e7eb; vertical-align: top;" },
+        [
+          DOMUtils.createElement("td", { style: "padding: 6px 8px;" }, [
+            DOMUtils.createElement(
+              "div",
+              { class: "caption" },
+              CONSTANTS.REQUIREMENT_KINDS[item.kind] || item.kind
             ),
-            UIComponents.createLabel("login-password", "Password"),
+            item.text,
+          ]),
+          DOMUtils.createElement("td", { style: "padding: 6px 8px;" }, [
+            statusBadge(item.status),
             DOMUtils.createElement(
               "div",
-              { class: "password-input-container" },
+              { class: "caption" },
               [
-                DOMUtils.createElement("input", {
-                  class: "input",
-                  id: "login-password",
-                  type: CONSTANTS.INPUT_TYPES.PASSWORD,
-                  name: "password",
-                  placeholder: "Enter your password",
-                  style: "padding-right: 40px;",
-                }),
+                item.matched.length && `Found: ${item.matched.join(", ")}`,
+                item.missing.length && `Not found: ${item.missing.join(", ")}`,
+              ]
+                .filter(Boolean)
+                .join(" · ")
+            ),
+            item.evidence &&
+              DOMUtils.createElement(
+                "div",
+                { style: "font-size: 13px; color: #374151;" },
+                `“${item.evidence}”`
+              ),
+          ]),
+          match.ai.ok
+            ? DOMUtils.createElement("td", { style: "padding: 6px 8px;" }, [
+                item.ai ? statusBadge(item.ai.status) : null,
                 DOMUtils.createElement(
-                  "button",
-                  {
-                    type: "button",
-                    class: "password-toggle-btn",
-                    id: "login-password-toggle",
-                    onclick: () => {
-                      const passwordInput = DOMUtils.select("#login-password");
-                      const toggleBtn = DOMUtils.select(
-                        "#login-password-toggle"
-                      );
+                  "div",
+                  { style: "font-size: 13px; color: #374151;" },
+                  item.ai?.rationale || ""
+                ),
+              ])
+            : null,
+        ]
+      );
 
-                      if (passwordInput.type === "password") {
-                        passwordInput.type = "text";
-                        toggleBtn.innerHTML = "👁️";
-                        toggleBtn.title = "Hide password";
-                      } else {
-                        passwordInput.type = "password";
-                        toggleBtn.innerHTML = "🙈";
-                        toggleBtn.title = "Show password";
-                      }
-                    },
-                    title: "Show password",
+    return DOMUtils.createElement(
+      "div",
+      { class: "card candidate-card", style: "margin-bottom: 12px;" },
+      [
+        DOMUtils.createElement(
+          "div",
+          {
+            style:
+              "display: flex; align-items: flex-start; gap: 12px; justify-content: space-between;",
+          },
+          [
+            DOMUtils.createElement("div", { style: "flex: 1;" }, [
+              DOMUtils.createElement(
+                "h3",
+                { style: "margin: 0;" },
+                profile?.name || candidate.source
+              ),
+              DOMUtils.createElement(
+                "div",
+                { class: "caption" },
+                details.join(" • ")
+              ),
+              profile?.skills.length
+                ? DOMUtils.createElement(
+                    "div",
+                    { class: "caption", style: "margin-top: 4px;" },
+                    `Skills: ${profile.skills.slice(0, 12).join(", ")}`
+                  )
+                : null,
+            ]),
+            match
+              ? DOMUtils.createElement(
+                  "div",
+                  {
                     style:
-                      "position: absolute; right: 8px; top: 50%; transform: translateY(-50%); background: none; border: none; cursor: pointer; font-size: 16px; padding: 4px;",
+                      "display: flex; flex-direction: column; align-items: flex-end; gap: 4px;",
                   },
-                  "🙈"
+                  [
+                    badge(`${match.score}% match`, scoreColor(match.score)),
+                    match.ai.ok
+                      ? badge(
+                          `AI: ${match.ai.score}%${
+                            match.ai.recommendation
+                              ? ` · ${match.ai.recommendation} fit`
+                              : ""
+                          }`,
+                          scoreColor(match.ai.score)
+                        )
+                      : null,
+                  ]
+                )
+              : null,
+            onRemove
+              ? UIComponents.createButton("Remove", {
+                  variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                  onClick: onRemove,
+                })
+              : null,
+          ]
+        ),
+        status &&
+          DOMUtils.createElement(
+            "p",
+            {
+              class: "caption",
+              style: candidate.status === "error" ? "color: #b91c1c;" : "",
+            },
+            status
+          ),
+        candidate.truncated &&
+          DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "This resume is very long; only its beginning was scored."
+          ),
+        match?.ai.ok && match.ai.summary
+          ? DOMUtils.createElement(
+              "p",
+              { style: "margin: 8px 0 0 0; font-size: 14px;" },
+              match.ai.summary
+            )
+          : null,
+        match &&
+          DOMUtils.createElement("details", { style: "margin-top: 8px;" }, [
+            DOMUtils.createElement(
+              "summary",
+              { style: "cursor: pointer;" },
+              `Breakdown: ${["skill", "goal", "kpi"]
+                .filter((kind) => match.byKind[kind] !== null)
+                .map(
+                  (kind) =>
+                    `${CONSTANTS.REQUIREMENT_KINDS[kind]}s ${match.byKind[kind]}%`
+                )
+                .join(" · ")}`
+            ),
+            DOMUtils.createElement(
+              "table",
+              {
+                style:
+                  "width: 100%; border-collapse: collapse; margin-top: 8px; font-size: 14px;",
+              },
+              [
+                DOMUtils.createElement("thead", {}, [
+                  DOMUtils.createElement("tr", { style: "text-align: left;" }, [
+                    DOMUtils.createElement(
+                      "th",
+                      { style: "padding: 6px 8px;" },
+                      "Requirement"
+                    ),
+                    DOMUtils.createElement(
+                      "th",
+                      { style: "padding: 6px 8px;" },
+                      "Keywords"
+                    ),
+                    match.ai.ok
+                      ? DOMUtils.createElement(
+                          "th",
+                          { style: "padding: 6px 8px;" },
+                          "AI assessment"
+                        )
+                      : null,
+                  ]),
+                ]),
+                DOMUtils.createElement(
+                  "tbody",
+                  {},
+                  match.breakdown.map(renderRequirement)
                 ),
               ]
             ),
-            UIComponents.createButton("Login"),
-            UIComponents.createButton("Sign up", {
-              variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-              href: "#/signup",
-            }),
-          ]
-        ),
-      ]),
-    ]);
+          ]),
+      ]
+    );
   },
 
   /**
-   * Signup screen
-   * @returns {Element} Signup view element
+   * Interview scheduling screen: interviewers and their weekly hours, each
+   * job description's interview loop, slot matching and the booked schedule
+   * @returns {Element} Interview scheduling view element
    */
-  Signup() {
-    const handleSubmit = async (event) => {
-      event.preventDefault();
+  InterviewScheduling() {
+    const routeHash = location.hash;
+    const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    let jobDescriptions = [];
 
-      const fields = {
-        first: DOMUtils.select("#su-first").value.trim(),
-        last: DOMUtils.select("#su-last").value.trim(),
-        username: DOMUtils.select("#su-username").value.trim(),
-        email: DOMUtils.select("#su-email").value.trim(),
-        password: DOMUtils.select("#su-password").value,
-      };
+    const state = {
+      jobDescription: null,
+      interviewers: [],
+      // The interviewer being added or edited
+      draft: null,
+      stages: [],
+      // { zone, flexible } read from the JD's time zone answer
+      jdTimeZone: null,
+      interviews: [],
+      outbox: [],
+      booking: { stageId: "", name: "", email: "", timeZone: "", location: "" },
+      slots: null,
+      isBusy: false,
+    };
+
+    let rerender;
+
+    // Run a request with the screen's buttons disabled
+    const run = async (task, failure) => {
+      state.isBusy = true;
+      rerender();
+      try {
+        await task();
+      } catch (error) {
+        showNotification(
+          `${failure}: ${
+            Object.values(error.fields || {})[0] || error.message
+          }`,
+          "error",
+          null,
+          error.requestId
+        );
+      } finally {
+        state.isBusy = false;
+        rerender();
+      }
+    };
+
+    const refreshOutbox = async () => {
+      state.outbox = await SchedulingService.listOutbox();
+    };
+
+    const handleJobDescriptionSelect = (jd) => {
+      Object.assign(state, {
+        jobDescription: jd || null,
+        stages: [],
+        jdTimeZone: null,
+        interviews: [],
+        slots: null,
+      });
+      state.booking.stageId = "";
+      if (!jd) return rerender();
+      run(async () => {
+        const [loop, interviews] = await Promise.all([
+          SchedulingService.getLoop(jd.id),
+          SchedulingService.listInterviews(jd.id),
+        ]);
+        state.stages = loop.stages;
+        state.jdTimeZone = loop.timeZone;
+        state.interviews = interviews;
+        state.booking.stageId = loop.stages[0]?.id || "";
+      }, "Could not load the interview loop");
+    };
+
+    const handleEditInterviewer = (interviewer) => {
+      state.draft = interviewer
+        ? {
+            ...interviewer,
+            availability: interviewer.availability.map((w) => ({ ...w })),
+          }
+        : {
+            name: "",
+            email: "",
+            timeZone: localZone,
+            availability: [1, 2, 3, 4, 5].map((day) => ({
+              day,
+              start: "09:00",
+              end: "17:00",
+            })),
+          };
+      rerender();
+    };
+
+    const handleSaveInterviewer = () =>
+      run(async () => {
+        const saved = await SchedulingService.saveInterviewer(state.draft);
+        state.interviewers = [
+          ...state.interviewers.filter((i) => i.id !== saved.id),
+          saved,
+        ].sort((a, b) => a.name.localeCompare(b.name));
+        state.draft = null;
+        showNotification(`${saved.name} saved.`, "success");
+      }, "Could not save the interviewer");
+
+    const handleRemoveInterviewer = (interviewer) => {
+      if (
+        !confirm(
+          `Remove ${interviewer.name}? They will be taken off every interview loop; booked interviews are kept.`
+        )
+      ) {
+        return;
+      }
+      run(async () => {
+        await SchedulingService.removeInterviewer(interviewer.id);
+        state.interviewers = state.interviewers.filter(
+          (i) => i.id !== interviewer.id
+        );
+        state.stages.forEach((stage) => {
+          stage.interviewerIds = stage.interviewerIds.filter(
+            (id) => id !== interviewer.id
+          );
+        });
+      }, "Could not remove the interviewer");
+    };
 
-      const errors = ValidationUtils.validateSignup(fields);
+    const handleSaveLoop = () =>
+      run(async () => {
+        const loop = await SchedulingService.saveLoop(
+          state.jobDescription.id,
+          state.stages
+        );
+        state.stages = loop.stages;
+        if (!loop.stages.some((s) => s.id === state.booking.stageId)) {
+          state.booking.stageId = loop.stages[0]?.id || "";
+        }
+        state.slots = null;
+        showNotification("Interview loop saved.", "success");
+      }, "Could not save the interview loop");
 
-      if (Object.keys(errors).length > 0) {
-        const errorMessage = Object.values(errors)
-          .map((error) => `- ${error}`)
-          .join("<br>");
-        showNotification(errorMessage, "error");
+    const handleFindSlots = () => {
+      if (!state.booking.stageId) {
+        showNotification("Choose an interview stage first.", "error");
         return;
       }
+      run(async () => {
+        state.slots = await SchedulingService.findSlots({
+          jdId: state.jobDescription.id,
+          stageId: state.booking.stageId,
+          ...(state.booking.timeZone.trim() && {
+            timeZone: state.booking.timeZone.trim(),
+          }),
+        });
+      }, "Could not find interview times");
+    };
 
-      try {
-        // Hash the password securely
-        const { hashedPassword, salt } = await PasswordSecurity.hashPassword(
-          fields.password
+    const handleBook = (slot) => {
+      const { stageId, name, email, timeZone, location } = state.booking;
+      if (!name.trim() || !ValidationUtils.isValidEmail(email.trim())) {
+        showNotification(
+          "Enter the candidate's name and email address first.",
+          "error"
         );
+        return;
+      }
+      run(async () => {
+        const interview = await SchedulingService.schedule({
+          jdId: state.jobDescription.id,
+          stageId,
+          start: slot.start,
+          candidate: { name: name.trim(), email: email.trim() },
+          ...(timeZone.trim() && { timeZone: timeZone.trim() }),
+          ...(location.trim() && { location: location.trim() }),
+        });
+        state.interviews = [...state.interviews, interview].sort((a, b) =>
+          a.start.localeCompare(b.start)
+        );
+        state.slots = null;
+        Object.assign(state.booking, { name: "", email: "" });
+        showNotification(
+          interview.invite?.sent
+            ? `Interview booked. The invite was sent to ${interview.candidate.name} and the interviewers.`
+            : "Interview booked, but the invite could not be sent. Download it from the schedule instead.",
+          interview.invite?.sent ? "success" : "warning"
+        );
+        await refreshOutbox();
+      }, "Could not book the interview");
+    };
 
-        // Create user object without storing plain text password
-        const newUser = {
-          username: fields.username,
-          email: fields.email,
-          first: fields.first,
-          last: fields.last,
-          hashedPassword: hashedPassword,
-          salt: salt,
-          createdAt: new Date().toISOString(),
-        };
-
-        const users = StorageManager.loadUsers();
-        users.push(newUser);
-        StorageManager.saveUsers(users);
+    const handleCancel = (interview) => {
+      if (
+        !confirm(
+          `Cancel the ${interview.stageName} interview with ${interview.candidate.name}? Everyone invited gets a cancellation.`
+        )
+      ) {
+        return;
+      }
+      run(async () => {
+        const cancelled = await SchedulingService.cancel(interview.id);
+        state.interviews = state.interviews.map((i) =>
+          i.id === cancelled.id ? cancelled : i
+        );
+        await refreshOutbox();
+      }, "Could not cancel the interview");
+    };
 
-        showNotification(
-          "Account created successfully! You can now login.",
-          "success"
+    const handleDownload = async (interview) => {
+      try {
+        downloadText(
+          `interview-${interview.start.slice(0, 10)}.ics`,
+          await SchedulingService.getInvite(interview.id),
+          "text/calendar"
         );
-        setTimeout(() => {
-          location.hash = "#/login";
-        }, 1500);
       } catch (error) {
-        console.error("Signup error:", error);
-        showNotification("Account creation failed. Please try again.", "error");
+        showNotification(
+          "Could not download the invite: " + error.message,
+          "error"
+        );
       }
     };
 
-    const handlePasswordChange = () => {
-      const password = DOMUtils.select("#su-password").value;
-      const strengthIndicator = DOMUtils.select("#password-strength");
+    rerender = () => {
+      if (location.hash !== routeHash) return;
+      const root = DOMUtils.select("#app");
+      root.innerHTML = "";
+      root.appendChild(
+        Views.renderInterviewScheduling(jobDescriptions, state, {
+          localZone,
+          onJDSelect: handleJobDescriptionSelect,
+          onEditInterviewer: handleEditInterviewer,
+          onCancelEdit: () => {
+            state.draft = null;
+            rerender();
+          },
+          onSaveInterviewer: handleSaveInterviewer,
+          onRemoveInterviewer: handleRemoveInterviewer,
+          onSaveLoop: handleSaveLoop,
+          onFindSlots: handleFindSlots,
+          onBook: handleBook,
+          onCancelInterview: handleCancel,
+          onDownload: handleDownload,
+          rerender,
+        })
+      );
+    };
 
-      if (strengthIndicator && password) {
-        const validation = PasswordSecurity.validatePasswordStrength(password);
-        const strength = validation.strength;
+    Promise.all([
+      JDService.listAll(),
+      SchedulingService.listInterviewers(),
+      SchedulingService.listOutbox(),
+    ])
+      .then(([items, interviewers, outbox]) => {
+        // Translations are the same job, so only originals get a loop
+        jobDescriptions = items.filter((jd) => !jd.variantOf);
+        state.interviewers = interviewers;
+        state.outbox = outbox;
+      })
+      .catch((error) => {
+        showNotification(
+          "Could not load interview scheduling: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      })
+      .finally(() => rerender());
 
-        let strengthText = "";
-        let strengthColor = "";
+    return UIComponents.createLoadingSpinner("Loading interview scheduling...");
+  },
 
-        if (strength < 30) {
-          strengthText = "Weak";
-          strengthColor = "#ef4444";
-        } else if (strength < 60) {
-          strengthText = "Medium";
-          strengthColor = "#f59e0b";
-        } else if (strength < 80) {
-          strengthText = "Good";
-          strengthColor = "#10b981";
-        } else {
-          strengthText = "Strong";
-          strengthColor = "#059669";
-        }
+  /**
+   * Format an instant for the schedule, e.g. "Tue, Oct 20, 11:00 AM"
+   * @param {string} iso - ISO date-time
+   * @param {string|null} zone - IANA time zone; null for the browser's
+   * @returns {string}
+   */
+  formatInterviewTime(iso, zone) {
+    return new Date(iso).toLocaleString(undefined, {
+      ...(zone && { timeZone: zone }),
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  },
 
-        strengthIndicator.textContent = `Password Strength: ${strengthText} (${strength}%)`;
-        strengthIndicator.style.color = strengthColor;
-        strengthIndicator.style.fontSize = "12px";
-        strengthIndicator.style.marginTop = "4px";
-      }
-    };
+  /**
+   * Render the interview scheduling screen
+   * @param {Array} jobDescriptions - Saved job descriptions
+   * @param {Object} state - See Views.InterviewScheduling()
+   * @param {Object} handlers - Event handlers, plus `localZone` and `rerender`
+   * @returns {Element} Interview scheduling element
+   */
+  renderInterviewScheduling(jobDescriptions, state, handlers) {
+    const jd = state.jobDescription;
 
-    return UIComponents.createSection("Create your account", [
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          "Interview Scheduling"
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          "Set up interview loops, find times that work for every interviewer and the candidate, and send calendar invites"
+        ),
+        DOMUtils.createElement("div", { class: "form" }, [
+          DOMUtils.createElement(
+            "label",
+            { for: "is-jd-select" },
+            "Job Description:"
+          ),
+          jobDescriptions.length > 0
+            ? DOMUtils.createElement(
+                "select",
+                {
+                  id: "is-jd-select",
+                  class: "input",
+                  disabled: state.isBusy,
+                  onchange: (e) =>
+                    handlers.onJDSelect(
+                      jobDescriptions.find((j) => j.id === e.target.value)
+                    ),
+                },
+                [
+                  DOMUtils.createElement(
+                    "option",
+                    { value: "" },
+                    "Choose a job description..."
+                  ),
+                  ...jobDescriptions.map((j) =>
+                    DOMUtils.createElement(
+                      "option",
+                      { value: j.id, selected: jd?.id === j.id },
+                      `${j.title} - ${new Date(
+                        j.createdAt
+                      ).toLocaleDateString()}`
+                    )
+                  ),
+                ]
+              )
+            : UIComponents.createNotice(
+                "No saved job descriptions yet. Create one with the Job Description Builder to schedule interviews for it.",
+                "info"
+              ),
+        ]),
+      ]),
+
+      // Time zone suggestions for the interviewer and candidate fields
       DOMUtils.createElement(
-        "form",
-        { class: "form", onsubmit: handleSubmit },
+        "datalist",
+        { id: "is-zones" },
+        (Intl.supportedValuesOf?.("timeZone") || []).map((zone) =>
+          DOMUtils.createElement("option", { value: zone })
+        )
+      ),
+      Views.renderInterviewersPanel(state, handlers),
+      jd ? Views.renderInterviewLoopPanel(state, handlers) : null,
+      jd ? Views.renderSlotFinder(state, handlers) : null,
+      jd ? Views.renderInterviewSchedule(state, handlers) : null,
+      Views.renderOutbox(state.outbox),
+    ]);
+  },
+
+  /**
+   * Render the interviewer list and the add/edit form
+   * @param {Object} state - Interview scheduling state
+   * @param {Object} handlers - Interview scheduling handlers
+   * @returns {Element} Interviewers card
+   */
+  renderInterviewersPanel(state, handlers) {
+    const { WEEKDAYS } = CONSTANTS.INTERVIEWS;
+    const draft = state.draft;
+    const hoursText = (availability) =>
+      availability.length
+        ? availability
+            .map((w) => `${WEEKDAYS[w.day]} ${w.start}–${w.end}`)
+            .join(", ")
+        : "No hours set";
+
+    const renderWindow = (window, index) =>
+      DOMUtils.createElement(
+        "div",
+        {
+          class: "availability-row",
+          style:
+            "display: flex; gap: 8px; align-items: center; margin-top: 6px;",
+        },
         [
-          UIComponents.createLabel("su-first", "First Name"),
-          UIComponents.createTextInput(
-            "First Name",
-            CONSTANTS.INPUT_TYPES.TEXT,
-            "first",
-            "su-first"
-          ),
-          UIComponents.createLabel("su-last", "Last Name"),
-          UIComponents.createTextInput(
-            "Last Name",
-            CONSTANTS.INPUT_TYPES.TEXT,
-            "last",
-            "su-last"
+          DOMUtils.createElement(
+            "select",
+            {
+              class: "input",
+              style: "width: auto;",
+              ariaLabel: "Day",
+              onchange: (e) => (window.day = Number(e.target.value)),
+            },
+            WEEKDAYS.map((label, day) =>
+              DOMUtils.createElement(
+                "option",
+                { value: String(day), selected: window.day === day },
+                label
+              )
+            )
           ),
-          UIComponents.createLabel("su-username", "Username"),
-          UIComponents.createTextInput(
-            "Username",
-            CONSTANTS.INPUT_TYPES.TEXT,
-            "username",
-            "su-username"
+          DOMUtils.createElement("input", {
+            type: "time",
+            class: "input",
+            style: "width: auto;",
+            ariaLabel: "From",
+            value: window.start,
+            oninput: (e) => (window.start = e.target.value),
+          }),
+          DOMUtils.createElement("span", {}, "to"),
+          DOMUtils.createElement("input", {
+            type: "time",
+            class: "input",
+            style: "width: auto;",
+            ariaLabel: "Until",
+            value: window.end,
+            oninput: (e) => (window.end = e.target.value),
+          }),
+          UIComponents.createButton("Remove", {
+            variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+            onClick: () => {
+              draft.availability.splice(index, 1);
+              handlers.rerender();
+            },
+          }),
+        ]
+      );
+
+    const editor =
+      draft &&
+      DOMUtils.createElement(
+        "div",
+        {
+          id: "is-interviewer-form",
+          class: "form",
+          style:
+            "margin-top: 16px; padding-top: 16px; border-top: 1px solid #e5e7eb;",
+        },
+        [
+          DOMUtils.createElement(
+            "h4",
+            { style: "margin: 0 0 8px 0;" },
+            draft.id ? `Edit ${draft.name}` : "New interviewer"
           ),
-          UIComponents.createLabel("su-email", "Email"),
-          UIComponents.createTextInput(
-            "Email",
-            CONSTANTS.INPUT_TYPES.EMAIL,
-            "email",
-            "su-email"
+          DOMUtils.createElement("label", { for: "is-name" }, "Name:"),
+          DOMUtils.createElement("input", {
+            id: "is-name",
+            class: "input",
+            value: draft.name,
+            oninput: (e) => (draft.name = e.target.value),
+          }),
+          DOMUtils.createElement("label", { for: "is-email" }, "Email:"),
+          DOMUtils.createElement("input", {
+            id: "is-email",
+            type: "email",
+            class: "input",
+            value: draft.email,
+            oninput: (e) => (draft.email = e.target.value),
+          }),
+          DOMUtils.createElement("label", { for: "is-zone" }, "Time zone:"),
+          DOMUtils.createElement("input", {
+            id: "is-zone",
+            class: "input",
+            list: "is-zones",
+            placeholder: "e.g. Europe/Berlin",
+            value: draft.timeZone,
+            oninput: (e) => (draft.timeZone = e.target.value.trim()),
+          }),
+          DOMUtils.createElement(
+            "label",
+            { style: "margin-top: 12px; display: block;" },
+            "Weekly hours for interviews (in their time zone):"
           ),
-          UIComponents.createLabel("su-password", "Password"),
-          DOMUtils.createElement("div", { class: "password-input-container" }, [
-            DOMUtils.createElement("input", {
-              class: "input",
-              id: "su-password",
-              type: CONSTANTS.INPUT_TYPES.PASSWORD,
-              name: "password",
-              placeholder: "Create a strong password",
-              oninput: handlePasswordChange,
-              style: "padding-right: 40px;",
+          ...draft.availability.map(renderWindow),
+          DOMUtils.createElement("div", { style: "margin-top: 8px;" }, [
+            UIComponents.createButton("Add Hours", {
+              variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+              onClick: () => {
+                draft.availability.push({
+                  day: 1,
+                  start: "09:00",
+                  end: "17:00",
+                });
+                handlers.rerender();
+              },
             }),
-            DOMUtils.createElement(
-              "button",
-              {
-                type: "button",
-                class: "password-toggle-btn",
-                id: "su-password-toggle",
-                onclick: () => {
-                  const passwordInput = DOMUtils.select("#su-password");
-                  const toggleBtn = DOMUtils.select("#su-password-toggle");
+          ]),
+          DOMUtils.createElement(
+            "div",
+            { style: "display: flex; gap: 8px; margin-top: 16px;" },
+            [
+              DOMUtils.createElement(
+                "button",
+                {
+                  id: "is-save-interviewer",
+                  class: UIComponents.getButtonClassName(
+                    CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                  ),
+                  disabled: state.isBusy,
+                  onclick: handlers.onSaveInterviewer,
+                },
+                "Save Interviewer"
+              ),
+              UIComponents.createButton("Cancel", {
+                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                onClick: handlers.onCancelEdit,
+              }),
+            ]
+          ),
+        ]
+      );
 
-                  if (passwordInput.type === "password") {
-                    passwordInput.type = "text";
-                    toggleBtn.innerHTML = "👁️";
-                    toggleBtn.title = "Hide password";
-                  } else {
-                    passwordInput.type = "password";
-                    toggleBtn.innerHTML = "🙈";
-                    toggleBtn.title = "Show password";
-                  }
+    return DOMUtils.createElement("div", { class: "card" }, [
+      DOMUtils.createElement("h3", { style: "margin-top: 0;" }, "Interviewers"),
+      state.interviewers.length
+        ? DOMUtils.createElement(
+            "ul",
+            { id: "is-interviewers", style: "list-style: none; padding: 0;" },
+            state.interviewers.map((interviewer) =>
+              DOMUtils.createElement(
+                "li",
+                {
+                  style:
+                    "display: flex; gap: 12px; align-items: center; justify-content: space-between; padding: 8px 0; border-top: 1px solid #e5e7eb;",
                 },
-                title: "Show password",
-                style:
-                  "position: absolute; right: 8px; top: 50%; transform: translateY(-50%); background: none; border: none; cursor: pointer; font-size: 16px; padding: 4px;",
-              },
-              "🙈"
-            ),
-          ]),
-          DOMUtils.createElement("div", { id: "password-strength" }),
+                [
+                  DOMUtils.createElement("div", {}, [
+                    DOMUtils.createElement("strong", {}, interviewer.name),
+                    DOMUtils.createElement(
+                      "div",
+                      { class: "caption" },
+                      `${interviewer.email} • ${interviewer.timeZone}`
+                    ),
+                    DOMUtils.createElement(
+                      "div",
+                      { class: "caption" },
+                      hoursText(interviewer.availability)
+                    ),
+                  ]),
+                  DOMUtils.createElement("div", { style: "display: flex;" }, [
+                    UIComponents.createButton("Edit", {
+                      variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                      onClick: () => handlers.onEditInterviewer(interviewer),
+                    }),
+                    UIComponents.createButton("Remove", {
+                      variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                      onClick: () => handlers.onRemoveInterviewer(interviewer),
+                    }),
+                  ]),
+                ]
+              )
+            )
+          )
+        : DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "No interviewers yet. Add the people who run interviews and the hours they keep free for them."
+          ),
+      draft
+        ? editor
+        : UIComponents.createButton("Add Interviewer", {
+            variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+            onClick: () => handlers.onEditInterviewer(null),
+          }),
+    ]);
+  },
+
+  /**
+   * Render the stage editor for a job description's interview loop
+   * @param {Object} state - Interview scheduling state
+   * @param {Object} handlers - Interview scheduling handlers
+   * @returns {Element} Interview loop card
+   */
+  renderInterviewLoopPanel(state, handlers) {
+    const renderStage = (stage, index) =>
+      DOMUtils.createElement(
+        "div",
+        {
+          class: "interview-stage",
+          style: "padding: 12px 0; border-top: 1px solid #e5e7eb;",
+        },
+        [
           DOMUtils.createElement(
             "div",
-            {
-              style: "margin: 8px 0; font-size: 12px; color: #6b7280;",
-            },
+            { style: "display: flex; gap: 8px; align-items: center;" },
             [
               DOMUtils.createElement(
-                "p",
-                { style: "margin: 4px 0;" },
-                "Password requirements:"
+                "span",
+                { style: "font-weight: 600;" },
+                `${index + 1}.`
               ),
+              DOMUtils.createElement("input", {
+                class: "input",
+                placeholder: "Stage name, e.g. Technical interview",
+                ariaLabel: "Stage name",
+                value: stage.name,
+                oninput: (e) => (stage.name = e.target.value),
+              }),
               DOMUtils.createElement(
-                "ul",
-                { style: "margin: 4px 0; padding-left: 16px;" },
-                [
-                  DOMUtils.createElement(
-                    "li",
-                    {},
-                    "At least 8 characters long"
-                  ),
-                  DOMUtils.createElement(
-                    "li",
-                    {},
-                    "Contains uppercase and lowercase letters"
-                  ),
-                  DOMUtils.createElement(
-                    "li",
-                    {},
-                    "Contains at least one number"
-                  ),
+                "select",
+                {
+                  class: "input",
+                  style: "width: auto;",
+                  ariaLabel: "Length",
+                  onchange: (e) =>
+                    (stage.durationMinutes = Number(e.target.value)),
+                },
+                CONSTANTS.INTERVIEWS.DURATIONS.map((minutes) =>
                   DOMUtils.createElement(
-                    "li",
-                    {},
-                    "Contains at least one special character"
-                  ),
-                ]
+                    "option",
+                    {
+                      value: String(minutes),
+                      selected: stage.durationMinutes === minutes,
+                    },
+                    `${minutes} min`
+                  )
+                )
               ),
+              UIComponents.createButton("Remove", {
+                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                onClick: () => {
+                  state.stages.splice(index, 1);
+                  handlers.rerender();
+                },
+              }),
             ]
           ),
-          UIComponents.createButton("Sign up"),
-          DOMUtils.createElement("div", {}, [
-            DOMUtils.createElement(
-              "span",
-              { class: "caption" },
-              "Already have an account? "
-            ),
-            DOMUtils.createElement("a", { href: "#/login" }, "Login"),
-          ]),
+          state.interviewers.length
+            ? DOMUtils.createElement(
+                "div",
+                {
+                  style:
+                    "display: flex; gap: 12px; flex-wrap: wrap; margin-top: 8px;",
+                },
+                state.interviewers.map((interviewer) =>
+                  DOMUtils.createElement(
+                    "label",
+                    {
+                      style:
+                        "display: flex; align-items: center; gap: 4px; cursor: pointer;",
+                    },
+                    [
+                      DOMUtils.createElement("input", {
+                        type: "checkbox",
+                        style: "margin: 0;",
+                        checked: stage.interviewerIds.includes(interviewer.id),
+                        onchange: (e) => {
+                          stage.interviewerIds = e.target.checked
+                            ? [...stage.interviewerIds, interviewer.id]
+                            : stage.interviewerIds.filter(
+                                (id) => id !== interviewer.id
+                              );
+                        },
+                      }),
+                      interviewer.name,
+                    ]
+                  )
+                )
+              )
+            : null,
+        ]
+      );
+
+    return DOMUtils.createElement("div", { class: "card" }, [
+      DOMUtils.createElement(
+        "h3",
+        { style: "margin-top: 0;" },
+        "Interview Loop"
+      ),
+      DOMUtils.createElement(
+        "p",
+        { class: "caption" },
+        "The stages a candidate goes through for this job, in order. Every interviewer ticked for a stage joins it."
+      ),
+      ...state.stages.map(renderStage),
+      DOMUtils.createElement(
+        "div",
+        { style: "display: flex; gap: 8px; margin-top: 12px;" },
+        [
+          UIComponents.createButton("Add Stage", {
+            variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+            onClick: () => {
+              state.stages.push({
+                name: "",
+                durationMinutes: 60,
+                interviewerIds: [],
+              });
+              handlers.rerender();
+            },
+          }),
+          DOMUtils.createElement(
+            "button",
+            {
+              id: "is-save-loop",
+              class: UIComponents.getButtonClassName(
+                CONSTANTS.BUTTON_VARIANTS.PRIMARY
+              ),
+              disabled: state.isBusy,
+              onclick: handlers.onSaveLoop,
+            },
+            "Save Loop"
+          ),
         ]
       ),
     ]);
   },
 
   /**
-   * Sales workspace screen
-   * @returns {Element} Sales view element
+   * Render the candidate form and the matching slots
+   * @param {Object} state - Interview scheduling state
+   * @param {Object} handlers - Interview scheduling handlers
+   * @returns {Element} Slot finder card
    */
-  Sales() {
-    return UIComponents.createSection("Sales Workspace", [
-      DOMUtils.createElement("div", { class: "grid grid-2" }, [
-        UIComponents.createSection("Job Description Builder", [
-          DOMUtils.createElement(
-            "p",
-            { class: "caption" },
-            "Create compelling sales job descriptions with AI assistance"
-          ),
-          UIComponents.createButton("Start Building", {
-            href: "#/jd-builder",
-            style: "width: 100%; justify-content: center;",
-          }),
-        ]),
-        UIComponents.createSection("Your Sales JDs", [
-          DOMUtils.createElement(
+  renderSlotFinder(state, handlers) {
+    const { booking, slots, jdTimeZone } = state;
+    const saved = state.stages.filter((stage) => stage.id);
+    const jdZoneText = jdTimeZone?.zone
+      ? `the job's time zone (${jdTimeZone.zone})`
+      : jdTimeZone?.flexible
+      ? "any time (the job's hours are flexible)"
+      : "any time (the job has no time zone we recognize)";
+    // Candidate hours are shown in their zone, next to the recruiter's own
+    const candidateZone = slots?.timeZone.zone || null;
+    const field = (id, label, key, attrs = {}) => [
+      DOMUtils.createElement("label", { for: id }, label),
+      DOMUtils.createElement("input", {
+        id,
+        class: "input",
+        value: booking[key],
+        oninput: (e) => (booking[key] = e.target.value),
+        ...attrs,
+      }),
+    ];
+
+    return DOMUtils.createElement("div", { class: "card" }, [
+      DOMUtils.createElement("h3", { style: "margin-top: 0;" }, "Find a Time"),
+      saved.length
+        ? DOMUtils.createElement("div", { class: "form" }, [
+            DOMUtils.createElement("label", { for: "is-stage" }, "Stage:"),
+            DOMUtils.createElement(
+              "select",
+              {
+                id: "is-stage",
+                class: "input",
+                onchange: (e) => {
+                  booking.stageId = e.target.value;
+                  state.slots = null;
+                  handlers.rerender();
+                },
+              },
+              saved.map((stage) =>
+                DOMUtils.createElement(
+                  "option",
+                  { value: stage.id, selected: booking.stageId === stage.id },
+                  `${stage.name} (${stage.durationMinutes} min)`
+                )
+              )
+            ),
+            ...field("is-candidate-name", "Candidate name:", "name"),
+            ...field("is-candidate-email", "Candidate email:", "email", {
+              type: "email",
+            }),
+            ...field("is-candidate-zone", "Candidate time zone:", "timeZone", {
+              list: "is-zones",
+              placeholder: jdTimeZone?.zone || "Leave empty for any time",
+            }),
+            DOMUtils.createElement(
+              "p",
+              { class: "caption" },
+              `Times are matched to weekdays 9:00–17:00 in the candidate's time zone. Left empty, ${jdZoneText} is used.`
+            ),
+            ...field("is-location", "Location or video link:", "location", {
+              placeholder: "https://meet.example.com/...",
+            }),
+            DOMUtils.createElement("div", { style: "margin-top: 12px;" }, [
+              DOMUtils.createElement(
+                "button",
+                {
+                  id: "is-find",
+                  class: UIComponents.getButtonClassName(
+                    CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                  ),
+                  disabled: state.isBusy,
+                  onclick: handlers.onFindSlots,
+                },
+                state.isBusy && !slots ? "Searching..." : "Find Times"
+              ),
+            ]),
+          ])
+        : DOMUtils.createElement(
             "p",
             { class: "caption" },
-            "View and manage your saved sales job descriptions"
+            "Save an interview loop with at least one stage to find interview times."
           ),
-          UIComponents.createButton("View All", {
-            href: "#/jd-view",
-            variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-            style: "width: 100%; justify-content: center;",
-          }),
-        ]),
-      ]),
-      DOMUtils.createElement(
-        "div",
-        { class: "grid grid-2", style: "margin-top: 24px;" },
+      slots
+        ? slots.slots.length
+          ? DOMUtils.createElement(
+              "ul",
+              {
+                id: "is-slots",
+                style: "list-style: none; padding: 0; margin-top: 16px;",
+              },
+              slots.slots.map((slot) =>
+                DOMUtils.createElement(
+                  "li",
+                  {
+                    style:
+                      "display: flex; gap: 12px; align-items: center; justify-content: space-between; padding: 6px 0; border-top: 1px solid #e5e7eb;",
+                  },
+                  [
+                    DOMUtils.createElement("div", {}, [
+                      DOMUtils.createElement(
+                        "strong",
+                        {},
+                        Views.formatInterviewTime(slot.start, candidateZone)
+                      ),
+                      candidateZone
+                        ? DOMUtils.createElement(
+                            "span",
+                            { class: "caption" },
+                            ` candidate (${candidateZone}) · ${Views.formatInterviewTime(
+                              slot.start,
+                              handlers.localZone
+                            )} yours`
+                          )
+                        : null,
+                    ]),
+                    DOMUtils.createElement(
+                      "button",
+                      {
+                        class: UIComponents.getButtonClassName(
+                          CONSTANTS.BUTTON_VARIANTS.SECONDARY
+                        ),
+                        disabled: state.isBusy,
+                        onclick: () => handlers.onBook(slot),
+                      },
+                      "Book"
+                    ),
+                  ]
+                )
+              )
+            )
+          : UIComponents.createNotice(
+              "No times in the next two weeks work for every interviewer and the candidate. Add interviewer hours or change the stage's panel.",
+              "info"
+            )
+        : null,
+    ]);
+  },
+
+  /**
+   * Render the job's booked interviews, grouped by day
+   * @param {Object} state - Interview scheduling state
+   * @param {Object} handlers - Interview scheduling handlers
+   * @returns {Element} Schedule card
+   */
+  renderInterviewSchedule(state, handlers) {
+    const days = new Map();
+    for (const interview of state.interviews) {
+      const day = new Date(interview.start).toLocaleDateString(undefined, {
+        weekday: "long",
+        month: "long",
+        day: "numeric",
+      });
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(interview);
+    }
+
+    const renderInterview = (interview) => {
+      const cancelled = interview.status === "cancelled";
+      const time = (iso) =>
+        new Date(iso).toLocaleTimeString(undefined, {
+          hour: "numeric",
+          minute: "2-digit",
+        });
+      return DOMUtils.createElement(
+        "li",
+        {
+          class: "interview",
+          style: `display: flex; gap: 12px; align-items: center; justify-content: space-between; padding: 8px 0; border-top: 1px solid #e5e7eb;${
+            cancelled ? " opacity: 0.6;" : ""
+          }`,
+        },
         [
-          UIComponents.createSection("Candidate Sourcing", [
+          DOMUtils.createElement("div", {}, [
             DOMUtils.createElement(
-              "p",
-              { class: "caption" },
-              "Find top sales talent using AI-powered search strategies"
+              "strong",
+              { style: cancelled ? "text-decoration: line-through;" : "" },
+              `${time(interview.start)}–${time(interview.end)} · ${
+                interview.stageName
+              } with ${interview.candidate.name}`
             ),
-            UIComponents.createButton("Start Sourcing", {
-              href: "#/sourcing",
-              variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-              style: "width: 100%; justify-content: center;",
-            }),
-          ]),
-          UIComponents.createSection("Quick Actions", [
             DOMUtils.createElement(
-              "p",
+              "div",
               { class: "caption" },
-              "Common sales recruitment tasks"
+              [
+                interview.interviewers.map((i) => i.name).join(", "),
+                interview.timeZone &&
+                  `${Views.formatInterviewTime(
+                    interview.start,
+                    interview.timeZone
+                  )} for the candidate (${interview.timeZone})`,
+                cancelled
+                  ? "Cancelled"
+                  : interview.invite?.sent === false && "Invite not sent",
+              ]
+                .filter(Boolean)
+                .join(" • ")
             ),
-            DOMUtils.createElement("div", { class: "grid" }, [
-              UIComponents.createButton("Back to Home", {
-                href: "#/",
-                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-                style: "width: 100%; justify-content: center;",
-              }),
-            ]),
+          ]),
+          DOMUtils.createElement("div", { style: "display: flex;" }, [
+            UIComponents.createButton("Download .ics", {
+              variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+              onClick: () => handlers.onDownload(interview),
+            }),
+            cancelled
+              ? null
+              : UIComponents.createButton("Cancel", {
+                  variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                  onClick: () => handlers.onCancelInterview(interview),
+                }),
           ]),
         ]
-      ),
+      );
+    };
+
+    return DOMUtils.createElement("div", { class: "card" }, [
+      DOMUtils.createElement("h3", { style: "margin-top: 0;" }, "Schedule"),
+      days.size
+        ? DOMUtils.createElement(
+            "div",
+            { id: "is-schedule" },
+            [...days].map(([day, interviews]) =>
+              DOMUtils.createElement("div", { style: "margin-top: 12px;" }, [
+                DOMUtils.createElement(
+                  "h4",
+                  { style: "margin: 0 0 4px 0;" },
+                  day
+                ),
+                DOMUtils.createElement(
+                  "ul",
+                  { style: "list-style: none; padding: 0; margin: 0;" },
+                  interviews.map(renderInterview)
+                ),
+              ])
+            )
+          )
+        : DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "No interviews booked for this job yet."
+          ),
     ]);
   },
-};
-
-// ============================================================================
-// ROUTING
-// ============================================================================
 
-/**
- * Application routing configuration
- */
-const Router = {
-  routes: {
-    "": Views.Home,
-    "#/": Views.Home,
-    "#/login": Views.Login,
-    "#/signup": Views.Signup,
-    // Additional routes will be added after Views object is extended
+  /**
+   * Render the invites the server's mail outbox has sent
+   * @param {Array} messages - Outbox records, newest first
+   * @returns {Element} Outbox card
+   */
+  renderOutbox(messages) {
+    return DOMUtils.createElement("div", { class: "card" }, [
+      DOMUtils.createElement("h3", { style: "margin-top: 0;" }, "Sent Invites"),
+      DOMUtils.createElement(
+        "p",
+        { class: "caption" },
+        "Invites are written to the server's mail outbox as .eml files."
+      ),
+      messages.length
+        ? DOMUtils.createElement(
+            "ul",
+            { id: "is-outbox", style: "list-style: none; padding: 0;" },
+            messages
+              .slice(0, 10)
+              .map((message) =>
+                DOMUtils.createElement(
+                  "li",
+                  { style: "padding: 6px 0; border-top: 1px solid #e5e7eb;" },
+                  [
+                    DOMUtils.createElement("div", {}, message.subject),
+                    DOMUtils.createElement(
+                      "div",
+                      { class: "caption" },
+                      `To ${message.to
+                        .map((person) => person.name || person.email)
+                        .join(", ")} • ${new Date(
+                        message.sentAt
+                      ).toLocaleString()}`
+                    ),
+                  ]
+                )
+              )
+          )
+        : DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "Nothing sent yet."
+          ),
+    ]);
   },
 
   /**
-   * Render the current view based on hash
+   * Interview feedback screen: each interviewer's scorecard against the JD's
+   * criteria, and the panel's combined hire / no-hire summary per candidate
+   * @returns {Element} Interview feedback view element
    */
-  render() {
-    const root = DOMUtils.select("#app");
-    if (!root) {
-      console.error("App root element not found");
-      return;
-    }
+  InterviewFeedback() {
+    const routeHash = location.hash;
+    let jobDescriptions = [];
 
-    root.innerHTML = "";
-    const currentHash = location.hash;
-    const view = this.routes[currentHash] || Views.Home;
+    const state = {
+      jobDescription: null,
+      // [{ key, name, email, interviews }], from the JD's booked interviews
+      candidates: [],
+      // The scorecard or summary being shown
+      scorecard: null,
+      summary: null,
+      isBusy: false,
+    };
 
-    try {
-      const content = view();
-      if (!content || !content.nodeType) {
-        throw new Error(
-          `View function returned invalid content: ${typeof content}`
+    let rerender;
+
+    const run = async (task, failure) => {
+      state.isBusy = true;
+      rerender();
+      try {
+        await task();
+      } catch (error) {
+        showNotification(
+          `${failure}: ${
+            Object.values(error.fields || {})[0] || error.message
+          }`,
+          "error",
+          null,
+          error.requestId
         );
+      } finally {
+        state.isBusy = false;
+        rerender();
       }
-      root.appendChild(content);
-    } catch (error) {
-      console.error("Error rendering content:", error);
-      root.innerHTML = `
-        <div class="container">
-          <div class="card">
-            <h2>Error</h2>
-            <p>There was an error loading the page: ${error.message}</p>
-          </div>
-        </div>
-      `;
-    }
-  },
-};
+    };
 
-// ============================================================================
-// APPLICATION INITIALIZATION
-// ============================================================================
+    const handleJobDescriptionSelect = (jd) => {
+      Object.assign(state, {
+        jobDescription: jd || null,
+        candidates: [],
+        scorecard: null,
+        summary: null,
+      });
+      if (!jd) return rerender();
+      run(async () => {
+        const candidates = new Map();
+        for (const interview of await SchedulingService.listInterviews(jd.id)) {
+          if (interview.status === "cancelled") continue;
+          const key = interview.candidate.email.toLowerCase();
+          if (!candidates.has(key)) {
+            candidates.set(key, {
+              key,
+              ...interview.candidate,
+              interviews: [],
+            });
+          }
+          candidates.get(key).interviews.push(interview);
+        }
+        state.candidates = [...candidates.values()];
+      }, "Could not load the interviews");
+    };
 
-/**
- * Initialize the application
- */
-function initializeApp() {
-  // Set up event listeners
-  window.addEventListener("hashchange", () => {
-    Router.render();
-    NavigationManager.updateHeaderAuth();
-  });
+    const handleOpenScorecard = (interview) =>
+      run(async () => {
+        const { criteria, scorecard } = await ScorecardService.get(
+          interview.id
+        );
+        const ratings = Object.fromEntries(
+          (scorecard?.ratings || []).map((r) => [r.criterionId, { ...r }])
+        );
+        state.summary = null;
+        state.scorecard = {
+          interview,
+          criteria,
+          submitted: scorecard?.status === "submitted",
+          ratings,
+          recommendation: scorecard?.recommendation || "",
+          notes: scorecard?.notes || "",
+        };
+      }, "Could not open the scorecard");
 
-  window.addEventListener("DOMContentLoaded", () => {
-    const yearElement = DOMUtils.select("#year");
-    if (yearElement) {
-      yearElement.textContent = new Date().getFullYear();
-    }
-    Router.render();
-    NavigationManager.updateHeaderAuth();
-  });
-}
+    const handleSaveScorecard = (submit) => {
+      const draft = state.scorecard;
+      if (
+        submit &&
+        !confirm(
+          "Submit this scorecard? It can't be changed afterwards, and you'll see the rest of the panel's feedback."
+        )
+      ) {
+        return;
+      }
+      run(async () => {
+        await ScorecardService.save(draft.interview.id, {
+          ratings: draft.criteria
+            .map((c) => draft.ratings[c.id])
+            .filter((r) => r && (r.rating || r.evidence?.trim()))
+            .map(({ criterionId, rating, evidence }) => ({
+              criterionId,
+              ...(rating && { rating }),
+              evidence: evidence || "",
+            })),
+          ...(draft.recommendation && {
+            recommendation: draft.recommendation,
+          }),
+          notes: draft.notes,
+          submit,
+        });
+        if (submit) {
+          draft.submitted = true;
+          showNotification("Scorecard submitted.", "success");
+        } else {
+          showNotification("Draft saved.", "success");
+        }
+      }, "Could not save the scorecard");
+    };
 
-// Start the application
-initializeApp();
-/**
- * Clean Views Implementation
- * Additional views and components for the clean codebase
- */
+    const handleShowSummary = (candidate) =>
+      run(async () => {
+        state.scorecard = null;
+        state.summary = {
+          candidate,
+          ...(await ScorecardService.summary(
+            state.jobDescription.id,
+            candidate.email
+          )),
+        };
+      }, "Could not load the panel's feedback");
 
-// ============================================================================
-// ADDITIONAL VIEWS
-// ============================================================================
+    rerender = () => {
+      if (location.hash !== routeHash) return;
+      const root = DOMUtils.select("#app");
+      root.innerHTML = "";
+      root.appendChild(
+        Views.renderInterviewFeedback(jobDescriptions, state, {
+          onJDSelect: handleJobDescriptionSelect,
+          onOpenScorecard: handleOpenScorecard,
+          onSaveScorecard: handleSaveScorecard,
+          onShowSummary: handleShowSummary,
+        })
+      );
+    };
+
+    JDService.listAll()
+      .then((items) => {
+        jobDescriptions = items.filter((jd) => !jd.variantOf);
+      })
+      .catch((error) => {
+        showNotification(
+          "Could not load saved job descriptions: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      })
+      .finally(() => rerender());
+
+    return UIComponents.createLoadingSpinner("Loading job descriptions...");
+  },
 
-// Extend the Views object with additional methods
-Object.assign(Views, {
   /**
-   * Job Description View screen
-   * @returns {Element} JDView element
+   * Render the interview feedback screen
+   * @param {Array} jobDescriptions - Saved job descriptions
+   * @param {Object} state - See Views.InterviewFeedback()
+   * @param {Object} handlers - { onJDSelect, onOpenScorecard,
+   *   onSaveScorecard, onShowSummary }
+   * @returns {Element} Interview feedback element
    */
-  JDView() {
-    const jobDescriptions = StorageManager.loadJobDescriptions();
+  renderInterviewFeedback(jobDescriptions, state, handlers) {
+    const jd = state.jobDescription;
+    const now = new Date();
 
-    if (!jobDescriptions.length) {
-      return DOMUtils.createElement("div", { class: "container" }, [
-        DOMUtils.createElement("div", { class: "card network" }, [
-          DOMUtils.createElement(
-            "h2",
-            { class: "section-title" },
-            "Job Descriptions"
-          ),
+    const renderCandidate = (candidate) =>
+      DOMUtils.createElement(
+        "li",
+        {
+          class: "feedback-candidate",
+          style: "padding: 12px 0; border-top: 1px solid #e5e7eb;",
+        },
+        [
           DOMUtils.createElement(
-            "p",
-            { class: "subtitle" },
-            "No saved items yet."
+            "div",
+            {
+              style:
+                "display: flex; gap: 12px; align-items: center; justify-content: space-between;",
+            },
+            [
+              DOMUtils.createElement("div", {}, [
+                DOMUtils.createElement("strong", {}, candidate.name),
+                DOMUtils.createElement(
+                  "span",
+                  { class: "caption" },
+                  ` ${candidate.email}`
+                ),
+              ]),
+              UIComponents.createButton("Panel Summary", {
+                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                onClick: () => handlers.onShowSummary(candidate),
+              }),
+            ]
           ),
-          UIComponents.createButton("Create one now", { href: "#/jd-builder" }),
-        ]),
-      ]);
-    }
-
-    const latest = jobDescriptions[0];
-    const formatDate = (dateString) => new Date(dateString).toLocaleString();
-
-    const jobDescriptionItems = jobDescriptions.map((jd) =>
-      DOMUtils.createElement("div", { class: "item" }, [
-        DOMUtils.createElement("span", {
-          class: "icon",
-          innerHTML:
-            '<svg viewBox="0 0 24 24" fill="none"><rect x="4" y="3" width="16" height="18" rx="2" stroke-width="2"/><path d="M8 7h8M8 11h8M8 15h5" stroke-width="2"/></svg>',
-        }),
-        DOMUtils.createElement("div", {}, [
-          DOMUtils.createElement("strong", {}, jd.title),
           DOMUtils.createElement(
-            "div",
-            { class: "caption" },
-            formatDate(jd.createdAt)
+            "ul",
+            { style: "list-style: none; padding: 0; margin: 4px 0 0 0;" },
+            candidate.interviews.map((interview) => {
+              const started = new Date(interview.start) <= now;
+              return DOMUtils.createElement(
+                "li",
+                {
+                  style:
+                    "display: flex; gap: 12px; align-items: center; justify-content: space-between;",
+                },
+                [
+                  DOMUtils.createElement(
+                    "span",
+                    { class: "caption" },
+                    `${interview.stageName} · ${Views.formatInterviewTime(
+                      interview.start
+                    )} · ${interview.interviewers
+                      .map((i) => i.name)
+                      .join(", ")}`
+                  ),
+                  started
+                    ? UIComponents.createButton("Scorecard", {
+                        variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+                        onClick: () => handlers.onOpenScorecard(interview),
+                      })
+                    : DOMUtils.createElement(
+                        "span",
+                        { class: "caption" },
+                        "Not started yet"
+                      ),
+                ]
+              );
+            })
           ),
-        ]),
-        UIComponents.createButton("View", {
-          variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-          onClick: () => Views.showJobDescription(jd),
-        }),
-      ])
-    );
+        ]
+      );
 
     return DOMUtils.createElement("div", { class: "container" }, [
-      DOMUtils.createElement("div", { class: "grid grid-2" }, [
-        DOMUtils.createElement("section", { class: "card" }, [
-          DOMUtils.createElement("h3", {}, "Latest"),
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          "Interview Feedback"
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          "Rate candidates against the skills, goals, KPIs and superstar outcomes the job description promised"
+        ),
+        DOMUtils.createElement("div", { class: "form" }, [
           DOMUtils.createElement(
-            "pre",
-            { style: "white-space:pre-wrap" },
-            latest.content
+            "label",
+            { for: "fb-jd-select" },
+            "Job Description:"
           ),
-          DOMUtils.createElement(
-            "div",
-            { style: "display:flex; gap:8px; flex-wrap:wrap; marginTop:" },
-            [
-              UIComponents.createButton("Copy", {
-                onClick: () => copyToClipboard(latest.content),
-              }),
-              UIComponents.createButton("Download .txt", {
-                onClick: () =>
-                  downloadText(
-                    StringUtils.toFilename(latest.title || "job-description") +
-                      ".txt",
-                    latest.content
+          jobDescriptions.length > 0
+            ? DOMUtils.createElement(
+                "select",
+                {
+                  id: "fb-jd-select",
+                  class: "input",
+                  disabled: state.isBusy,
+                  onchange: (e) =>
+                    handlers.onJDSelect(
+                      jobDescriptions.find((j) => j.id === e.target.value)
+                    ),
+                },
+                [
+                  DOMUtils.createElement(
+                    "option",
+                    { value: "" },
+                    "Choose a job description..."
                   ),
-              }),
-              UIComponents.createButton("Open builder", {
-                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-                href: "#/jd-builder",
-              }),
-            ]
-          ),
-        ]),
-        DOMUtils.createElement("section", { class: "card" }, [
-          DOMUtils.createElement("h3", {}, "Saved job descriptions"),
-          DOMUtils.createElement("div", { class: "list" }, jobDescriptionItems),
+                  ...jobDescriptions.map((j) =>
+                    DOMUtils.createElement(
+                      "option",
+                      { value: j.id, selected: jd?.id === j.id },
+                      `${j.title} - ${new Date(
+                        j.createdAt
+                      ).toLocaleDateString()}`
+                    )
+                  ),
+                ]
+              )
+            : UIComponents.createNotice(
+                "No saved job descriptions yet. Create one with the Job Description Builder first.",
+                "info"
+              ),
         ]),
+        jd
+          ? state.candidates.length
+            ? DOMUtils.createElement(
+                "ul",
+                {
+                  id: "fb-candidates",
+                  style: "list-style: none; padding: 0; margin-top: 16px;",
+                },
+                state.candidates.map(renderCandidate)
+              )
+            : DOMUtils.createElement(
+                "p",
+                { class: "caption", style: "margin-top: 16px;" },
+                "No interviews booked for this job yet. Book them in Interview Scheduling."
+              )
+          : null,
       ]),
-    ]);
-  },
-
-  /**
-   * Show detailed job description view
-   * @param {Object} jobDescription - Job description object
-   */
-  showJobDescription(jobDescription) {
-    const handlePolish = async () => {
-      try {
-        const instructions = DOMUtils.select("#polish-notes").value.trim();
-        if (!instructions) {
-          showNotification("Add what you want to polish.", "error");
-          return;
-        }
-
-        const systemPrompt =
-          "You are a meticulous recruiter editor. Improve clarity, grammar, flow, and impact. Keep structure and bullet points. Do not invent facts; only refine based on the user's instructions.";
-        const content = `Original JD:\n\n${jobDescription.content}\n\nPolish instructions:\n${instructions}`;
-
-        const polished = StorageManager.isProxyEnabled()
-          ? await AIService.polishViaProxy(jobDescription.content, instructions)
-          : await AIService.chat([
-              { role: "system", content: systemPrompt },
-              { role: "user", content: content },
-            ]);
-
-        DOMUtils.select("#jd-text").textContent = polished;
-      } catch (error) {
-        showNotification(error.message || String(error), "error");
-      }
-    };
-
-    const handleSaveFinal = () => {
-      const jobDescriptions = StorageManager.loadJobDescriptions();
-      const updated = jobDescriptions.map((jd) =>
-        jd.id === jobDescription.id
-          ? {
-              ...jd,
-              text: DOMUtils.select("#jd-text").textContent,
-              final: true,
-            }
-          : jd
-      );
+      state.scorecard
+        ? Views.renderScorecardForm(state.scorecard, {
+            isBusy: state.isBusy,
+            onSave: handlers.onSaveScorecard,
+          })
+        : null,
+      state.summary ? Views.renderScorecardSummary(state.summary) : null,
+    ]);
+  },
 
-      StorageManager.saveJobDescriptions(updated);
-      showNotification("Saved final version.", "success");
-      location.hash = "#/jd-view";
-    };
+  /**
+   * Render a scorecard: a rating and evidence per criterion, grouped by
+   * kind, then a recommendation. Read-only once submitted.
+   * @param {Object} draft - { interview, criteria, submitted, ratings:
+   *   { criterionId: { rating, evidence } }, recommendation, notes }
+   * @param {Object} options - { isBusy, onSave(submit) }
+   * @returns {Element} Scorecard card
+   */
+  renderScorecardForm(draft, { isBusy, onSave }) {
+    const { CRITERION_KINDS, RATINGS, RECOMMENDATIONS } = CONSTANTS.SCORECARDS;
+    const locked = draft.submitted;
+    const ratingOf = (criterion) =>
+      (draft.ratings[criterion.id] ??= {
+        criterionId: criterion.id,
+        rating: null,
+        evidence: "",
+      });
 
-    const root = DOMUtils.select("#app");
-    root.innerHTML = "";
-    root.appendChild(
-      DOMUtils.createElement("div", { class: "container" }, [
-        DOMUtils.createElement("div", { class: "card network" }, [
-          DOMUtils.createElement(
-            "h2",
-            { class: "section-title" },
-            jobDescription.title
-          ),
+    const renderCriterion = (criterion) => {
+      const rating = ratingOf(criterion);
+      return DOMUtils.createElement(
+        "div",
+        {
+          class: "scorecard-criterion",
+          style: "padding: 8px 0; border-top: 1px solid #e5e7eb;",
+        },
+        [
+          DOMUtils.createElement("div", { style: "font-weight: 600;" }, [
+            criterion.text,
+          ]),
           DOMUtils.createElement(
-            "pre",
+            "select",
             {
-              id: "jd-text",
-              style: "white-space:pre-wrap",
+              class: "input",
+              style: "width: auto; margin-top: 4px;",
+              ariaLabel: `Rating for ${criterion.text}`,
+              disabled: locked,
+              onchange: (e) => (rating.rating = Number(e.target.value) || null),
             },
-            jobDescription.content
-          ),
-          DOMUtils.createElement(
-            "div",
-            { class: "card", style: "margin-top:12px" },
             [
-              DOMUtils.createElement("h4", {}, "Polish with AI"),
-              DOMUtils.createElement("textarea", {
-                class: "input",
-                id: "polish-notes",
-                rows: 4,
-                placeholder:
-                  "e.g., make it punchier, emphasize cloud migration, reduce buzzwords, add measurable KPIs...",
-              }),
-              DOMUtils.createElement(
-                "div",
-                { style: "display:flex; gap:8px; margin-top:8px" },
-                [
-                  UIComponents.createButton("Polish with AI", {
-                    onClick: handlePolish,
-                  }),
-                ]
+              DOMUtils.createElement("option", { value: "" }, "Not assessed"),
+              ...Object.entries(RATINGS).map(([value, label]) =>
+                DOMUtils.createElement(
+                  "option",
+                  { value, selected: rating.rating === Number(value) },
+                  `${value} · ${label}`
+                )
               ),
             ]
           ),
+          DOMUtils.createElement("textarea", {
+            class: "input",
+            rows: 2,
+            style: "margin-top: 4px;",
+            ariaLabel: `Evidence for ${criterion.text}`,
+            placeholder: "What did the candidate say or do that shows this?",
+            disabled: locked,
+            value: rating.evidence,
+            oninput: (e) => (rating.evidence = e.target.value),
+          }),
+        ]
+      );
+    };
+
+    return DOMUtils.createElement(
+      "div",
+      { id: "fb-scorecard", class: "card" },
+      [
+        DOMUtils.createElement(
+          "h3",
+          { style: "margin-top: 0;" },
+          `Scorecard: ${draft.interview.stageName} with ${draft.interview.candidate.name}`
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "caption" },
+          locked
+            ? "Submitted. Scorecards can't be changed once submitted."
+            : "Rate only what this interview covered, and note the evidence for each rating. The rest of the panel's feedback stays hidden until you submit."
+        ),
+        ...Object.entries(CRITERION_KINDS).flatMap(([kind, label]) => {
+          const criteria = draft.criteria.filter((c) => c.kind === kind);
+          return criteria.length
+            ? [
+                DOMUtils.createElement(
+                  "h4",
+                  { style: "margin: 16px 0 4px 0;" },
+                  label
+                ),
+                ...criteria.map(renderCriterion),
+              ]
+            : [];
+        }),
+        DOMUtils.createElement("div", { class: "form" }, [
+          DOMUtils.createElement(
+            "label",
+            { for: "fb-recommendation", style: "margin-top: 16px;" },
+            "Recommendation:"
+          ),
           DOMUtils.createElement(
-            "div",
+            "select",
             {
-              style: "display:flex; gap:8px; flex-wrap:wrap; margin-top:8px",
+              id: "fb-recommendation",
+              class: "input",
+              disabled: locked,
+              onchange: (e) => (draft.recommendation = e.target.value),
             },
             [
-              UIComponents.createButton("Copy", {
-                onClick: () => copyToClipboard(jobDescription.content),
-              }),
-              UIComponents.createButton("Download .txt", {
-                onClick: () =>
-                  downloadText(
-                    StringUtils.toFilename(
-                      jobDescription.title || "job-description"
-                    ) + ".txt",
-                    jobDescription.content
-                  ),
-              }),
-              UIComponents.createButton("Back to list", {
-                variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-                onClick: () => {
-                  location.hash = "#/jd-view";
-                },
-              }),
-              UIComponents.createButton("Save Final", {
-                onClick: handleSaveFinal,
-              }),
+              DOMUtils.createElement(
+                "option",
+                { value: "" },
+                "Choose a recommendation..."
+              ),
+              ...Object.entries(RECOMMENDATIONS).map(([value, { label }]) =>
+                DOMUtils.createElement(
+                  "option",
+                  { value, selected: draft.recommendation === value },
+                  label
+                )
+              ),
             ]
           ),
+          DOMUtils.createElement("label", { for: "fb-notes" }, "Notes:"),
+          DOMUtils.createElement("textarea", {
+            id: "fb-notes",
+            class: "input",
+            rows: 3,
+            disabled: locked,
+            value: draft.notes,
+            oninput: (e) => (draft.notes = e.target.value),
+          }),
         ]),
-      ])
+        locked
+          ? null
+          : DOMUtils.createElement(
+              "div",
+              { style: "display: flex; gap: 8px; margin-top: 16px;" },
+              [
+                DOMUtils.createElement(
+                  "button",
+                  {
+                    class: UIComponents.getButtonClassName(
+                      CONSTANTS.BUTTON_VARIANTS.SECONDARY
+                    ),
+                    disabled: isBusy,
+                    onclick: () => onSave(false),
+                  },
+                  "Save Draft"
+                ),
+                DOMUtils.createElement(
+                  "button",
+                  {
+                    id: "fb-submit",
+                    class: UIComponents.getButtonClassName(
+                      CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                    ),
+                    disabled: isBusy,
+                    onclick: () => onSave(true),
+                  },
+                  "Submit Scorecard"
+                ),
+              ]
+            ),
+      ]
     );
   },
 
   /**
-   * Sourcing screen
-   * @returns {Element} Sourcing view element
+   * Render the panel's combined feedback for a candidate
+   * @param {Object} result - { candidate, locked, count, summary, scorecards }
+   * @returns {Element} Summary card
    */
-  Sourcing() {
-    const jobDescriptions = StorageManager.loadJobDescriptions();
+  renderScorecardSummary(result) {
+    const { CRITERION_KINDS, RATINGS, RECOMMENDATIONS, DECISIONS } =
+      CONSTANTS.SCORECARDS;
+    const { candidate, summary } = result;
+    const badge = (text, color) =>
+      DOMUtils.createElement(
+        "span",
+        {
+          style: `background: ${color}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: 600; white-space: nowrap;`,
+        },
+        text
+      );
+
+    let body;
+    if (result.locked) {
+      body = [
+        UIComponents.createNotice(
+          `Submit your own scorecard for ${candidate.name} to see the panel's feedback (${result.count} submitted so far).`,
+          "info"
+        ),
+      ];
+    } else if (!summary.count) {
+      body = [
+        DOMUtils.createElement(
+          "p",
+          { class: "caption" },
+          "No scorecards submitted yet."
+        ),
+      ];
+    } else {
+      const decision = DECISIONS[summary.decision];
+      body = [
+        DOMUtils.createElement(
+          "div",
+          { style: "display: flex; gap: 8px; align-items: center;" },
+          [
+            badge(decision.label, decision.color),
+            DOMUtils.createElement(
+              "span",
+              { class: "caption" },
+              `${summary.count} scorecard${
+                summary.count === 1 ? "" : "s"
+              } · ${Object.entries(summary.recommendations)
+                .filter(([, count]) => count)
+                .map(
+                  ([value, count]) => `${count} ${RECOMMENDATIONS[value].label}`
+                )
+                .join(", ")}`
+            ),
+          ]
+        ),
+        DOMUtils.createElement(
+          "table",
+          {
+            style:
+              "width: 100%; border-collapse: collapse; margin-top: 12px; font-size: 14px;",
+          },
+          [
+            DOMUtils.createElement(
+              "tbody",
+              {},
+              summary.criteria.map((criterion) =>
+                DOMUtils.createElement(
+                  "tr",
+                  { style: "border-top: 1px solid #e5e7eb;" },
+                  [
+                    DOMUtils.createElement(
+                      "td",
+                      { style: "padding: 6px 8px;" },
+                      [
+                        DOMUtils.createElement(
+                          "div",
+                          { class: "caption" },
+                          CRITERION_KINDS[criterion.kind]
+                        ),
+                        criterion.text,
+                      ]
+                    ),
+                    DOMUtils.createElement(
+                      "td",
+                      { style: "padding: 6px 8px; white-space: nowrap;" },
+                      `${criterion.average} · ${
+                        RATINGS[Math.round(criterion.average)]
+                      } (${criterion.ratings.length})`
+                    ),
+                  ]
+                )
+              )
+            ),
+          ]
+        ),
+        ...result.scorecards.map((scorecard) =>
+          DOMUtils.createElement("details", { style: "margin-top: 8px;" }, [
+            DOMUtils.createElement(
+              "summary",
+              { style: "cursor: pointer;" },
+              `${scorecard.author.name || scorecard.author.username} (${
+                scorecard.stageName
+              }): ${RECOMMENDATIONS[scorecard.recommendation].label}`
+            ),
+            ...scorecard.ratings
+              .filter((r) => r.rating)
+              .map((r) =>
+                DOMUtils.createElement(
+                  "p",
+                  { style: "margin: 4px 0; font-size: 14px;" },
+                  `${
+                    scorecard.criteria.find((c) => c.id === r.criterionId)?.text
+                  }: ${r.rating} · ${RATINGS[r.rating]}. “${r.evidence}”`
+                )
+              ),
+            scorecard.notes &&
+              DOMUtils.createElement(
+                "p",
+                { class: "caption" },
+                scorecard.notes
+              ),
+          ])
+        ),
+      ];
+    }
+
+    return DOMUtils.createElement("div", { id: "fb-summary", class: "card" }, [
+      DOMUtils.createElement(
+        "h3",
+        { style: "margin-top: 0;" },
+        `Panel feedback for ${candidate.name}`
+      ),
+      ...body,
+    ]);
+  },
+
+  /**
+   * Candidate pipeline: a board per saved JD, with a column per stage.
+   * Cards are dragged between columns; the detail panel edits a candidate,
+   * moves them without dragging, tracks their outreach sequence and keeps
+   * their notes.
+   * @returns {Element} Pipeline view element
+   */
+  Pipeline() {
+    const routeHash = location.hash;
+    let jobDescriptions = [];
+
+    const emptyCandidate = () => ({
+      name: "",
+      email: "",
+      phone: "",
+      profileUrl: "",
+      source: "",
+      stage: "sourced",
+      note: "",
+    });
 
     const state = {
-      selectedJobDescription: null,
-      customJobDescription: "",
-      jobDescriptionSource:
-        jobDescriptions.length > 0
-          ? CONSTANTS.JD_SOURCES.SAVED
-          : CONSTANTS.JD_SOURCES.CUSTOM,
-      location: "",
+      jobDescription: null,
+      candidates: [],
+      // The add-candidate form, while open
+      newCandidate: null,
+      selectedId: null,
+      // Edits to the selected candidate's details, and their next note
+      details: null,
+      note: "",
+      // The user's outreach templates, loaded when a candidate is first
+      // opened, and the one (and the candidate's company) to start them on
+      templates: null,
+      outreach: { templateId: "", company: "" },
       isLoading: false,
-      results: null,
-      loadingStep: 0,
+      isBusy: false,
     };
 
-    // Define rerender function first
-    let rerenderSourcing;
+    let rerender;
 
-    const handleJobDescriptionSelect = (jd) => {
-      state.selectedJobDescription = jd;
-      state.results = null;
-      rerenderSourcing();
+    const replaceCandidate = (candidate) => {
+      state.candidates = state.candidates.map((c) =>
+        c.id === candidate.id ? candidate : c
+      );
     };
 
-    const handleSourceChange = (source) => {
-      state.jobDescriptionSource = source;
-      state.results = null;
-      if (source === CONSTANTS.JD_SOURCES.SAVED) {
-        state.customJobDescription = "";
-      } else {
-        state.selectedJobDescription = null;
+    const showError = (failure, error) =>
+      showNotification(
+        `${failure}: ${Object.values(error.fields || {})[0] || error.message}`,
+        "error",
+        null,
+        error.requestId
+      );
+
+    const run = async (task, failure) => {
+      state.isBusy = true;
+      rerender();
+      try {
+        await task();
+      } catch (error) {
+        showError(failure, error);
+      } finally {
+        state.isBusy = false;
+        rerender();
       }
-      rerenderSourcing();
     };
 
-    const getCurrentJobDescriptionText = () => {
-      if (
-        state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED &&
-        state.selectedJobDescription
-      ) {
-        return state.selectedJobDescription.content;
-      } else if (
-        state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM &&
-        state.customJobDescription.trim()
-      ) {
-        return state.customJobDescription.trim();
+    const handleJobDescriptionSelect = async (jd) => {
+      Object.assign(state, {
+        jobDescription: jd || null,
+        candidates: [],
+        newCandidate: null,
+        selectedId: null,
+        details: null,
+        isLoading: !!jd,
+      });
+      rerender();
+      if (!jd) return;
+      try {
+        state.candidates = await CandidateService.list(jd.id);
+      } catch (error) {
+        showError("Could not load the candidates", error);
+      } finally {
+        state.isLoading = false;
+        rerender();
       }
-      return null;
     };
 
-    const handleLocationSubmit = async () => {
-      const jobDescriptionText = getCurrentJobDescriptionText();
-      if (!jobDescriptionText || !state.location.trim()) {
-        showNotification(
-          "Please provide a job description and enter a location.",
-          "error"
-        );
-        return;
+    const handleSelect = (candidate) => {
+      state.selectedId = candidate?.id || null;
+      state.details = candidate
+        ? {
+            name: candidate.name,
+            email: candidate.email,
+            phone: candidate.phone,
+            profileUrl: candidate.profileUrl,
+            source: candidate.source,
+          }
+        : null;
+      state.note = "";
+      state.outreach = { templateId: "", company: "" };
+      rerender();
+      if (candidate && !state.templates) {
+        state.templates = [];
+        OutreachService.listTemplates()
+          .then((templates) => {
+            state.templates = templates;
+            rerender();
+          })
+          .catch((error) =>
+            showError("Could not load your outreach templates", error)
+          );
       }
+    };
 
-      state.isLoading = true;
-      state.loadingStep = 1;
-      rerenderSourcing();
+    const handleCreate = () =>
+      run(async () => {
+        const created = await CandidateService.create({
+          jdId: state.jobDescription.id,
+          ...state.newCandidate,
+        });
+        state.candidates = [...state.candidates, created];
+        state.newCandidate = null;
+        showNotification(`${created.name} added to the pipeline.`, "success");
+      }, "Could not add the candidate");
+
+    // Moves show on the board straight away and are undone if the proxy
+    // refuses them
+    const handleMove = async (id, stage) => {
+      const candidate = state.candidates.find((c) => c.id === id);
+      if (!candidate || candidate.stage === stage) return;
+      replaceCandidate({
+        ...candidate,
+        stage,
+        stageEnteredAt: new Date().toISOString(),
+      });
+      rerender();
+      try {
+        replaceCandidate(await CandidateService.move(id, stage));
+      } catch (error) {
+        replaceCandidate(candidate);
+        showError(`Could not move ${candidate.name}`, error);
+      }
+      rerender();
+    };
 
-      const progressInterval = setInterval(() => {
-        if (state.loadingStep < CONSTANTS.UI.PROGRESS_STEPS.length) {
-          state.loadingStep++;
-          rerenderSourcing();
-        }
-      }, 1000);
+    const handleSaveDetails = () =>
+      run(async () => {
+        replaceCandidate(
+          await CandidateService.update(state.selectedId, state.details)
+        );
+        showNotification("Candidate saved.", "success");
+      }, "Could not save the candidate");
+
+    const handleAddNote = () => {
+      if (!state.note.trim()) return;
+      run(async () => {
+        replaceCandidate(
+          await CandidateService.addNote(state.selectedId, state.note)
+        );
+        state.note = "";
+      }, "Could not add the note");
+    };
 
-      try {
-        const results = StorageManager.isProxyEnabled()
-          ? await AIService.sourcingViaProxy(jobDescriptionText, state.location)
-          : await AIService.generateSourcingStrategy(
-              jobDescriptionText,
-              state.location
-            );
+    const handleStartOutreach = (candidate) => {
+      const template = state.templates.find(
+        (t) => t.id === state.outreach.templateId
+      );
+      if (!template) {
+        return showNotification("Choose a template first.", "warning");
+      }
+      const user = AuthService.getCurrentUser();
+      const values = {
+        firstName: candidate.name.trim().split(/\s+/)[0],
+        company: state.outreach.company.trim(),
+        role: state.jobDescription.title,
+        senderName: [user?.first, user?.last].filter(Boolean).join(" "),
+      };
+      const steps = template.steps.map((step) => ({
+        ...step,
+        subject: Outreach.fill(step.subject, values),
+        body: Outreach.fill(step.body, values),
+      }));
+      const [missing] = Outreach.placeholdersIn(
+        steps.map((step) => `${step.subject} ${step.body}`).join(" ")
+      );
+      if (missing) {
+        return showNotification(
+          `Fill in ${Outreach.PLACEHOLDERS[missing]} first.`,
+          "warning"
+        );
+      }
+      run(async () => {
+        replaceCandidate(
+          await CandidateService.startOutreach(candidate.id, {
+            channel: template.channel,
+            steps,
+            templateId: template.id,
+          })
+        );
+      }, "Could not start the sequence");
+    };
 
-        clearInterval(progressInterval);
-        state.results = results;
-      } catch (error) {
-        clearInterval(progressInterval);
-        showNotification(
-          "Error generating sourcing strategy: " + error.message,
-          "error"
+    const handleMarkSent = (candidate, step) =>
+      run(async () => {
+        replaceCandidate(
+          await CandidateService.markOutreachSent(candidate.id, step)
         );
-      } finally {
-        state.isLoading = false;
-        state.loadingStep = 0;
-        rerenderSourcing();
+      }, "Could not record the message");
+
+    const handleStopOutreach = (candidate) => {
+      if (!confirm(`Take ${candidate.name} off their outreach sequence?`)) {
+        return;
       }
+      run(async () => {
+        replaceCandidate(await CandidateService.stopOutreach(candidate.id));
+      }, "Could not stop the sequence");
     };
 
-    const copySearchString = (text) => {
-      copyToClipboard(text);
+    const handleRemove = (candidate) => {
+      if (!confirm(`Remove ${candidate.name} from this pipeline?`)) return;
+      run(async () => {
+        await CandidateService.remove(candidate.id);
+        state.candidates = state.candidates.filter(
+          (c) => c.id !== candidate.id
+        );
+        state.selectedId = null;
+        state.details = null;
+      }, "Could not remove the candidate");
     };
 
-    rerenderSourcing = () => {
+    rerender = () => {
+      if (location.hash !== routeHash) return;
       const root = DOMUtils.select("#app");
       root.innerHTML = "";
       root.appendChild(
-        Views.renderSourcingInterface(
-          jobDescriptions,
-          state,
-          handleJobDescriptionSelect,
-          handleSourceChange,
-          handleLocationSubmit,
-          copySearchString
-        )
+        Views.renderPipeline(jobDescriptions, state, {
+          onJDSelect: handleJobDescriptionSelect,
+          onToggleAdd: () => {
+            state.newCandidate = state.newCandidate ? null : emptyCandidate();
+            rerender();
+          },
+          onCreate: handleCreate,
+          onMove: handleMove,
+          onSelect: handleSelect,
+          onSaveDetails: handleSaveDetails,
+          onAddNote: handleAddNote,
+          onStartOutreach: handleStartOutreach,
+          onMarkSent: handleMarkSent,
+          onStopOutreach: handleStopOutreach,
+          onRemove: handleRemove,
+        })
       );
     };
 
-    // Initial render
-    setTimeout(() => {
-      rerenderSourcing();
-    }, 0);
+    JDService.listAll()
+      .then((items) => {
+        jobDescriptions = items.filter((jd) => !jd.variantOf);
+      })
+      .catch((error) => {
+        showNotification(
+          "Could not load saved job descriptions: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      })
+      .finally(() => rerender());
 
-    return DOMUtils.createElement("div"); // Placeholder
+    return UIComponents.createLoadingSpinner("Loading job descriptions...");
   },
 
-  /**
-   * Render sourcing interface
-   * @param {Array} jobDescriptions - Available job descriptions
-   * @param {Object} state - Current state
-   * @param {Function} onJDSelect - JD selection handler
-   * @param {Function} onSourceChange - Source change handler
-   * @param {Function} onLocationSubmit - Location submit handler
-   * @param {Function} onCopySearch - Copy search handler
-   * @returns {Element} Sourcing interface element
-   */
-  renderSourcingInterface(
-    jobDescriptions,
-    state,
-    onJDSelect,
-    onSourceChange,
-    onLocationSubmit,
-    onCopySearch
-  ) {
-    return DOMUtils.createElement("div", { class: "container" }, [
-      DOMUtils.createElement("div", { class: "card network" }, [
-        DOMUtils.createElement(
-          "h2",
-          { class: "section-title" },
-          "Sourcing Consultants"
-        ),
-        DOMUtils.createElement(
-          "p",
-          { class: "subtitle" },
-          "Generate Boolean search strings for finding candidates"
-        ),
-
-        // Show helpful message when no saved JDs exist
-        jobDescriptions.length === 0 &&
-          DOMUtils.createElement(
-            "div",
-            {
-              style:
-                "margin-bottom: 20px; padding: 16px; background: #eff6ff; border: 1px solid #3b82f6; border-radius: 12px;",
-            },
-            [
-              DOMUtils.createElement(
-                "p",
-                {
-                  style: "margin: 0 0 8px 0; font-weight: 500; color: #1e40af;",
-                },
-                "💡 Quick Start"
-              ),
-              DOMUtils.createElement(
-                "p",
-                { style: "margin: 0; font-size: 14px; color: #1e40af;" },
-                "No saved job descriptions? No problem! You can paste any job description directly into the text area below to generate sourcing strategies."
-              ),
-            ]
-          ),
-
-        DOMUtils.createElement("div", { class: "form" }, [
-          DOMUtils.createElement(
-            "label",
-            { style: "font-weight: 600; margin-bottom: 12px; display: block;" },
-            "Job Description Source:"
-          ),
-
-          // Radio buttons for JD source selection
-          DOMUtils.createElement(
-            "div",
-            { style: "display: flex; gap: 20px; margin-bottom: 16px;" },
-            [
-              DOMUtils.createElement(
-                "label",
-                {
-                  style:
-                    "display: flex; align-items: center; gap: 8px; cursor: pointer;",
-                },
-                [
-                  DOMUtils.createElement("input", {
-                    type: "radio",
-                    name: "jd-source",
-                    value: CONSTANTS.JD_SOURCES.SAVED,
-                    checked:
-                      state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED,
-                    disabled: state.isLoading,
-                    onchange: () => onSourceChange(CONSTANTS.JD_SOURCES.SAVED),
-                    style: "margin: 0;",
-                  }),
-                  DOMUtils.createElement(
-                    "span",
-                    {},
-                    "Use Saved Job Description"
-                  ),
-                ]
-              ),
-              DOMUtils.createElement(
-                "label",
-                {
-                  style:
-                    "display: flex; align-items: center; gap: 8px; cursor: pointer;",
-                },
-                [
-                  DOMUtils.createElement("input", {
-                    type: "radio",
-                    name: "jd-source",
-                    value: CONSTANTS.JD_SOURCES.CUSTOM,
-                    checked:
-                      state.jobDescriptionSource ===
-                      CONSTANTS.JD_SOURCES.CUSTOM,
-                    disabled: state.isLoading,
-                    onchange: () => onSourceChange(CONSTANTS.JD_SOURCES.CUSTOM),
-                    style: "margin: 0;",
-                  }),
-                  DOMUtils.createElement(
-                    "span",
-                    {},
-                    "Paste Custom Job Description"
-                  ),
-                ]
-              ),
-            ]
-          ),
-
-          // Saved JD selection
-          state.jobDescriptionSource === CONSTANTS.JD_SOURCES.SAVED &&
-            DOMUtils.createElement("div", { style: "margin-bottom: 16px;" }, [
-              DOMUtils.createElement(
-                "label",
-                { for: "jd-select" },
-                "Select Job Description:"
-              ),
-              jobDescriptions.length > 0
-                ? DOMUtils.createElement(
-                    "select",
-                    {
-                      id: "jd-select",
-                      class: "input",
-                      disabled: state.isLoading,
-                      onchange: (e) =>
-                        onJDSelect(
-                          jobDescriptions.find((jd) => jd.id === e.target.value)
-                        ),
-                      style: state.isLoading
-                        ? "opacity: 0.6; cursor: not-allowed;"
-                        : "",
-                    },
-                    [
-                      DOMUtils.createElement(
-                        "option",
-                        { value: "" },
-                        "Choose a job description..."
-                      ),
-                      ...jobDescriptions.map((jd) =>
-                        DOMUtils.createElement(
-                          "option",
-                          {
-                            value: jd.id,
-                          },
-                          `${jd.title} - ${new Date(
-                            jd.createdAt
-                          ).toLocaleDateString()}`
-                        )
-                      ),
-                    ]
-                  )
-                : DOMUtils.createElement(
-                    "div",
-                    {
-                      style:
-                        "padding: 16px; background: #fef3c7; border: 1px solid #f59e0b; border-radius: 12px; color: #92400e;",
-                    },
-                    [
-                      DOMUtils.createElement(
-                        "p",
-                        { style: "margin: 0 0 8px 0; font-weight: 500;" },
-                        "No saved job descriptions found."
-                      ),
-                      DOMUtils.createElement(
-                        "div",
-                        { style: "margin: 0; font-size: 14px;" },
-                        [
-                          DOMUtils.createElement(
-                            "p",
-                            { style: "margin: 0 0 8px 0;" },
-                            "Create one using the Job Description Builder or use the 'Paste Custom Job Description' option above."
-                          ),
-                          UIComponents.createButton("Create Job Description", {
-                            href: "#/jd-builder",
-                            style: "padding: 8px 16px; font-size: 14px;",
-                          }),
-                        ]
-                      ),
-                    ]
-                  ),
-            ]),
-
-          // Custom JD textarea
-          state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM &&
-            DOMUtils.createElement("div", { style: "margin-bottom: 16px;" }, [
-              DOMUtils.createElement(
-                "label",
-                { for: "custom-jd" },
-                "Paste Your Job Description:"
-              ),
-              DOMUtils.createElement("textarea", {
-                id: "custom-jd",
-                class: "input",
-                placeholder: "Paste your job description here...",
-                rows: CONSTANTS.UI.TEXTAREA_ROWS,
-                disabled: state.isLoading,
-                value: state.customJobDescription,
-                oninput: (e) => {
-                  state.customJobDescription = e.target.value;
-                  state.results = null;
-                },
-                style: state.isLoading
-                  ? "opacity: 0.6; cursor: not-allowed;"
-                  : "",
-              }),
-            ]),
-
-          // Preview section
-          (state.selectedJobDescription ||
-            (state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM &&
-              state.customJobDescription.trim())) &&
-            DOMUtils.createElement(
-              "div",
-              {
-                class: "card",
-                style: "margin: 10px 0; background: #f8f9fa",
-              },
-              [
-                DOMUtils.createElement(
-                  "h4",
-                  {},
-                  state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM
-                    ? "Custom Job Description Preview:"
-                    : "Selected Job Description:"
-                ),
-                DOMUtils.createElement(
-                  "pre",
-                  {
-                    style:
-                      "white-space: pre-wrap; font-size: 12px; max-height: 200px; overflow-y: auto",
-                  },
-                  state.jobDescriptionSource === CONSTANTS.JD_SOURCES.CUSTOM
-                    ? StringUtils.truncate(state.customJobDescription)
-                    : StringUtils.truncate(state.selectedJobDescription.content)
-                ),
-              ]
-            ),
+  /**
+   * How long a candidate spent in a stage, in whole days
+   * @param {string} from - ISO date-time they entered it
+   * @param {string} [to] - ISO date-time they left it; now if still there
+   * @returns {string} e.g. "under a day", "1 day", "12 days"
+   */
+  formatStageDuration(from, to) {
+    const days = Math.floor(
+      ((to ? new Date(to) : new Date()) - new Date(from)) / 86400000
+    );
+    if (days < 1) return "under a day";
+    return `${days} day${days === 1 ? "" : "s"}`;
+  },
 
-          // Location input
+  /**
+   * When the next message of an outreach sequence is due: its delay after
+   * the last message sent, or after the sequence started
+   * @param {Object} outreach - A candidate's outreach
+   * @returns {Date|null} null once every message has been sent
+   */
+  outreachDueDate(outreach) {
+    const next = outreach.sent.length;
+    if (next >= outreach.steps.length) return null;
+    const from = next ? outreach.sent[next - 1].sentAt : outreach.startedAt;
+    return new Date(
+      new Date(from).getTime() + outreach.steps[next].delayDays * 86400000
+    );
+  },
+
+  /**
+   * Whether a candidate's next outreach message should have gone out by now
+   * @param {Object} outreach - A candidate's outreach
+   * @returns {boolean}
+   */
+  isOutreachDue(outreach) {
+    const due = Views.outreachDueDate(outreach);
+    return !!due && due <= new Date();
+  },
+
+  /**
+   * Render the candidate pipeline screen
+   * @param {Array} jobDescriptions - Saved job descriptions
+   * @param {Object} state - See Views.Pipeline()
+   * @param {Object} handlers - Event handlers
+   * @returns {Element} Pipeline element
+   */
+  renderPipeline(jobDescriptions, state, handlers) {
+    const jd = state.jobDescription;
+    const selected = state.candidates.find((c) => c.id === state.selectedId);
+
+    let board = null;
+    if (state.isLoading) {
+      board = UIComponents.createLoadingSpinner("Loading candidates...");
+    } else if (jd) {
+      board = Views.renderPipelineBoard(state.candidates, {
+        selectedId: state.selectedId,
+        onMove: handlers.onMove,
+        onSelect: handlers.onSelect,
+      });
+    }
+
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          "Candidate Pipeline"
+        ),
+        DOMUtils.createElement(
+          "p",
+          { class: "subtitle" },
+          "Track the people you find for each job from sourced to hired"
+        ),
+        DOMUtils.createElement("div", { class: "form" }, [
           DOMUtils.createElement(
             "label",
-            { for: "location-input" },
-            "Job Location:"
+            { for: "pl-jd-select" },
+            "Job Description:"
           ),
-          DOMUtils.createElement("input", {
-            id: "location-input",
-            class: "input",
-            placeholder: "e.g., New York, Remote, San Francisco",
-            value: state.location,
-            disabled: state.isLoading,
-            oninput: (e) => {
-              state.location = e.target.value;
-            },
-            style: state.isLoading ? "opacity: 0.6; cursor: not-allowed;" : "",
-          }),
-
-          // Submit button or loading state
-          state.isLoading
-            ? Views.renderLoadingState(state)
-            : UIComponents.createButton("Generate Sourcing Strategy", {
-                onClick: onLocationSubmit,
-                style: "width: 100%; justify-content: center;",
-              }),
+          jobDescriptions.length > 0
+            ? DOMUtils.createElement(
+                "select",
+                {
+                  id: "pl-jd-select",
+                  class: "input",
+                  onchange: (e) =>
+                    handlers.onJDSelect(
+                      jobDescriptions.find((j) => j.id === e.target.value)
+                    ),
+                },
+                [
+                  DOMUtils.createElement(
+                    "option",
+                    { value: "" },
+                    "Choose a job description..."
+                  ),
+                  ...jobDescriptions.map((j) =>
+                    DOMUtils.createElement(
+                      "option",
+                      { value: j.id, selected: jd?.id === j.id },
+                      `${j.title} - ${new Date(
+                        j.createdAt
+                      ).toLocaleDateString()}`
+                    )
+                  ),
+                ]
+              )
+            : UIComponents.createNotice(
+                "No saved job descriptions yet. Create one with the Job Description Builder first.",
+                "info"
+              ),
         ]),
-
-        // Results section
-        state.results &&
-          Views.renderSourcingResults(state.results, onCopySearch),
+        jd && !state.isLoading
+          ? DOMUtils.createElement("div", { style: "margin-top: 16px;" }, [
+              UIComponents.createButton(
+                state.newCandidate ? "Close" : "Add Candidate",
+                {
+                  variant: state.newCandidate
+                    ? CONSTANTS.BUTTON_VARIANTS.SECONDARY
+                    : CONSTANTS.BUTTON_VARIANTS.PRIMARY,
+                  onClick: handlers.onToggleAdd,
+                }
+              ),
+            ])
+          : null,
+        state.newCandidate
+          ? Views.renderCandidateForm(state.newCandidate, {
+              isNew: true,
+              isBusy: state.isBusy,
+              onSubmit: handlers.onCreate,
+            })
+          : null,
+        board,
       ]),
+      selected ? Views.renderCandidateDetails(selected, state, handlers) : null,
     ]);
   },
 
   /**
-   * Render loading state for sourcing
-   * @param {Object} state - Current state object
-   * @returns {Element} Loading state element
+   * Render the board: one column per stage, cards dragged between them
+   * @param {Array} candidates - The JD's candidates
+   * @param {Object} options - { selectedId, onMove(id, stage), onSelect }
+   * @returns {Element} Board element
    */
-  renderLoadingState(state) {
-    const currentStep =
-      CONSTANTS.UI.PROGRESS_STEPS[state.loadingStep - 1] || "Starting...";
-    const progress =
-      (state.loadingStep / CONSTANTS.UI.PROGRESS_STEPS.length) * 100;
+  renderPipelineBoard(candidates, { selectedId, onMove, onSelect }) {
+    const renderCard = (candidate) =>
+      DOMUtils.createElement(
+        "div",
+        {
+          class: "pipeline-card",
+          draggable: true,
+          tabIndex: 0,
+          style: `background: white; border: 1px solid ${
+            candidate.id === selectedId ? "#3b82f6" : "#e5e7eb"
+          }; border-radius: 8px; padding: 8px; margin-bottom: 8px; cursor: grab;`,
+          ondragstart: (e) => {
+            e.dataTransfer.setData("text/plain", candidate.id);
+            e.dataTransfer.effectAllowed = "move";
+          },
+          onclick: () => onSelect(candidate),
+          onkeydown: (e) => {
+            if (e.key === "Enter") onSelect(candidate);
+          },
+        },
+        [
+          DOMUtils.createElement(
+            "div",
+            { style: "font-weight: 600;" },
+            candidate.name
+          ),
+          candidate.source
+            ? DOMUtils.createElement(
+                "div",
+                { class: "caption" },
+                candidate.source
+              )
+            : null,
+          candidate.outreach
+            ? DOMUtils.createElement(
+                "div",
+                { class: "caption" },
+                `Outreach: ${candidate.outreach.sent.length} of ${
+                  candidate.outreach.steps.length
+                } sent${
+                  Views.isOutreachDue(candidate.outreach)
+                    ? " · message due"
+                    : ""
+                }`
+              )
+            : null,
+          DOMUtils.createElement(
+            "div",
+            { class: "caption" },
+            `${Views.formatStageDuration(candidate.stageEnteredAt)} in stage${
+              candidate.notes.length
+                ? ` · ${candidate.notes.length} note${
+                    candidate.notes.length === 1 ? "" : "s"
+                  }`
+                : ""
+            }`
+          ),
+        ]
+      );
+
+    const renderColumn = ([stage, { label, color }]) => {
+      const cards = candidates.filter((c) => c.stage === stage);
+      return DOMUtils.createElement(
+        "div",
+        {
+          class: "pipeline-column",
+          id: `pl-stage-${stage}`,
+          style: `flex: 1 0 180px; background: #f8fafc; border-top: 3px solid ${color}; border-radius: 8px; padding: 8px; min-height: 160px;`,
+          ondragover: (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+            e.currentTarget.style.background = "#e0f2fe";
+          },
+          ondragleave: (e) => {
+            e.currentTarget.style.background = "#f8fafc";
+          },
+          ondrop: (e) => {
+            e.preventDefault();
+            e.currentTarget.style.background = "#f8fafc";
+            onMove(e.dataTransfer.getData("text/plain"), stage);
+          },
+        },
+        [
+          DOMUtils.createElement(
+            "div",
+            {
+              style:
+                "display: flex; justify-content: space-between; font-weight: 600; margin-bottom: 8px;",
+            },
+            [
+              label,
+              DOMUtils.createElement(
+                "span",
+                { class: "caption" },
+                String(cards.length)
+              ),
+            ]
+          ),
+          ...cards.map(renderCard),
+        ]
+      );
+    };
 
     return DOMUtils.createElement(
       "div",
       {
+        id: "pl-board",
         style:
-          "display: flex; align-items: center; justify-content: center; gap: 8px; padding: 12px 16px; background: #6b7280; color: white; border-radius: 999px; width: 100%; font-weight: 600; cursor: not-allowed;",
+          "display: flex; gap: 12px; overflow-x: auto; margin-top: 16px; padding-bottom: 8px;",
       },
-      [
-        DOMUtils.createElement("div", {
-          class: "loading-spinner",
-          style:
-            "width: 16px; height: 16px; border: 2px solid #ffffff; border-top: 2px solid transparent; border-radius: 50%;",
-        }),
-        "Generating sourcing strategy...",
-      ]
+      Object.entries(CONSTANTS.PIPELINE_STAGES).map(renderColumn)
     );
   },
 
   /**
-   * Render sourcing results
-   * @param {Object} results - Sourcing results
-   * @param {Function} onCopySearch - Copy search handler
-   * @returns {Element} Results element
+   * Render the candidate fields, for adding a candidate or editing one
+   * @param {Object} candidate - Fields, written to as they're typed
+   * @param {Object} options - { isNew, isBusy, onSubmit }
+   * @returns {Element} Form element
    */
-  renderSourcingResults(results, onCopySearch) {
+  renderCandidateForm(candidate, { isNew, isBusy, onSubmit }) {
+    const prefix = isNew ? "pl-new" : "pl-edit";
+    const field = (key, label, attributes = {}) => [
+      DOMUtils.createElement("label", { for: `${prefix}-${key}` }, label),
+      DOMUtils.createElement("input", {
+        id: `${prefix}-${key}`,
+        class: "input",
+        value: candidate[key],
+        oninput: (e) => (candidate[key] = e.target.value),
+        ...attributes,
+      }),
+    ];
+
     return DOMUtils.createElement(
       "div",
-      { class: "card", style: "margin-top: 20px" },
+      { class: "form", style: "margin-top: 16px;" },
       [
-        DOMUtils.createElement("h3", {}, "Sourcing Strategy"),
+        ...field("name", "Name:"),
+        ...field("email", "Email:", { type: "email" }),
+        ...field("phone", "Phone:", { type: "tel" }),
+        ...field("profileUrl", "Profile link:", {
+          type: "url",
+          placeholder: "https://www.linkedin.com/in/...",
+        }),
+        ...field("source", "Source:", {
+          placeholder: "e.g. LinkedIn, Referral, Career fair",
+        }),
+        ...(isNew
+          ? [
+              DOMUtils.createElement(
+                "label",
+                { for: "pl-new-stage" },
+                "Stage:"
+              ),
+              DOMUtils.createElement(
+                "select",
+                {
+                  id: "pl-new-stage",
+                  class: "input",
+                  onchange: (e) => (candidate.stage = e.target.value),
+                },
+                Object.entries(CONSTANTS.PIPELINE_STAGES).map(
+                  ([value, { label }]) =>
+                    DOMUtils.createElement(
+                      "option",
+                      { value, selected: candidate.stage === value },
+                      label
+                    )
+                )
+              ),
+              DOMUtils.createElement("label", { for: "pl-new-note" }, "Note:"),
+              DOMUtils.createElement("textarea", {
+                id: "pl-new-note",
+                class: "input",
+                rows: 2,
+                value: candidate.note,
+                oninput: (e) => (candidate.note = e.target.value),
+              }),
+            ]
+          : []),
         DOMUtils.createElement(
-          "p",
-          { class: "subtitle" },
-          results.summary || ""
+          "button",
+          {
+            class: UIComponents.getButtonClassName(
+              CONSTANTS.BUTTON_VARIANTS.PRIMARY
+            ),
+            disabled: isBusy,
+            onclick: () => {
+              if (!candidate.name.trim()) {
+                return showNotification(
+                  "Enter the candidate's name.",
+                  "warning"
+                );
+              }
+              if (
+                candidate.email.trim() &&
+                !ValidationUtils.isValidEmail(candidate.email.trim())
+              ) {
+                return showNotification(
+                  "Enter a valid email address.",
+                  "warning"
+                );
+              }
+              onSubmit();
+            },
+          },
+          isNew ? "Add to Pipeline" : "Save Details"
         ),
+      ]
+    );
+  },
+
+  /**
+   * Render the selected candidate: details, stage and history, outreach and
+   * notes
+   * @param {Object} candidate - Selected candidate
+   * @param {Object} state - See Views.Pipeline()
+   * @param {Object} handlers - See Views.renderPipeline()
+   * @returns {Element} Detail card
+   */
+  renderCandidateDetails(candidate, state, handlers) {
+    const stages = CONSTANTS.PIPELINE_STAGES;
+    const formatTime = (iso) =>
+      new Date(iso).toLocaleString(undefined, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      });
+
+    return DOMUtils.createElement("div", { id: "pl-details", class: "card" }, [
+      DOMUtils.createElement(
+        "div",
+        {
+          style:
+            "display: flex; gap: 12px; align-items: center; justify-content: space-between;",
+        },
+        [
+          DOMUtils.createElement("h3", { style: "margin: 0;" }, candidate.name),
+          UIComponents.createButton("Close", {
+            variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+            onClick: () => handlers.onSelect(null),
+          }),
+        ]
+      ),
+      candidate.profileUrl
+        ? DOMUtils.createElement(
+            "a",
+            {
+              href: candidate.profileUrl,
+              target: "_blank",
+              rel: "noopener noreferrer",
+            },
+            candidate.profileUrl
+          )
+        : null,
 
+      DOMUtils.createElement("div", { class: "form" }, [
+        DOMUtils.createElement("label", { for: "pl-stage" }, "Stage:"),
         DOMUtils.createElement(
-          "h4",
-          { style: "margin-top: 20px" },
-          "Dice Job Portal Search"
+          "select",
+          {
+            id: "pl-stage",
+            class: "input",
+            onchange: (e) => handlers.onMove(candidate.id, e.target.value),
+          },
+          Object.entries(stages).map(([value, { label }]) =>
+            DOMUtils.createElement(
+              "option",
+              { value, selected: candidate.stage === value },
+              label
+            )
+          )
         ),
+      ]),
+      DOMUtils.createElement(
+        "ol",
+        { id: "pl-history", style: "margin: 8px 0 0 0; font-size: 14px;" },
+        candidate.history.map((entry) =>
+          DOMUtils.createElement(
+            "li",
+            {},
+            `${stages[entry.stage].label}: ${formatTime(entry.enteredAt)} by ${
+              entry.by.username
+            }${
+              entry.leftAt
+                ? ` (${Views.formatStageDuration(
+                    entry.enteredAt,
+                    entry.leftAt
+                  )})`
+                : ""
+            }`
+          )
+        )
+      ),
+
+      DOMUtils.createElement(
+        "h4",
+        { style: "margin: 16px 0 4px 0;" },
+        "Outreach"
+      ),
+      Views.renderCandidateOutreach(candidate, state, handlers),
+
+      DOMUtils.createElement("h4", { style: "margin: 16px 0 4px 0;" }, "Notes"),
+      candidate.notes.length
+        ? DOMUtils.createElement(
+            "ul",
+            {
+              id: "pl-notes",
+              style: "list-style: none; padding: 0; margin: 0;",
+            },
+            candidate.notes.map((note) =>
+              DOMUtils.createElement(
+                "li",
+                { style: "padding: 6px 0; border-top: 1px solid #e5e7eb;" },
+                [
+                  DOMUtils.createElement(
+                    "div",
+                    { style: "white-space: pre-wrap;" },
+                    note.text
+                  ),
+                  DOMUtils.createElement(
+                    "div",
+                    { class: "caption" },
+                    `${note.by.username} · ${formatTime(note.createdAt)}`
+                  ),
+                ]
+              )
+            )
+          )
+        : DOMUtils.createElement("p", { class: "caption" }, "No notes yet."),
+      DOMUtils.createElement("div", { class: "form" }, [
+        DOMUtils.createElement("textarea", {
+          id: "pl-note",
+          class: "input",
+          rows: 2,
+          ariaLabel: "New note",
+          placeholder: "Add a note: a call, a reply, an impression...",
+          value: state.note,
+          oninput: (e) => (state.note = e.target.value),
+        }),
         DOMUtils.createElement(
-          "div",
-          { class: "card", style: "background: #f8f9fa; margin: 10px 0" },
-          [
-            DOMUtils.createElement(
-              "pre",
-              {
-                style:
-                  "white-space: pre-wrap; font-family: monospace; font-size: 12px; margin: 0",
-              },
-              results.diceSearch || "No Dice search string generated"
+          "button",
+          {
+            class: UIComponents.getButtonClassName(
+              CONSTANTS.BUTTON_VARIANTS.SECONDARY
             ),
-            UIComponents.createButton("Copy Dice Search", {
-              variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-              onClick: () => onCopySearch(results.diceSearch),
-            }),
-          ]
+            disabled: state.isBusy,
+            onclick: handlers.onAddNote,
+          },
+          "Add Note"
         ),
+      ]),
 
+      DOMUtils.createElement(
+        "h4",
+        { style: "margin: 16px 0 4px 0;" },
+        "Details"
+      ),
+      Views.renderCandidateForm(state.details, {
+        isNew: false,
+        isBusy: state.isBusy,
+        onSubmit: handlers.onSaveDetails,
+      }),
+      DOMUtils.createElement(
+        "div",
+        { style: "margin-top: 16px;" },
         DOMUtils.createElement(
-          "h4",
-          { style: "margin-top: 20px" },
-          "Company-Specific LinkedIn Searches"
-        ),
-        DOMUtils.createElement(
-          "p",
+          "button",
           {
-            style:
-              "margin: 8px 0 16px 0; font-size: 14px; color: #6b7280; font-style: italic;",
+            class: UIComponents.getButtonClassName(
+              CONSTANTS.BUTTON_VARIANTS.LINK_LIKE
+            ),
+            disabled: state.isBusy,
+            onclick: () => handlers.onRemove(candidate),
           },
-          "Each search string targets candidates from the specific company listed. Copy and paste these into Google or LinkedIn search to find relevant profiles."
-        ),
+          "Remove from Pipeline"
+        )
+      ),
+    ]);
+  },
+
+  /**
+   * Render a candidate's outreach: each message of their sequence and
+   * whether it went out, with the next one ready to copy and mark as sent;
+   * without a sequence, a form to start them on one of the user's templates
+   * @param {Object} candidate - Selected candidate
+   * @param {Object} state - See Views.Pipeline()
+   * @param {Object} handlers - See Views.renderPipeline()
+   * @returns {Element} Outreach section
+   */
+  renderCandidateOutreach(candidate, state, handlers) {
+    const { outreach } = candidate;
+    const formatDate = (date) =>
+      new Date(date).toLocaleDateString(undefined, { dateStyle: "medium" });
+
+    if (!outreach) {
+      const templates = state.templates || [];
+      return DOMUtils.createElement("div", { id: "pl-outreach" }, [
         DOMUtils.createElement(
-          "div",
-          { class: "grid" },
-          (results.companies || []).map((company) =>
-            DOMUtils.createElement("div", { class: "card" }, [
-              DOMUtils.createElement("h5", {}, company.name),
+          "p",
+          { class: "caption" },
+          templates.length
+            ? "Not on an outreach sequence. Start one from your templates, or write one for their company in Sourcing."
+            : "Not on an outreach sequence. Write one for their company in Sourcing and save it as a template to reuse it here."
+        ),
+        templates.length
+          ? DOMUtils.createElement("div", { class: "form" }, [
               DOMUtils.createElement(
-                "p",
-                { class: "caption" },
-                company.reason || ""
+                "label",
+                { for: "pl-outreach-template" },
+                "Template:"
               ),
               DOMUtils.createElement(
-                "div",
-                { class: "card", style: "background: #f8f9fa; margin: 10px 0" },
+                "select",
+                {
+                  id: "pl-outreach-template",
+                  class: "input",
+                  onchange: (e) => (state.outreach.templateId = e.target.value),
+                },
                 [
                   DOMUtils.createElement(
-                    "pre",
-                    {
-                      style:
-                        "white-space: pre-wrap; font-family: monospace; font-size: 12px; margin: 0",
-                    },
-                    company.linkedinSearch || "No search string generated"
+                    "option",
+                    { value: "" },
+                    "Choose a template..."
+                  ),
+                  ...templates.map((t) =>
+                    DOMUtils.createElement(
+                      "option",
+                      {
+                        value: t.id,
+                        selected: state.outreach.templateId === t.id,
+                      },
+                      `${t.name} (${Outreach.CHANNELS[t.channel].label})`
+                    )
                   ),
-                  UIComponents.createButton("Copy LinkedIn Search", {
-                    variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-                    onClick: () => onCopySearch(company.linkedinSearch),
-                  }),
                 ]
               ),
+              DOMUtils.createElement(
+                "label",
+                { for: "pl-outreach-company" },
+                `${Outreach.PLACEHOLDERS.company}:`
+              ),
+              DOMUtils.createElement("input", {
+                id: "pl-outreach-company",
+                class: "input",
+                placeholder: "Needed if the template mentions it",
+                value: state.outreach.company,
+                oninput: (e) => (state.outreach.company = e.target.value),
+              }),
+              DOMUtils.createElement(
+                "button",
+                {
+                  class: UIComponents.getButtonClassName(
+                    CONSTANTS.BUTTON_VARIANTS.SECONDARY
+                  ),
+                  disabled: state.isBusy,
+                  onclick: () => handlers.onStartOutreach(candidate),
+                },
+                "Start Sequence"
+              ),
             ])
-          )
-        ),
-      ]
-    );
+          : null,
+      ]);
+    }
+
+    const next = outreach.sent.length;
+    const due = Views.outreachDueDate(outreach);
+    const channel = Outreach.CHANNELS[outreach.channel];
+
+    return DOMUtils.createElement("div", { id: "pl-outreach" }, [
+      DOMUtils.createElement(
+        "p",
+        { class: "caption" },
+        due
+          ? `${channel.label}: message ${next + 1} of ${
+              outreach.steps.length
+            } is ${
+              Views.isOutreachDue(outreach) ? "due" : `due ${formatDate(due)}`
+            }.`
+          : `${channel.label}: all ${outreach.steps.length} messages sent.`
+      ),
+      DOMUtils.createElement(
+        "ol",
+        { style: "margin: 0; padding-left: 20px; font-size: 14px;" },
+        outreach.steps.map((step, index) => {
+          const sent = outreach.sent[index];
+          return DOMUtils.createElement(
+            "li",
+            {
+              style: `padding: 6px 0; ${index > next ? "color: #6b7280;" : ""}`,
+            },
+            [
+              DOMUtils.createElement(
+                "div",
+                { style: "font-weight: 600;" },
+                sent
+                  ? `Sent ${formatDate(sent.sentAt)} by ${sent.by.username}`
+                  : index === next
+                  ? "Next"
+                  : `${step.delayDays} days after the one before`
+              ),
+              step.subject
+                ? DOMUtils.createElement("div", {}, `Subject: ${step.subject}`)
+                : null,
+              DOMUtils.createElement(
+                "div",
+                { style: "white-space: pre-wrap;" },
+                step.body
+              ),
+              index === next
+                ? DOMUtils.createElement(
+                    "div",
+                    {
+                      style:
+                        "display: flex; gap: 8px; flex-wrap: wrap; margin-top: 4px;",
+                    },
+                    [
+                      step.subject
+                        ? UIComponents.createButton("Copy Subject", {
+                            variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                            onClick: () => copyToClipboard(step.subject),
+                          })
+                        : null,
+                      UIComponents.createButton("Copy Message", {
+                        variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                        onClick: () => copyToClipboard(step.body),
+                      }),
+                      DOMUtils.createElement(
+                        "button",
+                        {
+                          class: UIComponents.getButtonClassName(
+                            CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                          ),
+                          disabled: state.isBusy,
+                          onclick: () => handlers.onMarkSent(candidate, index),
+                        },
+                        "Mark Sent"
+                      ),
+                    ]
+                  )
+                : null,
+            ]
+          );
+        })
+      ),
+      DOMUtils.createElement(
+        "button",
+        {
+          class: UIComponents.getButtonClassName(
+            CONSTANTS.BUTTON_VARIANTS.LINK_LIKE
+          ),
+          disabled: state.isBusy,
+          onclick: () => handlers.onStopOutreach(candidate),
+        },
+        due ? "Stop Sequence" : "Clear Sequence"
+      ),
+    ]);
   },
 
   /**
-   * Recruitment screen
-   * @returns {Element} Recruitment view element
+   * Settings screen
+   * @returns {Element} Settings view element
    */
-  Recruitment() {
-    const icons = {
-      posting:
-        '<svg viewBox="0 0 24 24" fill="none"><rect x="4" y="3" width="16" height="18" rx="2" stroke-width="2"/><path d="M8 7h8M8 11h8M8 15h5" stroke-width="2"/></svg>',
-      search:
-        '<svg viewBox="0 0 24 24" fill="none"><circle cx="11" cy="11" r="6" stroke-width="2"/><path d="M20 20l-3.5-3.5" stroke-width="2"/></svg>',
-      check:
-        '<svg viewBox="0 0 24 24" fill="none"><path d="M20 7l-9 9-5-5" stroke-width="2"/></svg>',
-      calendar:
-        '<svg viewBox="0 0 24 24" fill="none"><rect x="3" y="5" width="18" height="16" rx="2" stroke-width="2"/><path d="M16 3v4M8 3v4M3 11h18" stroke-width="2"/></svg>',
-      feedback:
-        '<svg viewBox="0 0 24 24" fill="none"><path d="M21 15a4 4 0 0 1-4 4H8l-4 3V7a4 4 0 0 1 4-4h9a4 4 0 0 1 4 4v8z" stroke-width="2"/></svg>',
-      plus: '<svg viewBox="0 0 24 24" fill="none"><circle cx="12" cy="12" r="10" stroke-width="2"/><path d="M12 8v8M8 12h8" stroke-width="2"/></svg>',
-    };
-
-    const createFeatureCard = (
-      title,
-      description,
-      iconSvg,
-      action,
-      status = "available"
-    ) => {
-      const statusColor =
-        status === "available"
-          ? "#10b981"
-          : status === "coming-soon"
-          ? "#f59e0b"
-          : "#6b7280";
-      const statusText =
-        status === "available"
-          ? "Ready"
-          : status === "coming-soon"
-          ? "Coming Soon"
-          : "In Development";
+  Settings() {
+    const providerInfo = AIService.getProviderInfo();
 
-      return DOMUtils.createElement(
-        "div",
-        {
-          class: "card",
-          style: `border-left: 4px solid ${statusColor}; position: relative;`,
-        },
-        [
+    return DOMUtils.createElement("div", { class: "container" }, [
+      DOMUtils.createElement("div", { class: "card network" }, [
+        DOMUtils.createElement(
+          "h2",
+          { class: "section-title" },
+          "System Configuration"
+        ),
+        UIComponents.createNotice(
+          "✅ AI configuration is automatically handled by the system. No setup required!",
+          "success"
+        ),
+        DOMUtils.createElement("div", { class: "form" }, [
           DOMUtils.createElement(
             "div",
             {
               style:
-                "display: flex; align-items: center; gap: 12px; margin-bottom: 8px;",
+                "background: #f8f9fa; padding: 20px; border-radius: 12px; margin-bottom: 16px;",
             },
             [
-              DOMUtils.createElement("span", {
-                class: "icon",
-                innerHTML: iconSvg,
-                style: `color: ${statusColor};`,
-              }),
               DOMUtils.createElement(
-                "h3",
-                { style: "margin: 0; font-size: 18px;" },
-                title
+                "h4",
+                {
+                  style: "margin: 0 0 12px 0; color: #1f2937;",
+                },
+                "Current Configuration"
               ),
               DOMUtils.createElement(
-                "span",
+                "div",
                 {
-                  style: `background: ${statusColor}; color: white; padding: 2px 8px; border-radius: 12px; font-size: 11px; font-weight: 600;`,
+                  style: "display: grid; gap: 8px; font-size: 14px;",
                 },
-                statusText
+                [
+                  DOMUtils.createElement("div", {}, [
+                    DOMUtils.createElement("strong", {}, "AI Provider: "),
+                    DOMUtils.createElement(
+                      "span",
+                      { style: "color: #059669;" },
+                      [
+                        UIComponents.createAsyncText(
+                          providerInfo.then((info) => info.provider)
+                        ),
+                      ]
+                    ),
+                  ]),
+                  DOMUtils.createElement("div", {}, [
+                    DOMUtils.createElement("strong", {}, "AI Model: "),
+                    DOMUtils.createElement(
+                      "span",
+                      { style: "color: #059669;" },
+                      [
+                        UIComponents.createAsyncText(
+                          providerInfo.then((info) => info.model)
+                        ),
+                      ]
+                    ),
+                  ]),
+                  DOMUtils.createElement("div", {}, [
+                    DOMUtils.createElement("strong", {}, "Proxy Status: "),
+                    DOMUtils.createElement(
+                      "span",
+                      { style: "color: #059669;" },
+                      "✅ Enabled"
+                    ),
+                  ]),
+                  DOMUtils.createElement("div", {}, [
+                    DOMUtils.createElement("strong", {}, "API Security: "),
+                    DOMUtils.createElement(
+                      "span",
+                      { style: "color: #059669;" },
+                      "✅ Server-side managed"
+                    ),
+                  ]),
+                ]
               ),
             ]
           ),
           DOMUtils.createElement(
-            "p",
+            "div",
             {
               style:
-                "margin: 0 0 12px 0; color: #6b7280; font-size: 14px; line-height: 1.4;",
+                "background: #eff6ff; padding: 16px; border-radius: 12px; border: 1px solid #3b82f6;",
             },
-            description
+            [
+              DOMUtils.createElement(
+                "h4",
+                {
+                  style: "margin: 0 0 8px 0; color: #1e40af;",
+                },
+                "💡 About This Setup"
+              ),
+              DOMUtils.createElement(
+                "p",
+                {
+                  style:
+                    "margin: 0; font-size: 14px; color: #1e40af; line-height: 1.5;",
+                },
+                "The application uses a secure server-side configuration. API keys are stored safely on the server, and the AI provider (OpenAI, Azure OpenAI, a local model server or the offline mock) is chosen by the server administrator."
+              ),
+            ]
           ),
-          action &&
-            DOMUtils.createElement(
-              "div",
-              { style: "margin-top: auto;" },
-              action
-            ),
-        ]
+        ]),
+      ]),
+      Views.renderUsagePanel(),
+    ]);
+  },
+
+  /**
+   * AI usage panel for the settings screen. It loads the report itself and
+   * re-renders in place when the period changes.
+   * @returns {Element} Usage panel element
+   */
+  renderUsagePanel() {
+    const panel = DOMUtils.createElement("div", {
+      class: "card",
+      style: "margin-top: 16px;",
+    });
+
+    const cell = (text, header = false) =>
+      DOMUtils.createElement(
+        header ? "th" : "td",
+        {
+          style: `padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: ${
+            header ? "left" : "right"
+          };`,
+        },
+        String(text)
       );
-    };
 
-    return DOMUtils.createElement("div", { class: "container" }, [
-      DOMUtils.createElement("div", { class: "card network" }, [
-        DOMUtils.createElement(
-          "div",
-          { style: "text-align: center; margin-bottom: 32px;" },
-          [
+    // rows: [label, totals]; the label column is left-aligned
+    const table = (title, labelHeader, rows) =>
+      rows.length
+        ? DOMUtils.createElement("div", { style: "margin-top: 16px;" }, [
             DOMUtils.createElement(
-              "h2",
-              { class: "section-title" },
-              "AI-Powered Recruitment Hub"
+              "h4",
+              { style: "margin: 0 0 8px 0;" },
+              title
             ),
             DOMUtils.createElement(
-              "p",
+              "table",
               {
-                class: "subtitle",
-                style: "font-size: 16px; max-width: 600px; margin: 0 auto;",
+                style:
+                  "width: 100%; border-collapse: collapse; font-size: 14px;",
               },
-              "Streamline your recruitment process with intelligent tools designed for modern recruiters"
+              [
+                DOMUtils.createElement("tr", {}, [
+                  cell(labelHeader, true),
+                  cell("Requests", true),
+                  cell("Tokens", true),
+                  cell("Cost", true),
+                ]),
+                ...rows.map(([label, totals]) =>
+                  DOMUtils.createElement("tr", {}, [
+                    DOMUtils.createElement(
+                      "td",
+                      {
+                        style:
+                          "padding: 6px 8px; border-bottom: 1px solid #e5e7eb;",
+                      },
+                      label
+                    ),
+                    cell(totals.requests.toLocaleString()),
+                    cell(totals.totalTokens.toLocaleString()),
+                    cell(StringUtils.formatCost(totals.cost)),
+                  ])
+                ),
+              ]
             ),
-          ]
-        ),
+          ])
+        : null;
+
+    const stat = (label, value) =>
+      DOMUtils.createElement(
+        "div",
+        {
+          style:
+            "background: #f8f9fa; padding: 12px 16px; border-radius: 12px;",
+        },
+        [
+          DOMUtils.createElement(
+            "div",
+            { style: "font-size: 13px; color: #6b7280;" },
+            label
+          ),
+          DOMUtils.createElement(
+            "div",
+            { style: "font-size: 20px; font-weight: 600; color: #1f2937;" },
+            value
+          ),
+        ]
+      );
 
+    const render = (period, report) => {
+      panel.innerHTML = "";
+      DOMUtils.appendChildren(panel, [
         DOMUtils.createElement(
           "div",
-          { class: "grid grid-2", style: "gap: 20px;" },
+          {
+            style:
+              "display: flex; justify-content: space-between; align-items: center; gap: 8px; flex-wrap: wrap;",
+          },
           [
-            createFeatureCard(
-              "Job Description Builder",
-              "Create compelling, AI-generated job descriptions that attract top talent. Includes company-specific formatting and ATS optimization.",
-              icons.posting,
-              UIComponents.createButton("Create Job Description", {
-                href: "#/jd-builder",
-                style: "width: 100%; justify-content: center;",
-              }),
-              "available"
-            ),
-
-            createFeatureCard(
-              "Smart Candidate Sourcing",
-              "Generate targeted Boolean search strings for LinkedIn and job portals. Find candidates from top companies with relevant skills.",
-              icons.search,
-              UIComponents.createButton("Start Sourcing", {
-                href: "#/sourcing",
-                style: "width: 100%; justify-content: center;",
-              }),
-              "available"
-            ),
-
-            createFeatureCard(
-              "Candidate Validation",
-              "AI-powered screening and validation tools to quickly assess candidate fit and qualifications.",
-              icons.check,
-              UIComponents.createButton("Coming Soon", {
-                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-                style: "width: 100%; justify-content: center; opacity: 0.6;",
-                onClick: () =>
-                  showNotification("This feature is coming soon!", "info"),
-              }),
-              "coming-soon"
-            ),
-
-            createFeatureCard(
-              "Interview Scheduling",
-              "Automated interview coordination with calendar integration and candidate communication.",
-              icons.calendar,
-              UIComponents.createButton("Coming Soon", {
-                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-                style: "width: 100%; justify-content: center; opacity: 0.6;",
-                onClick: () =>
-                  showNotification("This feature is coming soon!", "info"),
-              }),
-              "coming-soon"
-            ),
-
-            createFeatureCard(
-              "Interview Feedback",
-              "Structured feedback collection and analysis to improve your hiring decisions.",
-              icons.feedback,
-              UIComponents.createButton("Coming Soon", {
-                variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
-                style: "width: 100%; justify-content: center; opacity: 0.6;",
-                onClick: () =>
-                  showNotification("This feature is coming soon!", "info"),
-              }),
-              "coming-soon"
-            ),
-
-            createFeatureCard(
-              "Quick Actions",
-              "Access your saved job descriptions and recent sourcing strategies in one place.",
-              icons.plus,
-              DOMUtils.createElement(
-                "div",
-                { style: "display: flex; gap: 8px; flex-wrap: wrap;" },
-                [
-                  UIComponents.createButton("View All JDs", {
-                    href: "#/jd-view",
-                    variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-                    style: "flex: 1; min-width: 120px;",
-                  }),
-                  UIComponents.createButton("Settings", {
-                    href: "#/settings",
-                    variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
-                    style: "flex: 1; min-width: 120px;",
-                  }),
-                ]
-              ),
-              "available"
+            DOMUtils.createElement("h3", { style: "margin: 0;" }, "AI Usage"),
+            DOMUtils.createElement(
+              "div",
+              { style: "display: flex; gap: 8px;" },
+              [
+                UIComponents.createButton("Daily", {
+                  variant:
+                    period === "day"
+                      ? CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                      : CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                  onClick: () => load("day"),
+                }),
+                UIComponents.createButton("Monthly", {
+                  variant:
+                    period === "month"
+                      ? CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                      : CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                  onClick: () => load("month"),
+                }),
+              ]
             ),
           ]
         ),
-
-        // Stats Section
+        DOMUtils.createElement(
+          "p",
+          { class: "caption" },
+          `${report.scope === "all" ? "All users" : "Your usage"}, ${
+            report.from
+          } to ${report.to} (UTC)`
+        ),
         DOMUtils.createElement(
           "div",
           {
-            class: "card",
             style:
-              "margin-top: 24px; background: linear-gradient(135deg, #f8fafc, #e2e8f0); text-align: center;",
+              "display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px;",
           },
           [
-            DOMUtils.createElement(
-              "h3",
-              { style: "margin: 0 0 8px 0; color: #1f2937;" },
-              "Your Recruitment Dashboard"
-            ),
-            DOMUtils.createElement(
-              "p",
-              {
-                style: "margin: 0; color: #6b7280; font-size: 14px;",
-              },
-              "Track your progress and manage your recruitment pipeline efficiently"
-            ),
-            DOMUtils.createElement(
-              "div",
-              {
-                style:
-                  "display: flex; justify-content: center; gap: 24px; margin-top: 16px; flex-wrap: wrap;",
-              },
-              [
-                Views.createStatItem(
-                  StorageManager.loadJobDescriptions().length,
-                  "Job Descriptions"
-                ),
-                Views.createStatItem("2", "Active Tools"),
-                Views.createStatItem("3", "Coming Soon"),
-              ]
+            stat("Requests", report.totals.requests.toLocaleString()),
+            stat("Tokens", report.totals.totalTokens.toLocaleString()),
+            stat("Cost", StringUtils.formatCost(report.totals.cost)),
+            stat(
+              "Avg. cost per requisition",
+              StringUtils.formatCost(report.costPerRequisition.average)
             ),
           ]
         ),
-      ]),
-    ]);
+        report.totals.estimated
+          ? DOMUtils.createElement(
+              "p",
+              { class: "caption", style: "margin-top: 8px;" },
+              `${report.totals.estimated} request(s) have estimated token counts because the AI provider did not report usage.`
+            )
+          : null,
+        table(
+          period === "day" ? "By day" : "By month",
+          period === "day" ? "Day" : "Month",
+          [...report.buckets].reverse().map((b) => [b.period, b])
+        ),
+        table(
+          "By feature",
+          "Feature",
+          report.byFeature.map((f) => [f.feature, f])
+        ),
+        table(
+          "By model",
+          "Model",
+          report.byModel.map((m) => [m.model, m])
+        ),
+        report.byUser
+          ? table(
+              "By user",
+              "User",
+              report.byUser.map((u) => [u.username, u])
+            )
+          : null,
+        table(
+          "Top requisitions",
+          "Job description",
+          report.byRequisition.map((r) => [r.title || "Unsaved JD", r])
+        ),
+      ]);
+    };
+
+    const load = async (period) => {
+      try {
+        render(period, await UsageService.get(period));
+      } catch (error) {
+        panel.innerHTML = "";
+        panel.appendChild(
+          UIComponents.createNotice(
+            "Could not load AI usage: " + error.message,
+            "error"
+          )
+        );
+      }
+    };
+
+    panel.appendChild(UIComponents.createLoadingSpinner("Loading AI usage..."));
+    load("day");
+    return panel;
   },
 
   /**
-   * Create stat item for dashboard
-   * @param {string|number} value - Stat value
-   * @param {string} label - Stat label
-   * @returns {Element} Stat item element
+   * Prompt template editor (admins only)
+   * @returns {Element} Prompt templates view element
    */
-  createStatItem(value, label) {
-    return DOMUtils.createElement("div", { style: "text-align: center;" }, [
-      DOMUtils.createElement(
-        "div",
-        {
-          style: "font-size: 24px; font-weight: 700; color: #2563eb;",
-        },
-        value
-      ),
-      DOMUtils.createElement(
-        "div",
-        {
-          style:
-            "font-size: 12px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px;",
-        },
-        label
-      ),
-    ]);
+  PromptTemplates() {
+    const routeHash = location.hash;
+    const state = { prompts: [], selected: null, detail: null, fields: {} };
+
+    const rerenderPromptTemplates = () => {
+      if (location.hash !== routeHash) return;
+      const root = DOMUtils.select("#app");
+      root.innerHTML = "";
+      root.appendChild(Views.renderPromptTemplates(state, handlers));
+    };
+
+    const loadPrompt = async (name) => {
+      try {
+        state.detail = await PromptService.get(name);
+        state.selected = name;
+        state.fields = {};
+      } catch (error) {
+        showNotification(
+          "Could not load prompt: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+      }
+      rerenderPromptTemplates();
+    };
+
+    const refresh = async () => {
+      state.prompts = await PromptService.list();
+      await loadPrompt(state.selected);
+    };
+
+    const handlers = {
+      select: loadPrompt,
+
+      async save() {
+        const template = DOMUtils.select("#prompt-template").value;
+        const note = DOMUtils.select("#prompt-note").value;
+        try {
+          const version = await PromptService.save(
+            state.selected,
+            template,
+            note
+          );
+          showNotification(
+            `Saved ${state.selected} version ${version.version}.`,
+            "success"
+          );
+          await refresh();
+        } catch (error) {
+          // Keep the edits on screen so the admin can fix them
+          state.fields = error.fields || {};
+          showNotification(
+            "Could not save prompt: " + error.message,
+            "error",
+            null,
+            error.requestId
+          );
+          rerenderPromptTemplates();
+          DOMUtils.select("#prompt-template").value = template;
+          DOMUtils.select("#prompt-note").value = note;
+        }
+      },
+
+      async rollback(version) {
+        if (
+          !confirm(
+            `Make version ${version} of the ${state.selected} prompt current for everyone?`
+          )
+        )
+          return;
+        try {
+          const saved = await PromptService.rollback(state.selected, version);
+          showNotification(
+            `Rolled back to version ${version} (now version ${saved.version}).`,
+            "success"
+          );
+          await refresh();
+        } catch (error) {
+          showNotification(
+            "Could not roll back: " + error.message,
+            "error",
+            null,
+            error.requestId
+          );
+        }
+      },
+    };
+
+    setTimeout(async () => {
+      try {
+        state.prompts = await PromptService.list();
+      } catch (error) {
+        showNotification(
+          "Could not load prompts: " + error.message,
+          "error",
+          null,
+          error.requestId
+        );
+        return;
+      }
+      if (state.prompts.length) await loadPrompt(state.prompts[0].name);
+      else rerenderPromptTemplates();
+    }, 0);
+
+    return UIComponents.createLoadingSpinner("Loading prompt templates...");
   },
 
   /**
-   * Settings screen
-   * @returns {Element} Settings view element
+   * Render the prompt template editor
+   * @param {Object} state - { prompts, selected, detail, fields }
+   * @param {Object} handlers - { select(name), save(), rollback(version) }
+   * @returns {Element} Prompt templates element
    */
-  Settings() {
+  renderPromptTemplates(state, handlers) {
+    const { prompt, versions } = state.detail || { versions: [] };
+    const [current] = versions;
+
     return DOMUtils.createElement("div", { class: "container" }, [
       DOMUtils.createElement("div", { class: "card network" }, [
         DOMUtils.createElement(
           "h2",
           { class: "section-title" },
-          "System Configuration"
+          "Prompt Templates"
         ),
         UIComponents.createNotice(
-          "✅ AI configuration is automatically handled by the system. No setup required!",
-          "success"
+          "Saving a template changes what every user gets from the AI. Each save creates a new version; job descriptions record the versions that produced them.",
+          "info"
         ),
-        DOMUtils.createElement("div", { class: "form" }, [
-          DOMUtils.createElement(
-            "div",
-            {
-              style:
-                "background: #f8f9fa; padding: 20px; border-radius: 12px; margin-bottom: 16px;",
-            },
-            [
+        DOMUtils.createElement(
+          "div",
+          { style: "display:flex; gap:8px; flex-wrap:wrap; margin: 16px 0;" },
+          state.prompts.map((p) =>
+            UIComponents.createButton(
+              `${p.name} (v${p.current ? p.current.version : 0})`,
+              {
+                variant:
+                  p.name === state.selected
+                    ? CONSTANTS.BUTTON_VARIANTS.PRIMARY
+                    : CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                onClick: () => handlers.select(p.name),
+              }
+            )
+          )
+        ),
+        prompt
+          ? DOMUtils.createElement("div", { class: "form" }, [
               DOMUtils.createElement(
-                "h4",
+                "p",
+                { style: "margin: 0; color: #6b7280; font-size: 14px;" },
+                `${prompt.description}. Available variables: ` +
+                  prompt.variables.map((v) => `{{${v}}}`).join(", ")
+              ),
+              DOMUtils.createElement(
+                "textarea",
                 {
-                  style: "margin: 0 0 12px 0; color: #1f2937;",
+                  class: "input",
+                  id: "prompt-template",
+                  rows: 16,
+                  style: "font-family: monospace; font-size: 13px;",
                 },
-                "Current Configuration"
+                current ? current.template : ""
               ),
+              state.fields.template
+                ? UIComponents.createNotice(state.fields.template, "error")
+                : null,
+              DOMUtils.createElement("input", {
+                class: "input",
+                id: "prompt-note",
+                type: "text",
+                maxlength: 200,
+                placeholder: "What changed? (optional)",
+              }),
               DOMUtils.createElement(
                 "div",
-                {
-                  style: "display: grid; gap: 8px; font-size: 14px;",
-                },
+                { style: "display:flex; gap:8px" },
                 [
-                  DOMUtils.createElement("div", {}, [
-                    DOMUtils.createElement("strong", {}, "AI Model: "),
-                    DOMUtils.createElement(
-                      "span",
-                      { style: "color: #059669;" },
-                      StorageManager.getModel()
-                    ),
-                  ]),
-                  DOMUtils.createElement("div", {}, [
-                    DOMUtils.createElement("strong", {}, "Proxy Status: "),
-                    DOMUtils.createElement(
-                      "span",
-                      { style: "color: #059669;" },
-                      "✅ Enabled"
-                    ),
-                  ]),
-                  DOMUtils.createElement("div", {}, [
-                    DOMUtils.createElement("strong", {}, "API Security: "),
-                    DOMUtils.createElement(
-                      "span",
-                      { style: "color: #059669;" },
-                      "✅ Server-side managed"
-                    ),
-                  ]),
+                  UIComponents.createButton("Save new version", {
+                    onClick: handlers.save,
+                  }),
                 ]
               ),
-            ]
-          ),
-          DOMUtils.createElement(
-            "div",
-            {
-              style:
-                "background: #eff6ff; padding: 16px; border-radius: 12px; border: 1px solid #3b82f6;",
-            },
-            [
-              DOMUtils.createElement(
-                "h4",
-                {
-                  style: "margin: 0 0 8px 0; color: #1e40af;",
-                },
-                "💡 About This Setup"
-              ),
+            ])
+          : null,
+      ]),
+      prompt
+        ? DOMUtils.createElement("div", { class: "card" }, [
+            DOMUtils.createElement("h3", {}, "Version history"),
+            ...versions.map((version) =>
               DOMUtils.createElement(
-                "p",
+                "details",
                 {
                   style:
-                    "margin: 0; font-size: 14px; color: #1e40af; line-height: 1.5;",
+                    "border-top: 1px solid #e5e7eb; padding: 12px 0; font-size: 14px;",
                 },
-                "The application uses a secure server-side configuration. API keys are stored safely on the server, and the optimal AI model is pre-selected for the best experience."
-              ),
-            ]
-          ),
-        ]),
-      ]),
+                [
+                  DOMUtils.createElement("summary", {}, [
+                    DOMUtils.createElement(
+                      "strong",
+                      {},
+                      `Version ${version.version}`
+                    ),
+                    ` · ${new Date(version.createdAt).toLocaleString()}` +
+                      (version.createdBy
+                        ? ` · ${version.createdBy.username}`
+                        : "") +
+                      (version.note ? ` · ${version.note}` : "") +
+                      (version === current ? " (current)" : ""),
+                  ]),
+                  DOMUtils.createElement(
+                    "pre",
+                    {
+                      style:
+                        "white-space: pre-wrap; background: #f8f9fa; padding: 12px; border-radius: 8px;",
+                    },
+                    version.template
+                  ),
+                  version === current
+                    ? null
+                    : UIComponents.createButton("Roll back to this version", {
+                        variant: CONSTANTS.BUTTON_VARIANTS.SECONDARY,
+                        onClick: () => handlers.rollback(version.version),
+                      }),
+                ]
+              )
+            ),
+          ])
+        : null,
     ]);
   },
 
@@ -3396,6 +9742,142 @@ Object.assign(Views, {
     return skillsContainer;
   },
 
+  /**
+   * Create the pay range inputs for the JD builder: minimum, maximum,
+   * currency, pay period and variable pay, with an AI range suggestion
+   * @param {Object} compensation - Current answer ({ min, max, currency,
+   *   period, variablePay })
+   * @param {Object} options - { location, onEstimate }; onEstimate(currency,
+   *   period) resolves with a salary estimate from the proxy
+   * @returns {Element} Compensation input element
+   */
+  createCompensationInput(compensation = {}, { location, onEstimate }) {
+    const jurisdictions = PayTransparency.jurisdictionsFor(location);
+    const amountInput = (id, placeholder, value) =>
+      DOMUtils.createElement("input", {
+        type: "number",
+        min: "0",
+        step: "any",
+        class: "input",
+        id,
+        placeholder,
+        value: value ?? "",
+        style: "flex: 1;",
+      });
+    const select = (id, options, value) =>
+      DOMUtils.createElement(
+        "select",
+        { class: "input", id, style: "flex: 1;" },
+        Object.entries(options).map(([optionValue, label]) =>
+          DOMUtils.createElement(
+            "option",
+            { value: optionValue, selected: optionValue === value },
+            label
+          )
+        )
+      );
+
+    const estimateNote = DOMUtils.createElement("div", {
+      id: "comp-estimate",
+      class: "caption",
+      style: "margin-top: 8px;",
+    });
+
+    const handleEstimate = async (event) => {
+      const button = event.currentTarget;
+      button.disabled = true;
+      estimateNote.textContent = "Estimating a range…";
+      try {
+        const estimate = await onEstimate(
+          DOMUtils.select("#comp-currency").value,
+          DOMUtils.select("#comp-period").value
+        );
+        DOMUtils.select("#comp-min").value = estimate.min;
+        DOMUtils.select("#comp-max").value = estimate.max;
+        estimateNote.textContent = `${estimate.disclaimer} ${
+          estimate.rationale || ""
+        }`.trim();
+      } catch (error) {
+        estimateNote.textContent = "";
+        showAIError(error, "Could not estimate a range: ");
+      } finally {
+        button.disabled = false;
+      }
+    };
+
+    return DOMUtils.createElement("div", { style: "margin-bottom: 24px;" }, [
+      jurisdictions.length
+        ? UIComponents.createNotice(
+            `A pay range is required to post jobs in ${jurisdictions
+              .map((j) => j.name)
+              .join(", ")}.`
+          )
+        : DOMUtils.createElement(
+            "p",
+            { class: "caption" },
+            "Optional for this location, but a stated range attracts more applicants."
+          ),
+      DOMUtils.createElement(
+        "div",
+        { style: "display: flex; gap: 8px; margin-top: 12px;" },
+        [
+          amountInput("comp-min", "Minimum", compensation.min),
+          amountInput("comp-max", "Maximum", compensation.max),
+        ]
+      ),
+      DOMUtils.createElement(
+        "div",
+        { style: "display: flex; gap: 8px; margin-top: 8px;" },
+        [
+          select(
+            "comp-currency",
+            CONSTANTS.PAY_CURRENCIES,
+            compensation.currency || "USD"
+          ),
+          select(
+            "comp-period",
+            PayTransparency.PERIODS,
+            compensation.period || "year"
+          ),
+        ]
+      ),
+      DOMUtils.createElement("input", {
+        type: "text",
+        class: "input",
+        id: "comp-variable",
+        placeholder: "Equity, bonus or OTE (optional)",
+        value: compensation.variablePay || "",
+        style: "width: 100%; margin-top: 8px;",
+      }),
+      DOMUtils.createElement("div", { style: "margin-top: 8px;" }, [
+        UIComponents.createButton("Suggest a range with AI", {
+          variant: CONSTANTS.BUTTON_VARIANTS.LINK_LIKE,
+          onClick: handleEstimate,
+        }),
+      ]),
+      estimateNote,
+    ]);
+  },
+
+  /**
+   * Read the pay range inputs rendered by createCompensationInput
+   * @returns {Object} { min, max, currency, period, variablePay }; amounts
+   *   are null when left empty
+   */
+  readCompensationInput() {
+    const amount = (id) => {
+      const value = DOMUtils.select(id).value.trim();
+      return value === "" ? null : Number(value);
+    };
+    return {
+      min: amount("#comp-min"),
+      max: amount("#comp-max"),
+      currency: DOMUtils.select("#comp-currency").value,
+      period: DOMUtils.select("#comp-period").value,
+      variablePay: DOMUtils.select("#comp-variable").value.trim(),
+    };
+  },
+
   /**
    * Create a multi-select component with clickable suggestions and removable tags
    * @param {Array} selectedItems - Array of currently selected items
@@ -3621,6 +10103,11 @@ Object.assign(Views, {
         ],
         condition: (answers) => answers.hireType === "Contract",
       },
+      {
+        key: "compensation",
+        q: "What's the pay range?",
+        type: "compensation",
+      },
       {
         key: "domain",
         q: "What industry or domain?",
@@ -3785,6 +10272,29 @@ Object.assign(Views, {
             showNotification("Please add at least one skill.", "error");
             return;
           }
+        } else if (question.type === "compensation") {
+          const pay = Views.readCompensationInput();
+          const jurisdictions = PayTransparency.jurisdictionsFor(
+            answers.location
+          );
+          let problem = null;
+          if (pay.min === null && pay.max === null) {
+            if (jurisdictions.length) {
+              problem = `A pay range is required to post jobs in ${jurisdictions
+                .map((j) => j.name)
+                .join(", ")}.`;
+            }
+          } else if (pay.min === null || pay.max === null) {
+            problem = "Enter both a minimum and a maximum.";
+          } else if (!(pay.min > 0) || pay.max < pay.min) {
+            problem =
+              "The minimum must be above zero and no more than the maximum.";
+          }
+          if (problem) {
+            showNotification(problem, "error");
+            return;
+          }
+          answers[question.key] = pay;
         } else if (question.type === "multi-select") {
           // For multi-select, check if there are any items selected
           if (!answers[question.key] || answers[question.key].length === 0) {
@@ -3886,6 +10396,19 @@ Object.assign(Views, {
             ? Views.createSkillsInput(answers[question.key] || [], (newSkills) => {
                 answers[question.key] = newSkills;
               })
+            : question.type === "compensation"
+            ? Views.createCompensationInput(answers[question.key], {
+                location: answers.location,
+                onEstimate: (currency, period) =>
+                  AIService.estimateSalaryViaProxy({
+                    role: answers.role,
+                    location: answers.location,
+                    hireType: answers.hireType,
+                    skills: (answers.skills || []).join(", "),
+                    currency,
+                    period,
+                  }),
+              })
             : question.type === "multi-select"
             ? Views.createMultiSelectInput(
                 answers[question.key] || [],
@@ -3989,9 +10512,51 @@ Object.assign(Views, {
       }
     };
 
-    const generateJobDescription = async () => {
-      // Show loading state
+    /**
+     * Save a generated JD to the shared library and show the success state.
+     * A failed save keeps the streamed preview on screen so the text isn't lost.
+     * @param {string} generatedText - Completed job description
+     * @param {Object|null} prompt - { name, version } of the template used
+     * @param {string|null} requisitionId - Requisition the generation was billed to
+     */
+    const saveGeneratedJobDescription = async (
+      generatedText,
+      prompt,
+      requisitionId
+    ) => {
       const container = DOMUtils.select("#jd-question-container");
+      try {
+        await JDService.create({
+          title: answers.role,
+          location: answers.location,
+          content: generatedText,
+          answers: answers,
+          promptVersions: prompt ? { [prompt.name]: prompt.version } : {},
+          ...(requisitionId && { requisitionId }),
+        });
+      } catch (error) {
+        console.error("Error saving job description:", error);
+        const preview = DOMUtils.select("#jd-stream-preview");
+        const spinner = container?.querySelector(".loading-spinner");
+        if (spinner) spinner.remove();
+        const retry = UIComponents.createButton("Try saving again", {
+          onClick: () => {
+            retry.remove();
+            saveGeneratedJobDescription(generatedText, prompt, requisitionId);
+          },
+          style: "justify-content: center; margin-top: 16px;",
+        });
+        if (preview) preview.after(retry);
+        showNotification(
+          `Your job description was generated but could not be saved: ${error.message}`,
+          "error",
+          null,
+          error.requestId
+        );
+        return;
+      }
+
+      // Show success state briefly, then redirect
       if (container) {
         container.innerHTML = "";
         container.appendChild(
@@ -4001,94 +10566,110 @@ Object.assign(Views, {
               style: "text-align: center; padding: 60px 20px;",
             },
             [
-              DOMUtils.createElement("div", {
-                style:
-                  "width: 64px; height: 64px; border: 4px solid #e5e7eb; border-top: 4px solid #2563eb; border-radius: 50%; margin: 0 auto 24px; animation: spin 1s linear infinite;",
-              }),
+              DOMUtils.createElement(
+                "div",
+                {
+                  style:
+                    "width: 64px; height: 64px; background: #10b981; border-radius: 50%; margin: 0 auto 24px; display: flex; align-items: center; justify-content: center; font-size: 32px; color: white;",
+                },
+                "✓"
+              ),
               DOMUtils.createElement(
                 "h3",
                 {
                   style: "margin: 0 0 12px 0; color: #1f2937; font-size: 24px;",
                 },
-                "Generating Job Description"
+                "Job Description Generated!"
               ),
               DOMUtils.createElement(
                 "p",
                 {
                   style: "margin: 0; color: #6b7280; font-size: 16px;",
                 },
-                "Our AI is crafting a professional job description based on your answers..."
+                "Redirecting to view your new job description..."
               ),
             ]
           )
         );
       }
 
-      try {
-        console.log("Generating job description with answers:", answers);
-
-        // Generate job description using AI
-        const generatedText = await AIService.generateViaProxy(answers);
+      setTimeout(() => {
+        location.hash = "#/jd-view";
+      }, 2000);
+    };
 
-        console.log("Generated text:", generatedText);
+    const generateJobDescription = async () => {
+      // Show loading state with a live preview that fills in as tokens stream
+      const container = DOMUtils.select("#jd-question-container");
+      const preview = DOMUtils.createElement(
+        "pre",
+        {
+          id: "jd-stream-preview",
+          style:
+            "white-space: pre-wrap; text-align: left; max-height: 420px; overflow-y: auto; margin: 24px 0 0 0; padding: 16px; background: #f8f9fa; border-radius: 12px; font-size: 14px; color: #1f2937;",
+        },
+        ""
+      );
+      const status = DOMUtils.createElement(
+        "p",
+        {
+          style: "margin: 0; color: #6b7280; font-size: 16px;",
+        },
+        "Our AI is crafting a professional job description based on your answers..."
+      );
 
-        // Save the job description
-        const jobDescription = {
-          id: Date.now().toString(),
-          title: answers.role,
-          location: answers.location,
-          content: generatedText,
-          createdAt: new Date().toISOString(),
-          answers: answers,
-        };
+      if (container) {
+        container.innerHTML = "";
+        container.appendChild(
+          DOMUtils.createElement(
+            "div",
+            {
+              style: "text-align: center; padding: 40px 20px;",
+            },
+            [
+              DOMUtils.createElement("div", {
+                class: "loading-spinner",
+                style:
+                  "width: 48px; height: 48px; border: 4px solid #e5e7eb; border-top: 4px solid #2563eb; border-radius: 50%; margin: 0 auto 24px;",
+              }),
+              DOMUtils.createElement(
+                "h3",
+                {
+                  style: "margin: 0 0 12px 0; color: #1f2937; font-size: 24px;",
+                },
+                "Generating Job Description"
+              ),
+              status,
+              preview,
+            ]
+          )
+        );
+      }
 
-        StorageManager.saveJobDescription(jobDescription);
+      try {
+        console.log("Generating job description with answers:", answers);
 
-        // Show success state briefly, then redirect
-        if (container) {
-          container.innerHTML = "";
-          container.appendChild(
-            DOMUtils.createElement(
-              "div",
-              {
-                style: "text-align: center; padding: 60px 20px;",
-              },
-              [
-                DOMUtils.createElement(
-                  "div",
-                  {
-                    style:
-                      "width: 64px; height: 64px; background: #10b981; border-radius: 50%; margin: 0 auto 24px; display: flex; align-items: center; justify-content: center; font-size: 32px; color: white;",
-                  },
-                  "✓"
-                ),
-                DOMUtils.createElement(
-                  "h3",
-                  {
-                    style:
-                      "margin: 0 0 12px 0; color: #1f2937; font-size: 24px;",
-                  },
-                  "Job Description Generated!"
-                ),
-                DOMUtils.createElement(
-                  "p",
-                  {
-                    style: "margin: 0; color: #6b7280; font-size: 16px;",
-                  },
-                  "Redirecting to view your new job description..."
-                ),
-              ]
-            )
-          );
-        }
+        // Generate job description using AI, rendering tokens as they arrive
+        const {
+          text: generatedText,
+          prompt,
+          requisitionId,
+        } = await AIService.generateViaProxy(answers, (token) => {
+          if (!preview.textContent) {
+            status.textContent = "Writing your job description...";
+          }
+          preview.textContent += token;
+          preview.scrollTop = preview.scrollHeight;
+        });
 
-        setTimeout(() => {
-          location.hash = "#/jd-view";
-        }, 2000);
+        console.log("Generated text:", generatedText);
+        preview.textContent = generatedText;
+        await saveGeneratedJobDescription(generatedText, prompt, requisitionId);
       } catch (error) {
         console.error("Error generating job description:", error);
         console.error("Error details:", error.message);
         console.error("Answers that caused error:", answers);
+        if (error.status === 429) showRetryCountdown(error.retryAfter);
 
         // Show error state
         if (container) {
@@ -4122,7 +10703,9 @@ Object.assign(Views, {
                     style:
                       "margin: 0 0 24px 0; color: #6b7280; font-size: 16px;",
                   },
-                  "There was an issue generating your job description. Please try again."
+                  error.code
+                    ? getAIErrorMessage(error)
+                    : "There was an issue generating your job description. Please try again."
                 ),
                 UIComponents.createButton("Try Again", {
                   onClick: () => renderQuestion(),
@@ -4178,7 +10761,7 @@ const NavigationManager = {
    */
   updateHeaderAuth() {
     const nav = document.querySelector(".nav");
-    const currentUser = StorageManager.getCurrentUser();
+    const currentUser = AuthService.getCurrentUser();
 
     if (!nav) return;
 
@@ -4189,6 +10772,11 @@ const NavigationManager = {
           currentUser.first || currentUser.username
         }!</span>
         <a href="#/" class="nav-link">Home</a>
+        ${
+          currentUser.isAdmin
+            ? '<a href="#/admin/prompts" class="nav-link">Prompts</a>'
+            : ""
+        }
         <button class="nav-link logout-btn" onclick="NavigationManager.logout()">Logout</button>
       `;
     } else {
@@ -4204,8 +10792,12 @@ const NavigationManager = {
   /**
    * Handle user logout
    */
-  logout() {
-    StorageManager.clearCurrentUser();
+  async logout() {
+    try {
+      await AuthService.logout();
+    } catch (error) {
+      console.error("Logout error:", error);
+    }
     showNotification("Logged out successfully!", "success");
     this.updateHeaderAuth();
     location.hash = "#/";
@@ -4219,44 +10811,6 @@ const NavigationManager = {
   },
 };
 
-// ============================================================================
-// DEBUG UTILITIES (Temporary - Remove in production)
-// ============================================================================
-
-/**
- * Debug function to create a test user account
- * Call this from browser console: window.createTestUser()
- */
-window.createTestUser = function () {
-  const testUser = {
-    username: "dheerajkukkadapu",
-    email: "test@example.com",
-    first: "Dheeraj",
-    last: "Kukkadapu",
-    password: "password123", // Plain text for testing
-    createdAt: new Date().toISOString(),
-  };
-
-  const users = StorageManager.loadUsers();
-  // Remove existing user if any
-  const filteredUsers = users.filter(
-    (u) => u.username.toLowerCase() !== testUser.username.toLowerCase()
-  );
-  filteredUsers.push(testUser);
-  StorageManager.saveUsers(filteredUsers);
-
-  console.log("Test user created:", testUser);
-  console.log("All users:", StorageManager.loadUsers());
-};
-
-/**
- * Debug function to view all users
- * Call this from browser console: window.viewAllUsers()
- */
-window.viewAllUsers = function () {
-  console.log("All users:", StorageManager.loadUsers());
-};
-
 // ============================================================================
 // ROUTING CONFIGURATION
 // ============================================================================
@@ -4269,5 +10823,10 @@ Object.assign(Router.routes, {
   "#/jd-view": createRouteGuard(Views.JDView),
   "#/sourcing": createRouteGuard(Views.Sourcing),
   "#/recruitment": createRouteGuard(Views.Recruitment),
+  "#/candidates": createRouteGuard(Views.CandidateValidation),
+  "#/scheduling": createRouteGuard(Views.InterviewScheduling),
+  "#/feedback": createRouteGuard(Views.InterviewFeedback),
+  "#/pipeline": createRouteGuard(Views.Pipeline),
   "#/settings": createRouteGuard(Views.Settings),
+  "#/admin/prompts": createAdminRouteGuard(Views.PromptTemplates),
 });
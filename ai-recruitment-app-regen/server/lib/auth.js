@@ -0,0 +1,146 @@
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { createCollection } from "./store.js";
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PBKDF2_ITERATIONS = 100000;
+const SESSION_TTL_MS =
+  Number(process.env.SESSION_TTL_HOURS || 168) * 60 * 60 * 1000;
+
+export const SESSION_COOKIE = "sid";
+
+// The only accounts that administer the proxy. Admin rights come from this
+// setting alone, never from signing up, so nobody can claim them over the network
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || "")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+export const users = createCollection("users");
+const sessions = createCollection("sessions");
+
+/**
+ * Hash a password with PBKDF2 (SHA-256) and a random salt
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex salt (optional, generated if not provided)
+ * @returns {Promise<Object>} Object containing passwordHash and salt
+ */
+export async function hashPassword(password, salt = null) {
+  salt = salt || crypto.randomBytes(16).toString("hex");
+  const derived = await pbkdf2(password, salt, PBKDF2_ITERATIONS, 32, "sha256");
+  return { passwordHash: derived.toString("hex"), salt };
+}
+
+/**
+ * Verify a password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {Object} user - Stored user with passwordHash and salt
+ * @returns {Promise<boolean>} True if password matches
+ */
+export async function verifyPassword(password, user) {
+  const { passwordHash } = await hashPassword(password, user.salt);
+  const expected = Buffer.from(user.passwordHash, "hex");
+  const actual = Buffer.from(passwordHash, "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Validate password strength (mirrors PasswordSecurity in the SPA)
+ * @param {string} password - Password to validate
+ * @returns {Array<string>} Validation errors
+ */
+export function validatePasswordStrength(password) {
+  const errors = [];
+  if (!password || password.length < 8)
+    errors.push("Password must be at least 8 characters long");
+  if (password && password.length > 128)
+    errors.push("Password must be less than 128 characters");
+  if (!/[a-z]/.test(password || ""))
+    errors.push("Password must contain at least one lowercase letter");
+  if (!/[A-Z]/.test(password || ""))
+    errors.push("Password must contain at least one uppercase letter");
+  if (!/\d/.test(password || ""))
+    errors.push("Password must contain at least one number");
+  if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password || ""))
+    errors.push("Password must contain at least one special character");
+  return errors;
+}
+
+/**
+ * Whether a user may administer the proxy (e.g. edit prompt templates)
+ * @param {Object} user - Stored user
+ * @returns {boolean} True for admins
+ */
+export function isAdmin(user) {
+  return ADMIN_USERNAMES.includes(String(user?.username).toLowerCase());
+}
+
+/**
+ * Strip credentials from a stored user
+ * @param {Object} user - Stored user
+ * @returns {Object} User safe to send to the client
+ */
+export function toPublicUser(user) {
+  const { passwordHash, salt, ...rest } = user;
+  return { ...rest, isAdmin: isAdmin(user) };
+}
+
+// Session tokens are only ever stored hashed, so a leaked sessions file
+// cannot be replayed as cookies.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create a session for a user
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Raw token and expiry date
+ */
+export async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await sessions.insert({
+    id: hashToken(token),
+    userId,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt.toISOString(),
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Resolve a session token to its user, dropping expired sessions
+ * @param {string} token - Raw session token from the cookie
+ * @returns {Promise<Object|null>} Stored user or null
+ */
+export async function getSessionUser(token) {
+  if (!token) return null;
+  const session = await sessions.findById(hashToken(token));
+  if (!session) return null;
+  if (new Date(session.expiresAt) <= new Date()) {
+    await sessions.remove(session.id);
+    return null;
+  }
+  return users.findById(session.userId);
+}
+
+/**
+ * Destroy a session
+ * @param {string} token - Raw session token from the cookie
+ */
+export async function destroySession(token) {
+  if (token) await sessions.remove(hashToken(token));
+}
+
+/**
+ * Remove every expired session
+ * @returns {Promise<number>} Number of removed sessions
+ */
+export function pruneExpiredSessions() {
+  const now = new Date();
+  return sessions.removeWhere((s) => new Date(s.expiresAt) <= now);
+}
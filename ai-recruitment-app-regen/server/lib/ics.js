@@ -0,0 +1,121 @@
+/**
+ * iCalendar (RFC 5545) invites for scheduled interviews. Times are written in
+ * UTC, so calendar apps show them in each attendee's own time zone.
+ */
+
+const PRODUCT_ID = "-//AI Recruitment App//Interview Scheduling//EN";
+// Lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and line breaks
+ * @param {string} text - Value
+ * @returns {string} Escaped value
+ */
+function escapeText(text) {
+  // A lone CR (old Mac line ends) is a line break too
+  return String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n?|\n/g, "\\n");
+}
+
+/**
+ * A parameter value such as CN, quoted when it contains separators
+ * @param {string} value - Value
+ * @returns {string} Parameter value
+ */
+function paramValue(value) {
+  const clean = String(value ?? "").replace(/["\r\n]/g, "");
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * A date-time in UTC form, e.g. 20261019T140000Z
+ * @param {Date|string} date - Instant
+ * @returns {string}
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, without splitting a
+ * UTF-8 character; continuation lines start with a space
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function fold(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // The leading space of a continuation line counts towards its length
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Build an interview invite, or its cancellation
+ * @param {Object} event - { uid, sequence, method ("REQUEST" or "CANCEL"),
+ *   start, end, summary, description, location, organizer: { name, email },
+ *   attendees: [{ name, email }] }
+ * @returns {string} The .ics file contents, with CRLF line breaks
+ */
+export function buildInvite({
+  uid,
+  sequence = 0,
+  method = "REQUEST",
+  start,
+  end,
+  summary,
+  description,
+  location,
+  organizer,
+  attendees = [],
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push(`STATUS:${method === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`);
+  if (organizer) {
+    lines.push(
+      `ORGANIZER;CN=${paramValue(organizer.name)}:mailto:${organizer.email}`
+    );
+  }
+  for (const attendee of attendees) {
+    lines.push(
+      `ATTENDEE;CN=${paramValue(
+        attendee.name
+      )};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${
+        attendee.email
+      }`
+    );
+  }
+  lines.push("END:VEVENT", "END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,399 @@
+import { AI_ERROR_CODES, AIProviderError } from "./providers/errors.js";
+import { renderPrompt } from "./prompts.js";
+
+/**
+ * Inclusive-language linter for job descriptions. A deterministic word-list
+ * engine flags gender-coded, ageist and ableist wording, degree requirements
+ * without an alternative and overlong requirement lists; the model can add
+ * findings the lists miss.
+ */
+
+export const LINT_CATEGORIES = [
+  "gender",
+  "age",
+  "ability",
+  "degree",
+  "requirements",
+];
+
+// More must-haves than this discourage qualified people who miss one
+export const MAX_REQUIREMENTS =
+  Number(process.env.JD_LINT_MAX_REQUIREMENTS) || 8;
+
+const PRONOUN_MESSAGE =
+  "Gendered pronoun. Address the reader as “you” or use “they”, and check the sentence still reads well.";
+
+/**
+ * Word-list rules: [id, category, pattern, suggestion, message]. Patterns are
+ * matched case-insensitively on word boundaries; a null suggestion means the
+ * wording needs a rewrite rather than a swap.
+ */
+const WORD_RULES = [
+  // Masculine-coded words put off women applicants (Gaucher, Friesen & Kay, 2011)
+  ["aggressive", "gender", "aggressive", "proactive"],
+  ["aggressively", "gender", "aggressively", "proactively"],
+  ["assertive", "gender", "assertive", "confident"],
+  [
+    "competitive",
+    "gender",
+    // "competitive salary" is about pay, not the candidate
+    "competitive(?!\\s+(?:salary|salaries|pay|compensation|benefits|package|rates?))",
+    "motivated",
+  ],
+  ["dominant", "gender", "dominant", "leading"],
+  ["dominate", "gender", "dominate", "lead"],
+  ["fearless", "gender", "fearless", "resilient"],
+  ["headstrong", "gender", "headstrong", "determined"],
+  ["ninja", "gender", "ninjas?", "expert"],
+  ["rockstar", "gender", "rock ?stars?", "expert"],
+  ["guru", "gender", "gurus?", "expert"],
+  ["manpower", "gender", "manpower", "staffing"],
+  ["man-hours", "gender", "man[- ]hours", "person-hours"],
+  ["chairman", "gender", "chairman", "chair"],
+  ["salesman", "gender", "salesman", "salesperson"],
+  ["salesmen", "gender", "salesmen", "salespeople"],
+  ["foreman", "gender", "foreman", "supervisor"],
+  ["guys", "gender", "guys", "everyone"],
+  ["he-or-she", "gender", "(?:he or she|he/she|s/he|\\(s\\)he)", "they"],
+  ["his-or-her", "gender", "(?:his or her|his/her)", "their"],
+  ["him-or-her", "gender", "(?:him or her|him/her)", "them"],
+  ["pronoun", "gender", "(?:he|she|him|his|her|hers)", null, PRONOUN_MESSAGE],
+  // Feminine-coded words are milder, but a JD full of them skews the other way
+  ["nurturing", "gender", "nurturing", "supportive"],
+
+  [
+    "digital-native",
+    "age",
+    "digital natives?",
+    "comfortable with digital tools",
+  ],
+  ["young-energetic", "age", "young(?:,| and) energetic", "energetic"],
+  ["young-dynamic", "age", "young(?:,| and) dynamic", "dynamic"],
+  [
+    "young",
+    "age",
+    "young",
+    null,
+    "“Young” signals an age preference. Describe the skills or pace instead.",
+  ],
+  ["youthful", "age", "youthful", "enthusiastic"],
+  [
+    "recent-graduate",
+    "age",
+    "(?:recent|fresh) (?:college |university )?grad(?:uate)?s?",
+    "early-career candidates",
+  ],
+  ["fresh-blood", "age", "(?:new|fresh) blood", "new perspectives"],
+  [
+    "overqualified",
+    "age",
+    "over-?qualified",
+    null,
+    "“Overqualified” is often a proxy for age. Say what the role needs instead.",
+  ],
+  [
+    "experience-cap",
+    "age",
+    "(?:no more than|not more than|maximum of|at most) \\d+\\+? years",
+    null,
+    "A ceiling on experience excludes older candidates. State the minimum you need.",
+  ],
+
+  [
+    "able-bodied",
+    "ability",
+    "able-bodied",
+    null,
+    "Excludes disabled candidates. Describe the essential tasks instead.",
+  ],
+  ["crazy", "ability", "crazy", "intense"],
+  ["insane", "ability", "insane", "remarkable"],
+  ["insanely", "ability", "insanely", "remarkably"],
+  ["lame", "ability", "lame", "weak"],
+  ["tone-deaf", "ability", "tone-deaf", "insensitive"],
+  ["blind-spot", "ability", "blind spots?", "gaps"],
+  ["blind-eye", "ability", "turn(?:s|ed)? a blind eye", "ignore"],
+  ["deaf-ears", "ability", "(?:fall|falls|fell) on deaf ears", "is ignored"],
+  ["sanity-check", "ability", "sanity checks?", "quick check"],
+  ["ocd", "ability", "OCD", "detail-oriented"],
+  ["crippling", "ability", "crippling", "severe"],
+  ["crippled", "ability", "crippled", "hampered"],
+  [
+    "physical",
+    "ability",
+    "must be able to (?:stand|walk|lift|see|hear|speak)",
+    null,
+    "List physical requirements only if they are essential to the job, and mention that accommodations are available.",
+  ],
+].map(([id, category, pattern, suggestion, message]) => ({
+  id,
+  category,
+  regex: new RegExp(`\\b${pattern}\\b`, "gi"),
+  suggestion,
+  message:
+    message ||
+    {
+      gender: `Gender-coded wording. Consider “${suggestion}”.`,
+      age: `Suggests an age preference. Consider “${suggestion}”.`,
+      ability: `Ableist expression. Consider “${suggestion}”.`,
+    }[category],
+}));
+
+// "degree" but not "360 degree" or "a high degree of"; abbreviations are
+// matched by case so "MS Office" and "100 ms" don't count
+const DEGREE_RE =
+  /\b(?:bachelor'?s|master'?s|doctorate|ph\.?\s?d|mba|(?<!\d[- ]?)degree(?! of))\b/i;
+const DEGREE_ABBREVIATION_RE = /\b(?:BSc|MSc|B\.S\.|M\.S\.)/;
+// A degree line with any of these already offers another route, or isn't a must-have
+const DEGREE_ALTERNATIVE_RE =
+  /\b(?:equivalent|or experience|preferred|nice to have|a plus|bonus|ideally)\b/i;
+
+const REQUIREMENT_HEADING_RE =
+  /^(?:required skills|requirements|required qualifications|qualifications|must[- ]haves?|what you(?:'ll| will) need|what we(?:'re| are) looking for)\b/i;
+const OPTIONAL_HEADING_RE = /\b(?:preferred|nice|bonus|plus)\b/i;
+const BULLET_RE = /^\s*(?:[•*\-–]|\d+[.)])\s+/;
+
+/**
+ * Match the case of the text being replaced
+ * @param {string} original - Matched text
+ * @param {string} suggestion - Replacement
+ * @returns {string} Replacement in the original's case
+ */
+function matchCase(original, suggestion) {
+  if (original.length > 1 && original === original.toUpperCase()) {
+    return suggestion.toUpperCase();
+  }
+  if (original[0] === original[0].toUpperCase()) {
+    return suggestion[0].toUpperCase() + suggestion.slice(1);
+  }
+  return suggestion;
+}
+
+/**
+ * Split text into lines with their offsets
+ * @param {string} text - Text
+ * @returns {Array<Object>} [{ text, start }]
+ */
+function linesOf(text) {
+  const lines = [];
+  let start = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ text: line, start });
+    start += line.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Split text into sentences (never across lines) with their offsets
+ * @param {string} text - Text
+ * @returns {Array<Object>} [{ text, start }]
+ */
+function sentencesOf(text) {
+  const sentences = [];
+  for (const line of linesOf(text)) {
+    let start = 0;
+    // A full stop ends a sentence only before a capital, so "B.S. in" doesn't
+    for (const stop of line.text.matchAll(/[.!?]\s+(?=[A-Z])/g)) {
+      sentences.push({
+        text: line.text.slice(start, stop.index + 1),
+        start: line.start + start,
+      });
+      start = stop.index + stop[0].length;
+    }
+    sentences.push({ text: line.text.slice(start), start: line.start + start });
+  }
+  return sentences;
+}
+
+function wordFindings(text) {
+  const findings = [];
+  for (const rule of WORD_RULES) {
+    for (const match of text.matchAll(rule.regex)) {
+      findings.push({
+        rule: rule.id,
+        category: rule.category,
+        severity: rule.suggestion ? "warning" : "info",
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        message: rule.message,
+        suggestion: rule.suggestion && matchCase(match[0], rule.suggestion),
+      });
+    }
+  }
+  return findings;
+}
+
+function degreeFindings(text) {
+  const findings = [];
+  for (const sentence of sentencesOf(text)) {
+    const mentionsDegree =
+      DEGREE_RE.test(sentence.text) ||
+      DEGREE_ABBREVIATION_RE.test(sentence.text);
+    if (!mentionsDegree || DEGREE_ALTERNATIVE_RE.test(sentence.text)) continue;
+    // Flag the sentence without its bullet, and keep a trailing full stop last
+    const bullet = sentence.text.match(BULLET_RE)?.[0].length || 0;
+    const body = sentence.text.slice(bullet).trimEnd();
+    const stop = body.endsWith(".") ? "." : "";
+    // "X degree required" reads better as "X degree or equivalent experience required"
+    const [, degree, required = ""] = body
+      .slice(0, body.length - stop.length)
+      .match(/^(.*?)(\s+required)?$/i);
+    findings.push({
+      rule: "degree",
+      category: "degree",
+      severity: "warning",
+      start: sentence.start + bullet,
+      end: sentence.start + bullet + body.length,
+      text: body,
+      message:
+        "Degree requirement with no alternative. Many capable candidates learned on the job; accept equivalent experience unless the degree is legally required.",
+      suggestion: `${degree} or equivalent experience${required}${stop}`,
+    });
+  }
+  return findings;
+}
+
+function requirementListFindings(text) {
+  const findings = [];
+  const lines = linesOf(text);
+  lines.forEach((line, i) => {
+    const heading = line.text.trim().replace(/:$/, "");
+    if (
+      !REQUIREMENT_HEADING_RE.test(heading) ||
+      OPTIONAL_HEADING_RE.test(heading)
+    ) {
+      return;
+    }
+    let count = 0;
+    for (const next of lines.slice(i + 1)) {
+      if (BULLET_RE.test(next.text)) count++;
+      else if (next.text.trim() || count) break;
+    }
+    if (count <= MAX_REQUIREMENTS) return;
+    const offset = line.text.indexOf(heading);
+    findings.push({
+      rule: "requirement-count",
+      category: "requirements",
+      severity: "warning",
+      start: line.start + offset,
+      end: line.start + offset + heading.length,
+      text: heading,
+      message: `${count} requirements. Long lists put off qualified candidates who miss a single item; keep the ${MAX_REQUIREMENTS} or fewer true must-haves and move the rest to a nice-to-have list.`,
+      suggestion: null,
+    });
+  });
+  return findings;
+}
+
+/**
+ * Sort findings and drop any that overlap an earlier, longer one
+ * @param {Array<Object>} findings - Findings
+ * @returns {Array<Object>} Non-overlapping findings, in text order
+ */
+function withoutOverlaps(findings) {
+  const sorted = [...findings].sort(
+    (a, b) => a.start - b.start || b.end - b.start - (a.end - a.start)
+  );
+  const kept = [];
+  for (const finding of sorted) {
+    const last = kept[kept.length - 1];
+    if (last && finding.start < last.end) continue;
+    kept.push(finding);
+  }
+  return kept;
+}
+
+/**
+ * Lint a job description with the word lists
+ * @param {string} text - Job description text
+ * @returns {Array<Object>} Findings in text order: { id, rule, category,
+ *   severity, start, end, text, message, suggestion, source }. Replacing
+ *   text[start, end) with `suggestion` applies the fix.
+ */
+export function lintJobDescription(text) {
+  return withoutOverlaps([
+    ...wordFindings(text),
+    ...degreeFindings(text),
+    ...requirementListFindings(text),
+  ]).map((finding) => ({
+    id: `${finding.rule}:${finding.start}`,
+    ...finding,
+    source: "rules",
+  }));
+}
+
+/**
+ * Ask the model for findings the word lists missed
+ * @param {Object} llm - Provider
+ * @param {Object} options - { jd, findings } (the rule findings so far), plus
+ *   options for the model call (model, onUsage, log, ...)
+ * @returns {Promise<Array<Object>>} Extra findings located in the text, in
+ *   text order
+ * @throws {AIProviderError} ai_invalid_output when the answer isn't usable JSON
+ */
+export async function lintWithAI(llm, { jd, findings, ...callOptions }) {
+  const { text: system } = await renderPrompt("lint", {});
+  const answer = await llm.complete(
+    [
+      { role: "system", content: system },
+      { role: "user", content: `Job Description:\n\n${jd}` },
+    ],
+    { ...callOptions, temperature: 0, json: true }
+  );
+
+  let items;
+  try {
+    items = JSON.parse(
+      answer
+        .trim()
+        .replace(/^```(?:json)?\s*/i, "")
+        .replace(/\s*```$/, "")
+    ).findings;
+  } catch (e) {
+    items = null;
+  }
+  if (!Array.isArray(items)) {
+    throw new AIProviderError(AI_ERROR_CODES.INVALID_OUTPUT, {
+      detail: `lint response has no findings array: ${answer.slice(0, 200)}`,
+    });
+  }
+
+  const extra = [];
+  for (const item of items) {
+    if (
+      typeof item?.text !== "string" ||
+      !item.text.trim() ||
+      typeof item.message !== "string" ||
+      !LINT_CATEGORIES.includes(item.category)
+    ) {
+      continue;
+    }
+    // The model quotes the text; findings it can't point at are useless
+    let start = jd.indexOf(item.text);
+    if (start < 0) start = jd.toLowerCase().indexOf(item.text.toLowerCase());
+    if (start < 0) continue;
+    extra.push({
+      id: `ai:${start}`,
+      rule: "ai",
+      category: item.category,
+      severity: "info",
+      start,
+      end: start + item.text.length,
+      text: jd.slice(start, start + item.text.length),
+      message: item.message,
+      suggestion:
+        typeof item.suggestion === "string" && item.suggestion.trim()
+          ? item.suggestion
+          : null,
+      source: "ai",
+    });
+  }
+
+  // The word lists win where both flag the same words
+  const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+  return withoutOverlaps(
+    extra.filter((item) => !findings.some((finding) => overlaps(item, finding)))
+  );
+}
@@ -0,0 +1,120 @@
+import ApiContract from "../../shared/apiContract.js";
+import { renderPrompt } from "./prompts.js";
+
+/**
+ * JD translation and localization. Each target locale has a profile telling
+ * the model the language, spelling and date conventions and the equal
+ * opportunity law to write the EEO statement for; the SPA saves the result as
+ * a variant of the original JD.
+ */
+
+export const LOCALE_PROFILES = {
+  "en-US": {
+    language: "English",
+    country: "the United States",
+    dateFormat: "MM/DD/YYYY",
+    notes: "American spelling (organize, color, program)",
+    eeo: "an Equal Employment Opportunity statement: no discrimination on the basis of race, color, religion, sex (including pregnancy, sexual orientation and gender identity), national origin, age, disability, genetic information or veteran status.",
+  },
+  "en-GB": {
+    language: "English",
+    country: "the United Kingdom",
+    dateFormat: "DD/MM/YYYY",
+    notes:
+      "British spelling and vocabulary (organise, colour, programme, CV rather than resume, holiday rather than PTO)",
+    eeo: "a statement based on the Equality Act 2010: applications are welcome regardless of age, disability, gender reassignment, marriage and civil partnership, pregnancy and maternity, race, religion or belief, sex or sexual orientation, and reasonable adjustments are available during the process.",
+  },
+  "es-ES": {
+    language: "Spanish",
+    country: "Spain",
+    dateFormat: "DD/MM/AAAA",
+    notes:
+      "European Spanish vocabulary (ordenador, móvil) and usted or tú consistently",
+    eeo: "a statement based on Ley 15/2022 integral para la igualdad de trato y la no discriminación and Ley Orgánica 3/2007 de igualdad efectiva de mujeres y hombres: equal treatment regardless of sex, origin, age, disability, religion, sexual orientation or identity.",
+  },
+  "es-MX": {
+    language: "Spanish",
+    country: "Mexico",
+    dateFormat: "DD/MM/AAAA",
+    notes: "Mexican Spanish vocabulary (computadora, celular)",
+    eeo: "a statement based on the Ley Federal del Trabajo and the Ley Federal para Prevenir y Eliminar la Discriminación: no discrimination based on ethnic origin, gender, age, disability, social condition, health, religion, migration status, sexual preference or marital status.",
+  },
+  "de-DE": {
+    language: "German",
+    country: "Germany",
+    dateFormat: "TT.MM.JJJJ",
+    notes:
+      "the formal Sie unless the original is informal, and a gender-neutral job title followed by (m/w/d)",
+    eeo: "a statement based on the Allgemeines Gleichbehandlungsgesetz (AGG): applications are welcome regardless of ethnic origin, gender, religion or belief, disability, age or sexual identity.",
+  },
+  "fr-FR": {
+    language: "French",
+    country: "France",
+    dateFormat: "JJ/MM/AAAA",
+    notes: "vous, and (H/F) after the job title",
+    eeo: "a statement based on article L1132-1 of the Code du travail: the role is open to everyone without discrimination, and candidates with disabilities (situation de handicap) are welcome.",
+  },
+  "fr-CA": {
+    language: "French",
+    country: "Canada (Quebec)",
+    dateFormat: "AAAA-MM-JJ",
+    notes:
+      "Quebec French vocabulary (courriel, fin de semaine) and inclusive writing",
+    eeo: "a statement based on the Quebec Charter of human rights and freedoms and the Employment Equity Act: equal access to employment, with accommodation available on request during the hiring process.",
+  },
+  "pt-BR": {
+    language: "Portuguese",
+    country: "Brazil",
+    dateFormat: "DD/MM/AAAA",
+    notes: "Brazilian Portuguese vocabulary and você",
+    eeo: "a statement based on the CLT and Lei 9.029/95: no discrimination by sex, origin, race, color, marital status, age or disability, noting that the role is also open to people with disabilities (PcD).",
+  },
+  "hi-IN": {
+    language: "Hindi",
+    country: "India",
+    dateFormat: "DD/MM/YYYY",
+    notes:
+      "Devanagari script, आप, and English for technical terms Indian candidates use in English",
+    eeo: "an equal opportunity statement in line with the Rights of Persons with Disabilities Act 2016 and the Transgender Persons (Protection of Rights) Act 2019: equal opportunity regardless of caste, religion, gender, gender identity, disability or background.",
+  },
+  "ja-JP": {
+    language: "Japanese",
+    country: "Japan",
+    dateFormat: "YYYY年MM月DD日",
+    notes: "polite です/ます style, and no age limits or gendered job titles",
+    eeo: "a statement in line with the Equal Employment Opportunity Act (男女雇用機会均等法) and the age-discrimination rules of the Labor Measures Comprehensive Promotion Act: the role is open to everyone regardless of gender or age.",
+  },
+};
+
+// The contract's locale list and the profiles have to match
+for (const locale of ApiContract.ROUTES.translate.body.locale.enum) {
+  if (!LOCALE_PROFILES[locale]) {
+    throw new Error(`No localization profile for ${locale}`);
+  }
+}
+
+/**
+ * Translate and localize a JD
+ * @param {Object} llm - Provider
+ * @param {Object} options - { jd, locale }, plus options for the model call
+ *   (model, onUsage, log, ...)
+ * @returns {Promise<Object>} { text, locale, prompt } with the template
+ *   { name, version } used
+ */
+export async function translateJobDescription(
+  llm,
+  { jd, locale, ...callOptions }
+) {
+  const { text: system, ...prompt } = await renderPrompt(
+    "translate",
+    LOCALE_PROFILES[locale]
+  );
+  const text = await llm.complete(
+    [
+      { role: "system", content: system },
+      { role: "user", content: `Job Description:\n\n${jd}` },
+    ],
+    { ...callOptions, temperature: 0.2 }
+  );
+  return { text, locale, prompt };
+}
@@ -0,0 +1,100 @@
+/**
+ * Structured JSON logging: one JSON object per line on stdout, with a level,
+ * a message and fields. Fields that may hold JD text or candidate data are
+ * redacted before they are written.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are JD text, prompts, model output or personal data
+const REDACTED_FIELDS = new Set([
+  "answers",
+  "candidate",
+  "content",
+  "email",
+  "evidence",
+  "instructions",
+  "jd",
+  "messages",
+  "notes",
+  "password",
+  "phone",
+  "profile",
+  "profileUrl",
+  "resume",
+  "steps",
+  "template",
+  "text",
+]);
+
+const MAX_DEPTH = 5;
+
+/**
+ * Copy a value with sensitive fields replaced by a placeholder
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code };
+  }
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const copy = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (!REDACTED_FIELDS.has(key) || v === undefined || v === null) {
+      copy[key] = redact(v, depth + 1);
+    } else {
+      copy[key] =
+        typeof v === "string" ? `[redacted ${v.length} chars]` : "[redacted]";
+    }
+  }
+  return copy;
+}
+
+/**
+ * Create a logger
+ * @param {Object} base - Fields added to every line (e.g. a request id)
+ * @param {Object} options - { level } minimum level written (default LOG_LEVEL or "info")
+ * @returns {Object} Logger { debug, info, warn, error, child }
+ */
+export function createLogger(
+  base = {},
+  { level = process.env.LOG_LEVEL || "info" } = {}
+) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lineLevel, msg, fields = {}) {
+    if (LEVELS[lineLevel] < threshold) return;
+    process.stdout.write(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level: lineLevel,
+        msg,
+        ...base,
+        ...redact(fields),
+      }) + "\n"
+    );
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+
+    /**
+     * Logger that adds fields to every line
+     * @param {Object} fields - Extra base fields
+     * @returns {Object} Logger
+     */
+    child(fields) {
+      return createLogger({ ...base, ...fields }, { level });
+    },
+  };
+}
+
+export const logger = createLogger();
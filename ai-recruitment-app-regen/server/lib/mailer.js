@@ -0,0 +1,133 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { DATA_DIR, createCollection } from "./store.js";
+
+/**
+ * Outgoing mail. There is no SMTP server in development or on a single EC2
+ * box, so messages go to an outbox instead: each is written as an .eml file
+ * (open it in any mail client, or hand the folder to a relay that delivers
+ * .eml files) and listed in the "outbox" collection.
+ */
+
+const outbox = createCollection("outbox");
+
+/**
+ * Mail settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} { from, dir }
+ */
+export function mailConfigFromEnv(env = process.env) {
+  return {
+    from: env.MAIL_FROM || "AI Recruitment <no-reply@localhost>",
+    dir: env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, "outbox"),
+  };
+}
+
+/**
+ * Encode a header value that isn't plain ASCII (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * Format an address; an encoded display name can't be quoted
+ * @param {Object} person - { name, email }
+ * @returns {string} e.g. "Jane Doe" <jane@example.com>
+ */
+function formatAddress({ name, email }) {
+  const display = String(name || "").replace(/["\r\n]/g, "");
+  if (!display) return email;
+  const encoded = encodeHeader(display);
+  return `${encoded === display ? `"${display}"` : encoded} <${email}>`;
+}
+
+/**
+ * Build a MIME message with a text body and an optional calendar invite
+ * @param {Object} message - { id, from, to, subject, text, calendar }
+ * @returns {string} The message, with CRLF line breaks
+ */
+function buildMessage({ id, from, to, subject, text, calendar }) {
+  const boundary = `----=_Part_${id}`;
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.map(formatAddress).join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${id}@${from.match(/@([^>\s]+)/)?.[1] || "localhost"}>`,
+    "MIME-Version: 1.0",
+  ];
+  const textPart = [
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    text.replace(/\r?\n/g, "\r\n"),
+  ];
+  if (!calendar) return [...headers, ...textPart].join("\r\n") + "\r\n";
+
+  // Base64 in 76-character lines keeps the invite's own CRLFs intact
+  const encoded = Buffer.from(calendar.content)
+    .toString("base64")
+    .replace(/.{76}/g, "$&\r\n")
+    .trim();
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    ...textPart,
+    `--${boundary}`,
+    `Content-Type: text/calendar; charset=utf-8; method=${calendar.method}`,
+    "Content-Transfer-Encoding: base64",
+    `Content-Disposition: attachment; filename="${calendar.filename}"`,
+    "",
+    encoded,
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * Send a message through the outbox
+ * @param {Object} message - { to: [{ name, email }], subject, text,
+ *   calendar: { method, content, filename } (optional) }
+ * @returns {Promise<Object>} The outbox record { id, to, subject, method,
+ *   file, sentAt }
+ */
+export async function sendMail({ to, subject, text, calendar }) {
+  const { from, dir } = mailConfigFromEnv();
+  const id = crypto.randomUUID();
+  const sentAt = new Date().toISOString();
+  const file = path.join(dir, `${sentAt.replace(/[:.]/g, "-")}-${id}.eml`);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    file,
+    buildMessage({ id, from, to, subject, text, calendar })
+  );
+  return outbox.insert({
+    id,
+    from,
+    to: to.map(({ name, email }) => ({ name, email })),
+    subject,
+    method: calendar?.method || null,
+    file: path.basename(file),
+    sentAt,
+  });
+}
+
+/**
+ * The most recent messages in the outbox
+ * @param {number} limit - How many
+ * @returns {Promise<Array<Object>>} Records, newest first
+ */
+export async function listOutbox(limit = 50) {
+  return (await outbox.list())
+    .sort((a, b) => b.sentAt.localeCompare(a.sentAt))
+    .slice(0, limit);
+}
@@ -0,0 +1,277 @@
+import { AI_ERROR_CODES, AIProviderError } from "./providers/errors.js";
+import { renderPrompt } from "./prompts.js";
+
+/**
+ * Candidate scoring against a saved JD. The requirements are the JD builder's
+ * key skills, 1-year goals and KPIs; a deterministic keyword-overlap scorer
+ * rates each one from the resume text, and the model can add a rationale per
+ * requirement that catches what keywords miss (synonyms, equivalent work).
+ */
+
+export const REQUIREMENT_KINDS = ["skill", "goal", "kpi"];
+export const MATCH_STATUSES = ["met", "partial", "missing"];
+
+// Skills are the must-haves, so they count twice as much as a goal or KPI
+const WEIGHTS = { skill: 2, goal: 1, kpi: 1 };
+const ANSWER_KEYS = { skill: "skills", goal: "goals", kpi: "kpi" };
+// Share of a requirement's keywords the resume must contain
+const MET_AT = 0.75;
+const PARTIAL_AT = 0.4;
+const STATUS_SCORES = { met: 1, partial: 0.5, missing: 0 };
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be by for from has have in into is it its of on or our " +
+    "per than that the their this to was we were will with within across over " +
+    "new more less least most each every all other based using use ability " +
+    "strong good great excellent experience experienced knowledge skills " +
+    "skill understanding working work year years month months"
+  ).split(" ")
+);
+
+/**
+ * Split a JD answer into items: builder answers are arrays (skills) or free
+ * text with one item per line or comma ("Launch 3 products, Cut churn 20%")
+ * @param {Array|string} answer - JD answer
+ * @returns {Array<string>} Items
+ */
+export function answerItems(answer) {
+  const items = Array.isArray(answer)
+    ? answer
+    : String(answer || "").split(/\n|[,;]\s+|\s+•\s+/);
+  return items
+    .map((item) => String(item).replace(/^[\s•*-]+|\s+$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * The requirements a JD's answers set for candidates
+ * @param {Object} answers - JD builder answers
+ * @returns {Array<Object>} [{ id, kind, text, weight }], ids like "skill-1"
+ */
+export function requirementsFromAnswers(answers = {}) {
+  return REQUIREMENT_KINDS.flatMap((kind) =>
+    answerItems(answers?.[ANSWER_KEYS[kind]]).map((text, i) => ({
+      id: `${kind}-${i + 1}`,
+      kind,
+      text,
+      weight: WEIGHTS[kind],
+    }))
+  );
+}
+
+/**
+ * Reduce a word to a rough stem, so "manage", "managed" and "managing" match
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /[^a-z]/.test(word)) return word;
+  return word.replace(/(?:ing|ed|es|e|s)$/, "");
+}
+
+/**
+ * Significant words of a text, lowercase. Keeps tech names like "c++", "c#"
+ * and "node.js" whole.
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function wordsOf(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map((word) => word.replace(/^\.+|\.+$/g, ""))
+    .filter(
+      (word) =>
+        word &&
+        !STOP_WORDS.has(word) &&
+        !/^[\d.%]+$/.test(word) &&
+        (word.length > 1 || word === "c" || word === "r")
+    );
+}
+
+/**
+ * Significant words of a text, stemmed
+ * @param {string} text - Text
+ * @returns {Array<string>} Keywords
+ */
+export function keywordsOf(text) {
+  return wordsOf(text).map(stem);
+}
+
+/**
+ * The resume line that best shows a requirement, as evidence
+ * @param {Array<string>} lines - Resume lines
+ * @param {Array<string>} keywords - Requirement keywords found in the resume
+ * @returns {string|null} Line, shortened to 200 characters
+ */
+function evidenceFor(lines, keywords) {
+  let best = null;
+  let bestHits = 0;
+  for (const line of lines) {
+    const words = new Set(keywordsOf(line));
+    const hits = keywords.filter((keyword) => words.has(keyword)).length;
+    if (hits > bestHits) {
+      best = line.trim();
+      bestHits = hits;
+    }
+  }
+  return best && best.length > 200 ? `${best.slice(0, 197)}...` : best;
+}
+
+/**
+ * Score a resume against a JD's requirements by keyword overlap. Works
+ * without the AI and gives the same answer every time.
+ * @param {Array<Object>} requirements - From requirementsFromAnswers()
+ * @param {string} resume - Resume text
+ * @returns {Object} { score (0-100), byKind: { skill, goal, kpi }, breakdown:
+ *   [{ id, kind, text, weight, score (0-1), status, matched, missing, evidence }] }
+ */
+export function scoreResume(requirements, resume) {
+  const lines = String(resume || "")
+    .split("\n")
+    .filter((line) => line.trim());
+  const resumeWords = new Set(keywordsOf(resume));
+  const phrase = (text) => ` ${keywordsOf(text).join(" ")} `;
+  const resumePhrase = phrase(resume);
+
+  const breakdown = requirements.map((requirement) => {
+    // One word per stem, reported as written in the JD
+    const words = [
+      ...new Map(wordsOf(requirement.text).map((w) => [stem(w), w])).values(),
+    ];
+    const matched = words.filter((word) => resumeWords.has(stem(word)));
+    // A skill named exactly as in the JD counts in full
+    const exact =
+      words.length > 0 && resumePhrase.includes(phrase(requirement.text));
+    const score = words.length
+      ? exact
+        ? 1
+        : matched.length / words.length
+      : 0;
+    return {
+      ...requirement,
+      score: Math.round(score * 100) / 100,
+      status:
+        score >= MET_AT ? "met" : score >= PARTIAL_AT ? "partial" : "missing",
+      matched,
+      missing: words.filter((word) => !matched.includes(word)),
+      evidence: matched.length ? evidenceFor(lines, matched.map(stem)) : null,
+    };
+  });
+
+  return {
+    score: weightedScore(breakdown, (item) => item.score),
+    byKind: Object.fromEntries(
+      REQUIREMENT_KINDS.map((kind) => [
+        kind,
+        weightedScore(
+          breakdown.filter((item) => item.kind === kind),
+          (item) => item.score
+        ),
+      ])
+    ),
+    breakdown,
+  };
+}
+
+/**
+ * Weighted average of per-requirement scores, as a percentage
+ * @param {Array<Object>} items - Requirements with a `weight`
+ * @param {Function} scoreOf - item => score from 0 to 1
+ * @returns {number|null} 0-100, or null when there are no items
+ */
+function weightedScore(items, scoreOf) {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  if (!total) return null;
+  const sum = items.reduce((acc, item) => acc + item.weight * scoreOf(item), 0);
+  return Math.round((100 * sum) / total);
+}
+
+/**
+ * Parse the model's assessment
+ * @param {string} text - Model output
+ * @param {Array<Object>} breakdown - The keyword scores it was given
+ * @returns {Object|null} { summary, recommendation, requirements: { id:
+ *   { status, rationale } } }, or null when the answer isn't usable
+ */
+function parseAssessment(text, breakdown) {
+  let data;
+  try {
+    data = JSON.parse(
+      text
+        .trim()
+        .replace(/^```(?:json)?\s*/i, "")
+        .replace(/\s*```$/, "")
+    );
+  } catch (e) {
+    return null;
+  }
+  if (!data || !Array.isArray(data.requirements)) return null;
+
+  const ids = new Set(breakdown.map((item) => item.id));
+  const requirements = {};
+  for (const item of data.requirements) {
+    if (!ids.has(item?.id) || !MATCH_STATUSES.includes(item.status)) continue;
+    requirements[item.id] = {
+      status: item.status,
+      rationale:
+        typeof item.rationale === "string" ? item.rationale.trim() : "",
+    };
+  }
+  return {
+    summary: typeof data.summary === "string" ? data.summary.trim() : "",
+    recommendation: ["strong", "possible", "weak"].includes(data.recommendation)
+      ? data.recommendation
+      : null,
+    requirements,
+  };
+}
+
+/**
+ * Ask the model to assess a candidate against each requirement, given the
+ * keyword scores, and explain its reasoning
+ * @param {Object} llm - Provider
+ * @param {Object} options - { title, breakdown (from scoreResume), resume },
+ *   plus options for the model call (model, onUsage, log, ...)
+ * @returns {Promise<Object>} { score, summary, recommendation, requirements }:
+ *   `score` (0-100) uses the model's statuses with the keyword weights
+ * @throws {AIProviderError} ai_invalid_output when the answer isn't usable
+ */
+export async function assessCandidate(
+  llm,
+  { title, breakdown, resume, ...callOptions }
+) {
+  const { text: system } = await renderPrompt("match", {});
+  const requirements = breakdown
+    .map(
+      (item) =>
+        `- ${item.id} (${item.kind}): ${item.text} [keywords: ${item.status}]`
+    )
+    .join("\n");
+  const user = `Job: ${title}\n\nRequirements:\n${requirements}\n\nResume:\n${resume}`;
+
+  const text = await llm.complete(
+    [
+      { role: "system", content: system },
+      { role: "user", content: user },
+    ],
+    { ...callOptions, temperature: 0.2, json: true }
+  );
+
+  const assessment = parseAssessment(text, breakdown);
+  if (!assessment) {
+    throw new AIProviderError(AI_ERROR_CODES.INVALID_OUTPUT, {
+      detail: `match response has no requirements: ${text.slice(0, 200)}`,
+    });
+  }
+  return {
+    // Requirements the model skipped keep their keyword status
+    score: weightedScore(
+      breakdown,
+      (item) =>
+        STATUS_SCORES[assessment.requirements[item.id]?.status || item.status]
+    ),
+    ...assessment,
+  };
+}
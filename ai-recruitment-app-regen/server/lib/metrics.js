@@ -0,0 +1,214 @@
+/**
+ * Prometheus metrics kept in memory and rendered in the text exposition format
+ * for GET /metrics. Counters and histograms are updated as requests happen;
+ * gauges are read when the metrics are scraped.
+ */
+
+// Seconds; AI calls routinely take several seconds, so the buckets go up to a minute
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+/**
+ * Keep one entry per combination of label values
+ * @param {Array<string>} labelNames - Label names, in output order
+ * @param {Function} create - () => initial entry
+ * @returns {Function} labels => entry (with `labels` set)
+ */
+function seriesStore(labelNames, create) {
+  const series = new Map();
+  const get = (labels = {}) => {
+    const values = labelNames.map((name) => String(labels[name] ?? ""));
+    const key = values.join("\u0000");
+    if (!series.has(key)) {
+      const picked = Object.fromEntries(
+        labelNames.map((name, i) => [name, values[i]])
+      );
+      series.set(key, { ...create(), labels: picked });
+    }
+    return series.get(key);
+  };
+  get.entries = () => [...series.values()];
+  return get;
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * Create and register a counter
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} { inc(labels, value = 1) }
+ */
+export function createCounter(name, help, labelNames = []) {
+  const series = seriesStore(labelNames, () => ({ value: 0 }));
+  const counter = {
+    inc(labels, value = 1) {
+      series(labels).value += value;
+    },
+    render() {
+      return [
+        ...header(name, help, "counter"),
+        ...series
+          .entries()
+          .map((s) => `${name}${formatLabels(s.labels)} ${s.value}`),
+      ];
+    },
+  };
+  registry.push(counter);
+  return counter;
+}
+
+/**
+ * Create and register a gauge whose values are read at scrape time
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - () => [{ labels, value }]
+ */
+export function createGauge(name, help, collect) {
+  registry.push({
+    render() {
+      return [
+        ...header(name, help, "gauge"),
+        ...collect().map(
+          ({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`
+        ),
+      ];
+    },
+  });
+}
+
+/**
+ * Create and register a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @returns {Object} { observe(labels, value) }
+ */
+export function createHistogram(
+  name,
+  help,
+  labelNames = [],
+  buckets = DURATION_BUCKETS
+) {
+  const series = seriesStore(labelNames, () => ({
+    counts: buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+  const histogram = {
+    observe(labels, value) {
+      const s = series(labels);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) s.counts[i] += 1;
+      });
+      s.sum += value;
+      s.count += 1;
+    },
+    render() {
+      const lines = header(name, help, "histogram");
+      for (const s of series.entries()) {
+        buckets.forEach((bound, i) => {
+          const labels = formatLabels({ ...s.labels, le: bound });
+          lines.push(`${name}_bucket${labels} ${s.counts[i]}`);
+        });
+        const inf = formatLabels({ ...s.labels, le: "+Inf" });
+        lines.push(`${name}_bucket${inf} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(histogram);
+  return histogram;
+}
+
+/**
+ * Render every registered metric
+ * @returns {string} Prometheus text exposition format
+ */
+export function renderMetrics() {
+  return registry.map((metric) => metric.render().join("\n")).join("\n") + "\n";
+}
+
+/**
+ * The route pattern a request matched (e.g. /api/v1/jds/:id), so metrics
+ * don't get one series per URL
+ * @param {Object} req - Express request
+ * @returns {string} Route label
+ */
+export function routeLabel(req) {
+  return req.route ? req.baseUrl + req.route.path : "unmatched";
+}
+
+export const httpRequests = createCounter(
+  "http_requests_total",
+  "HTTP requests by route and status",
+  ["method", "route", "status"]
+);
+
+export const httpRequestDuration = createHistogram(
+  "http_request_duration_seconds",
+  "Time to answer HTTP requests",
+  ["method", "route"]
+);
+
+export const aiErrors = createCounter(
+  "ai_errors_total",
+  "AI requests that failed, by error code",
+  ["route", "code"]
+);
+
+export const llmAttempts = createCounter(
+  "llm_attempts_total",
+  'Calls to the AI provider, retries included, by outcome ("ok" or an error code)',
+  ["provider", "outcome"]
+);
+
+export const llmAttemptDuration = createHistogram(
+  "llm_attempt_duration_seconds",
+  "Time spent on each call to the AI provider",
+  ["provider"]
+);
+
+export const aiTokens = createCounter(
+  "ai_tokens_total",
+  "Tokens used by AI calls",
+  ["provider", "model", "feature", "type"]
+);
+
+export const rateLimitRejections = createCounter(
+  "rate_limit_rejections_total",
+  "Requests rejected by a rate limiter",
+  ["route", "limiter"]
+);
+
+const startedAt = Date.now() / 1000;
+
+createGauge(
+  "process_start_time_seconds",
+  "Start time of the process since the Unix epoch",
+  () => [{ value: startedAt }]
+);
+
+createGauge("process_resident_memory_bytes", "Resident memory size", () => [
+  { value: process.memoryUsage().rss },
+]);
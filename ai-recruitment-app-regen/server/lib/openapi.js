@@ -0,0 +1,550 @@
+import ApiContract from "../../shared/apiContract.js";
+import Outreach from "../../shared/outreach.js";
+import { AI_ERROR_CODES } from "./providers/errors.js";
+import { sourcingSchema } from "./sourcing.js";
+import { SESSION_COOKIE } from "./auth.js";
+import { LINT_CATEGORIES } from "./jdLint.js";
+import { MATCH_STATUSES, REQUIREMENT_KINDS } from "./matching.js";
+
+/**
+ * OpenAPI 3 description of the proxy's public routes, served at
+ * /api/openapi.json. Request bodies are converted from the shared API
+ * contract, so the document can't drift from what the server validates.
+ */
+
+const { BASE_PATH, ROUTES } = ApiContract;
+
+/**
+ * Convert a contract field spec to a JSON schema
+ * @param {Object} spec - Contract field (see ROUTES in shared/apiContract.js)
+ * @returns {Object} JSON schema
+ */
+function toJsonSchema(spec) {
+  const schema = { type: spec.type };
+  const sizeKeys =
+    spec.type === "array"
+      ? ["minItems", "maxItems"]
+      : ["minLength", "maxLength"];
+  if (spec.minLength !== undefined) schema[sizeKeys[0]] = spec.minLength;
+  if (spec.maxLength !== undefined) schema[sizeKeys[1]] = spec.maxLength;
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.properties) Object.assign(schema, objectSchema(spec.properties));
+  if (spec.items) schema.items = toJsonSchema(spec.items);
+  return schema;
+}
+
+/**
+ * Convert a contract body (field name → spec) to an object schema
+ * @param {Object} fields - Contract fields
+ * @returns {Object} { properties, required? }
+ */
+function objectSchema(fields) {
+  const properties = {};
+  const required = [];
+  for (const [name, spec] of Object.entries(fields)) {
+    properties[name] = toJsonSchema(spec);
+    if (spec.required) required.push(name);
+  }
+  return required.length ? { properties, required } : { properties };
+}
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema, description) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const SCHEMAS = {
+  PromptVersion: {
+    type: "object",
+    description: "The prompt template version that produced the text",
+    properties: { name: { type: "string" }, version: { type: "integer" } },
+  },
+  TextResponse: {
+    type: "object",
+    required: ["text"],
+    properties: {
+      text: { type: "string" },
+      prompt: ref("PromptVersion"),
+      requisitionId: {
+        type: "string",
+        nullable: true,
+        description:
+          "Requisition the AI usage was recorded against; generate starts a new one when none is sent",
+      },
+    },
+  },
+  SourcingStrategy: sourcingSchema(),
+  Translation: {
+    type: "object",
+    required: ["text", "locale"],
+    properties: {
+      text: { type: "string" },
+      locale: { type: "string", example: "de-DE" },
+      prompt: ref("PromptVersion"),
+      requisitionId: { type: "string", nullable: true },
+    },
+  },
+  SalaryEstimate: {
+    type: "object",
+    required: ["min", "max", "currency", "period", "estimate"],
+    properties: {
+      min: { type: "number" },
+      max: { type: "number" },
+      currency: { type: "string", example: "USD" },
+      period: { type: "string", enum: ["year", "month", "hour"] },
+      rationale: { type: "string" },
+      estimate: {
+        type: "boolean",
+        enum: [true],
+        description: "Always true: the range is the model's estimate",
+      },
+      disclaimer: { type: "string" },
+    },
+  },
+  OutreachSequence: {
+    type: "object",
+    required: ["channel", "tone", "steps"],
+    properties: {
+      channel: { type: "string", enum: Object.keys(Outreach.CHANNELS) },
+      tone: { type: "string", enum: Object.keys(Outreach.TONES) },
+      steps: {
+        type: "array",
+        description:
+          "The first message, then the follow-ups. Placeholders such as `{{firstName}}` are left for the client to fill in.",
+        items: {
+          type: "object",
+          required: ["delayDays", "subject", "body"],
+          properties: {
+            delayDays: {
+              type: "integer",
+              description: "Days to wait after the message before",
+            },
+            subject: {
+              type: "string",
+              description: "Empty for channels without one (SMS)",
+            },
+            body: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  LintFinding: {
+    type: "object",
+    required: ["id", "category", "start", "end", "text", "message"],
+    properties: {
+      id: { type: "string" },
+      rule: { type: "string", description: "Word-list rule, or `ai`" },
+      category: { type: "string", enum: LINT_CATEGORIES },
+      severity: { type: "string", enum: ["warning", "info"] },
+      start: { type: "integer", description: "Offset of the text in the JD" },
+      end: { type: "integer" },
+      text: { type: "string", description: "The flagged text" },
+      message: { type: "string" },
+      suggestion: {
+        type: "string",
+        nullable: true,
+        description: "Replacement for the text; null when it needs a rewrite",
+      },
+      source: { type: "string", enum: ["rules", "ai"] },
+    },
+  },
+  LintReport: {
+    type: "object",
+    required: ["findings", "summary", "ai"],
+    properties: {
+      findings: { type: "array", items: ref("LintFinding") },
+      summary: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          byCategory: {
+            type: "object",
+            additionalProperties: { type: "integer" },
+          },
+        },
+      },
+      ai: {
+        type: "object",
+        description:
+          "Whether the AI pass ran. When it failed, `code` and `error` say why and the findings come from the word lists only.",
+        properties: {
+          used: { type: "boolean" },
+          ok: { type: "boolean" },
+          code: { type: "string", enum: Object.values(AI_ERROR_CODES) },
+          error: { type: "string" },
+        },
+      },
+    },
+  },
+  RequirementScore: {
+    type: "object",
+    required: ["id", "kind", "text", "weight", "score", "status"],
+    properties: {
+      id: { type: "string", example: "skill-1" },
+      kind: { type: "string", enum: REQUIREMENT_KINDS },
+      text: { type: "string", description: "The requirement, from the JD" },
+      weight: { type: "number", description: "Skills count double" },
+      score: {
+        type: "number",
+        description: "Share of the requirement's keywords found, 0 to 1",
+      },
+      status: { type: "string", enum: MATCH_STATUSES },
+      matched: { type: "array", items: { type: "string" } },
+      missing: { type: "array", items: { type: "string" } },
+      evidence: {
+        type: "string",
+        nullable: true,
+        description: "The resume line with the most matched keywords",
+      },
+      ai: {
+        type: "object",
+        nullable: true,
+        description: "The model's assessment, when `ai: true` was sent",
+        properties: {
+          status: { type: "string", enum: MATCH_STATUSES },
+          rationale: { type: "string" },
+        },
+      },
+    },
+  },
+  CandidateMatch: {
+    type: "object",
+    required: ["jdId", "score", "byKind", "breakdown", "ai"],
+    properties: {
+      jdId: { type: "string" },
+      title: { type: "string" },
+      score: {
+        type: "integer",
+        description: "Keyword score, 0 to 100, weighted by requirement",
+      },
+      byKind: {
+        type: "object",
+        description: "Score per kind; null when the JD has none of that kind",
+        additionalProperties: { type: "integer", nullable: true },
+      },
+      breakdown: { type: "array", items: ref("RequirementScore") },
+      ai: {
+        type: "object",
+        description:
+          "Whether the AI pass ran. When it failed, `code` and `error` say why and only the keyword scores are set.",
+        properties: {
+          used: { type: "boolean" },
+          ok: { type: "boolean" },
+          score: {
+            type: "integer",
+            description: "Score from the model's statuses, 0 to 100",
+          },
+          summary: { type: "string" },
+          recommendation: {
+            type: "string",
+            nullable: true,
+            enum: ["strong", "possible", "weak"],
+          },
+          code: { type: "string", enum: Object.values(AI_ERROR_CODES) },
+          error: { type: "string" },
+        },
+      },
+    },
+  },
+  Health: {
+    type: "object",
+    properties: {
+      ok: { type: "boolean" },
+      provider: { type: "string" },
+      model: { type: "string" },
+      circuit: { type: "string", enum: ["closed", "open", "half-open"] },
+    },
+  },
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: { error: { type: "string" } },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["error", "fields"],
+    properties: {
+      error: { type: "string", example: "Invalid request" },
+      fields: {
+        type: "object",
+        description: "Messages keyed by field path, e.g. answers.role",
+        additionalProperties: { type: "string" },
+      },
+    },
+  },
+  AIError: {
+    type: "object",
+    required: ["error", "code"],
+    properties: {
+      error: { type: "string" },
+      code: { type: "string", enum: Object.values(AI_ERROR_CODES) },
+    },
+  },
+  RateLimitError: {
+    type: "object",
+    properties: {
+      error: { type: "string" },
+      limiter: { type: "string" },
+      retryAfter: { type: "integer" },
+      code: {
+        type: "string",
+        enum: ["quota_exceeded"],
+        description: "Set when a daily request quota ran out",
+      },
+    },
+  },
+  QuotaError: {
+    type: "object",
+    required: ["error", "code"],
+    properties: {
+      error: { type: "string" },
+      code: { type: "string", enum: ["quota_exceeded"] },
+      quota: { type: "object" },
+    },
+  },
+};
+
+const HEADERS = {
+  "X-Request-Id": {
+    description: "Id of the request in the server log; quote it to support",
+    schema: { type: "string" },
+  },
+  "Retry-After": {
+    description: "Seconds to wait before trying again",
+    schema: { type: "integer" },
+  },
+};
+
+const withRequestId = (response) => ({
+  ...response,
+  headers: { "X-Request-Id": { $ref: "#/components/headers/X-Request-Id" } },
+});
+
+// Failures every AI route can answer with
+const AI_ERRORS = {
+  400: json(ref("ValidationError"), "The request body is invalid"),
+  401: json(ref("Error"), "A session is required"),
+  402: json(ref("QuotaError"), "A monthly token or spending quota is used up"),
+  429: {
+    ...json(
+      ref("RateLimitError"),
+      "Rate limited, or the daily request quota is used up"
+    ),
+    headers: {
+      "Retry-After": { $ref: "#/components/headers/Retry-After" },
+      "X-Request-Id": { $ref: "#/components/headers/X-Request-Id" },
+    },
+  },
+  500: json(
+    ref("AIError"),
+    "The AI provider is misconfigured, or an unknown error"
+  ),
+  502: json(
+    ref("AIError"),
+    "The AI provider failed, refused the request or answered in the wrong format"
+  ),
+  503: json(
+    ref("AIError"),
+    "The AI provider is rate-limiting us or the circuit breaker is open"
+  ),
+  504: json(ref("AIError"), "The AI provider did not respond in time"),
+};
+
+const EVENT_STREAM = {
+  description: [
+    "Server-Sent Events. `token` events carry `{ text }` deltas; the stream ends with",
+    "`done` (`{ text, prompt, requisitionId }`, the final text) or `error` (`{ error, code }`).",
+    "A stream that ends without `done` was cut off.",
+  ].join(" "),
+  content: { "text/event-stream": { schema: { type: "string" } } },
+};
+
+/**
+ * Describe an AI route from the contract
+ * @param {string} name - Route name in the contract (used as the operationId)
+ * @param {Object} details - { summary, description, response }
+ * @returns {Object} [path, { post }]
+ */
+function aiOperation(name, { summary, description, response }) {
+  const route = ROUTES[name];
+  return [
+    route.path,
+    {
+      [route.method.toLowerCase()]: {
+        operationId: name,
+        summary,
+        description,
+        tags: ["AI"],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { type: "object", ...objectSchema(route.body) },
+            },
+          },
+        },
+        responses: { 200: withRequestId(response), ...AI_ERRORS },
+      },
+    },
+  ];
+}
+
+const AI_OPERATIONS = {
+  generate: {
+    summary: "Generate a job description",
+    description:
+      "Writes a JD from the builder answers. Only `role` is required; the other answers (location, timezone, hireType, skills, goals, benefits, ...) are used when present.",
+    response: json(ref("TextResponse"), "The generated JD"),
+  },
+  generateStream: {
+    summary: "Generate a job description, streaming it",
+    response: EVENT_STREAM,
+  },
+  polish: {
+    summary: "Polish a job description",
+    description: "Rewrites a JD following the instructions.",
+    response: json(ref("TextResponse"), "The polished JD"),
+  },
+  polishStream: {
+    summary: "Polish a job description, streaming it",
+    response: EVENT_STREAM,
+  },
+  sourcing: {
+    summary: "Build a sourcing strategy",
+    description:
+      "Suggests companies to source candidates from, with a LinkedIn search for each and a Dice search string.",
+    response: json(ref("SourcingStrategy"), "The sourcing strategy"),
+  },
+  lintJD: {
+    summary: "Check a job description for exclusionary language",
+    description:
+      "Flags gender-coded, ageist and ableist wording, degree requirements without an alternative and overlong requirement lists, with suggested replacements. Works offline; with `ai: true` the model adds findings, and only then do rate limits and quotas apply.",
+    response: json(ref("LintReport"), "The lint report"),
+  },
+  translate: {
+    summary: "Translate and localize a job description",
+    description:
+      "Translates a JD for the locale's country, adapting spelling, date and number formats and the equal opportunity statement. Pay amounts are kept as given.",
+    response: json(ref("Translation"), "The localized JD"),
+  },
+  matchCandidate: {
+    summary: "Score a candidate against a job description",
+    description:
+      "Scores resume text against a saved JD's key skills, 1-year goals and KPIs by keyword overlap, with a breakdown per requirement. Works offline; with `ai: true` the model adds a status and rationale per requirement, and only then do rate limits and quotas apply. Requires a session; answers 404 for an unknown JD and 400 when the JD has no requirements.",
+    response: json(ref("CandidateMatch"), "The match report"),
+  },
+  estimateSalary: {
+    summary: "Estimate a pay range",
+    description:
+      "Suggests a base pay range for a role, location and employment type (default USD per year). The model has no market data; show the result as an estimate.",
+    response: json(ref("SalaryEstimate"), "The estimated range"),
+  },
+  generateOutreach: {
+    summary: "Write an outreach sequence",
+    description:
+      "Writes a first message to a candidate and up to three follow-ups for LinkedIn InMail, email or SMS, in one of the tone presets, personalized from the JD, a profile snippet and the company they work at. Every message fits the channel's length limits.",
+    response: json(ref("OutreachSequence"), "The messages"),
+  },
+  chat: {
+    summary: "Chat completion",
+    description: "Free-form completion through the configured provider.",
+    response: json(
+      { type: "object", properties: { text: { type: "string" } } },
+      "The model's answer"
+    ),
+  },
+};
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} OpenAPI 3.0 document
+ */
+export function buildOpenApiDocument() {
+  const paths = Object.fromEntries(
+    Object.entries(AI_OPERATIONS).map(([name, details]) =>
+      aiOperation(name, details)
+    )
+  );
+
+  paths[ROUTES.login.path] = {
+    post: {
+      operationId: "login",
+      summary: "Sign in",
+      description:
+        "Starts a session. The session cookie authenticates the other requests.",
+      tags: ["Accounts"],
+      security: [],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["username", "password"],
+              properties: {
+                username: { type: "string" },
+                password: { type: "string", format: "password" },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: withRequestId(
+          json(
+            { type: "object", properties: { user: { type: "object" } } },
+            "Signed in; sets the session cookie"
+          )
+        ),
+        400: json(ref("Error"), "Username or password missing"),
+        401: json(ref("Error"), "Invalid username or password"),
+      },
+    },
+  };
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "AI Recruitment Proxy API",
+      version: ApiContract.VERSION,
+      description:
+        "Generates, polishes, translates and lints job descriptions, estimates pay ranges, scores candidates, builds sourcing strategies and writes candidate outreach through the configured AI provider. Every response carries an `X-Request-Id` header.",
+    },
+    servers: [{ url: BASE_PATH }],
+    tags: [
+      { name: "AI", description: "Job description and sourcing routes" },
+      { name: "Accounts", description: "Sessions" },
+      {
+        name: "Operations",
+        description: "Health checks (served outside /api/v1)",
+      },
+    ],
+    security: [{ session: [] }],
+    paths: {
+      ...paths,
+      "/health": {
+        get: {
+          operationId: "health",
+          summary: "Liveness and the configured provider",
+          tags: ["Operations"],
+          security: [],
+          // Lives at the server root, not under /api/v1
+          servers: [{ url: "/" }],
+          responses: {
+            200: withRequestId(json(ref("Health"), "The server is running")),
+          },
+        },
+      },
+    },
+    components: {
+      schemas: SCHEMAS,
+      headers: HEADERS,
+      securitySchemes: {
+        session: { type: "apiKey", in: "cookie", name: SESSION_COOKIE },
+      },
+    },
+  };
+}
@@ -0,0 +1,197 @@
+import Outreach from "../../shared/outreach.js";
+import { AI_ERROR_CODES, AIProviderError } from "./providers/errors.js";
+import { renderPrompt } from "./prompts.js";
+import { logger } from "./logger.js";
+
+/**
+ * AI-written outreach sequences: a first message to a sourced candidate and
+ * follow-ups for when they don't reply. Messages are written with the
+ * placeholders in shared/outreach.js, so a sequence can be saved as a
+ * template and reused for other candidates.
+ */
+
+const REPAIR_ATTEMPTS = Number(process.env.OUTREACH_REPAIR_ATTEMPTS ?? 1);
+
+/**
+ * A saved or assigned sequence, tidied and checked against its channel
+ * @param {string} channel - One of Outreach.CHANNELS
+ * @param {Array<Object>} steps - [{ delayDays, subject, body }]
+ * @returns {Object} { steps, errors } - errors is keyed like "steps[1]"
+ */
+export function readSequence(channel, steps) {
+  const hasSubject = Outreach.CHANNELS[channel].subjectMaxLength > 0;
+  const errors = {};
+  const tidied = steps.map((step, i) => {
+    const message = {
+      delayDays: i === 0 ? 0 : Math.max(0, Math.round(step.delayDays)),
+      subject: hasSubject ? step.subject?.trim() || "" : "",
+      body: step.body.trim(),
+    };
+    const [problem] = Outreach.problems(channel, message);
+    if (problem) errors[`steps[${i}]`] = problem;
+    return message;
+  });
+  return { steps: tidied, errors };
+}
+
+/**
+ * Build the chat messages for an outreach sequence
+ * @param {Object} request - { jd, channel, tone, steps, profile, company }
+ * @returns {Promise<Array>} Chat messages
+ */
+export async function buildOutreachMessages({
+  jd,
+  channel,
+  tone,
+  steps,
+  profile,
+  company,
+}) {
+  const limits = Outreach.CHANNELS[channel];
+  const { text: system } = await renderPrompt("outreach", {
+    channel: limits.label,
+    tone: Outreach.TONES[tone].guidance,
+    steps,
+    maxLength: limits.maxLength,
+    subjectMaxLength: limits.subjectMaxLength,
+  });
+
+  const sections = [`Job Description:\n\n${jd}`];
+  if (profile?.trim()) sections.push(`Candidate profile:\n${profile.trim()}`);
+  if (company?.name?.trim()) {
+    sections.push(
+      [
+        `Current company: ${company.name.trim()}`,
+        company.reason?.trim() && `Why we're sourcing there: ${company.reason}`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+  }
+  const placeholders = Object.entries(Outreach.PLACEHOLDERS)
+    .map(([key, label]) => `{{${key}}} (${label.toLowerCase()})`)
+    .join(", ");
+  sections.push(
+    `Placeholders: write ${placeholders}. Use {{firstName}} in the greeting and {{senderName}} to sign off.`
+  );
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: sections.join("\n\n") },
+  ];
+}
+
+/**
+ * Parse and check a model's outreach sequence
+ * @param {string} text - Model output
+ * @param {Object} expected - { channel, steps }
+ * @returns {Object} { data, errors } - data is set only when errors is empty
+ */
+export function parseOutreachResponse(text, { channel, steps }) {
+  let data;
+  try {
+    data = JSON.parse(
+      text
+        .trim()
+        .replace(/^```(?:json)?\s*/i, "")
+        .replace(/\s*```$/, "")
+    );
+  } catch (e) {
+    return { data: null, errors: [`Response is not valid JSON: ${e.message}`] };
+  }
+  if (!Array.isArray(data?.steps)) {
+    return { data: null, errors: ['"steps" must be an array'] };
+  }
+
+  const errors = [];
+  if (data.steps.length !== steps) {
+    errors.push(`"steps" must contain exactly ${steps} entries`);
+  }
+  const messages = data.steps.slice(0, steps).map((step, i) => {
+    const message = {
+      subject: Outreach.CHANNELS[channel].subjectMaxLength
+        ? String(step?.subject || "").trim()
+        : "",
+      body: String(step?.body || "").trim(),
+    };
+    Outreach.problems(channel, message).forEach((problem) =>
+      errors.push(`steps[${i}]: ${problem}`)
+    );
+    return message;
+  });
+  return errors.length ? { data: null, errors } : { data: messages, errors };
+}
+
+/**
+ * Write an outreach sequence. Output that is malformed or breaks the
+ * channel's limits goes back to the model with the problems, up to
+ * OUTREACH_REPAIR_ATTEMPTS times.
+ * @param {Object} llm - Provider
+ * @param {Object} options - { jd, channel, tone, steps, profile, company },
+ *   plus options for every model call (model, onUsage, log, ...)
+ * @returns {Promise<Object>} { channel, tone, steps: [{ delayDays, subject,
+ *   body }] }
+ * @throws {AIProviderError} ai_invalid_output when no valid sequence was produced
+ */
+export async function generateOutreach(
+  llm,
+  {
+    jd,
+    channel,
+    tone,
+    steps = 3,
+    profile,
+    company,
+    log = logger,
+    ...callOptions
+  }
+) {
+  const messages = await buildOutreachMessages({
+    jd,
+    channel,
+    tone,
+    steps,
+    profile,
+    company,
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    const text = await llm.complete(messages, {
+      ...callOptions,
+      log,
+      temperature: 0.7,
+      json: true,
+    });
+    const { data, errors } = parseOutreachResponse(text, { channel, steps });
+    if (data) {
+      return {
+        channel,
+        tone,
+        steps: data.map((message, i) => ({
+          delayDays: Outreach.DEFAULT_DELAYS[i],
+          ...message,
+        })),
+      };
+    }
+
+    log.warn("outreach response failed validation", {
+      attempt: attempt + 1,
+      errors,
+    });
+    if (attempt >= REPAIR_ATTEMPTS) {
+      throw new AIProviderError(AI_ERROR_CODES.INVALID_OUTPUT, {
+        detail: errors.join("; "),
+      });
+    }
+
+    messages.push(
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content: `Your response did not match the requirements:\n- ${errors.join(
+          "\n- "
+        )}\n\nReply with only the corrected JSON object.`,
+      }
+    );
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Candidate pipeline. Each candidate is tracked against one JD and sits in
+ * one stage of its board; every move is kept in the candidate's history, so
+ * the board can show when they entered a stage and how long they spent in
+ * the ones before. The stages themselves are listed in the API contract.
+ */
+
+/**
+ * The changes that move a candidate into a stage
+ * @param {Object|null} candidate - Candidate, or null for a new one
+ * @param {string} stage - Stage to enter
+ * @param {Object} by - { id, username } of who moved them
+ * @param {string} at - ISO date-time of the move
+ * @returns {Object} { stage, stageEnteredAt, history }
+ */
+export function enterStage(candidate, stage, by, at) {
+  const history = candidate?.history || [];
+  const left = history.length
+    ? [...history.slice(0, -1), { ...history[history.length - 1], leftAt: at }]
+    : [];
+  return {
+    stage,
+    stageEnteredAt: at,
+    history: [...left, { stage, enteredAt: at, by }],
+  };
+}
@@ -0,0 +1,167 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createCollection } from "./store.js";
+
+const DEFAULTS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "prompts"
+);
+
+/**
+ * Named system prompts and the `{{variables}}` each may use. Templates are
+ * seeded from `prompts/<name>.txt` (see seedDefaultPrompts()).
+ */
+export const PROMPTS = {
+  generate: {
+    description: "System prompt for generating a JD from the builder answers",
+    variables: ["role", "location", "hireType"],
+  },
+  polish: {
+    description: "System prompt for polishing an existing JD",
+    variables: ["instructions"],
+  },
+  sourcing: {
+    description: "System prompt for sourcing strategies (must ask for JSON)",
+    variables: ["location", "companyCount"],
+  },
+  lint: {
+    description:
+      "System prompt for the AI pass of the inclusive-language linter (must ask for JSON)",
+    variables: [],
+  },
+  salary: {
+    description:
+      "System prompt for AI salary range estimates in the JD builder (must ask for JSON)",
+    variables: ["currency", "period"],
+  },
+  translate: {
+    description:
+      "System prompt for translating and localizing a JD for another country",
+    variables: ["language", "country", "dateFormat", "notes", "eeo"],
+  },
+  match: {
+    description:
+      "System prompt for AI rationales when scoring candidates against a JD (must ask for JSON)",
+    variables: [],
+  },
+  outreach: {
+    description:
+      "System prompt for candidate outreach messages and follow-ups (must ask for JSON)",
+    variables: ["channel", "tone", "steps", "maxLength", "subjectMaxLength"],
+  },
+};
+
+const VARIABLE_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+const templates = createCollection("promptTemplates");
+
+// Version numbers are read-then-written, so saves are serialized
+let saveQueue = Promise.resolve();
+
+/**
+ * Names of the variables a template uses that its prompt doesn't provide
+ * @param {string} name - Prompt name
+ * @param {string} template - Template text
+ * @returns {Array<string>} Unknown variable names
+ */
+export function findUnknownVariables(name, template) {
+  const allowed = PROMPTS[name].variables;
+  const used = [...template.matchAll(VARIABLE_RE)].map((m) => m[1]);
+  return [...new Set(used.filter((v) => !allowed.includes(v)))];
+}
+
+/**
+ * Fill in a template's `{{variables}}`
+ * @param {string} template - Template text
+ * @param {Object} vars - Variable values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, vars) {
+  return template.replace(VARIABLE_RE, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? "" : String(vars[key])
+  );
+}
+
+/**
+ * Every version of a prompt, newest first
+ * @param {string} name - Prompt name
+ * @returns {Promise<Array>} Versions
+ */
+export async function getPromptHistory(name) {
+  return (await templates.filter((t) => t.name === name)).sort(
+    (a, b) => b.version - a.version
+  );
+}
+
+/**
+ * The current (newest) version of a prompt
+ * @param {string} name - Prompt name
+ * @returns {Promise<Object>} Template version
+ */
+export async function getCurrentPrompt(name) {
+  const [current] = await getPromptHistory(name);
+  if (!current) throw new Error(`No template stored for prompt "${name}"`);
+  return current;
+}
+
+/**
+ * Render the current version of a prompt
+ * @param {string} name - Prompt name
+ * @param {Object} vars - Variable values
+ * @returns {Promise<Object>} { text, name, version }
+ */
+export async function renderPrompt(name, vars = {}) {
+  const { template, version } = await getCurrentPrompt(name);
+  return { text: renderTemplate(template, vars), name, version };
+}
+
+/**
+ * Store a new version of a prompt
+ * @param {string} name - Prompt name
+ * @param {string} template - Template text
+ * @param {Object} fields - { createdBy, note, rolledBackFrom }
+ * @returns {Promise<Object>} Stored version
+ */
+export function savePromptVersion(name, template, fields = {}) {
+  const save = saveQueue.then(async () => {
+    const [latest] = await getPromptHistory(name);
+    return templates.insert({
+      name,
+      version: (latest?.version || 0) + 1,
+      template,
+      note: "",
+      createdBy: null,
+      ...fields,
+      createdAt: new Date().toISOString(),
+    });
+  });
+  saveQueue = save.catch(() => {});
+  return save;
+}
+
+/**
+ * Store the built-in templates from `prompts/<name>.txt`: as version 1 of
+ * every prompt that has none, and as a new version when the file has changed
+ * since the current version was stored and nobody has edited the prompt
+ * since (a version without `createdBy` was stored here, not by an admin)
+ * @returns {Promise<Array<string>>} Names of the prompts stored
+ */
+export async function seedDefaultPrompts() {
+  const seeded = [];
+  for (const name of Object.keys(PROMPTS)) {
+    const template = (
+      await fs.readFile(path.join(DEFAULTS_DIR, `${name}.txt`), "utf8")
+    ).trimEnd();
+    const [current] = await getPromptHistory(name);
+    if (current && (current.createdBy || current.template === template)) {
+      continue;
+    }
+    await savePromptVersion(name, template, {
+      note: current ? "Built-in default (updated)" : "Built-in default",
+    });
+    seeded.push(name);
+  }
+  return seeded;
+}
@@ -0,0 +1,136 @@
+/**
+ * Errors from AI providers. Upstream details (status codes, response bodies)
+ * are kept for the server log; clients only see a stable code and a friendly
+ * message.
+ */
+
+export const AI_ERROR_CODES = {
+  TIMEOUT: "ai_timeout",
+  RATE_LIMITED: "ai_rate_limited",
+  UNAVAILABLE: "ai_unavailable",
+  CIRCUIT_OPEN: "ai_circuit_open",
+  MISCONFIGURED: "ai_misconfigured",
+  REJECTED: "ai_request_rejected",
+  INVALID_OUTPUT: "ai_invalid_output",
+  UNKNOWN: "ai_error",
+};
+
+const RESPONSES = {
+  [AI_ERROR_CODES.TIMEOUT]: {
+    status: 504,
+    message: "The AI service took too long to respond.",
+  },
+  [AI_ERROR_CODES.RATE_LIMITED]: {
+    status: 503,
+    message: "The AI service is busy right now.",
+  },
+  [AI_ERROR_CODES.UNAVAILABLE]: {
+    status: 502,
+    message: "The AI service is unavailable right now.",
+  },
+  [AI_ERROR_CODES.CIRCUIT_OPEN]: {
+    status: 503,
+    message: "The AI service is temporarily unavailable.",
+  },
+  [AI_ERROR_CODES.MISCONFIGURED]: {
+    status: 500,
+    message: "The AI service is not configured correctly.",
+  },
+  [AI_ERROR_CODES.REJECTED]: {
+    status: 502,
+    message: "The AI service could not process this request.",
+  },
+  [AI_ERROR_CODES.INVALID_OUTPUT]: {
+    status: 502,
+    message: "The AI service returned a response in an unexpected format.",
+  },
+  [AI_ERROR_CODES.UNKNOWN]: {
+    status: 500,
+    message: "Something went wrong while contacting the AI service.",
+  },
+};
+
+const MAX_BODY_IN_MESSAGE = 500;
+
+/**
+ * A non-2xx response from a provider's HTTP API
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {string} provider - Provider name
+   * @param {number} status - HTTP status
+   * @param {string} body - Response body
+   * @param {number|null} retryAfter - Seconds from the Retry-After header
+   */
+  constructor(provider, status, body, retryAfter = null) {
+    // Error bodies can echo parts of the request; keep logs short
+    super(`${provider} error ${status}: ${body.slice(0, MAX_BODY_IN_MESSAGE)}`);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * A classified AI failure, safe to show to clients
+ */
+export class AIProviderError extends Error {
+  /**
+   * @param {string} code - One of AI_ERROR_CODES
+   * @param {Object} options - { detail, retryAfter }
+   */
+  constructor(code, { detail = "", retryAfter = null } = {}) {
+    const response = RESPONSES[code] || RESPONSES[AI_ERROR_CODES.UNKNOWN];
+    super(response.message);
+    this.name = "AIProviderError";
+    this.code = code;
+    this.status = response.status;
+    this.detail = detail;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Seconds to wait
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Classify any error thrown while calling a provider
+ * @param {Error} error - Error to classify
+ * @returns {AIProviderError} Classified error
+ */
+export function toAIProviderError(error) {
+  if (error instanceof AIProviderError) return error;
+
+  const detail = error?.message || String(error);
+  if (error instanceof UpstreamError) {
+    const { status, retryAfter } = error;
+    if (status === 429)
+      return new AIProviderError(AI_ERROR_CODES.RATE_LIMITED, {
+        detail,
+        retryAfter,
+      });
+    if (status === 401 || status === 403)
+      return new AIProviderError(AI_ERROR_CODES.MISCONFIGURED, { detail });
+    if (status === 408 || status >= 500)
+      return new AIProviderError(AI_ERROR_CODES.UNAVAILABLE, {
+        detail,
+        retryAfter,
+      });
+    return new AIProviderError(AI_ERROR_CODES.REJECTED, { detail });
+  }
+  // node-fetch network failures (DNS, refused connections, resets)
+  if (error?.name === "FetchError")
+    return new AIProviderError(AI_ERROR_CODES.UNAVAILABLE, { detail });
+  return new AIProviderError(AI_ERROR_CODES.UNKNOWN, { detail });
+}
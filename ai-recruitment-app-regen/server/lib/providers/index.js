@@ -0,0 +1,96 @@
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+import { createMockProvider } from "./mock.js";
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+/**
+ * Provider factories, keyed by the LLM_PROVIDER setting
+ */
+const PROVIDERS = {
+  openai(env) {
+    const base = (env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(
+      /\/+$/,
+      ""
+    );
+    return createOpenAICompatibleProvider({
+      name: "openai",
+      url: `${base}/chat/completions`,
+      modelsUrl: `${base}/models`,
+      headers: { Authorization: `Bearer ${env.OPENAI_API_KEY}` },
+      model: env.LLM_MODEL || DEFAULT_MODEL,
+      // Start without a key (the server warns) and fail on first use instead
+      configError: env.OPENAI_API_KEY ? null : "Missing OPENAI_API_KEY",
+      streamUsage: true,
+    });
+  },
+
+  // Azure picks the model by deployment, so the client's model is ignored
+  azure(env) {
+    const missing = [
+      "AZURE_OPENAI_ENDPOINT",
+      "AZURE_OPENAI_API_KEY",
+      "AZURE_OPENAI_DEPLOYMENT",
+    ].filter((key) => !env[key]);
+    if (missing.length) {
+      throw new Error(`${missing.join(", ")} required for the azure provider`);
+    }
+    const endpoint = env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, "");
+    const deployment = encodeURIComponent(env.AZURE_OPENAI_DEPLOYMENT);
+    const apiVersion = env.AZURE_OPENAI_API_VERSION || "2024-06-01";
+    return createOpenAICompatibleProvider({
+      name: "azure",
+      url: `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+      modelsUrl: `${endpoint}/openai/models?api-version=${apiVersion}`,
+      headers: { "api-key": env.AZURE_OPENAI_API_KEY },
+      model: env.AZURE_OPENAI_DEPLOYMENT,
+      allowModelOverride: false,
+    });
+  },
+
+  // OpenAI-compatible local servers (Ollama, llama.cpp, vLLM) run one model
+  // chosen by the operator, so the client's model is ignored
+  local(env) {
+    if (!env.LOCAL_LLM_MODEL) {
+      throw new Error("LOCAL_LLM_MODEL is required for the local provider");
+    }
+    const base = (
+      env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1"
+    ).replace(/\/+$/, "");
+    return createOpenAICompatibleProvider({
+      name: "local",
+      url: `${base}/chat/completions`,
+      modelsUrl: `${base}/models`,
+      headers: env.LOCAL_LLM_API_KEY
+        ? { Authorization: `Bearer ${env.LOCAL_LLM_API_KEY}` }
+        : {},
+      model: env.LOCAL_LLM_MODEL,
+      allowModelOverride: false,
+      // Not every local server implements JSON mode
+      jsonMode: env.LOCAL_LLM_JSON_MODE !== "false",
+    });
+  },
+
+  mock(env) {
+    return createMockProvider({
+      delayMs: Number(env.MOCK_LLM_DELAY_MS ?? 15),
+    });
+  },
+};
+
+/**
+ * Create the LLM provider selected by LLM_PROVIDER (default "openai")
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider { name, model, configError, complete, stream, check }
+ */
+export function createProviderFromEnv(env = process.env) {
+  const name = (env.LLM_PROVIDER || "openai").toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+  return factory(env);
+}
@@ -0,0 +1,326 @@
+import { estimateUsage } from "./tokens.js";
+
+/**
+ * Deterministic offline provider for development and demos.
+ * It recognizes the app's own prompts (JD generation, polish, translation,
+ * sourcing, lint, salary estimates, outreach) and answers with fixture
+ * output built from their inputs, without any network.
+ */
+
+const SOURCING_COMPANIES = [
+  "Microsoft",
+  "Amazon",
+  "Google",
+  "Salesforce",
+  "Oracle",
+  "Adobe",
+  "IBM",
+  "Intuit",
+  "ServiceNow",
+  "Workday",
+];
+
+/**
+ * Parse "Label: value" lines from a prompt
+ * @param {string} text - Prompt text
+ * @returns {Object} Values keyed by label
+ */
+function parseFields(text) {
+  const fields = {};
+  for (const line of text.split("\n")) {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match) fields[match[1].trim()] = match[2].trim();
+  }
+  return fields;
+}
+
+function bullets(value, fallback) {
+  const items = (value || "")
+    .split(/[,;\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return (items.length ? items : fallback).map((item) => `• ${item}`);
+}
+
+function fixtureJobDescription(prompt) {
+  const f = parseFields(prompt);
+  const role = f["Job Role"] || "Software Engineer";
+  const location = f["Location"] || "Remote";
+
+  return [
+    `Job Title: ${role}`,
+    `Location: ${location}${f["Time zone"] ? ` (${f["Time zone"]})` : ""}`,
+    `Employment Type: ${f["Employment type"] || "Full-time"}${
+      f["Contract duration"] ? `, ${f["Contract duration"]}` : ""
+    }`,
+    "",
+    "Job Summary",
+    `We are looking for a ${role} to join a collaborative team${
+      f["Domain preference"] ? ` in the ${f["Domain preference"]} space` : ""
+    }. You will own meaningful work from day one and help shape how the team delivers.`,
+    "",
+    "Key Responsibilities",
+    ...bullets(f["1-year success goals"], [
+      "Deliver high-quality work that meets team goals",
+      "Collaborate with cross-functional partners",
+      "Continuously improve processes and tooling",
+    ]),
+    ...(f["First 90 days"] ? bullets(f["First 90 days"], []) : []),
+    "",
+    "Required Skills",
+    ...bullets(f["Key skills"], [
+      "Strong communication skills",
+      "Problem solving",
+    ]),
+    "",
+    "Preferred Qualifications",
+    ...bullets(f["Superstar outcomes"] || f["KPIs"], [
+      "Experience in a similar role",
+    ]),
+    ...(f["Pay range"]
+      ? [
+          "",
+          "Compensation",
+          `• ${f["Pay range"]}`,
+          ...(f["Variable pay"] ? [`• ${f["Variable pay"]}`] : []),
+        ]
+      : []),
+    "",
+    "Benefits & Perks",
+    ...bullets(f["Benefits and perks"], [
+      "Competitive compensation",
+      "Flexible working",
+    ]),
+    "",
+    "How to Apply",
+    f["Application process"] ||
+      "Submit your resume and a short note about why this role interests you.",
+  ].join("\n");
+}
+
+function fixturePolish(prompt) {
+  const match = prompt.match(
+    /^Original JD:\n\n([\s\S]*?)\n\nPolish instructions:/
+  );
+  const jd = match ? match[1] : prompt;
+  return jd
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function fixtureSourcing(system, prompt) {
+  const location =
+    system.match(/role based in ([^.]+)\./)?.[1]?.trim() || "United States";
+  const jd = prompt.replace(/^Job Description:\s*/, "");
+  const title =
+    parseFields(jd)["Job Title"] ||
+    jd.split("\n").find((line) => line.trim()) ||
+    "Software Engineer";
+  const count = Number(system.match(/identify (\d+) top companies/)?.[1]) || 10;
+  const names = Array.from(
+    { length: count },
+    (_, i) => SOURCING_COMPANIES[i] || `Employer ${i + 1}`
+  );
+
+  return JSON.stringify(
+    {
+      companies: names.map((name) => ({
+        name,
+        linkedinSearch: `site:linkedin.com/in/ "${title}" AND "${name}" AND "${location}"`,
+        reason: `${name} employs many people in roles similar to ${title}.`,
+      })),
+      diceSearch: `"${title}" AND "${location}"`,
+      summary: `Mock sourcing strategy for ${title} in ${location}.`,
+    },
+    null,
+    2
+  );
+}
+
+// Phrases the linter's word lists don't cover, so the AI pass has something to add
+const LINT_PHRASES = [
+  {
+    text: "culture fit",
+    category: "gender",
+    message:
+      "“Culture fit” is vague and tends to favor people like the current team. Name the values you hire for.",
+    suggestion: "values alignment",
+  },
+  {
+    text: "native English speaker",
+    category: "requirements",
+    message:
+      "Native-speaker requirements exclude fluent candidates. Ask for the level of English the job needs.",
+    suggestion: "fluent in English",
+  },
+];
+
+function fixtureLint(prompt) {
+  const text = prompt.toLowerCase();
+  return JSON.stringify({
+    findings: LINT_PHRASES.filter((phrase) =>
+      text.includes(phrase.text.toLowerCase())
+    ),
+  });
+}
+
+// Annual base pay by seniority, scaled to the requested period
+const SALARY_BANDS = [
+  [/\b(?:principal|staff|director|head)\b/i, 190000, 240000],
+  [/\b(?:senior|sr\.?|lead)\b/i, 140000, 175000],
+  [/\b(?:junior|jr\.?|associate|entry)\b/i, 65000, 85000],
+];
+const PERIOD_DIVISORS = { year: 1, month: 12, hour: 2080 };
+
+function fixtureSalary(system, prompt) {
+  const role = parseFields(prompt)["Job Role"] || "";
+  const [, min, max] = SALARY_BANDS.find(([re]) => re.test(role)) || [
+    null,
+    100000,
+    130000,
+  ];
+  const period = system.match(/ per (year|month|hour)\b/)?.[1] || "year";
+  const divisor = PERIOD_DIVISORS[period];
+  return JSON.stringify({
+    min: Math.round(min / divisor),
+    max: Math.round(max / divisor),
+    rationale: `Mock estimate for ${
+      role || "the role"
+    } based on a fixed seniority band.`,
+  });
+}
+
+function fixtureTranslation(system, prompt) {
+  const [, country, language] =
+    system.match(/candidates in (.+?)\. Translate it into (\w+)/) || [];
+  const jd = prompt.replace(/^Job Description:\s*/, "");
+  // Stand-in for the country's equal opportunity statement
+  const eeo = `Equal opportunity statement for ${country}.`;
+  const body = /^Equal Opportunity Employer$/m.test(jd)
+    ? jd.replace(/^Equal Opportunity Employer$[\s\S]*$/m, eeo)
+    : `${jd}\n\n${eeo}`;
+  return `[Mock ${language} translation for ${country}]\n\n${body}`;
+}
+
+// Agrees with the keyword check it was given, so scores are predictable
+function fixtureMatch(prompt) {
+  const requirements = [
+    ...prompt.matchAll(/^- (\S+) \((\w+)\): (.+) \[keywords: (\w+)\]$/gm),
+  ].map(([, id, , text, status]) => ({
+    id,
+    status,
+    rationale: `Mock rationale: the resume ${
+      status === "met"
+        ? "covers"
+        : status === "partial"
+        ? "touches on"
+        : "does not mention"
+    } ${text}.`,
+  }));
+  const met = requirements.filter((r) => r.status === "met").length;
+  const share = requirements.length ? met / requirements.length : 0;
+  return JSON.stringify({
+    summary: `Mock assessment: ${met} of ${requirements.length} requirements met.`,
+    recommendation:
+      share >= 0.7 ? "strong" : share >= 0.4 ? "possible" : "weak",
+    requirements,
+  });
+}
+
+// A greeting, a bump and a close, cut to the channel's limit
+function fixtureOutreach(system, prompt) {
+  const count = Number(system.match(/sequence of (\d+)/)?.[1]) || 3;
+  const maxLength = Number(system.match(/at most (\d+) characters/)?.[1]);
+  const subject = !/at most 0 characters/.test(system);
+  const f = parseFields(prompt);
+  const title = f["Job Title"] || "this role";
+  const company = f["Current company"];
+  const bodies = [
+    `Hi {{firstName}}, I'm hiring a ${title}${
+      company ? ` and your work at ${company} stood out` : ""
+    }. Open to a short call this week? {{senderName}}`,
+    `Hi {{firstName}}, following up on the ${title} role. Happy to share more about the team. {{senderName}}`,
+    `Hi {{firstName}}, one more note on the ${title} role: the first projects are yours to shape. {{senderName}}`,
+    `Hi {{firstName}}, I'll leave it here. If the timing changes, my door is open. {{senderName}}`,
+  ];
+  return JSON.stringify({
+    steps: bodies.slice(0, count).map((body, i) => ({
+      subject: subject ? (i === 0 ? `${title} role` : `Re: ${title} role`) : "",
+      body: maxLength ? body.slice(0, maxLength) : body,
+    })),
+  });
+}
+
+/**
+ * Pick a fixture response for a conversation
+ * @param {Array} messages - Chat messages
+ * @returns {string} Response text
+ */
+function respond(messages) {
+  const system = messages.find((m) => m.role === "system")?.content || "";
+  const prompt =
+    [...messages].reverse().find((m) => m.role === "user")?.content || "";
+
+  if (system.includes('"companies"')) return fixtureSourcing(system, prompt);
+  if (system.includes('"findings"')) return fixtureLint(prompt);
+  if (system.includes('"min"')) return fixtureSalary(system, prompt);
+  if (system.includes('"recommendation"')) return fixtureMatch(prompt);
+  if (system.includes('"steps"')) return fixtureOutreach(system, prompt);
+  if (system.includes("localizing a job description")) {
+    return fixtureTranslation(system, prompt);
+  }
+  if (prompt.startsWith("Original JD:")) return fixturePolish(prompt);
+  if (prompt.includes("Job Role:")) return fixtureJobDescription(prompt);
+  return `Mock response to: ${prompt.slice(0, 200)}`;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} options - { delayMs } pause between streamed tokens
+ * @returns {Object} Provider { name, model, configError, complete, stream, check }
+ */
+export function createMockProvider({ delayMs = 15 } = {}) {
+  return {
+    name: "mock",
+    model: "mock",
+    configError: null,
+
+    async complete(messages, { onUsage } = {}) {
+      const text = respond(messages);
+      onUsage?.(estimateUsage("mock", messages, text));
+      return text;
+    },
+
+    async stream(messages, { signal, onToken, onUsage }) {
+      const text = respond(messages);
+      // Stream word by word, keeping the whitespace with each word
+      for (const token of text.match(/\s*\S+/g) || []) {
+        if (delayMs > 0) await wait(delayMs, signal);
+        onToken(token);
+      }
+      onUsage?.(estimateUsage("mock", messages, text));
+      return text;
+    },
+
+    // Nothing to reach
+    async check() {},
+  };
+}
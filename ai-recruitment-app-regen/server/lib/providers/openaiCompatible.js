@@ -0,0 +1,161 @@
+import fetch from "node-fetch";
+import { readEventStream } from "../sse.js";
+import {
+  AI_ERROR_CODES,
+  AIProviderError,
+  UpstreamError,
+  parseRetryAfter,
+} from "./errors.js";
+import { estimateUsage } from "./tokens.js";
+
+/**
+ * Create a provider for any server that speaks the OpenAI chat completions API
+ * (OpenAI itself, Azure OpenAI, Ollama, llama.cpp, vLLM, ...).
+ * @param {Object} options
+ * @param {string} options.name - Provider name, used in errors and /health
+ * @param {string} options.url - Full chat completions URL
+ * @param {string} options.modelsUrl - URL that lists models, used by check()
+ * @param {Object} options.headers - Auth headers to send with each request
+ * @param {string} options.model - Model used when the request doesn't name one
+ * @param {boolean} options.allowModelOverride - Whether clients may pick the model
+ * @param {string} options.configError - If set, every call fails with this message
+ * @param {boolean} options.jsonMode - Whether the server accepts
+ *   `response_format: { type: "json_object" }`
+ * @param {boolean} options.streamUsage - Whether the server reports usage at
+ *   the end of a stream (`stream_options: { include_usage: true }`)
+ * @returns {Object} Provider { name, model, configError, complete, stream, check }
+ */
+export function createOpenAICompatibleProvider({
+  name,
+  url,
+  modelsUrl,
+  headers = {},
+  model,
+  allowModelOverride = true,
+  configError = null,
+  jsonMode = true,
+  streamUsage = false,
+}) {
+  const resolveModel = (requested) =>
+    (allowModelOverride && requested) || model;
+
+  async function request(target, options) {
+    if (configError) {
+      throw new AIProviderError(AI_ERROR_CODES.MISCONFIGURED, {
+        detail: configError,
+      });
+    }
+    const resp = await fetch(target, options);
+    if (!resp.ok) {
+      const t = await resp.text();
+      throw new UpstreamError(
+        name,
+        resp.status,
+        t,
+        parseRetryAfter(resp.headers.get("retry-after"))
+      );
+    }
+    return resp;
+  }
+
+  function post(body, signal) {
+    return request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  }
+
+  /**
+   * Convert an OpenAI `usage` object, falling back to an estimate when the
+   * server sent none
+   */
+  function toUsage(usage, usedModel, messages, text) {
+    if (!usage) return estimateUsage(usedModel, messages, text);
+    return {
+      model: usedModel,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      estimated: false,
+    };
+  }
+
+  return {
+    name,
+    model,
+    configError,
+
+    /**
+     * Run a chat completion
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - { model, temperature, signal, json, onUsage };
+     *   `json` asks for a JSON object response where the server supports it,
+     *   and `onUsage` receives { model, promptTokens, completionTokens, estimated }
+     * @returns {Promise<string>} Completion text
+     */
+    async complete(
+      messages,
+      { model, temperature = 0.3, signal, json = false, onUsage } = {}
+    ) {
+      const body = { model: resolveModel(model), messages, temperature };
+      if (json && jsonMode) body.response_format = { type: "json_object" };
+      const resp = await post(body, signal);
+      const data = await resp.json();
+      const text = data?.choices?.[0]?.message?.content?.trim() || "";
+      onUsage?.(
+        toUsage(data?.usage, data?.model || body.model, messages, text)
+      );
+      return text;
+    },
+
+    /**
+     * Stream a chat completion, calling onToken for each text delta
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - { model, temperature, signal, onToken, onUsage }
+     * @returns {Promise<string>} Full completion text
+     */
+    async stream(
+      messages,
+      { model, temperature = 0.3, signal, onToken, onUsage }
+    ) {
+      const body = {
+        model: resolveModel(model),
+        messages,
+        temperature,
+        stream: true,
+      };
+      if (streamUsage) body.stream_options = { include_usage: true };
+      const resp = await post(body, signal);
+
+      let text = "";
+      let usage = null;
+      let usedModel = body.model;
+      for await (const data of readEventStream(resp.body)) {
+        if (data === "[DONE]") break;
+        const chunk = JSON.parse(data);
+        // With include_usage the last chunk has no choices, only the usage
+        if (chunk?.usage) usage = chunk.usage;
+        if (chunk?.model) usedModel = chunk.model;
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+      onUsage?.(toUsage(usage, usedModel, messages, text));
+      return text.trim();
+    },
+
+    /**
+     * Check that the server answers and accepts our credentials, without
+     * spending any tokens
+     * @param {Object} options - { signal }
+     * @returns {Promise<void>} Rejects when the provider can't be used
+     */
+    async check({ signal } = {}) {
+      const resp = await request(modelsUrl, { headers, signal });
+      await resp.arrayBuffer();
+    },
+  };
+}
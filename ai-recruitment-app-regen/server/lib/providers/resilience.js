@@ -0,0 +1,282 @@
+import {
+  AI_ERROR_CODES,
+  AIProviderError,
+  toAIProviderError,
+} from "./errors.js";
+import { logger } from "../logger.js";
+
+// Worth another attempt: the upstream may recover by itself
+const RETRYABLE = new Set([
+  AI_ERROR_CODES.TIMEOUT,
+  AI_ERROR_CODES.RATE_LIMITED,
+  AI_ERROR_CODES.UNAVAILABLE,
+]);
+
+// Signs the upstream is down, counted by the circuit breaker. Other failures
+// (rate limits, rejected requests) still prove the upstream is answering.
+const OUTAGES = new Set([AI_ERROR_CODES.TIMEOUT, AI_ERROR_CODES.UNAVAILABLE]);
+
+// Say nothing about the upstream either way: a missing key or base URL fails
+// before any request is sent, so these never open or close the circuit
+const NOT_COUNTED = new Set([AI_ERROR_CODES.MISCONFIGURED]);
+
+/**
+ * Read timeout, retry and circuit breaker settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Resilience options
+ */
+export function resilienceFromEnv(env = process.env) {
+  const number = (key, fallback) =>
+    env[key] !== undefined && env[key] !== "" && Number.isFinite(+env[key])
+      ? +env[key]
+      : fallback;
+  return {
+    timeoutMs: number("LLM_TIMEOUT_MS", 30000),
+    maxRetries: number("LLM_MAX_RETRIES", 2),
+    retryBaseMs: number("LLM_RETRY_BASE_MS", 500),
+    retryMaxMs: number("LLM_RETRY_MAX_MS", 8000),
+    failureThreshold: number("LLM_CIRCUIT_FAILURES", 5),
+    resetTimeoutMs: number("LLM_CIRCUIT_RESET_MS", 30000),
+  };
+}
+
+/**
+ * Create a circuit breaker. After `failureThreshold` consecutive outages it
+ * opens and fails fast; after `resetTimeoutMs` it lets one trial call through
+ * (half-open) and closes again if that call reaches the upstream.
+ * @param {Object} options - { failureThreshold, resetTimeoutMs }
+ * @returns {Object} Circuit breaker
+ */
+export function createCircuitBreaker({ failureThreshold, resetTimeoutMs }) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function open() {
+    state = "open";
+    openedAt = Date.now();
+    trialInFlight = false;
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /**
+     * Throw if calls are currently blocked
+     */
+    check() {
+      if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) {
+        state = "half-open";
+      }
+      if (state === "closed") return;
+      if (state === "half-open" && !trialInFlight) {
+        trialInFlight = true;
+        return;
+      }
+      const waitMs = Math.max(0, openedAt + resetTimeoutMs - Date.now());
+      throw new AIProviderError(AI_ERROR_CODES.CIRCUIT_OPEN, {
+        detail: `circuit ${state}`,
+        retryAfter: Math.max(1, Math.ceil(waitMs / 1000)),
+      });
+    },
+
+    /**
+     * Record how a call ended
+     * @param {boolean|null} outage - Whether the call failed because the
+     *   upstream is down, or null when the outcome says nothing either way
+     */
+    record(outage) {
+      if (outage === null) {
+        trialInFlight = false;
+        return;
+      }
+      if (!outage) {
+        state = "closed";
+        failures = 0;
+        trialInFlight = false;
+        return;
+      }
+      failures++;
+      if (state === "half-open" || failures >= failureThreshold) open();
+    },
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Run one attempt, aborting it if it makes no progress for `timeoutMs`
+ * @param {Function} call - (signal, touch) => Promise; touch() marks progress
+ * @param {number} timeoutMs - Idle timeout
+ * @param {AbortSignal} signal - Caller's signal
+ * @returns {Promise<*>} Result of the call
+ */
+async function withTimeout(call, timeoutMs, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+
+  let timedOut = false;
+  let timer;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  touch();
+  try {
+    return await call(controller.signal, touch);
+  } catch (e) {
+    if (timedOut) {
+      throw new AIProviderError(AI_ERROR_CODES.TIMEOUT, {
+        detail: `no response within ${timeoutMs}ms`,
+      });
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Wrap a provider with timeouts, retries (exponential backoff with full
+ * jitter, honoring Retry-After) and a circuit breaker. Errors thrown by the
+ * wrapped provider are always AIProviderErrors, except when the caller aborts.
+ * Besides the provider's own options, calls accept `onAttempt`, called with
+ * { attempt, durationMs, code } after every attempt, and `log`, the logger
+ * retries are reported to.
+ * @param {Object} provider - Provider { name, model, configError, complete,
+ *   stream, check }
+ * @param {Object} options - See resilienceFromEnv()
+ * @returns {Object} Provider with the same interface, plus `breaker`
+ */
+export function withResilience(provider, options) {
+  const { timeoutMs, maxRetries, retryBaseMs, retryMaxMs } = options;
+  const breaker = createCircuitBreaker(options);
+
+  async function run(call, { signal, onAttempt, log = logger }, canRetry) {
+    for (let attempt = 0; ; attempt++) {
+      breaker.check();
+      const started = Date.now();
+      const report = (code) =>
+        onAttempt?.({
+          attempt: attempt + 1,
+          durationMs: Date.now() - started,
+          code,
+        });
+      try {
+        const result = await withTimeout(call, timeoutMs, signal);
+        breaker.record(false);
+        report(null);
+        return result;
+      } catch (e) {
+        // The client went away; this says nothing about the upstream
+        if (signal?.aborted) {
+          breaker.record(null);
+          report("aborted");
+          throw e;
+        }
+
+        const error = toAIProviderError(e);
+        breaker.record(
+          NOT_COUNTED.has(error.code) ? null : OUTAGES.has(error.code)
+        );
+        report(error.code);
+        if (
+          attempt >= maxRetries ||
+          !RETRYABLE.has(error.code) ||
+          !canRetry() ||
+          breaker.state === "open"
+        ) {
+          throw error;
+        }
+
+        let delayMs =
+          Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+        if (error.retryAfter) {
+          // Don't hold the request open longer than we'd back off anyway
+          if (error.retryAfter * 1000 > retryMaxMs) throw error;
+          delayMs = Math.max(delayMs, error.retryAfter * 1000);
+        }
+        log.warn("llm attempt failed, retrying", {
+          provider: provider.name,
+          attempt: attempt + 1,
+          code: error.code,
+          detail: error.detail,
+          retryInMs: Math.round(delayMs),
+        });
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    configError: provider.configError,
+    breaker,
+
+    complete(messages, opts = {}) {
+      return run(
+        (signal) => provider.complete(messages, { ...opts, signal }),
+        opts,
+        () => true
+      );
+    },
+
+    // Once tokens have reached the client a retry would repeat them, so only
+    // failures before the first token are retried
+    stream(messages, opts) {
+      let streamed = false;
+      return run(
+        (signal, touch) =>
+          provider.stream(messages, {
+            ...opts,
+            signal,
+            onToken: (token) => {
+              streamed = true;
+              touch();
+              opts.onToken(token);
+            },
+          }),
+        opts,
+        () => !streamed
+      );
+    },
+
+    // Readiness probes get the timeout but no retries, and don't move the
+    // circuit: the breaker only judges real traffic
+    async check(opts = {}) {
+      try {
+        await withTimeout(
+          (signal) => provider.check({ signal }),
+          timeoutMs,
+          opts.signal
+        );
+      } catch (e) {
+        throw toAIProviderError(e);
+      }
+    },
+  };
+}
@@ -0,0 +1,184 @@
+import fs from "node:fs";
+import { totalUsage } from "./usage.js";
+
+/**
+ * Quota kinds: what each one counts, over which UTC window, and the status
+ * returned once it's used up. Request counts behave like a rate limit (429);
+ * token and spending caps need someone to raise the budget (402).
+ */
+export const QUOTA_LIMITS = {
+  requestsPerDay: { measure: "requests", window: "day", status: 429 },
+  tokensPerMonth: { measure: "totalTokens", window: "month", status: 402 },
+  costPerMonth: { measure: "cost", window: "month", status: 402 },
+};
+
+// Share of a quota used before responses start carrying a warning
+export const QUOTA_WARNING_RATIO = 0.8;
+
+const ENV_DEFAULTS = {
+  requestsPerDay: "QUOTA_REQUESTS_PER_DAY",
+  tokensPerMonth: "QUOTA_TOKENS_PER_MONTH",
+  costPerMonth: "QUOTA_COST_PER_MONTH",
+};
+
+/**
+ * Keep the known quota kinds with a positive limit. A missing, zero or null
+ * limit means unlimited, which lets a per-user entry lift a default.
+ */
+function pickLimits(source = {}, where) {
+  const limits = {};
+  for (const [name, value] of Object.entries(source)) {
+    if (name === "members") continue;
+    if (!QUOTA_LIMITS[name]) {
+      throw new Error(`Unknown quota "${name}" in ${where}`);
+    }
+    if (value !== null && (typeof value !== "number" || value < 0)) {
+      throw new Error(`Quota ${name} in ${where} must be a number or null`);
+    }
+    limits[name] = value || null;
+  }
+  return limits;
+}
+
+/**
+ * Read quota settings. Defaults for every user come from QUOTA_* variables;
+ * QUOTA_CONFIG may name a JSON file with per-user overrides and teams:
+ * { "defaults": {...}, "users": { "<username>": {...} },
+ *   "teams": { "<team>": { "members": ["<username>"], ... } } }
+ * @param {Object} env - Environment variables
+ * @returns {Object} { defaults, users, teams }
+ * @throws {Error} When the file can't be read or holds invalid quotas
+ */
+export function quotaConfigFromEnv(env = process.env) {
+  const defaults = {};
+  for (const [name, key] of Object.entries(ENV_DEFAULTS)) {
+    if (env[key]) defaults[name] = Number(env[key]) || null;
+  }
+
+  let file = {};
+  if (env.QUOTA_CONFIG) {
+    try {
+      file = JSON.parse(fs.readFileSync(env.QUOTA_CONFIG, "utf8"));
+    } catch (e) {
+      throw new Error(`Could not read QUOTA_CONFIG: ${e.message}`);
+    }
+  }
+
+  const users = {};
+  for (const [username, limits] of Object.entries(file.users || {})) {
+    users[username.toLowerCase()] = pickLimits(limits, `users.${username}`);
+  }
+  const teams = {};
+  for (const [team, settings] of Object.entries(file.teams || {})) {
+    if (!Array.isArray(settings.members)) {
+      throw new Error(`teams.${team}.members must be a list of usernames`);
+    }
+    teams[team] = {
+      members: settings.members.map((name) => String(name).toLowerCase()),
+      limits: pickLimits(settings, `teams.${team}`),
+    };
+  }
+
+  return {
+    defaults: { ...defaults, ...pickLimits(file.defaults, "defaults") },
+    users,
+    teams,
+  };
+}
+
+let config = null;
+
+function getConfig() {
+  config ??= quotaConfigFromEnv();
+  return config;
+}
+
+/**
+ * Whether any user or team has a quota
+ * @returns {boolean} True when quotas are enforced
+ */
+export function quotasEnabled() {
+  const { defaults, users, teams } = getConfig();
+  return [defaults, ...Object.values(users)]
+    .concat(Object.values(teams).map((team) => team.limits))
+    .some((limits) => Object.values(limits).some(Boolean));
+}
+
+/**
+ * Start of the current window and when the next one begins (UTC)
+ * @param {string} window - "day" or "month"
+ * @param {Date} now - Current time
+ * @returns {Object} { from, resetsAt } Dates
+ */
+function windowBounds(window, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  if (window === "month") {
+    return {
+      from: new Date(Date.UTC(year, month, 1)),
+      resetsAt: new Date(Date.UTC(year, month + 1, 1)),
+    };
+  }
+  const day = now.getUTCDate();
+  return {
+    from: new Date(Date.UTC(year, month, day)),
+    resetsAt: new Date(Date.UTC(year, month, day + 1)),
+  };
+}
+
+/**
+ * Measure a set of limits against the usage of some users
+ * @param {Object} limits - Limits keyed by quota name
+ * @param {Array<string>} usernames - Whose usage counts
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} [{ name, limit, used, percent, resetsAt }]
+ */
+async function measure(limits, usernames, now) {
+  const results = [];
+  for (const [name, limit] of Object.entries(limits)) {
+    if (!limit) continue;
+    const { measure: field, window } = QUOTA_LIMITS[name];
+    const { from, resetsAt } = windowBounds(window, now);
+    const period = from.toISOString().slice(0, window === "month" ? 7 : 10);
+    const used = (await totalUsage({ period, usernames }))[field];
+    results.push({
+      name,
+      limit,
+      used,
+      percent: Math.round((used / limit) * 100),
+      resetsAt: resetsAt.toISOString(),
+    });
+  }
+  return results;
+}
+
+/**
+ * Quotas that apply to a user, with how much of each has been used
+ * @param {Object} user - Signed-in user
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { enabled, user: [...], team: { name, quotas } | null }
+ */
+export async function getQuotaStatus(user, now = new Date()) {
+  const { defaults, users, teams } = getConfig();
+  const username = user.username.toLowerCase();
+
+  const teamName = Object.keys(teams).find((name) =>
+    teams[name].members.includes(username)
+  );
+  const team = teamName
+    ? {
+        name: teamName,
+        quotas: await measure(
+          teams[teamName].limits,
+          teams[teamName].members,
+          now
+        ),
+      }
+    : null;
+
+  return {
+    enabled: quotasEnabled(),
+    user: await measure({ ...defaults, ...users[username] }, [username], now),
+    team,
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * Resume parsing for candidate validation: text extraction from PDF, DOCX and
+ * plain-text files, and a heuristic parser that turns the text into a
+ * structured profile (contact details, skills, sections, years of experience).
+ * Resumes are parsed per request and never stored.
+ */
+
+// Decoded file size; the upload route's JSON limit allows for base64 overhead
+export const MAX_RESUME_BYTES = 5 * 1024 * 1024;
+// Longer text is cut, so a resume always fits the scoring request
+export const MAX_RESUME_CHARS = 50000;
+
+const FILE_TYPES = { pdf: "pdf", docx: "docx", txt: "txt", text: "txt" };
+
+/**
+ * A resume that can't be read. `status` is the HTTP status to answer with.
+ */
+export class ResumeError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = "ResumeError";
+    this.status = status;
+  }
+}
+
+/**
+ * The file type of a resume, from its name
+ * @param {string} filename - File name, e.g. "jane-doe.pdf"
+ * @returns {string|null} "pdf", "docx" or "txt", or null when unsupported
+ */
+export function resumeFileType(filename) {
+  const extension = String(filename || "")
+    .toLowerCase()
+    .match(/\.(\w+)$/)?.[1];
+  return FILE_TYPES[extension] || null;
+}
+
+/**
+ * Extract the text of a resume file
+ * @param {string} filename - File name; the extension picks the parser
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} Extracted text
+ * @throws {ResumeError} When the type is unsupported or the file can't be read
+ */
+export async function extractResumeText(filename, buffer) {
+  const type = resumeFileType(filename);
+  if (!type) {
+    throw new ResumeError("Upload a PDF, DOCX or TXT file.", 400);
+  }
+  if (buffer.length > MAX_RESUME_BYTES) {
+    throw new ResumeError(
+      `Resume files can be at most ${MAX_RESUME_BYTES / 1024 / 1024} MB.`,
+      413
+    );
+  }
+
+  try {
+    if (type === "txt") return buffer.toString("utf8");
+    // The parsers are large, so they are only loaded once a file needs them
+    if (type === "pdf") {
+      const { PDFParse } = await import("pdf-parse");
+      const parser = new PDFParse({ data: new Uint8Array(buffer) });
+      try {
+        return (await parser.getText()).text;
+      } finally {
+        await parser.destroy();
+      }
+    }
+    const { default: mammoth } = await import("mammoth");
+    return (await mammoth.extractRawText({ buffer })).value;
+  } catch (e) {
+    throw new ResumeError(
+      `Could not read ${filename}. Check that it is a valid ${type.toUpperCase()} file, or paste the text instead.`
+    );
+  }
+}
+
+/**
+ * Tidy extracted text: Unix line breaks, no trailing spaces, no page-break
+ * markers and at most one blank line in a row
+ * @param {string} text - Extracted text
+ * @returns {string} Normalized text
+ */
+export function normalizeResumeText(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\f/g, "\n")
+    .replace(/^-- \d+ of \d+ --$/gm, "")
+    .replace(/[ \t\u00a0]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Section headings, alone on a line ("EXPERIENCE", "Technical Skills:")
+const SECTION_HEADINGS = {
+  summary: /^(?:summary|professional summary|profile|about me|objective)$/i,
+  experience:
+    /^(?:experience|work experience|professional experience|employment(?: history)?|work history|career history)$/i,
+  education: /^(?:education|academic background|qualifications)$/i,
+  skills:
+    /^(?:skills|technical skills|key skills|core competencies|competencies|technologies|tech stack|tools)$/i,
+  projects: /^(?:projects|selected projects|key projects)$/i,
+  certifications: /^(?:certifications?|licen[cs]es(?: and certifications)?)$/i,
+  languages: /^languages$/i,
+};
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_RE = /\+?\(?\d[\d\s().-]{7,}\d/g;
+const LINK_RE =
+  /\b(?:https?:\/\/|www\.)[^\s|,]+|\b(?:linkedin\.com|github\.com)\/[^\s|,]+/gi;
+// "Austin, TX" or "London, United Kingdom"
+const LOCATION_RE = /^[A-Z][A-Za-z .'-]+,\s*[A-Z][A-Za-z .]+$/;
+const DATE_RANGE_RE =
+  /\b((?:19|20)\d{2})\s*(?:-|–|—|to)\s*(?:\w+\.?\s+)?((?:19|20)\d{2}|present|current|now|today)\b/gi;
+const YEARS_RE =
+  /\b(\d{1,2})\+?\s*(?:years?|yrs)\b(?:\s+of)?\s+(?:\w+\s+)?experience/i;
+
+/**
+ * Split resume text into sections by their headings
+ * @param {Array<string>} lines - Resume lines
+ * @returns {Object} { header: [lines before the first heading], sections:
+ *   { name: [lines] } }
+ */
+function splitSections(lines) {
+  const sections = {};
+  const header = [];
+  let current = null;
+  for (const line of lines) {
+    const heading = line
+      .trim()
+      .replace(/[:\s]+$/, "")
+      .replace(/\s+/g, " ");
+    const name =
+      heading.length <= 40 &&
+      Object.keys(SECTION_HEADINGS).find((key) =>
+        SECTION_HEADINGS[key].test(heading)
+      );
+    if (name) {
+      current = name;
+      sections[name] ??= [];
+    } else if (current) {
+      sections[current].push(line);
+    } else {
+      header.push(line);
+    }
+  }
+  return { header, sections };
+}
+
+/**
+ * Split a skills section into skills: "JavaScript, React • Node.js" → three
+ * @param {Array<string>} lines - Section lines
+ * @returns {Array<string>} Skills, de-duplicated
+ */
+function splitSkills(lines) {
+  const seen = new Set();
+  const skills = [];
+  for (const line of lines) {
+    // "Languages: Python, Go" lists the languages, not "Languages"
+    const list = line.replace(/^[^,:]{1,30}:\s*/, "");
+    for (const item of list.split(/[,;|•·▪●]|\s-\s|\n/)) {
+      const skill = item.replace(/^[\s*-]+|[\s.]+$/g, "");
+      const key = skill.toLowerCase();
+      if (skill && skill.length <= 60 && !seen.has(key)) {
+        seen.add(key);
+        skills.push(skill);
+      }
+    }
+  }
+  return skills.slice(0, 100);
+}
+
+/**
+ * Estimate years of experience: a stated "8 years of experience", else the
+ * span of the dates in the experience section
+ * @param {string} text - Resume text
+ * @param {Array<string>} experience - Experience section lines
+ * @returns {number|null} Years, or null when the resume gives no clue
+ */
+function estimateExperienceYears(text, experience = []) {
+  const stated = text.match(YEARS_RE);
+  if (stated) return Number(stated[1]);
+
+  const thisYear = new Date().getFullYear();
+  let first = Infinity;
+  let last = -Infinity;
+  for (const [, start, end] of experience.join("\n").matchAll(DATE_RANGE_RE)) {
+    first = Math.min(first, Number(start));
+    last = Math.max(last, /^\d/.test(end) ? Number(end) : thisYear);
+  }
+  return last >= first ? last - first : null;
+}
+
+/**
+ * Parse resume text into a structured profile
+ * @param {string} text - Resume text
+ * @returns {Object} { name, email, phone, location, links, summary, skills,
+ *   experienceYears, sections }; fields the resume doesn't show are null or empty
+ */
+export function parseResumeProfile(text) {
+  const lines = normalizeResumeText(text).split("\n");
+  const { header, sections } = splitSections(lines);
+  // Contact details sit in the header, often on one line: "Austin, TX | jane@x.com"
+  const headerParts = header
+    .flatMap((line) => line.split(/\s*[|•·]\s*/))
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const top = headerParts.length ? headerParts : lines.slice(0, 5);
+
+  const name =
+    top.find(
+      (part) =>
+        /^[\p{L}][\p{L}.'-]*(?:\s+[\p{L}][\p{L}.'-]*){1,3}$/u.test(part) &&
+        !SECTION_HEADINGS.summary.test(part)
+    ) || null;
+  const joined = lines.join("\n");
+
+  return {
+    name,
+    email: joined.match(EMAIL_RE)?.[0] || null,
+    // At least 9 digits, so a date range such as "2019 - 2021" isn't taken
+    phone:
+      (top.join("\n").match(PHONE_RE) || []).find(
+        (match) => match.replace(/\D/g, "").length >= 9
+      ) || null,
+    location:
+      top.find((part) => part !== name && LOCATION_RE.test(part)) || null,
+    links: [...new Set(joined.match(LINK_RE) || [])],
+    summary: (sections.summary || []).join(" ").trim().slice(0, 1000) || null,
+    skills: splitSkills(sections.skills || []),
+    experienceYears: estimateExperienceYears(joined, sections.experience),
+    sections: Object.keys(sections),
+  };
+}
+
+/**
+ * Read a resume, from an uploaded file or pasted text
+ * @param {Object} resume - { filename, data (base64) } or { text }
+ * @returns {Promise<Object>} { text, truncated, profile }
+ * @throws {ResumeError} When the file can't be read or has no text
+ */
+export async function readResume({ filename, data, text }) {
+  const raw =
+    text ?? (await extractResumeText(filename, Buffer.from(data, "base64")));
+  const normalized = normalizeResumeText(raw);
+  if (!normalized) {
+    throw new ResumeError(
+      "No text found in the resume. Scanned documents need to be pasted as text."
+    );
+  }
+  return {
+    text: normalized.slice(0, MAX_RESUME_CHARS),
+    truncated: normalized.length > MAX_RESUME_CHARS,
+    profile: parseResumeProfile(normalized),
+  };
+}
@@ -0,0 +1,93 @@
+import { AI_ERROR_CODES, AIProviderError } from "./providers/errors.js";
+import { renderPrompt } from "./prompts.js";
+
+/**
+ * AI-assisted salary range suggestions for the JD builder. The model has no
+ * market data of its own, so every range is returned as an estimate for the
+ * recruiter to check against their pay bands.
+ */
+
+export const ESTIMATE_DISCLAIMER =
+  "AI estimate, not market data. Check it against your own pay bands before posting.";
+
+/**
+ * Parse the model's answer into a range
+ * @param {string} text - Model output
+ * @returns {Object|null} { min, max, rationale }, or null when it isn't a usable range
+ */
+function parseEstimate(text) {
+  let data;
+  try {
+    data = JSON.parse(
+      text
+        .trim()
+        .replace(/^```(?:json)?\s*/i, "")
+        .replace(/\s*```$/, "")
+    );
+  } catch (e) {
+    return null;
+  }
+  const min = Number(data?.min);
+  const max = Number(data?.max);
+  if (!(min > 0) || !(max >= min)) return null;
+  return {
+    min,
+    max,
+    rationale: typeof data.rationale === "string" ? data.rationale.trim() : "",
+  };
+}
+
+/**
+ * Ask the model for a pay range for a role
+ * @param {Object} llm - Provider
+ * @param {Object} options - { role, location, hireType, skills, currency,
+ *   period }, plus options for the model call (model, onUsage, log, ...)
+ * @returns {Promise<Object>} { min, max, currency, period, rationale,
+ *   estimate: true, disclaimer }
+ * @throws {AIProviderError} ai_invalid_output when the answer has no valid range
+ */
+export async function estimateSalary(
+  llm,
+  {
+    role,
+    location,
+    hireType,
+    skills,
+    currency = "USD",
+    period = "year",
+    ...callOptions
+  }
+) {
+  const { text: system } = await renderPrompt("salary", { currency, period });
+  const lines = [`Job Role: ${role}`];
+  if (location) lines.push(`Location: ${location}`);
+  if (hireType) lines.push(`Employment type: ${hireType}`);
+  if (skills) lines.push(`Key skills: ${skills}`);
+
+  const text = await llm.complete(
+    [
+      { role: "system", content: system },
+      { role: "user", content: lines.join("\n") },
+    ],
+    { ...callOptions, temperature: 0.2, json: true }
+  );
+
+  const range = parseEstimate(text);
+  if (!range) {
+    throw new AIProviderError(AI_ERROR_CODES.INVALID_OUTPUT, {
+      detail: `salary response has no valid range: ${text.slice(0, 200)}`,
+    });
+  }
+  // Whole units for salaries, cents for hourly rates
+  const round = (n) =>
+    period === "hour" ? Math.round(n * 100) / 100 : Math.round(n);
+  return {
+    min: round(range.min),
+    max: round(range.max),
+    currency,
+    period,
+    rationale: range.rationale,
+    estimate: true,
+    disclaimer: ESTIMATE_DISCLAIMER,
+  };
+}
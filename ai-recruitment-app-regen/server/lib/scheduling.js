@@ -0,0 +1,183 @@
+import TimeZones from "../../shared/timeZones.js";
+
+/**
+ * Interview slot matching. Interviewers give weekly hours in their own time
+ * zone; a slot works when every interviewer of the stage is inside their
+ * hours and not already interviewing, and it falls in the candidate's
+ * working hours (weekdays 9:00-17:00 in the JD's time zone, unless the role
+ * is flexible).
+ */
+
+// Slots start on the hour or half hour
+export const SLOT_STEP_MINUTES = 30;
+export const CANDIDATE_HOURS = { start: 9 * 60, end: 17 * 60 };
+export const MAX_SEARCH_DAYS = 28;
+const DEFAULT_SEARCH_DAYS = 14;
+const MAX_SLOTS = 20;
+// So the suggestions aren't all on the first free day
+const MAX_SLOTS_PER_DAY = 4;
+
+const MINUTE = 60000;
+
+export const CLASH_MESSAGE =
+  "One of the interviewers has another interview then.";
+
+/**
+ * Minutes after midnight of an "HH:MM" time
+ * @param {string} time - e.g. "09:30"; "24:00" is the end of the day
+ * @returns {number|null} Minutes, or null when it isn't a time
+ */
+export function parseClock(time) {
+  const match = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(String(time || ""));
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Check weekly availability windows
+ * @param {Array<Object>} availability - [{ day, start, end }]
+ * @returns {Object} Field errors keyed like the contract's ("availability[0]")
+ */
+export function availabilityErrors(availability) {
+  const errors = {};
+  availability.forEach((window, i) => {
+    const start = parseClock(window.start);
+    const end = parseClock(window.end);
+    if (start === null || end === null) {
+      errors[`availability[${i}]`] = "Times must be HH:MM, e.g. 09:00.";
+    } else if (end <= start) {
+      errors[`availability[${i}]`] = "The end must be after the start.";
+    }
+  });
+  return errors;
+}
+
+/**
+ * Whether an interviewer's weekly hours cover a time
+ * @param {Object} interviewer - { timeZone, availability }
+ * @param {Date} start - Slot start
+ * @param {number} durationMinutes - Slot length
+ * @returns {boolean}
+ */
+function withinHours(interviewer, start, durationMinutes) {
+  const local = TimeZones.partsIn(start, interviewer.timeZone);
+  const from = local.hour * 60 + local.minute;
+  return interviewer.availability.some(
+    (window) =>
+      window.day === local.weekday &&
+      parseClock(window.start) <= from &&
+      from + durationMinutes <= parseClock(window.end)
+  );
+}
+
+/**
+ * Whether a time is in the candidate's working hours
+ * @param {Date} start - Slot start
+ * @param {number} durationMinutes - Slot length
+ * @param {string|null} zone - Candidate time zone; null means any time
+ * @returns {boolean}
+ */
+function withinCandidateHours(start, durationMinutes, zone) {
+  if (!zone) return true;
+  const local = TimeZones.partsIn(start, zone);
+  const from = local.hour * 60 + local.minute;
+  return (
+    local.weekday >= 1 &&
+    local.weekday <= 5 &&
+    from >= CANDIDATE_HOURS.start &&
+    from + durationMinutes <= CANDIDATE_HOURS.end
+  );
+}
+
+/**
+ * Whether an interview takes up any of a slot's interviewers during it
+ * @param {Object} interview - { start, end, interviewers: [{ id }] }
+ * @param {Object} slot - { start (Date), end (Date), interviewers: [{ id }] }
+ * @returns {boolean}
+ */
+export function clashes(interview, { start, end, interviewers }) {
+  return (
+    interview.interviewers.some((other) =>
+      interviewers.some((interviewer) => interviewer.id === other.id)
+    ) &&
+    new Date(interview.start) < end &&
+    start < new Date(interview.end)
+  );
+}
+
+/**
+ * Why a slot doesn't work, if it doesn't
+ * @param {Object} options - { start (Date), durationMinutes, interviewers,
+ *   busy: scheduled interviews [{ start, end, interviewers: [{ id }] }],
+ *   zone: candidate time zone or null, now }
+ * @returns {string|null} A reason to show, or null when the slot works.
+ *   Reasons don't quote interviewer names, which any signed-in user can set.
+ */
+export function slotProblem({
+  start,
+  durationMinutes,
+  interviewers,
+  busy,
+  zone,
+  now = new Date(),
+}) {
+  const end = new Date(start.getTime() + durationMinutes * MINUTE);
+  if (start <= now) return "That time has passed.";
+  if (!withinCandidateHours(start, durationMinutes, zone)) {
+    return "That time is outside the candidate's working hours.";
+  }
+  for (const interviewer of interviewers) {
+    if (!withinHours(interviewer, start, durationMinutes)) {
+      return "One of the interviewers isn't available then.";
+    }
+    const clash = busy.some((interview) =>
+      clashes(interview, { start, end, interviewers: [interviewer] })
+    );
+    if (clash) return CLASH_MESSAGE;
+  }
+  return null;
+}
+
+/**
+ * Find the next times a stage's interviewers and the candidate are all free
+ * @param {Object} options - { durationMinutes, interviewers, busy, zone } as
+ *   for slotProblem(), plus `from` (Date, default now) and `days` to search
+ * @returns {Array<Object>} Up to 20 slots [{ start, end }] as ISO strings,
+ *   at most 4 a day
+ */
+export function findSlots({
+  durationMinutes,
+  interviewers,
+  busy,
+  zone,
+  from,
+  days = DEFAULT_SEARCH_DAYS,
+  now = new Date(),
+}) {
+  const step = SLOT_STEP_MINUTES * MINUTE;
+  const begin = Math.max(from ? from.getTime() : 0, now.getTime());
+  const until = begin + Math.min(days, MAX_SEARCH_DAYS) * 24 * 60 * MINUTE;
+  const perDay = new Map();
+  const slots = [];
+
+  for (let t = Math.ceil(begin / step) * step; t < until; t += step) {
+    const start = new Date(t);
+    // Days as the candidate sees them, or as UTC when they have no zone
+    const { year, month, day } = TimeZones.partsIn(start, zone || "UTC");
+    const dayKey = `${year}-${month}-${day}`;
+    if ((perDay.get(dayKey) || 0) >= MAX_SLOTS_PER_DAY) continue;
+    if (
+      slotProblem({ start, durationMinutes, interviewers, busy, zone, now })
+    ) {
+      continue;
+    }
+    perDay.set(dayKey, (perDay.get(dayKey) || 0) + 1);
+    slots.push({
+      start: start.toISOString(),
+      end: new Date(t + durationMinutes * MINUTE).toISOString(),
+    });
+    if (slots.length === MAX_SLOTS) break;
+  }
+  return slots;
+}
@@ -0,0 +1,126 @@
+import { answerItems, requirementsFromAnswers } from "./matching.js";
+
+/**
+ * Structured interview feedback. A scorecard rates a candidate against the
+ * criteria the JD promised: its key skills, 1-year goals, KPIs and superstar
+ * outcomes. Interviewers rate the criteria their interview covered, back
+ * each rating with evidence and end with a hire recommendation; submitted
+ * scorecards are combined into one summary per candidate.
+ */
+
+export const CRITERION_KINDS = ["skill", "goal", "kpi", "superstar"];
+// 1 "well below" to 4 "exceeds"; a criterion left unrated wasn't assessed
+export const RATINGS = [1, 2, 3, 4];
+export const RECOMMENDATIONS = ["strong_no", "no", "yes", "strong_yes"];
+
+const RECOMMENDATION_SCORES = { strong_no: 1, no: 2, yes: 3, strong_yes: 4 };
+// Average recommendation at or above which the panel leans hire, and below
+// which it leans no-hire; in between, it needs a debrief
+const HIRE_AT = 3;
+const NO_HIRE_BELOW = 2.5;
+
+/**
+ * The criteria a JD's answers set for interviews
+ * @param {Object} answers - JD builder answers
+ * @returns {Array<Object>} [{ id, kind, text }], ids like "skill-1"
+ */
+export function criteriaFromAnswers(answers = {}) {
+  return [
+    ...requirementsFromAnswers(answers),
+    ...answerItems(answers?.superstar).map((text, i) => ({
+      id: `superstar-${i + 1}`,
+      kind: "superstar",
+      text,
+    })),
+  ].map(({ id, kind, text }) => ({ id, kind, text }));
+}
+
+/**
+ * Check ratings against a scorecard's criteria
+ * @param {Array<Object>} criteria - The scorecard's criteria
+ * @param {Array<Object>} ratings - [{ criterionId, rating, evidence }]
+ * @param {Object} options - { submit: also check what a submission needs }
+ * @returns {Object} Field errors keyed like the contract's ("ratings[0]")
+ */
+export function ratingErrors(criteria, ratings, { submit }) {
+  const errors = {};
+  const ids = new Set(criteria.map((c) => c.id));
+  const seen = new Set();
+  ratings.forEach((item, i) => {
+    if (!ids.has(item.criterionId) || seen.has(item.criterionId)) {
+      errors[`ratings[${i}]`] = "Unknown or repeated criterion.";
+    } else if (submit && item.rating && !item.evidence?.trim()) {
+      // Evidence keeps ratings about what the candidate said or did
+      errors[`ratings[${i}].evidence`] = "Add the evidence for this rating.";
+    }
+    seen.add(item.criterionId);
+  });
+  if (submit && !ratings.some((item) => item.rating)) {
+    errors.ratings = "Rate at least one criterion.";
+  }
+  return errors;
+}
+
+/**
+ * Combine submitted scorecards for one candidate. Criteria are matched by
+ * their text, so scorecards made before the JD was edited still line up.
+ * @param {Array<Object>} scorecards - Submitted scorecards
+ * @returns {Object} { count, criteria: [{ kind, text, average, ratings }],
+ *   recommendations: { strong_no, no, yes, strong_yes }, score, decision }:
+ *   `decision` is "hire", "no_hire", "mixed", or null with no scorecards
+ */
+export function summarizeScorecards(scorecards) {
+  const criteria = new Map();
+  const recommendations = Object.fromEntries(
+    RECOMMENDATIONS.map((value) => [value, 0])
+  );
+
+  for (const scorecard of scorecards) {
+    recommendations[scorecard.recommendation] += 1;
+    for (const criterion of scorecard.criteria) {
+      const rating = scorecard.ratings.find(
+        (r) => r.criterionId === criterion.id
+      )?.rating;
+      if (!rating) continue;
+      const key = `${criterion.kind}:${criterion.text.toLowerCase()}`;
+      if (!criteria.has(key)) {
+        criteria.set(key, {
+          kind: criterion.kind,
+          text: criterion.text,
+          ratings: [],
+        });
+      }
+      criteria.get(key).ratings.push(rating);
+    }
+  }
+
+  const average = (values) =>
+    values.length
+      ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) /
+        10
+      : null;
+  const score = average(
+    scorecards.map((s) => RECOMMENDATION_SCORES[s.recommendation])
+  );
+
+  let decision = null;
+  if (score !== null) {
+    // One "strong no" is enough to talk it through before an offer
+    if (score >= HIRE_AT && !recommendations.strong_no) decision = "hire";
+    else if (score < NO_HIRE_BELOW) decision = "no_hire";
+    else decision = "mixed";
+  }
+
+  return {
+    count: scorecards.length,
+    criteria: [...criteria.values()]
+      .map((c) => ({ ...c, average: average(c.ratings) }))
+      .sort(
+        (a, b) =>
+          CRITERION_KINDS.indexOf(a.kind) - CRITERION_KINDS.indexOf(b.kind)
+      ),
+    recommendations,
+    score,
+    decision,
+  };
+}
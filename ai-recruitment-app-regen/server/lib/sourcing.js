@@ -0,0 +1,184 @@
+import Ajv from "ajv";
+import BooleanSearch from "../../shared/booleanSearch.js";
+import { AI_ERROR_CODES, AIProviderError } from "./providers/errors.js";
+import { renderPrompt } from "./prompts.js";
+import { logger } from "./logger.js";
+
+export const SOURCING_COMPANY_COUNT =
+  Number(process.env.SOURCING_COMPANY_COUNT) || 10;
+const REPAIR_ATTEMPTS = Number(process.env.SOURCING_REPAIR_ATTEMPTS ?? 1);
+
+const nonEmptyString = { type: "string", pattern: "\\S" };
+
+/**
+ * JSON schema for a sourcing strategy
+ * @param {number} count - Exact number of companies expected
+ * @returns {Object} JSON schema
+ */
+export function sourcingSchema(count = SOURCING_COMPANY_COUNT) {
+  return {
+    type: "object",
+    required: ["companies", "diceSearch", "summary"],
+    additionalProperties: false,
+    properties: {
+      companies: {
+        type: "array",
+        minItems: count,
+        maxItems: count,
+        items: {
+          type: "object",
+          required: ["name", "linkedinSearch", "reason"],
+          additionalProperties: false,
+          properties: {
+            name: nonEmptyString,
+            linkedinSearch: nonEmptyString,
+            reason: nonEmptyString,
+          },
+        },
+      },
+      diceSearch: nonEmptyString,
+      summary: nonEmptyString,
+    },
+  };
+}
+
+// Extra fields the model adds are dropped rather than treated as errors
+const ajv = new Ajv({ allErrors: true, removeAdditional: "all" });
+const validateSchema = ajv.compile(sourcingSchema());
+
+/**
+ * Build the chat messages for a sourcing strategy
+ * @param {string} jd - Job description text
+ * @param {string} location - Job location
+ * @returns {Promise<Array>} Chat messages
+ */
+export async function buildSourcingMessages(jd, location) {
+  const { text: system } = await renderPrompt("sourcing", {
+    location,
+    companyCount: SOURCING_COMPANY_COUNT,
+  });
+  return [
+    { role: "system", content: system },
+    { role: "user", content: `Job Description:\n\n${jd}` },
+  ];
+}
+
+/**
+ * Parse and validate a model's sourcing response
+ * @param {string} text - Model output
+ * @returns {Object} { data, errors } - data is set only when errors is empty
+ */
+export function parseSourcingResponse(text) {
+  // Models without a JSON mode like to wrap their answer in a code fence
+  const json = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return { data: null, errors: [`Response is not valid JSON: ${e.message}`] };
+  }
+
+  if (!validateSchema(data)) {
+    return {
+      data: null,
+      errors: validateSchema.errors.map(
+        (err) => `${err.instancePath || "response"} ${err.message}`
+      ),
+    };
+  }
+
+  const names = data.companies.map((c) => c.name.trim().toLowerCase());
+  const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+  if (duplicates.length) {
+    return {
+      data: null,
+      errors: [
+        `companies must be distinct (repeated: ${duplicates.join(", ")})`,
+      ],
+    };
+  }
+
+  return { data, errors: [] };
+}
+
+/**
+ * Syntax errors in a strategy's search strings, read as Google X-ray when
+ * they use search operators and as LinkedIn or Dice searches otherwise
+ * @param {Object} data - Schema-valid strategy
+ * @returns {Array<string>} Errors, located like the schema's
+ */
+export function searchStringErrors(data) {
+  const errors = [];
+  const check = (path, query, fallback) => {
+    const platform = BooleanSearch.detectPlatform(query, fallback);
+    for (const problem of BooleanSearch.lint(query, platform).problems) {
+      if (problem.severity === "error") {
+        errors.push(`${path} ${problem.message}`);
+      }
+    }
+  };
+  data.companies.forEach((company, i) =>
+    check(`/companies/${i}/linkedinSearch`, company.linkedinSearch, "linkedin")
+  );
+  check("/diceSearch", data.diceSearch, "dice");
+  return errors;
+}
+
+/**
+ * Generate a schema-valid sourcing strategy. Invalid output is sent back to
+ * the model with the validation errors, up to SOURCING_REPAIR_ATTEMPTS times.
+ * Search strings with Boolean errors are sent back too, but once the repairs
+ * run out the strategy is returned anyway; the SPA flags what's left.
+ * @param {Object} llm - Provider
+ * @param {Object} options - { jd, location }, plus options for every model
+ *   call, repairs included (model, onUsage, log, ...)
+ * @returns {Promise<Object>} { companies, diceSearch, summary }
+ * @throws {AIProviderError} ai_invalid_output when no valid response was produced
+ */
+export async function generateSourcingStrategy(
+  llm,
+  { jd, location, log = logger, ...callOptions }
+) {
+  const messages = await buildSourcingMessages(jd, location);
+  // The last strategy whose only problems were in its search strings
+  let usable = null;
+
+  for (let attempt = 0; ; attempt++) {
+    const text = await llm.complete(messages, {
+      ...callOptions,
+      log,
+      temperature: 0.3,
+      json: true,
+    });
+    const parsed = parseSourcingResponse(text);
+    const { data } = parsed;
+    const errors = data ? searchStringErrors(data) : parsed.errors;
+    if (data && !errors.length) return data;
+    usable = data || usable;
+
+    log.warn("sourcing response failed validation", {
+      attempt: attempt + 1,
+      errors,
+    });
+    if (attempt >= REPAIR_ATTEMPTS) {
+      if (usable) return usable;
+      throw new AIProviderError(AI_ERROR_CODES.INVALID_OUTPUT, {
+        detail: errors.join("; "),
+      });
+    }
+
+    messages.push(
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content: `Your response did not match the required format:\n- ${errors.join(
+          "\n- "
+        )}\n\nReply with only the corrected JSON object.`,
+      }
+    );
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Server-Sent Events helpers: writing events to a client and reading an
+ * upstream event stream.
+ */
+
+/**
+ * Wrap an Express response as an event stream. Headers are sent with the first
+ * event, so the route can still fall back to a JSON error before that.
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), started }
+ */
+export function createEventStream(res) {
+  return {
+    get started() {
+      return res.headersSent;
+    },
+
+    send(event, data) {
+      if (!res.headersSent) {
+        res.status(200).set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache, no-transform",
+          Connection: "keep-alive",
+          // Stop nginx from buffering the stream
+          "X-Accel-Buffering": "no",
+        });
+        res.flushHeaders();
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+  };
+}
+
+/**
+ * Read `data:` payloads from an upstream event stream body
+ * @param {AsyncIterable<Buffer>} body - Response body (node-fetch)
+ * @returns {AsyncGenerator<string>} Data payloads, one per event
+ */
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+  }
+  if (buffer.startsWith("data:")) yield buffer.slice(5).trim();
+}
@@ -0,0 +1,209 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+// Also holds files that aren't collections, such as the mail outbox
+export const DATA_DIR =
+  process.env.DATA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data");
+
+// One instance per file, so modules sharing a collection see the same documents
+const collections = new Map();
+
+/**
+ * Create a JSON-file backed collection of documents.
+ * Each collection lives in `<DATA_DIR>/<name>.json`, is loaded lazily on first
+ * access and kept in memory; writes are serialized and replace the file atomically.
+ * Asking for the same name again returns the same collection.
+ * @param {string} name - Collection name (used as the file name)
+ * @returns {Object} Collection API
+ */
+export function createCollection(name) {
+  if (!collections.has(name)) collections.set(name, openCollection(name));
+  return collections.get(name);
+}
+
+/**
+ * Check that the data directory can be written to, creating it if needed
+ * @returns {Promise<void>} Rejects when it can't
+ */
+export async function checkDataDir() {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.access(DATA_DIR, fs.constants.W_OK);
+}
+
+function openCollection(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let docs = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      return [];
+    }
+  }
+
+  // Concurrent first callers share one read, so a document inserted while
+  // another read is in flight isn't lost; a failed read is retried next time
+  async function load() {
+    if (!loading) {
+      loading = read().then(
+        (loaded) => {
+          docs = loaded;
+        },
+        (e) => {
+          loading = null;
+          throw e;
+        }
+      );
+    }
+    await loading;
+    return docs;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(docs, null, 2);
+    const write = writeQueue.then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, file);
+    });
+    // A failed write rejects for its caller only; later writes still run
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    /**
+     * List all documents
+     * @returns {Promise<Array>} Documents
+     */
+    async list() {
+      return [...(await load())];
+    },
+
+    /**
+     * Find documents matching a predicate
+     * @param {Function} predicate - Filter function
+     * @returns {Promise<Array>} Matching documents
+     */
+    async filter(predicate) {
+      return (await load()).filter(predicate);
+    },
+
+    /**
+     * Find the first document matching a predicate
+     * @param {Function} predicate - Filter function
+     * @returns {Promise<Object|null>} Matching document or null
+     */
+    async findOne(predicate) {
+      return (await load()).find(predicate) || null;
+    },
+
+    /**
+     * Find a document by id
+     * @param {string} id - Document id
+     * @returns {Promise<Object|null>} Document or null
+     */
+    async findById(id) {
+      return this.findOne((doc) => doc.id === id);
+    },
+
+    /**
+     * Insert a document, assigning an id when it has none
+     * @param {Object} doc - Document to insert
+     * @returns {Promise<Object>} Inserted document
+     */
+    async insert(doc) {
+      await load();
+      const created = { ...doc, id: doc.id || crypto.randomUUID() };
+      docs.push(created);
+      await persist();
+      return created;
+    },
+
+    /**
+     * Insert a document unless one already matches a predicate. The check
+     * and the insert happen in one step, so two concurrent calls can't both
+     * pass the check.
+     * @param {Function} conflict - Predicate for a clashing document
+     * @param {Object|Function} doc - Document to insert, or a function
+     *   building it from the current documents
+     * @returns {Promise<Object|null>} Inserted document, or null when one
+     *   matched `conflict`
+     */
+    async insertUnless(conflict, doc) {
+      await load();
+      if (docs.some(conflict)) return null;
+      const fields = typeof doc === "function" ? doc([...docs]) : doc;
+      const created = { ...fields, id: fields.id || crypto.randomUUID() };
+      docs.push(created);
+      await persist();
+      return created;
+    },
+
+    /**
+     * Shallow-merge changes into a document
+     * @param {string} id - Document id
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated document or null if not found
+     */
+    async update(id, changes) {
+      await load();
+      const index = docs.findIndex((doc) => doc.id === id);
+      if (index === -1) return null;
+      docs[index] = { ...docs[index], ...changes, id };
+      await persist();
+      return docs[index];
+    },
+
+    /**
+     * Change a document, or create it when there is none with this id yet.
+     * The document is read and written in one step, so concurrent calls
+     * (e.g. adding to a running total) can't overwrite each other.
+     * @param {string} id - Document id
+     * @param {Function} change - Builds the fields to set from the current
+     *   document, or from null when there is none
+     * @returns {Promise<Object>} Stored document
+     */
+    async upsert(id, change) {
+      await load();
+      const index = docs.findIndex((doc) => doc.id === id);
+      const current = index === -1 ? null : docs[index];
+      const next = { ...current, ...change(current), id };
+      if (index === -1) docs.push(next);
+      else docs[index] = next;
+      await persist();
+      return next;
+    },
+
+    /**
+     * Remove a document by id
+     * @param {string} id - Document id
+     * @returns {Promise<boolean>} True if a document was removed
+     */
+    async remove(id) {
+      return (await this.removeWhere((doc) => doc.id === id)) > 0;
+    },
+
+    /**
+     * Remove all documents matching a predicate
+     * @param {Function} predicate - Filter function
+     * @returns {Promise<number>} Number of removed documents
+     */
+    async removeWhere(predicate) {
+      await load();
+      const before = docs.length;
+      docs = docs.filter((doc) => !predicate(doc));
+      const removed = before - docs.length;
+      if (removed) await persist();
+      return removed;
+    },
+  };
+}
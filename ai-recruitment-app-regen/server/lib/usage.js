@@ -0,0 +1,271 @@
+import { createCollection } from "./store.js";
+import { logger } from "./logger.js";
+
+/**
+ * Prices in USD per million tokens. Models are matched by the longest
+ * prefix, so dated snapshots such as "gpt-4o-mini-2024-07-18" use the
+ * "gpt-4o-mini" price. LLM_PRICING adds to or overrides this table.
+ */
+const DEFAULT_PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+};
+
+export const FEATURES = [
+  "generate",
+  "polish",
+  "sourcing",
+  "chat",
+  "lint",
+  "salary",
+  "translate",
+  "match",
+  "outreach",
+];
+export const PERIODS = ["day", "month"];
+
+// How many requisitions the report lists, most expensive first
+const TOP_REQUISITIONS = 50;
+
+// Usage is stored as daily totals, one document per UTC day, user, feature,
+// provider, model and requisition. Repeated calls add to the same document,
+// so the file grows with the variety of use rather than with every call.
+const dailyUsage = createCollection("usage");
+
+// Running totals per user for the current day and month, which is all the
+// quota checks need. Day totals are dropped once their day is over.
+const runningTotals = createCollection("usageTotals");
+
+/**
+ * Read the price table, with LLM_PRICING (a JSON object in the same shape as
+ * DEFAULT_PRICING) applied on top
+ * @param {Object} env - Environment variables
+ * @returns {Object} Prices keyed by model prefix
+ * @throws {Error} When LLM_PRICING is not valid JSON
+ */
+export function pricingFromEnv(env = process.env) {
+  if (!env.LLM_PRICING) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(env.LLM_PRICING) };
+  } catch (e) {
+    throw new Error(`LLM_PRICING is not valid JSON: ${e.message}`);
+  }
+}
+
+let pricing = null;
+
+/**
+ * Find the price of a model
+ * @param {string} model - Model name as reported by the provider
+ * @returns {Object|null} { input, output } per million tokens, or null if unknown
+ */
+export function priceFor(model) {
+  pricing ??= pricingFromEnv();
+  const key = Object.keys(pricing)
+    .filter((prefix) => model === prefix || model?.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? pricing[key] : null;
+}
+
+/**
+ * Add the usage of one AI call to its day's totals and the user's running
+ * totals
+ * @param {Object} context - { user, feature, provider, requisitionId,
+ *   followUp }; followUp marks extra calls made for the same API request
+ *   (sourcing repairs), so they count towards tokens but not requests
+ * @param {Object} usage - { model, promptTokens, completionTokens, estimated }
+ * @returns {Promise<Object>} Updated daily totals
+ * @throws {Error} Without a user: every call is charged to someone
+ */
+export async function recordUsage(
+  { user, feature, provider, requisitionId, followUp },
+  { model, promptTokens, completionTokens, estimated }
+) {
+  if (!user?.id) throw new Error("Usage must be recorded for a user");
+
+  const price = priceFor(model);
+  const cost = price
+    ? (promptTokens * price.input + completionTokens * price.output) / 1e6
+    : 0;
+  const call = {
+    requests: followUp ? 0 : 1,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    cost,
+    estimated: estimated ? 1 : 0,
+  };
+  const day = new Date().toISOString().slice(0, 10);
+  const id = [day, user.id, feature, provider, model, requisitionId || ""].join(
+    "|"
+  );
+
+  const add = (current) =>
+    roundCost(addTo(current ? { ...current } : emptyTotals(), call));
+  const username = user.username.toLowerCase();
+  for (const period of [day, day.slice(0, 7)]) {
+    await runningTotals.upsert(`${username}|${period}`, (current) => ({
+      username,
+      period,
+      ...add(current),
+    }));
+  }
+  await runningTotals.removeWhere(
+    (t) => t.period.length === day.length && t.period < day
+  );
+
+  return dailyUsage.upsert(id, (current) => ({
+    day,
+    userId: user.id,
+    username: user.username,
+    feature,
+    provider,
+    model,
+    requisitionId: requisitionId || null,
+    priced: !!price,
+    ...add(current),
+  }));
+}
+
+/**
+ * Build an `onUsage` callback for a provider call made on behalf of a request.
+ * Failing to store usage is logged but never fails the request.
+ * @param {Object} req - Express request (for the signed-in user)
+ * @param {Object} context - { feature, provider, requisitionId }
+ * @returns {Function} onUsage callback
+ */
+export function usageRecorder(req, context) {
+  let calls = 0;
+  return (usage) => {
+    recordUsage(
+      { ...context, user: req.user, followUp: calls++ > 0 },
+      usage
+    ).catch((e) =>
+      (req.log || logger).error("could not record usage", { error: e })
+    );
+  };
+}
+
+/**
+ * Daily usage between two dates, optionally for one user
+ * @param {Object} options - { from, to } Date bounds (to is exclusive), userId
+ * @returns {Promise<Array>} Daily totals, oldest first
+ */
+export async function listUsage({ from, to, userId = null }) {
+  const fromDay = from.toISOString().slice(0, 10);
+  const toDay = to.toISOString().slice(0, 10);
+  return (
+    await dailyUsage.filter(
+      (r) =>
+        r.day >= fromDay && r.day < toDay && (!userId || r.userId === userId)
+    )
+  ).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Total requests, tokens and cost of the given users in the current day or
+ * month, from the running totals
+ * @param {Object} options - { period } "YYYY-MM-DD" (UTC day) or "YYYY-MM"
+ *   (UTC month), usernames (case-insensitive)
+ * @returns {Promise<Object>} { requests, totalTokens, cost }
+ */
+export async function totalUsage({ period, usernames }) {
+  const totals = emptyTotals();
+  for (const name of new Set(usernames.map((n) => n.toLowerCase()))) {
+    const running = await runningTotals.findById(`${name}|${period}`);
+    if (running) addTo(totals, running);
+  }
+  return roundCost(totals);
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    estimated: 0,
+  };
+}
+
+function addTo(totals, record) {
+  totals.requests += record.requests;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.cost += record.cost;
+  totals.estimated += record.estimated;
+  return totals;
+}
+
+function group(records, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, emptyTotals());
+    addTo(groups.get(key), record);
+  }
+  return groups;
+}
+
+// Sums of many six-decimal costs pick up float noise
+function roundCost(totals) {
+  return { ...totals, cost: Number(totals.cost.toFixed(6)) };
+}
+
+/**
+ * Aggregate daily usage into totals, per-period buckets and breakdowns
+ * by feature, model, user and requisition
+ * @param {Array} records - Daily usage from listUsage()
+ * @param {string} period - "day" or "month" (UTC)
+ * @returns {Object} { totals, buckets, byFeature, byModel, byUser,
+ *   byRequisition, costPerRequisition }
+ */
+export function summarizeUsage(records, period) {
+  const totals = emptyTotals();
+  records.forEach((r) => addTo(totals, r));
+
+  const periodKey = (r) => r.day.slice(0, period === "month" ? 7 : 10);
+  const list = (groups, field) =>
+    [...groups].map(([key, t]) => ({ [field]: key, ...roundCost(t) }));
+  const byCost = (a, b) => b.cost - a.cost;
+
+  const requisitions = list(
+    group(
+      records.filter((r) => r.requisitionId),
+      (r) => r.requisitionId
+    ),
+    "requisitionId"
+  ).sort(byCost);
+  const requisitionCost = requisitions.reduce((sum, r) => sum + r.cost, 0);
+
+  return {
+    totals: roundCost(totals),
+    buckets: list(group(records, periodKey), "period"),
+    byFeature: list(
+      group(records, (r) => r.feature),
+      "feature"
+    ).sort(byCost),
+    byModel: list(
+      group(records, (r) => r.model),
+      "model"
+    ).sort(byCost),
+    byUser: list(
+      group(records, (r) => r.username),
+      "username"
+    ).sort(byCost),
+    byRequisition: requisitions.slice(0, TOP_REQUISITIONS),
+    costPerRequisition: {
+      requisitions: requisitions.length,
+      average: requisitions.length
+        ? Number((requisitionCost / requisitions.length).toFixed(6))
+        : 0,
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import {
+  httpRequests,
+  httpRequestDuration,
+  routeLabel,
+} from "../lib/metrics.js";
+
+/**
+ * Count every request and time it, labelled by the route it matched
+ */
+export function recordRequestMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+
+  res.on("close", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    // 499 (nginx's convention): the client hung up before it got an answer
+    httpRequests.inc({
+      method: req.method,
+      route,
+      status: res.headersSent ? res.statusCode : 499,
+    });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+}
@@ -0,0 +1,91 @@
+import {
+  QUOTA_LIMITS,
+  QUOTA_WARNING_RATIO,
+  getQuotaStatus,
+  quotasEnabled,
+} from "../lib/quotas.js";
+
+const LABELS = {
+  requestsPerDay: "daily request quota",
+  tokensPerMonth: "monthly token quota",
+  costPerMonth: "monthly spending cap",
+};
+
+function formatLimit(name, limit) {
+  if (name === "costPerMonth") return `$${limit.toFixed(2)}`;
+  if (name === "tokensPerMonth")
+    return `${limit.toLocaleString("en-US")} tokens`;
+  return `${limit} requests`;
+}
+
+function describe({ name, limit }) {
+  return `${LABELS[name]} (${formatLimit(name, limit)})`;
+}
+
+function owner(team) {
+  return team
+    ? { subject: `Your team (${team.name}) has`, possessive: "its" }
+    : { subject: "You have", possessive: "your" };
+}
+
+/**
+ * Stop AI requests from users (or teams) that have used up a quota, and warn
+ * through a `Quota-Warning` header once a quota is 80% used. Usage is recorded
+ * after each call, so requests already in flight can go slightly over.
+ */
+export async function enforceQuota(req, res, next) {
+  try {
+    if (!quotasEnabled()) return next();
+    if (!req.user) {
+      return res.status(401).json({ error: "Sign in to use the AI features" });
+    }
+
+    const status = await getQuotaStatus(req.user);
+    const checks = [
+      ...status.user.map((quota) => ({ quota, team: null })),
+      ...(status.team?.quotas || []).map((quota) => ({
+        quota,
+        team: status.team,
+      })),
+    ];
+
+    const exceeded = checks.find(({ quota }) => quota.used >= quota.limit);
+    if (exceeded) {
+      const { quota, team } = exceeded;
+      const { subject, possessive } = owner(team);
+      const resetsAt = new Date(quota.resetsAt);
+      if (QUOTA_LIMITS[quota.name].status === 429) {
+        res.set(
+          "Retry-After",
+          String(Math.ceil((resetsAt.getTime() - Date.now()) / 1000))
+        );
+      }
+      return res.status(QUOTA_LIMITS[quota.name].status).json({
+        error: `${subject} used ${possessive} ${describe(
+          quota
+        )}. It resets on ${quota.resetsAt.slice(0, 10)} (UTC).`,
+        code: "quota_exceeded",
+        quota: {
+          scope: team ? "team" : "user",
+          team: team?.name || null,
+          ...quota,
+        },
+      });
+    }
+
+    const nearest = checks
+      .filter(({ quota }) => quota.used >= quota.limit * QUOTA_WARNING_RATIO)
+      .sort((a, b) => b.quota.percent - a.quota.percent)[0];
+    if (nearest) {
+      const { quota, team } = nearest;
+      const { subject, possessive } = owner(team);
+      res.set(
+        "Quota-Warning",
+        `${subject} used ${quota.percent}% of ${possessive} ${describe(quota)}.`
+      );
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Per-client token-bucket rate limiting.
+ * Each client (signed-in user, or IP address otherwise) gets its own bucket per
+ * limiter: up to `burst` requests at once, refilled at `perMinute` tokens a minute.
+ */
+
+const IDLE_SWEEP_MS = 60 * 1000;
+
+/**
+ * Read a limiter's budget from the environment, e.g. RATE_LIMIT_GENERATE_BURST
+ * and RATE_LIMIT_GENERATE_PER_MINUTE for the "generate" limiter
+ * @param {string} name - Limiter name
+ * @param {Object} defaults - Default { burst, perMinute }
+ * @returns {Object} { name, burst, perMinute }
+ */
+export function rateLimitFromEnv(name, defaults) {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    name,
+    burst: Number(process.env[`${prefix}_BURST`]) || defaults.burst,
+    perMinute:
+      Number(process.env[`${prefix}_PER_MINUTE`]) || defaults.perMinute,
+  };
+}
+
+/**
+ * Identify the client a request is charged to
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+export function clientKey(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Create a token-bucket rate limiting middleware
+ * @param {Object} options - { name, burst, perMinute, onReject }; onReject is
+ *   called with the request whenever one is turned away
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ name, burst, perMinute, onReject }) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  function take(key, now) {
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(
+      burst,
+      bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+    );
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  // Buckets that have refilled completely carry no state worth keeping
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      const tokens = bucket.tokens + (now - bucket.updatedAt) * refillPerMs;
+      if (tokens >= burst) buckets.delete(key);
+    }
+  }, IDLE_SWEEP_MS);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    const { allowed, tokens } = take(clientKey(req), Date.now());
+
+    // Seconds until the next token, and until the bucket is full again
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((1 - tokens) / refillPerMs / 1000)
+    );
+    const reset = Math.ceil((burst - tokens) / refillPerMs / 1000);
+
+    res.set(
+      "RateLimit-Policy",
+      `${burst};w=${Math.round((burst / perMinute) * 60)}`
+    );
+    res.set("RateLimit-Limit", String(burst));
+    res.set("RateLimit-Remaining", String(Math.floor(tokens)));
+    res.set("RateLimit-Reset", String(reset));
+
+    if (allowed) return next();
+
+    onReject?.(req);
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({
+      error: "Too many requests",
+      limiter: name,
+      retryAfter,
+    });
+  };
+}
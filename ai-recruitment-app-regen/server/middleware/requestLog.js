@@ -0,0 +1,35 @@
+import crypto from "node:crypto";
+import { logger } from "../lib/logger.js";
+
+// Accept a caller's id only if it is safe to echo into headers and logs
+const REQUEST_ID_RE = /^[\w.-]{1,100}$/;
+
+/**
+ * Give every request an id, returned in `X-Request-Id` and attached to
+ * `req.log`, and log one line per request when the response finishes.
+ * Routes that call the AI provider fill in `req.upstream` with its timing.
+ */
+export function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = REQUEST_ID_RE.test(incoming || "") ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  const started = process.hrtime.bigint();
+  // "close" also fires when the client goes away before the response ends
+  res.on("close", () => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      userId: req.user?.id || null,
+    };
+    if (!res.writableFinished) fields.aborted = true;
+    if (req.upstream) fields.upstream = req.upstream;
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    req.log[level]("request", fields);
+  });
+  next();
+}
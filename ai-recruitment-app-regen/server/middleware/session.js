@@ -0,0 +1,34 @@
+import { SESSION_COOKIE, getSessionUser, isAdmin } from "../lib/auth.js";
+
+/**
+ * Attach the signed-in user (if any) to `req.user`
+ */
+export async function loadSession(req, res, next) {
+  try {
+    const user = await getSessionUser(req.cookies?.[SESSION_COOKIE]);
+    req.user = user || null;
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * Reject requests without a valid session
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Not signed in" });
+  }
+  next();
+}
+
+/**
+ * Reject requests from users who aren't admins (use after requireAuth)
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+}
@@ -0,0 +1,17 @@
+import ApiContract from "../../shared/apiContract.js";
+
+/**
+ * Validate the JSON body against a route's entry in the shared API contract,
+ * answering 400 with field-level errors when it doesn't match
+ * @param {string} routeName - Route name in ApiContract.ROUTES
+ * @returns {Function} Express middleware
+ */
+export function validateBody(routeName) {
+  return function validate(req, res, next) {
+    const errors = ApiContract.validate(routeName, req.body);
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ error: "Invalid request", fields: errors });
+    }
+    next();
+  };
+}
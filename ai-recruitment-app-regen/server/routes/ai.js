@@ -0,0 +1,602 @@
+import crypto from "node:crypto";
+import express from "express";
+import ApiContract from "../../shared/apiContract.js";
+import PayTransparency from "../../shared/payTransparency.js";
+import { requireAuth } from "../middleware/session.js";
+import { validateBody } from "../middleware/validate.js";
+import { enforceQuota } from "../middleware/quota.js";
+import {
+  createRateLimiter,
+  rateLimitFromEnv,
+} from "../middleware/rateLimit.js";
+import { createEventStream } from "../lib/sse.js";
+import { toAIProviderError } from "../lib/providers/errors.js";
+import { generateSourcingStrategy } from "../lib/sourcing.js";
+import { estimateSalary } from "../lib/salary.js";
+import { generateOutreach } from "../lib/outreach.js";
+import { translateJobDescription } from "../lib/localization.js";
+import {
+  assessCandidate,
+  requirementsFromAnswers,
+  scoreResume,
+} from "../lib/matching.js";
+import { createCollection } from "../lib/store.js";
+import {
+  LINT_CATEGORIES,
+  lintJobDescription,
+  lintWithAI,
+} from "../lib/jdLint.js";
+import { renderPrompt } from "../lib/prompts.js";
+import { usageRecorder } from "../lib/usage.js";
+import {
+  aiErrors,
+  aiTokens,
+  llmAttempts,
+  llmAttemptDuration,
+  rateLimitRejections,
+  routeLabel,
+} from "../lib/metrics.js";
+
+const { ROUTES } = ApiContract;
+
+const jobDescriptions = createCollection("jobDescriptions");
+
+/**
+ * Build the chat messages for generating a JD from builder answers
+ * @param {Object} answers - JD builder answers
+ * @returns {Promise<Object>} { messages, prompt } with the template { name, version } used
+ */
+async function buildGenerateMessages(answers) {
+  const lines = [];
+  lines.push(`Job Role: ${answers?.role || ""}`);
+  lines.push(`Location: ${answers?.location || ""}`);
+  if (answers?.timezone) lines.push(`Time zone: ${answers.timezone}`);
+  lines.push(`Employment type: ${answers?.hireType || ""}`);
+  if (answers?.duration) lines.push(`Contract duration: ${answers.duration}`);
+  const pay = answers?.compensation;
+  if (pay?.min && pay?.max) {
+    lines.push(`Pay range: ${PayTransparency.formatRange(pay)}`);
+  }
+  if (pay?.variablePay) lines.push(`Variable pay: ${pay.variablePay}`);
+  if (answers?.domain) lines.push(`Domain preference: ${answers.domain}`);
+  if (answers?.skills) lines.push(`Key skills: ${answers.skills}`);
+  if (answers?.goals) lines.push(`1-year success goals: ${answers.goals}`);
+  if (answers?.kpi) lines.push(`KPIs: ${answers.kpi}`);
+  if (answers?.superstar)
+    lines.push(`Superstar outcomes: ${answers.superstar}`);
+  if (answers?.ninety) lines.push(`First 90 days: ${answers.ninety}`);
+  if (answers?.benefits) lines.push(`Benefits and perks: ${answers.benefits}`);
+  if (answers?.applicationProcess)
+    lines.push(`Application process: ${answers.applicationProcess}`);
+
+  const { text: system, ...prompt } = await renderPrompt("generate", {
+    role: answers?.role,
+    location: answers?.location,
+    hireType: answers?.hireType,
+  });
+  return {
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: lines.join("\n") },
+    ],
+    prompt,
+  };
+}
+
+/**
+ * Build the chat messages for polishing an existing JD
+ * @param {string} jd - JD text
+ * @param {string} instructions - Polish instructions
+ * @returns {Promise<Object>} { messages, prompt } with the template { name, version } used
+ */
+async function buildPolishMessages(jd, instructions) {
+  const { text: system, ...prompt } = await renderPrompt("polish", {
+    instructions,
+  });
+  const user = `Original JD:\n\n${jd}\n\nPolish instructions:\n${instructions}`;
+  return {
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: user },
+    ],
+    prompt,
+  };
+}
+
+/**
+ * Log an AI failure with its upstream details, which clients never see
+ * @param {Object} req - Express request
+ * @param {Error} e - Error from the provider
+ * @returns {AIProviderError} The classified error
+ */
+function logAIError(req, e) {
+  const error = toAIProviderError(e);
+  req.log.error("llm call failed", { code: error.code, detail: error.detail });
+  aiErrors.inc({ route: routeLabel(req), code: error.code });
+  return error;
+}
+
+/**
+ * Answer with a sanitized AI error: a stable `code` and a friendly message
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} e - Error from the provider
+ */
+function sendAIError(req, res, e) {
+  const error = logAIError(req, e);
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status).json({ error: error.message, code: error.code });
+}
+
+/**
+ * Summarize lint findings for the report
+ * @param {Array<Object>} findings - Lint findings
+ * @returns {Object} { total, byCategory }
+ */
+function summarizeFindings(findings) {
+  const byCategory = Object.fromEntries(
+    LINT_CATEGORIES.map((category) => [category, 0])
+  );
+  findings.forEach((finding) => (byCategory[finding.category] += 1));
+  return { total: findings.length, byCategory };
+}
+
+/**
+ * Run a middleware only for requests that asked for the AI pass (`ai: true`),
+ * so the offline lint and keyword scoring aren't rate limited or charged to
+ * a quota
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} Express middleware
+ */
+function whenAI(middleware) {
+  return (req, res, next) =>
+    req.body?.ai === true ? middleware(req, res, next) : next();
+}
+
+/**
+ * Create the router for the AI routes (generate, polish, translate, sourcing,
+ * lint, salary estimates, candidate matching, outreach, chat).
+ * Paths and request bodies come from the shared API contract.
+ * @param {Object} llm - Provider
+ * @returns {Object} Express router
+ */
+export function createAIRouter(llm) {
+  const router = express.Router();
+
+  // Per-client rate limits, with a separate budget for each AI route
+  const limiter = (name, defaults) =>
+    createRateLimiter({
+      ...rateLimitFromEnv(name, defaults),
+      onReject: (req) =>
+        rateLimitRejections.inc({ route: routeLabel(req), limiter: name }),
+    });
+  const rateLimits = {
+    generate: limiter("generate", { burst: 5, perMinute: 10 }),
+    polish: limiter("polish", { burst: 5, perMinute: 10 }),
+    sourcing: limiter("sourcing", { burst: 3, perMinute: 6 }),
+    chat: limiter("chat", { burst: 5, perMinute: 10 }),
+    lint: limiter("lint", { burst: 5, perMinute: 10 }),
+    salary: limiter("salary", { burst: 5, perMinute: 10 }),
+    translate: limiter("translate", { burst: 3, perMinute: 6 }),
+    // Recruiters score a batch of resumes at once
+    match: limiter("match", { burst: 10, perMinute: 20 }),
+    outreach: limiter("outreach", { burst: 5, perMinute: 10 }),
+  };
+
+  /**
+   * Provider call options that record what a call made for this request
+   * cost: token usage for the usage report, attempts, upstream time and
+   * tokens in `req.upstream` for the request log, and the provider metrics
+   * @param {Object} req - Express request
+   * @param {string} feature - One of FEATURES in lib/usage.js
+   * @param {string} requisitionId - Requisition the call belongs to, if any
+   * @returns {Object} { log, onAttempt, onUsage }
+   */
+  const tracking = (req, feature, requisitionId = null) => {
+    req.upstream ??= {
+      provider: llm.name,
+      attempts: 0,
+      upstreamMs: 0,
+      tokens: 0,
+    };
+    const record = usageRecorder(req, {
+      feature,
+      provider: llm.name,
+      requisitionId,
+    });
+    return {
+      log: req.log,
+      onAttempt: ({ durationMs, code }) => {
+        req.upstream.attempts += 1;
+        req.upstream.upstreamMs += durationMs;
+        llmAttempts.inc({ provider: llm.name, outcome: code || "ok" });
+        llmAttemptDuration.observe({ provider: llm.name }, durationMs / 1000);
+      },
+      onUsage: (usage) => {
+        req.upstream.tokens += usage.promptTokens + usage.completionTokens;
+        const labels = { provider: llm.name, model: usage.model, feature };
+        aiTokens.inc({ ...labels, type: "prompt" }, usage.promptTokens);
+        aiTokens.inc({ ...labels, type: "completion" }, usage.completionTokens);
+        record(usage);
+      },
+    };
+  };
+
+  /**
+   * Stream a completion to the client as Server-Sent Events:
+   * `token` events with { text } deltas, then `done` with the full text,
+   * the prompt template used and the requisition id (or `error`)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} built - { messages, prompt } from a build*Messages helper
+   * @param {Object} options - { model, temperature, requisitionId } and the
+   *   tracking() options
+   */
+  async function streamCompletion(
+    req,
+    res,
+    { messages, prompt },
+    { requisitionId, ...options }
+  ) {
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+    const events = createEventStream(res);
+    const started = Date.now();
+
+    try {
+      const text = await llm.stream(messages, {
+        ...options,
+        signal: abort.signal,
+        onToken: (token) => {
+          if (!events.started && req.upstream) {
+            req.upstream.firstTokenMs = Date.now() - started;
+          }
+          events.send("token", { text: token });
+        },
+      });
+      events.send("done", { text, prompt, requisitionId });
+      res.end();
+    } catch (e) {
+      if (abort.signal.aborted) return;
+      // Before the first event we can still answer with a normal JSON error
+      if (!events.started) return sendAIError(req, res, e);
+      const error = logAIError(req, e);
+      events.send("error", { error: error.message, code: error.code });
+      res.end();
+    }
+  }
+
+  // Build JD from answers
+  router.post(
+    ROUTES.generate.path,
+    requireAuth,
+    rateLimits.generate,
+    validateBody("generate"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { answers, model } = req.body || {};
+        // A new JD starts a requisition; its id is saved with the JD
+        const requisitionId = req.body.requisitionId || crypto.randomUUID();
+        const { messages, prompt } = await buildGenerateMessages(answers);
+        const text = await llm.complete(messages, {
+          model,
+          temperature: 0.3,
+          ...tracking(req, "generate", requisitionId),
+        });
+        res.json({ text, prompt, requisitionId });
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Build JD from answers, streaming tokens as they are generated
+  router.post(
+    ROUTES.generateStream.path,
+    requireAuth,
+    rateLimits.generate,
+    validateBody("generateStream"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { answers, model } = req.body || {};
+        const requisitionId = req.body.requisitionId || crypto.randomUUID();
+        await streamCompletion(req, res, await buildGenerateMessages(answers), {
+          model,
+          temperature: 0.3,
+          ...tracking(req, "generate", requisitionId),
+          requisitionId,
+        });
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Polish an existing JD
+  router.post(
+    ROUTES.polish.path,
+    requireAuth,
+    rateLimits.polish,
+    validateBody("polish"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { jd, instructions, model, requisitionId } = req.body || {};
+        const { messages, prompt } = await buildPolishMessages(
+          jd,
+          instructions
+        );
+        const text = await llm.complete(messages, {
+          model,
+          temperature: 0.2,
+          ...tracking(req, "polish", requisitionId),
+        });
+        res.json({ text, prompt, requisitionId: requisitionId || null });
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Polish an existing JD, streaming tokens as they are generated
+  router.post(
+    ROUTES.polishStream.path,
+    requireAuth,
+    rateLimits.polish,
+    validateBody("polishStream"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { jd, instructions, model, requisitionId } = req.body || {};
+        await streamCompletion(
+          req,
+          res,
+          await buildPolishMessages(jd, instructions),
+          {
+            model,
+            temperature: 0.2,
+            ...tracking(req, "polish", requisitionId),
+            requisitionId: requisitionId || null,
+          }
+        );
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Translate and localize a JD; the client saves it as a variant of the original
+  router.post(
+    ROUTES.translate.path,
+    requireAuth,
+    rateLimits.translate,
+    validateBody("translate"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { jd, locale, model, requisitionId } = req.body;
+        const { text, prompt } = await translateJobDescription(llm, {
+          jd,
+          locale,
+          model,
+          ...tracking(req, "translate", requisitionId),
+        });
+        res.json({
+          text,
+          locale,
+          prompt,
+          requisitionId: requisitionId || null,
+        });
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Free-form chat completion for signed-in users, through the configured provider
+  router.post(
+    ROUTES.chat.path,
+    requireAuth,
+    rateLimits.chat,
+    validateBody("chat"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { messages, model, temperature, json } = req.body || {};
+        const text = await llm.complete(messages, {
+          model,
+          temperature: typeof temperature === "number" ? temperature : 0.3,
+          json: json === true,
+          ...tracking(req, "chat"),
+        });
+        res.json({ text });
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Generate sourcing strategy
+  router.post(
+    ROUTES.sourcing.path,
+    requireAuth,
+    rateLimits.sourcing,
+    validateBody("sourcing"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { jd, location, model, requisitionId } = req.body || {};
+        res.json(
+          await generateSourcingStrategy(llm, {
+            jd,
+            location,
+            model,
+            ...tracking(req, "sourcing", requisitionId),
+          })
+        );
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Write a first message and follow-ups for a sourced candidate
+  router.post(
+    ROUTES.generateOutreach.path,
+    requireAuth,
+    rateLimits.outreach,
+    validateBody("generateOutreach"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { jd, channel, tone, steps, profile, company } = req.body;
+        res.json(
+          await generateOutreach(llm, {
+            jd,
+            channel,
+            tone,
+            steps,
+            profile,
+            company,
+            model: req.body.model,
+            ...tracking(req, "outreach", req.body.requisitionId),
+          })
+        );
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Suggest a pay range for the JD builder, labeled as an estimate
+  router.post(
+    ROUTES.estimateSalary.path,
+    requireAuth,
+    rateLimits.salary,
+    validateBody("estimateSalary"),
+    enforceQuota,
+    async (req, res) => {
+      try {
+        const { role, location, hireType, skills, currency, period } = req.body;
+        res.json(
+          await estimateSalary(llm, {
+            role,
+            location,
+            hireType,
+            skills,
+            currency,
+            period,
+            model: req.body.model,
+            ...tracking(req, "salary", req.body.requisitionId),
+          })
+        );
+      } catch (e) {
+        sendAIError(req, res, e);
+      }
+    }
+  );
+
+  // Inclusive-language lint. The word lists always run; with `ai: true` the
+  // model adds findings, and if it fails the word-list report is still sent.
+  router.post(
+    ROUTES.lintJD.path,
+    requireAuth,
+    whenAI(rateLimits.lint),
+    validateBody("lintJD"),
+    whenAI(enforceQuota),
+    async (req, res) => {
+      const { jd, ai, model, requisitionId } = req.body;
+      const findings = lintJobDescription(jd);
+      const report = { ai: { used: ai === true } };
+
+      if (ai === true) {
+        try {
+          findings.push(
+            ...(await lintWithAI(llm, {
+              jd,
+              findings,
+              model,
+              ...tracking(req, "lint", requisitionId),
+            }))
+          );
+          findings.sort((a, b) => a.start - b.start);
+          report.ai.ok = true;
+        } catch (e) {
+          const error = logAIError(req, e);
+          report.ai = {
+            used: true,
+            ok: false,
+            code: error.code,
+            error: error.message,
+          };
+        }
+      }
+
+      res.json({ findings, summary: summarizeFindings(findings), ...report });
+    }
+  );
+
+  // Score a resume against a saved JD's skills, goals and KPIs. The keyword
+  // scores always come back; with `ai: true` the model adds its own status and
+  // a rationale per requirement, and if it fails the keyword scores still do.
+  router.post(
+    ROUTES.matchCandidate.path,
+    requireAuth,
+    whenAI(rateLimits.match),
+    validateBody("matchCandidate"),
+    whenAI(enforceQuota),
+    async (req, res) => {
+      const { jdId, resume, ai, model } = req.body;
+      let jd;
+      try {
+        jd = await jobDescriptions.findById(jdId);
+      } catch (e) {
+        return res.status(500).json({ error: e.message || String(e) });
+      }
+      if (!jd) {
+        return res.status(404).json({ error: "Job description not found" });
+      }
+      const requirements = requirementsFromAnswers(jd.answers);
+      if (!requirements.length) {
+        return res.status(400).json({
+          error:
+            "This job description has no skills, goals or KPIs to score against. Build it with the JD Builder first.",
+        });
+      }
+
+      const result = scoreResume(requirements, resume);
+      const report = { ai: { used: ai === true } };
+
+      if (ai === true) {
+        try {
+          const { requirements: assessed, ...assessment } =
+            await assessCandidate(llm, {
+              title: jd.title,
+              breakdown: result.breakdown,
+              resume,
+              model,
+              ...tracking(req, "match", jd.requisitionId || jd.id),
+            });
+          result.breakdown.forEach((item) => {
+            item.ai = assessed[item.id] || null;
+          });
+          report.ai = { used: true, ok: true, ...assessment };
+        } catch (e) {
+          const error = logAIError(req, e);
+          report.ai = {
+            used: true,
+            ok: false,
+            code: error.code,
+            error: error.message,
+          };
+        }
+      }
+
+      res.json({ jdId, title: jd.title, ...result, ...report });
+    }
+  );
+
+  return router;
+}
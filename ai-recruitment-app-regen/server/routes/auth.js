@@ -0,0 +1,138 @@
+import express from "express";
+import {
+  SESSION_COOKIE,
+  users,
+  hashPassword,
+  verifyPassword,
+  validatePasswordStrength,
+  toPublicUser,
+  createSession,
+  destroySession,
+} from "../lib/auth.js";
+import { requireAuth } from "../middleware/session.js";
+import {
+  createRateLimiter,
+  rateLimitFromEnv,
+} from "../middleware/rateLimit.js";
+
+const router = express.Router();
+
+// Signing in and signing up share a budget per client, so passwords can't be
+// guessed at full speed
+const authRateLimit = createRateLimiter(
+  rateLimitFromEnv("auth", { burst: 10, perMinute: 10 })
+);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function setSessionCookie(res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.COOKIE_SECURE === "true",
+    expires: expiresAt,
+    path: "/",
+  });
+}
+
+// Create an account
+router.post("/signup", authRateLimit, async (req, res, next) => {
+  try {
+    const fields = {
+      first: String(req.body?.first || "").trim(),
+      last: String(req.body?.last || "").trim(),
+      username: String(req.body?.username || "").trim(),
+      email: String(req.body?.email || "").trim(),
+      password: String(req.body?.password || ""),
+    };
+
+    const errors = {};
+    if (!fields.first) errors.first = "First name is required.";
+    if (!fields.last) errors.last = "Last name is required.";
+    if (!fields.username) errors.username = "Username is required.";
+    if (!fields.email) errors.email = "Email is required.";
+    else if (!EMAIL_RE.test(fields.email))
+      errors.email = "Please enter a valid email.";
+    const passwordErrors = validatePasswordStrength(fields.password);
+    if (passwordErrors.length) errors.password = passwordErrors.join(". ");
+
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ error: "Invalid signup", fields: errors });
+    }
+
+    const username = fields.username.toLowerCase();
+    const email = fields.email.toLowerCase();
+    const clashes = (u) =>
+      u.username.toLowerCase() === username || u.email.toLowerCase() === email;
+
+    const { passwordHash, salt } = await hashPassword(fields.password);
+    // Checked and inserted in one step, so concurrent signups can't both
+    // take the same username or email
+    const user = await users.insertUnless(clashes, {
+      username: fields.username,
+      email: fields.email,
+      first: fields.first,
+      last: fields.last,
+      passwordHash,
+      salt,
+      createdAt: new Date().toISOString(),
+    });
+    if (!user) {
+      const existing = await users.filter(clashes);
+      if (existing.some((u) => u.username.toLowerCase() === username))
+        errors.username = "Username already taken.";
+      if (existing.some((u) => u.email.toLowerCase() === email))
+        errors.email = "Email address already registered.";
+      return res.status(409).json({ error: "Account exists", fields: errors });
+    }
+
+    res.status(201).json({ user: toPublicUser(user) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Sign in and start a session
+router.post("/login", authRateLimit, async (req, res, next) => {
+  try {
+    const username = String(req.body?.username || "")
+      .trim()
+      .toLowerCase();
+    const password = String(req.body?.password || "");
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ error: "Username and password are required." });
+    }
+
+    const user = await users.findOne(
+      (u) => u.username.toLowerCase() === username
+    );
+    if (!user || !(await verifyPassword(password, user))) {
+      return res.status(401).json({ error: "Invalid username or password." });
+    }
+
+    setSessionCookie(res, await createSession(user.id));
+    res.json({ user: toPublicUser(user) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// End the current session
+router.post("/logout", async (req, res, next) => {
+  try {
+    await destroySession(req.cookies?.[SESSION_COOKIE]);
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Current signed-in user
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+export default router;
@@ -0,0 +1,344 @@
+import crypto from "node:crypto";
+import express from "express";
+import ApiContract from "../../shared/apiContract.js";
+import Outreach from "../../shared/outreach.js";
+import { createCollection } from "../lib/store.js";
+import { requireAuth } from "../middleware/session.js";
+import { validateBody } from "../middleware/validate.js";
+import { enterStage } from "../lib/pipeline.js";
+import { readSequence } from "../lib/outreach.js";
+
+const { ROUTES } = ApiContract;
+
+// Candidates are shared by everyone signed in, like the JDs they're tracked
+// against. /candidates also holds the scorecard summary and the AI match
+// route, so each route checks the session itself.
+const router = express.Router();
+const candidates = createCollection("candidates");
+const jobDescriptions = createCollection("jobDescriptions");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function author(user) {
+  return { id: user.id, username: user.username };
+}
+
+/**
+ * The candidate fields of a request body, checked beyond the contract
+ * @param {Object} body - Request body
+ * @returns {Object} { candidate, errors }
+ */
+function readCandidate(body) {
+  const errors = {};
+  const email = body.email?.trim() || "";
+  const profileUrl = body.profileUrl?.trim() || "";
+  if (email && !EMAIL_RE.test(email)) {
+    errors.email = "Enter a valid email address.";
+  }
+  if (profileUrl && !/^https?:\/\/\S+$/i.test(profileUrl)) {
+    errors.profileUrl = "Enter a link starting with http:// or https://.";
+  }
+  return {
+    errors,
+    candidate: {
+      name: body.name.trim(),
+      email,
+      phone: body.phone?.trim() || "",
+      profileUrl,
+      source: body.source?.trim() || "",
+    },
+  };
+}
+
+/**
+ * Matches another candidate on the same JD with this email
+ * @param {string} jdId - Job description id
+ * @param {string} email - Email address ("" never matches)
+ * @param {string} [exceptId] - Candidate to leave out
+ * @returns {Function} Predicate over stored candidates
+ */
+function duplicateOf(jdId, email, exceptId) {
+  return (c) =>
+    Boolean(email) &&
+    c.jdId === jdId &&
+    c.id !== exceptId &&
+    c.email.toLowerCase() === email.toLowerCase();
+}
+
+// Names are typed by other users, so the message doesn't quote one
+const duplicateError = {
+  error: "A candidate with that email is already in this pipeline.",
+  code: "candidate_exists",
+};
+
+// A JD's candidates, oldest first
+router.get(ROUTES.listCandidates.path, requireAuth, async (req, res) => {
+  try {
+    const { jdId } = req.query;
+    if (!jdId) {
+      return res.status(400).json({
+        error: "Invalid request",
+        fields: { jdId: "jdId is required." },
+      });
+    }
+    const items = (await candidates.filter((c) => c.jdId === jdId)).sort(
+      (a, b) => a.createdAt.localeCompare(b.createdAt)
+    );
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+router.post(
+  ROUTES.createCandidate.path,
+  requireAuth,
+  validateBody("createCandidate"),
+  async (req, res) => {
+    try {
+      const jd = await jobDescriptions.findById(req.body.jdId);
+      if (!jd)
+        return res.status(404).json({ error: "Job description not found" });
+      const { candidate, errors } = readCandidate(req.body);
+      if (Object.keys(errors).length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid candidate", fields: errors });
+      }
+      const now = new Date().toISOString();
+      const by = author(req.user);
+      const note = req.body.note?.trim();
+      // Checked as the candidate is stored, so a double submit can't add
+      // the same person twice
+      const created = await candidates.insertUnless(
+        duplicateOf(jd.id, candidate.email),
+        {
+          jdId: jd.id,
+          ...candidate,
+          ...enterStage(null, req.body.stage || "sourced", by, now),
+          notes: note
+            ? [{ id: crypto.randomUUID(), text: note, createdAt: now, by }]
+            : [],
+          createdAt: now,
+          createdBy: by,
+        }
+      );
+      if (!created) return res.status(409).json(duplicateError);
+      res.status(201).json({ candidate: created });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+router.put(
+  ROUTES.updateCandidate.path,
+  requireAuth,
+  validateBody("updateCandidate"),
+  async (req, res) => {
+    try {
+      const current = await candidates.findById(req.params.id);
+      if (!current)
+        return res.status(404).json({ error: "Candidate not found" });
+      const { candidate, errors } = readCandidate(req.body);
+      if (Object.keys(errors).length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid candidate", fields: errors });
+      }
+      const existing = await candidates.findOne(
+        duplicateOf(current.jdId, candidate.email, current.id)
+      );
+      if (existing) return res.status(409).json(duplicateError);
+
+      const updated = await candidates.update(current.id, {
+        ...candidate,
+        updatedAt: new Date().toISOString(),
+        updatedBy: author(req.user),
+      });
+      res.json({ candidate: updated });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+router.delete(ROUTES.deleteCandidate.path, requireAuth, async (req, res) => {
+  try {
+    const removed = await candidates.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "Candidate not found" });
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Move a candidate to another column of the board
+router.post(
+  ROUTES.moveCandidate.path,
+  requireAuth,
+  validateBody("moveCandidate"),
+  async (req, res) => {
+    try {
+      const current = await candidates.findById(req.params.id);
+      if (!current)
+        return res.status(404).json({ error: "Candidate not found" });
+      if (current.stage === req.body.stage) {
+        return res.json({ candidate: current });
+      }
+      const now = new Date().toISOString();
+      const by = author(req.user);
+      const updated = await candidates.update(current.id, {
+        ...enterStage(current, req.body.stage, by, now),
+        updatedAt: now,
+        updatedBy: by,
+      });
+      res.json({ candidate: updated });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+router.post(
+  ROUTES.addCandidateNote.path,
+  requireAuth,
+  validateBody("addCandidateNote"),
+  async (req, res) => {
+    try {
+      const current = await candidates.findById(req.params.id);
+      if (!current)
+        return res.status(404).json({ error: "Candidate not found" });
+      const now = new Date().toISOString();
+      const note = {
+        id: crypto.randomUUID(),
+        text: req.body.text.trim(),
+        createdAt: now,
+        by: author(req.user),
+      };
+      const updated = await candidates.update(current.id, {
+        notes: [...current.notes, note],
+        updatedAt: now,
+      });
+      res.status(201).json({ candidate: updated, note });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+// Put the candidate on an outreach sequence, from its first message
+router.put(
+  ROUTES.setCandidateOutreach.path,
+  requireAuth,
+  validateBody("setCandidateOutreach"),
+  async (req, res) => {
+    try {
+      const current = await candidates.findById(req.params.id);
+      if (!current)
+        return res.status(404).json({ error: "Candidate not found" });
+      const { channel, templateId } = req.body;
+      const { steps, errors } = readSequence(channel, req.body.steps);
+      steps.forEach((step, i) => {
+        const [key] = Outreach.placeholdersIn(`${step.subject} ${step.body}`);
+        if (key && !errors[`steps[${i}]`]) {
+          errors[`steps[${i}]`] = `Fill in {{${key}}} for this candidate.`;
+        }
+      });
+      if (Object.keys(errors).length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid outreach sequence", fields: errors });
+      }
+      const now = new Date().toISOString();
+      const by = author(req.user);
+      const updated = await candidates.update(current.id, {
+        outreach: {
+          channel,
+          templateId: templateId || null,
+          steps,
+          sent: [],
+          startedAt: now,
+          startedBy: by,
+        },
+        updatedAt: now,
+        updatedBy: by,
+      });
+      res.json({ candidate: updated });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+router.delete(
+  ROUTES.deleteCandidateOutreach.path,
+  requireAuth,
+  async (req, res) => {
+    try {
+      const current = await candidates.findById(req.params.id);
+      if (!current)
+        return res.status(404).json({ error: "Candidate not found" });
+      const updated = await candidates.update(current.id, {
+        outreach: null,
+        updatedAt: new Date().toISOString(),
+        updatedBy: author(req.user),
+      });
+      res.json({ candidate: updated });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+// Steps go out in order, so `step` has to be the next unsent one. Sending the
+// first message moves a sourced candidate to "contacted".
+router.post(
+  ROUTES.markOutreachSent.path,
+  requireAuth,
+  validateBody("markOutreachSent"),
+  async (req, res) => {
+    try {
+      const current = await candidates.findById(req.params.id);
+      if (!current)
+        return res.status(404).json({ error: "Candidate not found" });
+      const { outreach } = current;
+      if (!outreach) {
+        return res
+          .status(409)
+          .json({ error: "This candidate isn't on an outreach sequence." });
+      }
+      const next = outreach.sent.length;
+      if (next >= outreach.steps.length) {
+        return res
+          .status(409)
+          .json({ error: "Every message in this sequence has been sent." });
+      }
+      if (req.body.step !== next) {
+        return res.status(409).json({
+          error: `Message ${next + 1} is the next one to send.`,
+          code: "outreach_out_of_order",
+        });
+      }
+
+      const now = new Date().toISOString();
+      const by = author(req.user);
+      const updated = await candidates.update(current.id, {
+        outreach: {
+          ...outreach,
+          sent: [...outreach.sent, { step: next, sentAt: now, by }],
+        },
+        ...(next === 0 && current.stage === "sourced"
+          ? enterStage(current, "contacted", by, now)
+          : {}),
+        updatedAt: now,
+        updatedBy: by,
+      });
+      res.json({ candidate: updated });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,42 @@
+import express from "express";
+import { buildOpenApiDocument } from "../lib/openapi.js";
+
+const router = express.Router();
+const document = buildOpenApiDocument();
+
+// Swagger UI from a CDN, pinned so the page doesn't change under us
+const SWAGGER_UI = "https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14";
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>AI Recruitment Proxy API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({
+        url: "openapi.json",
+        dom_id: "#docs",
+        // Send the session cookie with "Try it out" requests
+        withCredentials: true,
+      });
+    </script>
+  </body>
+</html>
+`;
+
+// The OpenAPI document
+router.get("/openapi.json", (req, res) => {
+  res.json(document);
+});
+
+// Interactive docs for the OpenAPI document
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+export default router;
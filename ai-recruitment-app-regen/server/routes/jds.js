@@ -0,0 +1,256 @@
+import express from "express";
+import { createCollection } from "../lib/store.js";
+import { requireAuth } from "../middleware/session.js";
+import PayTransparency from "../../shared/payTransparency.js";
+
+const router = express.Router();
+const jobDescriptions = createCollection("jobDescriptions");
+// Kept per JD; deleted with it
+const candidates = createCollection("candidates");
+const interviewLoops = createCollection("interviewLoops");
+const interviews = createCollection("interviews");
+const scorecards = createCollection("scorecards");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const EDITABLE_FIELDS = [
+  "title",
+  "location",
+  "content",
+  "answers",
+  "final",
+  "promptVersions",
+  "requisitionId",
+];
+// Set when a JD is created; a translation stays linked to its original
+const CREATE_ONLY_FIELDS = ["variantOf", "locale"];
+
+// The JD library is shared by everyone signed in to this proxy
+router.use(requireAuth);
+
+function pickEditable(body) {
+  const changes = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body?.[key] !== undefined) changes[key] = body[key];
+  }
+  return changes;
+}
+
+function validate(changes, { partial }) {
+  const errors = {};
+  for (const key of ["title", "content"]) {
+    if (changes[key] === undefined && partial) continue;
+    if (typeof changes[key] !== "string" || !changes[key].trim()) {
+      errors[key] = `${key} is required.`;
+    }
+  }
+  if (changes.location !== undefined && typeof changes.location !== "string")
+    errors.location = "location must be a string.";
+  if (
+    changes.answers !== undefined &&
+    (typeof changes.answers !== "object" || Array.isArray(changes.answers))
+  )
+    errors.answers = "answers must be an object.";
+  if (changes.final !== undefined && typeof changes.final !== "boolean")
+    errors.final = "final must be a boolean.";
+  // Ties the JD to the AI usage recorded for it (see /api/v1/usage)
+  if (
+    changes.requisitionId !== undefined &&
+    (typeof changes.requisitionId !== "string" ||
+      changes.requisitionId.length > 100)
+  )
+    errors.requisitionId =
+      "requisitionId must be a string of at most 100 characters.";
+  if (
+    changes.locale !== undefined &&
+    (typeof changes.locale !== "string" || changes.locale.length > 20)
+  )
+    errors.locale = "locale must be a string of at most 20 characters.";
+  if (changes.variantOf !== undefined && typeof changes.variantOf !== "string")
+    errors.variantOf = "variantOf must be a job description id.";
+  // Which prompt template versions produced the text, e.g. { generate: 3, polish: 1 }
+  if (
+    changes.promptVersions !== undefined &&
+    (typeof changes.promptVersions !== "object" ||
+      Array.isArray(changes.promptVersions) ||
+      !Object.values(changes.promptVersions).every(
+        (v) => Number.isInteger(v) && v > 0
+      ))
+  )
+    errors.promptVersions =
+      "promptVersions must map prompt names to version numbers.";
+  return errors;
+}
+
+/**
+ * Check a final JD against the pay-transparency laws for its location
+ * @param {Object} jd - The JD as it will be saved
+ * @returns {Object|null} Error body when a required pay range is missing
+ */
+function payTransparencyError(jd) {
+  if (!jd.final) return null;
+  const result = PayTransparency.check({
+    location: jd.location || jd.answers?.location,
+    content: jd.content,
+  });
+  if (result.ok) return null;
+  return {
+    error: result.message,
+    code: "pay_range_required",
+    jurisdictions: result.jurisdictions,
+  };
+}
+
+// List JDs, newest first
+router.get("/", async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    // ?variantOf=<id> lists the translations of a JD
+    const all = (await jobDescriptions.list())
+      .filter(
+        (jd) => !req.query.variantOf || jd.variantOf === req.query.variantOf
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const start = (page - 1) * pageSize;
+
+    res.json({
+      items: all.slice(start, start + pageSize),
+      page,
+      pageSize,
+      total: all.length,
+      totalPages: Math.max(1, Math.ceil(all.length / pageSize)),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Get one JD
+router.get("/:id", async (req, res) => {
+  try {
+    const jd = await jobDescriptions.findById(req.params.id);
+    if (!jd)
+      return res.status(404).json({ error: "Job description not found" });
+    res.json({ jd });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Create a JD
+router.post("/", async (req, res) => {
+  try {
+    const changes = pickEditable(req.body);
+    for (const key of CREATE_ONLY_FIELDS) {
+      if (req.body?.[key] !== undefined) changes[key] = req.body[key];
+    }
+    const errors = validate(changes, { partial: false });
+    if (changes.variantOf !== undefined && !errors.variantOf) {
+      const original = await jobDescriptions.findById(changes.variantOf);
+      if (!original || original.variantOf) {
+        errors.variantOf =
+          "variantOf must be the id of an original job description.";
+      }
+    }
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid job description", fields: errors });
+    }
+    // A JD created final, imported ones included, needs its pay range too
+    const payError = payTransparencyError(changes);
+    if (payError) return res.status(400).json(payError);
+
+    // Imported JDs (e.g. from browser storage) keep their original date
+    const createdAt = Date.parse(req.body?.createdAt)
+      ? new Date(req.body.createdAt).toISOString()
+      : new Date().toISOString();
+
+    const jd = await jobDescriptions.insert({
+      location: "",
+      answers: {},
+      final: false,
+      promptVersions: {},
+      ...changes,
+      createdAt,
+      updatedAt: new Date().toISOString(),
+      createdBy: { id: req.user.id, username: req.user.username },
+    });
+    res.status(201).json({ jd });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Update a JD
+router.put("/:id", async (req, res) => {
+  try {
+    const changes = pickEditable(req.body);
+    const errors = validate(changes, { partial: true });
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid job description", fields: errors });
+    }
+
+    // Check the JD as it will be saved, so editing a final JD (e.g. removing
+    // its pay range or moving it to a covered location) is checked too
+    const current = await jobDescriptions.findById(req.params.id);
+    if (!current)
+      return res.status(404).json({ error: "Job description not found" });
+    const payError = payTransparencyError({ ...current, ...changes });
+    if (payError) return res.status(400).json(payError);
+
+    const jd = await jobDescriptions.update(req.params.id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+      updatedBy: { id: req.user.id, username: req.user.username },
+    });
+    if (!jd)
+      return res.status(404).json({ error: "Job description not found" });
+    res.json({ jd });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Delete a JD, with its translations, its candidate pipeline and its
+// interview loop, interviews and scorecards. Upcoming interviews have to be
+// cancelled first, so the people invited hear about it.
+router.delete("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await jobDescriptions.findById(id)))
+      return res.status(404).json({ error: "Job description not found" });
+    const now = new Date().toISOString();
+    const upcoming = await interviews.filter(
+      (i) => i.jdId === id && i.status !== "cancelled" && i.end > now
+    );
+    if (upcoming.length) {
+      return res.status(409).json({
+        error: `Cancel this job's ${upcoming.length} upcoming interview${
+          upcoming.length === 1 ? "" : "s"
+        } before deleting it.`,
+        code: "jd_has_interviews",
+      });
+    }
+
+    await jobDescriptions.remove(id);
+    await jobDescriptions.removeWhere((jd) => jd.variantOf === id);
+    const ofJd = (doc) => doc.jdId === id;
+    await candidates.removeWhere(ofJd);
+    await interviewLoops.removeWhere(ofJd);
+    await interviews.removeWhere(ofJd);
+    await scorecards.removeWhere(ofJd);
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+import crypto from "node:crypto";
+import express from "express";
+import { checkDataDir } from "../lib/store.js";
+import { createGauge, renderMetrics } from "../lib/metrics.js";
+import { AI_ERROR_CODES } from "../lib/providers/errors.js";
+import { logger } from "../lib/logger.js";
+
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS) || 5000;
+// Load balancers probe every few seconds; don't turn each probe into a provider call
+const READY_CACHE_MS = Number(process.env.READY_CACHE_MS ?? 15000);
+
+const CIRCUIT_STATES = ["closed", "open", "half-open"];
+
+/**
+ * Only let scrapers with METRICS_TOKEN (as a bearer token) read /metrics, when
+ * one is set
+ */
+function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return next();
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.get("Authorization") || "");
+  if (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(expected, actual)
+  ) {
+    return next();
+  }
+  res.status(401).json({ error: "Invalid metrics token" });
+}
+
+/**
+ * Create the router for operational endpoints: /health (liveness), /ready
+ * (readiness, for load balancers) and /metrics (Prometheus)
+ * @param {Object} llm - Provider
+ * @returns {Object} Express router
+ */
+export function createOpsRouter(llm) {
+  const router = express.Router();
+
+  createGauge(
+    "llm_circuit_state",
+    "Circuit breaker state of the AI provider (1 for the current state)",
+    () =>
+      CIRCUIT_STATES.map((state) => ({
+        labels: { provider: llm.name, state },
+        value: llm.breaker.state === state ? 1 : 0,
+      }))
+  );
+
+  let lastProbe = null;
+
+  /**
+   * Call the provider's check(), reusing a recent result
+   * @returns {Promise<Object>} { ok, code?, latencyMs, checkedAt }
+   */
+  async function probeProvider() {
+    if (lastProbe && Date.now() - lastProbe.at < READY_CACHE_MS) {
+      return lastProbe.result;
+    }
+    const started = Date.now();
+    const signal = AbortSignal.timeout(READY_TIMEOUT_MS);
+    let result;
+    try {
+      await llm.check({ signal });
+      result = { ok: true };
+    } catch (e) {
+      result = {
+        ok: false,
+        code: signal.aborted ? AI_ERROR_CODES.TIMEOUT : e.code,
+      };
+      logger.warn("provider readiness check failed", {
+        provider: llm.name,
+        code: result.code,
+        detail: e.detail,
+      });
+    }
+    result.latencyMs = Date.now() - started;
+    result.checkedAt = new Date().toISOString();
+    lastProbe = { at: Date.now(), result };
+    return result;
+  }
+
+  // The process is up. Says nothing about whether it can serve requests.
+  router.get("/health", (req, res) =>
+    res.json({
+      ok: true,
+      provider: llm.name,
+      model: llm.model,
+      circuit: llm.breaker.state,
+    })
+  );
+
+  // Whether this instance can serve AI requests: configured, able to write
+  // its data and able to reach the provider. 503 otherwise.
+  router.get("/ready", async (req, res) => {
+    const checks = {};
+
+    checks.config = llm.configError
+      ? { ok: false, error: llm.configError }
+      : { ok: true };
+
+    try {
+      await checkDataDir();
+      checks.storage = { ok: true };
+    } catch (e) {
+      req.log.error("data directory is not writable", { error: e });
+      checks.storage = { ok: false, error: "Data directory is not writable" };
+    }
+
+    checks.provider = checks.config.ok
+      ? await probeProvider()
+      : { ok: false, code: AI_ERROR_CODES.MISCONFIGURED };
+
+    const ready = Object.values(checks).every((check) => check.ok);
+    res.status(ready ? 200 : 503).json({
+      ready,
+      provider: llm.name,
+      circuit: llm.breaker.state,
+      checks,
+    });
+  });
+
+  router.get("/metrics", requireMetricsToken, (req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+
+  return router;
+}
@@ -0,0 +1,101 @@
+import express from "express";
+import { createCollection } from "../lib/store.js";
+import { requireAuth } from "../middleware/session.js";
+import { validateBody } from "../middleware/validate.js";
+import { readSequence } from "../lib/outreach.js";
+
+// Saved outreach sequences belong to the user who saved them; other users'
+// templates answer 404 rather than 403 so their ids don't leak
+const router = express.Router();
+const templates = createCollection("outreachTemplates");
+
+router.use(requireAuth);
+
+async function findOwn(req) {
+  const template = await templates.findById(req.params.id);
+  return template?.ownerId === req.user.id ? template : null;
+}
+
+/**
+ * The template fields of a request body, checked against the channel
+ * @param {Object} body - Request body
+ * @returns {Object} { template, errors }
+ */
+function readTemplate({ name, channel, tone, steps }) {
+  const sequence = readSequence(channel, steps);
+  return {
+    errors: sequence.errors,
+    template: {
+      name: name.trim(),
+      channel,
+      tone: tone || null,
+      steps: sequence.steps,
+    },
+  };
+}
+
+// The signed-in user's templates, most recently saved first
+router.get("/", async (req, res) => {
+  try {
+    const items = (
+      await templates.filter((t) => t.ownerId === req.user.id)
+    ).sort((a, b) =>
+      (b.updatedAt || b.createdAt).localeCompare(a.updatedAt || a.createdAt)
+    );
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+router.post("/", validateBody("createOutreachTemplate"), async (req, res) => {
+  try {
+    const { template, errors } = readTemplate(req.body);
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid template", fields: errors });
+    }
+    const created = await templates.insert({
+      ...template,
+      ownerId: req.user.id,
+      createdAt: new Date().toISOString(),
+    });
+    res.status(201).json({ template: created });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+router.put("/:id", validateBody("updateOutreachTemplate"), async (req, res) => {
+  try {
+    const current = await findOwn(req);
+    if (!current) return res.status(404).json({ error: "Template not found" });
+    const { template, errors } = readTemplate(req.body);
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid template", fields: errors });
+    }
+    const updated = await templates.update(current.id, {
+      ...template,
+      updatedAt: new Date().toISOString(),
+    });
+    res.json({ template: updated });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const current = await findOwn(req);
+    if (!current) return res.status(404).json({ error: "Template not found" });
+    await templates.remove(current.id);
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from "express";
+import { requireAuth, requireAdmin } from "../middleware/session.js";
+import { validateBody } from "../middleware/validate.js";
+import {
+  PROMPTS,
+  findUnknownVariables,
+  getPromptHistory,
+  savePromptVersion,
+} from "../lib/prompts.js";
+
+const router = express.Router();
+
+// Prompt templates change what every user gets from the AI, so only admins see them
+router.use(requireAuth, requireAdmin);
+
+router.param("name", (req, res, next, name) => {
+  if (!Object.hasOwn(PROMPTS, name)) {
+    return res.status(404).json({ error: "Prompt not found" });
+  }
+  next();
+});
+
+function describe(name) {
+  return { name, ...PROMPTS[name] };
+}
+
+function author(user) {
+  return { id: user.id, username: user.username };
+}
+
+// List prompts with their current version
+router.get("/", async (req, res) => {
+  try {
+    const prompts = [];
+    for (const name of Object.keys(PROMPTS)) {
+      const [current] = await getPromptHistory(name);
+      prompts.push({ ...describe(name), current: current || null });
+    }
+    res.json({ prompts });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// One prompt with every version, newest first
+router.get("/:name", async (req, res) => {
+  try {
+    res.json({
+      prompt: describe(req.params.name),
+      versions: await getPromptHistory(req.params.name),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Save a new version
+router.post("/:name", validateBody("savePrompt"), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { template, note = "" } = req.body;
+    const unknown = findUnknownVariables(name, template);
+    if (unknown.length) {
+      return res.status(400).json({
+        error: "Invalid request",
+        fields: {
+          template: `Unknown variables: ${unknown
+            .map((v) => `{{${v}}}`)
+            .join(", ")}. Available: ${PROMPTS[name].variables
+            .map((v) => `{{${v}}}`)
+            .join(", ")}.`,
+        },
+      });
+    }
+
+    const version = await savePromptVersion(name, template, {
+      note: note.trim(),
+      createdBy: author(req.user),
+    });
+    res.status(201).json({ version });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Roll back by saving an earlier version's text as the new current version
+router.post(
+  "/:name/rollback",
+  validateBody("rollbackPrompt"),
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const target = (await getPromptHistory(name)).find(
+        (t) => t.version === req.body.version
+      );
+      if (!target) {
+        return res.status(404).json({ error: "Prompt version not found" });
+      }
+
+      const version = await savePromptVersion(name, target.template, {
+        note: `Rolled back to version ${target.version}`,
+        rolledBackFrom: target.version,
+        createdBy: author(req.user),
+      });
+      res.status(201).json({ version });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+export default router;
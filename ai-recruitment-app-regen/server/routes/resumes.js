@@ -0,0 +1,35 @@
+import express from "express";
+import { requireAuth } from "../middleware/session.js";
+import { validateBody } from "../middleware/validate.js";
+import { ResumeError, readResume, resumeFileType } from "../lib/resumes.js";
+
+const router = express.Router();
+
+// Resumes hold personal data, so only signed-in users can parse them
+router.use(requireAuth);
+
+// Parse an uploaded or pasted resume into text and a structured profile
+router.post("/parse", validateBody("parseResume"), async (req, res) => {
+  const { filename, data, text } = req.body;
+  const errors = {};
+  if (text === undefined && (filename === undefined || data === undefined)) {
+    errors.data = "Send a file (filename and data) or the resume text.";
+  } else if (text === undefined && !resumeFileType(filename)) {
+    errors.filename = "Upload a PDF, DOCX or TXT file.";
+  }
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: "Invalid request", fields: errors });
+  }
+
+  try {
+    res.json(await readResume({ filename, data, text }));
+  } catch (e) {
+    if (e instanceof ResumeError) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    req.log.error("resume parsing failed", { error: e });
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+export default router;
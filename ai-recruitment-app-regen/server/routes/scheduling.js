@@ -0,0 +1,566 @@
+import crypto from "node:crypto";
+import express from "express";
+import ApiContract from "../../shared/apiContract.js";
+import TimeZones from "../../shared/timeZones.js";
+import { users } from "../lib/auth.js";
+import { createCollection } from "../lib/store.js";
+import { requireAuth } from "../middleware/session.js";
+import { validateBody } from "../middleware/validate.js";
+import {
+  CLASH_MESSAGE,
+  MAX_SEARCH_DAYS,
+  availabilityErrors,
+  clashes,
+  findSlots,
+  slotProblem,
+} from "../lib/scheduling.js";
+import { buildInvite } from "../lib/ics.js";
+import { listOutbox, sendMail } from "../lib/mailer.js";
+
+const { ROUTES } = ApiContract;
+
+// Interviewers, loops and interviews are shared by everyone signed in, like
+// the JD library. The routes live under several prefixes (/interviewers,
+// /jds/:id/interview-loop, /interviews, /outbox), so each checks the session
+// itself rather than gating the whole router.
+const router = express.Router();
+const interviewers = createCollection("interviewers");
+const interviewLoops = createCollection("interviewLoops");
+const interviews = createCollection("interviews");
+const jobDescriptions = createCollection("jobDescriptions");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function author(user) {
+  return { id: user.id, username: user.username };
+}
+
+/**
+ * The account with an interviewer's email, so the scorecard routes can tell
+ * who sits on a panel by user id
+ * @param {string} email - Interviewer email
+ * @returns {Promise<string|null>} User id, or null while nobody has signed
+ *   up with that email
+ */
+async function accountFor(email) {
+  const user = await users.findOne(
+    (u) => u.email.toLowerCase() === email.toLowerCase()
+  );
+  return user?.id || null;
+}
+
+/**
+ * The interviewer fields of a request body, checked beyond the contract
+ * @param {Object} body - Request body
+ * @returns {Object} { interviewer, errors }
+ */
+function readInterviewer(body) {
+  const errors = availabilityErrors(body.availability);
+  if (!EMAIL_RE.test(body.email.trim())) {
+    errors.email = "Enter a valid email address.";
+  }
+  if (!TimeZones.isValid(body.timeZone)) {
+    errors.timeZone = "Choose a time zone such as Europe/Berlin.";
+  }
+  return {
+    errors,
+    interviewer: {
+      name: body.name.trim(),
+      email: body.email.trim(),
+      timeZone: body.timeZone,
+      availability: body.availability
+        .map(({ day, start, end }) => ({ day, start, end }))
+        .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start)),
+    },
+  };
+}
+
+/**
+ * The candidate's time zone: the one asked for, else the JD's answer
+ * @param {Object} jd - Job description
+ * @param {string} [requested] - IANA name from the request
+ * @returns {Object} { zone, flexible }, or { error } when `requested` is unknown
+ */
+function candidateZone(jd, requested) {
+  if (requested) {
+    return TimeZones.isValid(requested)
+      ? { zone: requested, flexible: false }
+      : { error: "Choose a time zone such as America/New_York." };
+  }
+  return TimeZones.resolve(jd.answers?.timezone);
+}
+
+/**
+ * Load the JD, stage and stage interviewers a slot request refers to
+ * @param {string} jdId - Job description id
+ * @param {string} stageId - Stage of the JD's interview loop
+ * @returns {Promise<Object>} { jd, stage, panel } or { status, error }
+ */
+async function loadStage(jdId, stageId) {
+  const jd = await jobDescriptions.findById(jdId);
+  if (!jd) return { status: 404, error: "Job description not found" };
+  const loop = await interviewLoops.findOne((l) => l.jdId === jdId);
+  const stage = loop?.stages.find((s) => s.id === stageId);
+  if (!stage) return { status: 404, error: "Interview stage not found" };
+  const panel = await interviewers.filter((i) =>
+    stage.interviewerIds.includes(i.id)
+  );
+  if (!panel.length) {
+    return { status: 400, error: "Add interviewers to this stage first." };
+  }
+  return { jd, stage, panel };
+}
+
+function scheduledInterviews() {
+  return interviews.filter((interview) => interview.status === "scheduled");
+}
+
+/**
+ * The invite for an interview, as it stands (a cancellation once cancelled)
+ * @param {Object} interview - Interview
+ * @returns {string} .ics contents
+ */
+function inviteFor(interview) {
+  return buildInvite({
+    uid: `${interview.id}@ai-recruitment`,
+    sequence: interview.sequence,
+    method: interview.status === "cancelled" ? "CANCEL" : "REQUEST",
+    start: interview.start,
+    end: interview.end,
+    summary: `${interview.stageName}: ${interview.candidate.name} – ${interview.jdTitle}`,
+    description: [
+      `${interview.stageName} interview for ${interview.jdTitle}.`,
+      `Candidate: ${interview.candidate.name} <${interview.candidate.email}>`,
+      `Interviewers: ${interview.interviewers.map((i) => i.name).join(", ")}`,
+    ].join("\n"),
+    location: interview.location,
+    organizer: interview.organizer,
+    attendees: [interview.candidate, ...interview.interviewers],
+  });
+}
+
+/**
+ * Email the invite (or cancellation) to the candidate and interviewers.
+ * A failure is reported, not thrown: the interview stands either way.
+ * @param {Object} interview - Interview
+ * @param {Object} log - Request logger
+ * @returns {Promise<Object>} { sent, messageId } or { sent: false, error }
+ */
+async function mailInvite(interview, log) {
+  const cancelled = interview.status === "cancelled";
+  const zone = interview.timeZone || "UTC";
+  const when = new Date(interview.start).toLocaleString("en-US", {
+    timeZone: zone,
+    dateStyle: "full",
+    timeStyle: "short",
+  });
+  try {
+    const record = await sendMail({
+      to: [interview.candidate, ...interview.interviewers],
+      subject: `${cancelled ? "Cancelled: " : "Invitation: "}${
+        interview.stageName
+      } interview for ${interview.jdTitle}`,
+      text: [
+        cancelled
+          ? `The ${interview.stageName} interview for ${interview.jdTitle} has been cancelled.`
+          : `You're invited to the ${interview.stageName} interview for ${interview.jdTitle}.`,
+        "",
+        `When: ${when} (${zone})`,
+        interview.location ? `Where: ${interview.location}` : null,
+        `Candidate: ${interview.candidate.name}`,
+        `Interviewers: ${interview.interviewers.map((i) => i.name).join(", ")}`,
+        "",
+        "The attached invite adds it to your calendar in your own time zone.",
+      ]
+        .filter((line) => line !== null)
+        .join("\n"),
+      calendar: {
+        method: cancelled ? "CANCEL" : "REQUEST",
+        content: inviteFor(interview),
+        filename: "invite.ics",
+      },
+    });
+    return { sent: true, messageId: record.id };
+  } catch (e) {
+    log.error("could not send interview invite", { error: e });
+    return { sent: false, error: "The invite could not be sent." };
+  }
+}
+
+// Interviewers and their weekly hours
+router.get(ROUTES.listInterviewers.path, requireAuth, async (req, res) => {
+  try {
+    const items = (await interviewers.list()).sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+router.post(
+  ROUTES.createInterviewer.path,
+  requireAuth,
+  validateBody("createInterviewer"),
+  async (req, res) => {
+    try {
+      const { interviewer, errors } = readInterviewer(req.body);
+      if (Object.keys(errors).length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid interviewer", fields: errors });
+      }
+      const created = await interviewers.insert({
+        ...interviewer,
+        userId: await accountFor(interviewer.email),
+        createdAt: new Date().toISOString(),
+        createdBy: author(req.user),
+      });
+      res.status(201).json({ interviewer: created });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+router.put(
+  ROUTES.updateInterviewer.path,
+  requireAuth,
+  validateBody("updateInterviewer"),
+  async (req, res) => {
+    try {
+      const { interviewer, errors } = readInterviewer(req.body);
+      if (Object.keys(errors).length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid interviewer", fields: errors });
+      }
+      const updated = await interviewers.update(req.params.id, {
+        ...interviewer,
+        userId: await accountFor(interviewer.email),
+        updatedAt: new Date().toISOString(),
+        updatedBy: author(req.user),
+      });
+      if (!updated)
+        return res.status(404).json({ error: "Interviewer not found" });
+      res.json({ interviewer: updated });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+// Remove an interviewer from the team and from every loop; booked
+// interviews keep them
+router.delete(ROUTES.deleteInterviewer.path, requireAuth, async (req, res) => {
+  try {
+    const removed = await interviewers.remove(req.params.id);
+    if (!removed)
+      return res.status(404).json({ error: "Interviewer not found" });
+    for (const loop of await interviewLoops.list()) {
+      if (!loop.stages.some((s) => s.interviewerIds.includes(req.params.id))) {
+        continue;
+      }
+      await interviewLoops.update(loop.id, {
+        stages: loop.stages.map((stage) => ({
+          ...stage,
+          interviewerIds: stage.interviewerIds.filter(
+            (id) => id !== req.params.id
+          ),
+        })),
+      });
+    }
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// A JD's interview loop; JDs without one have no stages yet
+router.get(ROUTES.getInterviewLoop.path, requireAuth, async (req, res) => {
+  try {
+    const jd = await jobDescriptions.findById(req.params.id);
+    if (!jd)
+      return res.status(404).json({ error: "Job description not found" });
+    const loop = await interviewLoops.findOne((l) => l.jdId === jd.id);
+    res.json({
+      jdId: jd.id,
+      stages: loop?.stages || [],
+      // What slot matching uses when no candidate time zone is given
+      timeZone: TimeZones.resolve(jd.answers?.timezone),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+router.put(
+  ROUTES.saveInterviewLoop.path,
+  requireAuth,
+  validateBody("saveInterviewLoop"),
+  async (req, res) => {
+    try {
+      const jd = await jobDescriptions.findById(req.params.id);
+      if (!jd)
+        return res.status(404).json({ error: "Job description not found" });
+
+      const known = new Set((await interviewers.list()).map((i) => i.id));
+      const errors = {};
+      req.body.stages.forEach((stage, i) => {
+        if (!stage.interviewerIds.every((id) => known.has(id))) {
+          errors[`stages[${i}].interviewerIds`] = "Unknown interviewer.";
+        }
+      });
+      if (Object.keys(errors).length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid interview loop", fields: errors });
+      }
+
+      // Stages keep their ids, so booked interviews still point at them
+      const stages = req.body.stages.map((stage) => ({
+        id: stage.id || crypto.randomUUID(),
+        name: stage.name.trim(),
+        durationMinutes: stage.durationMinutes,
+        interviewerIds: [...new Set(stage.interviewerIds)],
+      }));
+      const changes = {
+        jdId: jd.id,
+        stages,
+        updatedAt: new Date().toISOString(),
+        updatedBy: author(req.user),
+      };
+      const current = await interviewLoops.findOne((l) => l.jdId === jd.id);
+      const loop = current
+        ? await interviewLoops.update(current.id, changes)
+        : await interviewLoops.insert(changes);
+      res.json({
+        jdId: jd.id,
+        stages: loop.stages,
+        timeZone: TimeZones.resolve(jd.answers?.timezone),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+// Times when the stage's interviewers and the candidate are all free
+router.post(
+  ROUTES.findInterviewSlots.path,
+  requireAuth,
+  validateBody("findInterviewSlots"),
+  async (req, res) => {
+    try {
+      const { jdId, stageId, timeZone, from, days } = req.body;
+      if (from !== undefined && !Date.parse(from)) {
+        return res.status(400).json({
+          error: "Invalid request",
+          fields: { from: "from must be an ISO date." },
+        });
+      }
+      if (
+        days !== undefined &&
+        (!Number.isInteger(days) || days < 1 || days > MAX_SEARCH_DAYS)
+      ) {
+        return res.status(400).json({
+          error: "Invalid request",
+          fields: { days: `days must be from 1 to ${MAX_SEARCH_DAYS}.` },
+        });
+      }
+
+      const found = await loadStage(jdId, stageId);
+      if (found.error)
+        return res.status(found.status).json({ error: found.error });
+      const zone = candidateZone(found.jd, timeZone);
+      if (zone.error) {
+        return res
+          .status(400)
+          .json({ error: "Invalid request", fields: { timeZone: zone.error } });
+      }
+
+      res.json({
+        stage: found.stage,
+        timeZone: zone,
+        slots: findSlots({
+          durationMinutes: found.stage.durationMinutes,
+          interviewers: found.panel,
+          busy: await scheduledInterviews(),
+          zone: zone.zone,
+          from: from ? new Date(from) : undefined,
+          days,
+        }),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+// Booked interviews, soonest first; ?jdId= for one JD
+router.get(ROUTES.listInterviews.path, requireAuth, async (req, res) => {
+  try {
+    const items = (
+      await interviews.filter(
+        (interview) => !req.query.jdId || interview.jdId === req.query.jdId
+      )
+    ).sort((a, b) => a.start.localeCompare(b.start));
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Book a slot and email the invite
+router.post(
+  ROUTES.scheduleInterview.path,
+  requireAuth,
+  validateBody("scheduleInterview"),
+  async (req, res) => {
+    try {
+      const { jdId, stageId, timeZone, candidate, location } = req.body;
+      const start = new Date(req.body.start);
+      const fields = {};
+      if (Number.isNaN(start.getTime())) {
+        fields.start = "start must be an ISO date-time.";
+      }
+      if (!EMAIL_RE.test(candidate.email.trim())) {
+        fields["candidate.email"] = "Enter a valid email address.";
+      }
+      if (Object.keys(fields).length) {
+        return res.status(400).json({ error: "Invalid request", fields });
+      }
+
+      const found = await loadStage(jdId, stageId);
+      if (found.error)
+        return res.status(found.status).json({ error: found.error });
+      const { jd, stage, panel } = found;
+      const zone = candidateZone(jd, timeZone);
+      if (zone.error) {
+        return res
+          .status(400)
+          .json({ error: "Invalid request", fields: { timeZone: zone.error } });
+      }
+
+      // Someone may have booked the slot since it was suggested
+      const problem = slotProblem({
+        start,
+        durationMinutes: stage.durationMinutes,
+        interviewers: panel,
+        busy: await scheduledInterviews(),
+        zone: zone.zone,
+      });
+      if (problem)
+        return res
+          .status(409)
+          .json({ error: problem, code: "slot_unavailable" });
+
+      // Scorecards are checked against these user ids; an interviewer who
+      // signed up after being added is linked now
+      const panelists = await Promise.all(
+        panel.map(async ({ id, userId, name, email, timeZone }) => ({
+          id,
+          userId: userId || (await accountFor(email)),
+          name,
+          email,
+          timeZone,
+        }))
+      );
+
+      // Checked again as the interview is stored, so two requests for the
+      // same interviewers at the same time can't both be booked
+      const end = new Date(start.getTime() + stage.durationMinutes * 60000);
+      const interview = await interviews.insertUnless(
+        (other) =>
+          other.status === "scheduled" &&
+          clashes(other, { start, end, interviewers: panel }),
+        {
+          jdId: jd.id,
+          jdTitle: jd.title,
+          stageId: stage.id,
+          stageName: stage.name,
+          start: start.toISOString(),
+          end: end.toISOString(),
+          durationMinutes: stage.durationMinutes,
+          timeZone: zone.zone,
+          candidate: {
+            name: candidate.name.trim(),
+            email: candidate.email.trim(),
+          },
+          interviewers: panelists,
+          location: location?.trim() || "",
+          status: "scheduled",
+          // Bumped on every change, so calendars replace the earlier invite
+          sequence: 0,
+          organizer: {
+            name: [req.user.first, req.user.last].filter(Boolean).join(" "),
+            email: req.user.email,
+          },
+          createdAt: new Date().toISOString(),
+          createdBy: author(req.user),
+        }
+      );
+      if (!interview) {
+        return res
+          .status(409)
+          .json({ error: CLASH_MESSAGE, code: "slot_unavailable" });
+      }
+      const invite = await mailInvite(interview, req.log);
+      res
+        .status(201)
+        .json({ interview: await interviews.update(interview.id, { invite }) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+// Cancel an interview and email the cancellation
+router.post(ROUTES.cancelInterview.path, requireAuth, async (req, res) => {
+  try {
+    const current = await interviews.findById(req.params.id);
+    if (!current) return res.status(404).json({ error: "Interview not found" });
+    if (current.status === "cancelled") {
+      return res
+        .status(409)
+        .json({ error: "This interview is already cancelled." });
+    }
+    const cancelled = await interviews.update(current.id, {
+      status: "cancelled",
+      sequence: current.sequence + 1,
+      cancelledAt: new Date().toISOString(),
+      cancelledBy: author(req.user),
+    });
+    const invite = await mailInvite(cancelled, req.log);
+    res.json({ interview: await interviews.update(current.id, { invite }) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Download the invite, to add the interview to a calendar by hand
+router.get(ROUTES.interviewInvite.path, requireAuth, async (req, res) => {
+  try {
+    const interview = await interviews.findById(req.params.id);
+    if (!interview)
+      return res.status(404).json({ error: "Interview not found" });
+    res
+      .type("text/calendar; charset=utf-8")
+      .attachment(`interview-${interview.start.slice(0, 10)}.ics`)
+      .send(inviteFor(interview));
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// What the outbox has sent, newest first
+router.get(ROUTES.listOutbox.path, requireAuth, async (req, res) => {
+  try {
+    res.json({ items: await listOutbox() });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+export default router;
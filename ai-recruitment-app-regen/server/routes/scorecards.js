@@ -0,0 +1,216 @@
+import express from "express";
+import ApiContract from "../../shared/apiContract.js";
+import { createCollection } from "../lib/store.js";
+import { requireAuth } from "../middleware/session.js";
+import { validateBody } from "../middleware/validate.js";
+import {
+  criteriaFromAnswers,
+  ratingErrors,
+  summarizeScorecards,
+} from "../lib/scorecards.js";
+
+const { ROUTES } = ApiContract;
+
+const router = express.Router();
+const scorecards = createCollection("scorecards");
+const interviews = createCollection("interviews");
+const jobDescriptions = createCollection("jobDescriptions");
+
+const sameEmail = (a, b) =>
+  String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+/**
+ * Whether the user sits on an interview's panel. Matched on the account the
+ * interviewer was linked to, as anyone can sign up with any email address.
+ * @param {Object} user - Signed-in user
+ * @param {Object} interview - Interview
+ * @returns {boolean}
+ */
+function onPanel(user, interview) {
+  return interview.interviewers.some((i) => i.userId === user.id);
+}
+
+/**
+ * Whether the user still owes a scorecard for the candidate: they have a
+ * draft, or sit on one of the candidate's interviews without having
+ * submitted. Until then the panel's scorecards stay hidden from them, so
+ * their ratings aren't anchored by what others wrote.
+ * @param {Object} user - Signed-in user
+ * @param {Array<Object>} candidateInterviews - The candidate's interviews
+ * @param {Array<Object>} candidateScorecards - The candidate's scorecards
+ * @returns {boolean}
+ */
+function owesScorecard(user, candidateInterviews, candidateScorecards) {
+  const mine = candidateScorecards.filter((s) => s.author.id === user.id);
+  if (mine.some((s) => s.status === "draft")) return true;
+  return candidateInterviews.some(
+    (interview) =>
+      interview.status !== "cancelled" &&
+      onPanel(user, interview) &&
+      !mine.some((s) => s.interviewId === interview.id)
+  );
+}
+
+// The signed-in user's scorecard for an interview; before they start one,
+// the criteria come from the JD
+router.get(ROUTES.getScorecard.path, requireAuth, async (req, res) => {
+  try {
+    const interview = await interviews.findById(req.params.id);
+    if (!interview) {
+      return res.status(404).json({ error: "Interview not found" });
+    }
+    const scorecard = await scorecards.findOne(
+      (s) => s.interviewId === interview.id && s.author.id === req.user.id
+    );
+    const jd = await jobDescriptions.findById(interview.jdId);
+    if (!scorecard && !jd) {
+      return res.status(404).json({ error: "Job description not found" });
+    }
+    res.json({
+      interview,
+      criteria: scorecard?.criteria || criteriaFromAnswers(jd.answers),
+      scorecard,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// Save a draft, or submit and lock the scorecard
+router.put(
+  ROUTES.saveScorecard.path,
+  requireAuth,
+  validateBody("saveScorecard"),
+  async (req, res) => {
+    try {
+      const interview = await interviews.findById(req.params.id);
+      if (!interview) {
+        return res.status(404).json({ error: "Interview not found" });
+      }
+      // Only the panel's feedback counts towards the hire decision
+      if (!onPanel(req.user, interview)) {
+        return res.status(403).json({
+          error: "Only the interviewers on this interview can give feedback.",
+        });
+      }
+      if (interview.status === "cancelled") {
+        return res.status(409).json({ error: "This interview was cancelled." });
+      }
+      if (new Date(interview.start) > new Date()) {
+        return res.status(409).json({
+          error: "Feedback opens once the interview has started.",
+        });
+      }
+
+      const current = await scorecards.findOne(
+        (s) => s.interviewId === interview.id && s.author.id === req.user.id
+      );
+      if (current?.status === "submitted") {
+        return res.status(409).json({
+          error: "This scorecard has been submitted and can't be changed.",
+          code: "scorecard_submitted",
+        });
+      }
+
+      // The first save fixes the criteria, so later JD edits don't move them
+      let criteria = current?.criteria;
+      if (!criteria) {
+        const jd = await jobDescriptions.findById(interview.jdId);
+        if (!jd) {
+          return res.status(404).json({ error: "Job description not found" });
+        }
+        criteria = criteriaFromAnswers(jd.answers);
+      }
+      if (!criteria.length) {
+        return res.status(400).json({
+          error:
+            "This job description has no skills, goals, KPIs or superstar outcomes to rate.",
+        });
+      }
+
+      const { ratings, recommendation, notes, submit = false } = req.body;
+      const errors = ratingErrors(criteria, ratings, { submit });
+      if (submit && !recommendation) {
+        errors.recommendation = "Choose a hire recommendation.";
+      }
+      if (Object.keys(errors).length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid scorecard", fields: errors });
+      }
+
+      const now = new Date().toISOString();
+      const changes = {
+        ratings: ratings
+          .filter((item) => item.rating || item.evidence?.trim())
+          .map(({ criterionId, rating, evidence }) => ({
+            criterionId,
+            rating: rating || null,
+            evidence: evidence?.trim() || "",
+          })),
+        recommendation: recommendation || null,
+        notes: notes?.trim() || "",
+        status: submit ? "submitted" : "draft",
+        updatedAt: now,
+        ...(submit && { submittedAt: now }),
+      };
+      const scorecard = current
+        ? await scorecards.update(current.id, changes)
+        : await scorecards.insert({
+            interviewId: interview.id,
+            jdId: interview.jdId,
+            stageName: interview.stageName,
+            candidate: interview.candidate,
+            author: {
+              id: req.user.id,
+              username: req.user.username,
+              name: [req.user.first, req.user.last].filter(Boolean).join(" "),
+            },
+            criteria,
+            ...changes,
+            createdAt: now,
+          });
+      res.status(current ? 200 : 201).json({ scorecard });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e) });
+    }
+  }
+);
+
+// The panel's submitted scorecards for a candidate, combined into a hire /
+// no-hire summary; locked for anyone who still owes their own
+router.get(ROUTES.candidateScorecards.path, requireAuth, async (req, res) => {
+  try {
+    const { jdId, email } = req.query;
+    if (!jdId || !email) {
+      return res.status(400).json({
+        error: "Invalid request",
+        fields: {
+          ...(!jdId && { jdId: "jdId is required." }),
+          ...(!email && { email: "email is required." }),
+        },
+      });
+    }
+    const ofCandidate = (doc) =>
+      doc.jdId === jdId && sameEmail(doc.candidate.email, email);
+    const candidateInterviews = await interviews.filter(ofCandidate);
+    const candidateScorecards = await scorecards.filter(ofCandidate);
+    const submitted = candidateScorecards
+      .filter((s) => s.status === "submitted")
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+
+    if (owesScorecard(req.user, candidateInterviews, candidateScorecards)) {
+      return res.json({ locked: true, count: submitted.length });
+    }
+    res.json({
+      locked: false,
+      count: submitted.length,
+      summary: summarizeScorecards(submitted),
+      scorecards: submitted,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from "express";
+import { isAdmin } from "../lib/auth.js";
+import { createCollection } from "../lib/store.js";
+import { requireAuth } from "../middleware/session.js";
+import { PERIODS, listUsage, summarizeUsage } from "../lib/usage.js";
+import { getQuotaStatus } from "../lib/quotas.js";
+
+const router = express.Router();
+const jobDescriptions = createCollection("jobDescriptions");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.use(requireAuth);
+
+function parseDate(value) {
+  if (!DATE_RE.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// The last 30 days, or the last 12 months including the current one
+function defaultFrom(period, to) {
+  if (period === "month") {
+    return new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - 11, 1));
+  }
+  return new Date(to.getTime() - 29 * DAY_MS);
+}
+
+// Usage report. Admins see everyone's usage, other users only their own.
+// Query: period=day|month, from/to=YYYY-MM-DD (inclusive, UTC)
+router.get("/", async (req, res) => {
+  try {
+    const period = req.query.period || "day";
+    const errors = {};
+    if (!PERIODS.includes(period))
+      errors.period = `period must be one of: ${PERIODS.join(", ")}.`;
+
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const to = req.query.to ? parseDate(req.query.to) : today;
+    if (!to) errors.to = "to must be a date (YYYY-MM-DD).";
+    const from = req.query.from
+      ? parseDate(req.query.from)
+      : to && defaultFrom(period, to);
+    if (!from) errors.from = "from must be a date (YYYY-MM-DD).";
+    else if (to && from > to) errors.from = "from must not be after to.";
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ error: "Invalid request", fields: errors });
+    }
+
+    const scope = isAdmin(req.user) ? "all" : "user";
+    const records = await listUsage({
+      from,
+      to: new Date(to.getTime() + DAY_MS),
+      userId: scope === "user" ? req.user.id : null,
+    });
+    const summary = summarizeUsage(records, period);
+
+    // Requisitions are named after the saved JD that carries their id
+    const titles = new Map(
+      (await jobDescriptions.list()).map((jd) => [
+        jd.requisitionId || jd.id,
+        jd.title,
+      ])
+    );
+    summary.byRequisition = summary.byRequisition.map((r) => ({
+      ...r,
+      title: titles.get(r.requisitionId) || null,
+    }));
+    if (scope === "user") delete summary.byUser;
+
+    res.json({
+      period,
+      from: from.toISOString().slice(0, 10),
+      to: to.toISOString().slice(0, 10),
+      scope,
+      ...summary,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// The signed-in user's quotas (and their team's) with current usage
+router.get("/quota", async (req, res) => {
+  try {
+    res.json(await getQuotaStatus(req.user));
+  } catch (e) {
+    res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+export default router;
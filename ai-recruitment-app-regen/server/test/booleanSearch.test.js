@@ -0,0 +1,293 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import BooleanSearch from "../../shared/booleanSearch.js";
+
+/**
+ * Write a lint() tree with every group in parentheses, so tests can compare
+ * how a search is read at a glance
+ */
+function show(tree) {
+  if (!tree) return "";
+  switch (tree.type) {
+    case "and":
+    case "or":
+      return `(${tree.children
+        .map(show)
+        .join(` ${tree.type.toUpperCase()} `)})`;
+    case "not":
+      return `NOT ${show(tree.child)}`;
+    case "phrase":
+      return `"${tree.value}"`;
+    case "field":
+      return `${tree.name}:${tree.value}`;
+    default:
+      return tree.value;
+  }
+}
+
+describe("BooleanSearch.lint fixes", () => {
+  const cases = [
+    [
+      "google",
+      "“java developer” and python",
+      '"java developer" AND python',
+      ["smart_quotes", "lowercase_operator"],
+    ],
+    [
+      "linkedin",
+      "java or python not recruiter",
+      "java OR python NOT recruiter",
+      ["lowercase_operator"],
+    ],
+    [
+      "linkedin",
+      '"java developer AND python',
+      '"java developer" AND python',
+      ["unclosed_quote"],
+    ],
+    [
+      "linkedin",
+      'java developer" AND python',
+      '"java developer" AND python',
+      ["unclosed_quote"],
+    ],
+    [
+      "google",
+      'intitle:"java developer',
+      'intitle:"java developer"',
+      ["unclosed_quote"],
+    ],
+    ["linkedin", "(java OR python", "(java OR python)", ["unclosed_paren"]],
+    ["linkedin", "java) OR python", "java OR python", ["unmatched_paren"]],
+    [
+      "linkedin",
+      "java AND () OR python",
+      "java OR python",
+      ["empty_group", "dangling_operator"],
+    ],
+    ["linkedin", "AND java OR", "java", ["dangling_operator"]],
+    ["linkedin", "java -recruiter", "java NOT recruiter", ["negation"]],
+    ["google", "java NOT recruiter", "java -recruiter", ["negation"]],
+  ];
+  for (const [platform, query, fixed, codes] of cases) {
+    test(`fixes ${query} for ${platform}`, () => {
+      const result = BooleanSearch.lint(query, platform);
+      assert.equal(result.fixed, fixed);
+      assert.deepEqual(
+        result.problems.map((p) => p.code),
+        codes
+      );
+      assert.ok(result.problems.every((p) => p.fixable));
+      // A fixed search has nothing left to fix
+      assert.equal(BooleanSearch.lint(fixed, platform).fixed, null);
+    });
+  }
+});
+
+describe("BooleanSearch.lint problems it can't fix", () => {
+  const cases = [
+    ["google", 'site:linkedin.com/in "java developer" -recruiter', []],
+    ["linkedin", "site:linkedin.com/in java", ["search_operator"]],
+    ["linkedin", "develop*", ["wildcard"]],
+    ["dice", "develop*", []],
+    ["linkedin", "", ["empty"]],
+    ["google", "word ".repeat(33), ["too_many_words"]],
+    ["linkedin", "a".repeat(2001), ["too_long"]],
+  ];
+  for (const [platform, query, codes] of cases) {
+    test(`reports [${codes}] for ${query.slice(0, 30)} on ${platform}`, () => {
+      const result = BooleanSearch.lint(query, platform);
+      assert.equal(result.fixed, null);
+      assert.deepEqual(
+        result.problems.map((p) => p.code),
+        codes
+      );
+    });
+  }
+});
+
+describe("BooleanSearch.lint trees", () => {
+  const cases = [
+    // Google reads OR before the implied AND; LinkedIn and Dice the reverse
+    ["google", "java OR python developer", "((java OR python) AND developer)"],
+    [
+      "linkedin",
+      "java OR python developer",
+      "(java OR (python AND developer))",
+    ],
+    [
+      "dice",
+      "java OR python AND developer",
+      "(java OR (python AND developer))",
+    ],
+    [
+      "dice",
+      "java AND NOT (recruiter OR sales)",
+      "(java AND NOT (recruiter OR sales))",
+    ],
+    [
+      "google",
+      'site:linkedin.com/in "java developer" -recruiter',
+      '(site:linkedin.com/in AND "java developer" AND NOT recruiter)',
+    ],
+    ["linkedin", "", ""],
+  ];
+  for (const [platform, query, tree] of cases) {
+    test(`reads ${query || "an empty search"} on ${platform}`, () => {
+      assert.equal(show(BooleanSearch.lint(query, platform).tree), tree);
+    });
+  }
+});
+
+test("detectPlatform spots Google search operators", () => {
+  assert.equal(
+    BooleanSearch.detectPlatform("site:linkedin.com/in java", "linkedin"),
+    "google"
+  );
+  assert.equal(BooleanSearch.detectPlatform("java", "dice"), "dice");
+});
+
+describe("BooleanSearch.convert", () => {
+  const PLATFORMS = Object.keys(BooleanSearch.PLATFORMS);
+
+  // How "java OR python developer" comes out of Google, where OR binds
+  // tighter, and out of LinkedIn, where AND does
+  const precedence = {
+    google: {
+      google: "site:linkedin.com/in/ (java OR python) developer",
+      linkedin: "(java OR python) AND developer",
+      dice: "(java OR python) AND developer",
+      indeed: "(java OR python) AND developer",
+      github: "type:user (java OR python) developer",
+      stackoverflow: "site:stackoverflow.com/users (java OR python) developer",
+      bing: "site:linkedin.com/in/ (java OR python) AND developer",
+    },
+    linkedin: {
+      google: "site:linkedin.com/in/ (java OR (python developer))",
+      linkedin: "java OR (python AND developer)",
+      dice: "java OR (python AND developer)",
+      indeed: "java OR (python AND developer)",
+      github: "type:user (java OR (python developer))",
+      stackoverflow:
+        "site:stackoverflow.com/users (java OR (python developer))",
+      bing: "site:linkedin.com/in/ (java OR (python AND developer))",
+    },
+  };
+  for (const [from, expected] of Object.entries(precedence)) {
+    for (const to of PLATFORMS) {
+      test(`keeps ${from}'s precedence writing for ${to}`, () => {
+        const { query, problems } = BooleanSearch.convert(
+          "java OR python developer",
+          from,
+          to
+        );
+        assert.equal(query, expected[to]);
+        assert.deepEqual(problems, []);
+      });
+    }
+  }
+
+  test("writes exclusions the target's way and drops the source's sites", () => {
+    const query = 'site:linkedin.com/in/ ("java dev" OR "java engineer") -hr';
+    assert.equal(
+      BooleanSearch.convert(query, "google", "linkedin").query,
+      '("java dev" OR "java engineer") AND NOT hr'
+    );
+    assert.equal(
+      BooleanSearch.convert(query, "google", "github").query,
+      'type:user ("java dev" OR "java engineer") NOT hr'
+    );
+    assert.equal(
+      BooleanSearch.convert("type:user language:go java", "github", "dice")
+        .query,
+      "java"
+    );
+  });
+
+  const searches = [
+    "java OR python developer",
+    'site:linkedin.com/in/ ("java developer" OR "java engineer") -recruiter',
+    "(react OR vue) (typescript OR javascript) -intern -junior",
+  ];
+  for (const search of searches) {
+    test(`round-trips ${search} between every pair of platforms`, () => {
+      for (const a of PLATFORMS) {
+        const start = BooleanSearch.convert(search, "google", a).query;
+        const meaning = BooleanSearch.canonical(
+          BooleanSearch.lint(start, a).tree
+        );
+        for (const b of PLATFORMS) {
+          const there = BooleanSearch.convert(start, a, b).query;
+          assert.deepEqual(
+            BooleanSearch.canonical(BooleanSearch.lint(there, b).tree),
+            meaning,
+            `${a} → ${b}: ${there}`
+          );
+          assert.equal(
+            BooleanSearch.convert(there, b, a).query,
+            start,
+            `${a} → ${b} → ${a}`
+          );
+        }
+      }
+    });
+  }
+});
+
+describe("BooleanSearch.build", () => {
+  const groups = {
+    titles: ["SRE", "Site Reliability Engineer"],
+    mustHave: ["Kubernetes", "C++"],
+    niceToHave: ["Go"],
+    companies: [],
+    locations: ["Austin"],
+    exclude: ["intern", "“recruiter”"],
+  };
+  const rendered = {
+    google:
+      'site:linkedin.com/in/ (SRE OR "Site Reliability Engineer") Kubernetes "C++" Go Austin -intern -recruiter',
+    linkedin:
+      '(SRE OR "Site Reliability Engineer") AND Kubernetes AND "C++" AND Go AND Austin AND NOT intern AND NOT recruiter',
+    github:
+      'type:user (SRE OR "Site Reliability Engineer") Kubernetes "C++" Go Austin NOT intern NOT recruiter',
+  };
+  for (const [platform, query] of Object.entries(rendered)) {
+    test(`writes the builder's groups for ${platform}`, () => {
+      const tree = BooleanSearch.build(groups);
+      assert.equal(BooleanSearch.render(tree, platform), query);
+      // The written search reads back as the groups
+      assert.deepEqual(
+        BooleanSearch.canonical(BooleanSearch.lint(query, platform).tree),
+        tree
+      );
+    });
+  }
+
+  const terms = [
+    ["a plain word", "python", { type: "term", value: "python" }],
+    ["a wildcard", "dev*", { type: "term", value: "dev*" }],
+    [
+      "several words",
+      "  data   science ",
+      { type: "phrase", value: "data science" },
+    ],
+    ["punctuation", "C#", { type: "phrase", value: "C#" }],
+    ["an operator word", "or", { type: "phrase", value: "or" }],
+  ];
+  for (const [name, text, node] of terms) {
+    test(`writes ${name} as a ${node.type}`, () => {
+      assert.deepEqual(BooleanSearch.build({ mustHave: [text] }), node);
+    });
+  }
+
+  test("leaves out empty terms and groups", () => {
+    assert.equal(
+      BooleanSearch.build({ titles: [" ", '""'], exclude: [] }),
+      null
+    );
+    assert.deepEqual(BooleanSearch.build({ exclude: ["intern"] }), {
+      type: "not",
+      child: { type: "term", value: "intern" },
+    });
+  });
+});
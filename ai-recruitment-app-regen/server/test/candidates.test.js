@@ -0,0 +1,48 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+describe("/api/v1/candidates", () => {
+  let server;
+  let request;
+  let jdId;
+
+  before(async () => {
+    server = await startServer();
+    request = await server.signUp("recruiter");
+    const { body } = await request("POST", "/jds", {
+      title: "Engineer",
+      content: "Build things",
+    });
+    jdId = body.jd.id;
+  });
+  after(() => server.stop());
+
+  test("adds a candidate's email to a pipeline only once", async () => {
+    const adding = (name, email) =>
+      request("POST", "/candidates", { jdId, name, email });
+
+    const results = await Promise.all([
+      adding("Sam Lee", "sam@example.com"),
+      adding("Sam Lee", "sam@example.com"),
+    ]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+    const again = await adding("<b>Sam</b>", "SAM@example.com");
+    assert.equal(again.status, 409);
+    assert.deepEqual(again.body, {
+      error: "A candidate with that email is already in this pipeline.",
+      code: "candidate_exists",
+    });
+
+    const other = await adding("Kim Park", "kim@example.com");
+    const moved = await request(
+      "PUT",
+      `/candidates/${other.body.candidate.id}`,
+      {
+        name: "Kim Park",
+        email: "sam@example.com",
+      }
+    );
+    assert.equal(moved.status, 409);
+  });
+});
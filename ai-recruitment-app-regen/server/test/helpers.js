@@ -0,0 +1,91 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../server.js", import.meta.url));
+
+/**
+ * Start the proxy on a free port with an empty data directory and the mock
+ * LLM provider
+ * @returns {Promise<Object>} { url, dataDir, signUp(username), stop() }
+ */
+export async function startServer() {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "proxy-test-"));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      LLM_PROVIDER: "mock",
+      MOCK_LLM_DELAY_MS: "0",
+      LOG_LEVEL: "error",
+    },
+    stdio: "ignore",
+  });
+  const url = `http://localhost:${port}`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch {
+      // Not listening yet
+    }
+    if (attempt >= 50 || child.exitCode !== null) {
+      child.kill();
+      throw new Error("The proxy did not start");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  return {
+    url,
+    dataDir,
+
+    /**
+     * Create an account and return a client signed in as it
+     * @param {string} username - Username
+     * @returns {Promise<Function>} request(method, path, body) resolving
+     *   with { status, body }
+     */
+    async signUp(username) {
+      const password = "Passw0rd!23";
+      await fetch(`${url}/api/v1/auth/signup`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          username,
+          first: "Test",
+          last: "User",
+          email: `${username}@example.com`,
+          password,
+        }),
+      });
+      const login = await fetch(`${url}/api/v1/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      const cookie = login.headers.get("set-cookie").split(";")[0];
+      return async (method, route, body) => {
+        const response = await fetch(`${url}/api/v1${route}`, {
+          method,
+          headers: { "Content-Type": "application/json", Cookie: cookie },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        return {
+          status: response.status,
+          body: text ? JSON.parse(text) : null,
+        };
+      };
+    },
+
+    async stop() {
+      child.kill();
+      await fs.rm(dataDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,85 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+describe("/api/v1/interviews", () => {
+  let server;
+  let request;
+  let stage;
+
+  before(async () => {
+    server = await startServer();
+    request = await server.signUp("coordinator");
+
+    const { body: interviewer } = await request("POST", "/interviewers", {
+      name: "Ana Lopez",
+      email: "ana@example.com",
+      timeZone: "UTC",
+      availability: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        day,
+        start: "00:00",
+        end: "24:00",
+      })),
+    });
+    const { body: created } = await request("POST", "/jds", {
+      title: "Engineer",
+      content: "Build things",
+      answers: { role: "Engineer", timezone: "Flexible" },
+    });
+    const { body: loop } = await request(
+      "PUT",
+      `/jds/${created.jd.id}/interview-loop`,
+      {
+        stages: [
+          {
+            name: "Technical",
+            durationMinutes: 60,
+            interviewerIds: [interviewer.interviewer.id],
+          },
+        ],
+      }
+    );
+    stage = { jdId: created.jd.id, stageId: loop.stages[0].id };
+  });
+  after(() => server.stop());
+
+  test("books a slot only once", async () => {
+    const { body } = await request("POST", "/interviews/slots", stage);
+    const booking = (name) =>
+      request("POST", "/interviews", {
+        ...stage,
+        start: body.slots[0].start,
+        candidate: { name, email: `${name.toLowerCase()}@example.com` },
+      });
+
+    const results = await Promise.all([booking("Sam"), booking("Kim")]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+    const refused = results.find((r) => r.status === 409);
+    assert.equal(refused.body.code, "slot_unavailable");
+
+    const { body: list } = await request(
+      "GET",
+      `/interviews?jdId=${stage.jdId}`
+    );
+    assert.equal(list.items.length, 1);
+  });
+
+  test("takes scorecards only from the interview's panel", async () => {
+    // Ana was added as an interviewer before she had an account; booking
+    // links the two
+    const ana = await server.signUp("ana");
+    const { body } = await request("POST", "/interviews/slots", stage);
+    const { body: booked } = await request("POST", "/interviews", {
+      ...stage,
+      start: body.slots[0].start,
+      candidate: { name: "Lee", email: "lee@example.com" },
+    });
+    const route = `/interviews/${booked.interview.id}/scorecard`;
+
+    const outsider = await request("PUT", route, { ratings: [] });
+    assert.equal(outsider.status, 403);
+    // On the panel, but feedback opens once the interview starts
+    const panelist = await ana("PUT", route, { ratings: [] });
+    assert.equal(panelist.status, 409);
+  });
+});
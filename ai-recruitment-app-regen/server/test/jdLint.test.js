@@ -0,0 +1,221 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// The store reads DATA_DIR when it is first imported, and the lint prompt
+// comes from the store
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "jdlint-test-"));
+process.env.DATA_DIR = dataDir;
+const { MAX_REQUIREMENTS, lintJobDescription, lintWithAI } = await import(
+  "../lib/jdLint.js"
+);
+const { seedDefaultPrompts } = await import("../lib/prompts.js");
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+/**
+ * Apply every suggestion to the text, as the SPA's "fix all" does
+ */
+function applyFixes(text, findings) {
+  let fixed = text;
+  for (const finding of [...findings].reverse()) {
+    if (finding.suggestion === null) continue;
+    fixed =
+      fixed.slice(0, finding.start) +
+      finding.suggestion +
+      fixed.slice(finding.end);
+  }
+  return fixed;
+}
+
+describe("lintJobDescription", () => {
+  const flagged = [
+    ["gender", "We want an aggressive closer.", "aggressive", "proactive"],
+    ["gender", "Join our Rockstars.", "Rockstars", "Expert"],
+    ["gender", "He or she will own billing.", "He or she", "They"],
+    ["gender", "The salesman reports to sales.", "salesman", "salesperson"],
+    [
+      "age",
+      "Ideal for digital natives.",
+      "digital natives",
+      "comfortable with digital tools",
+    ],
+    ["age", "A young, energetic team.", "young, energetic", "energetic"],
+    [
+      "age",
+      "Recent graduates welcome.",
+      "Recent graduates",
+      "Early-career candidates",
+    ],
+    [
+      "age",
+      "No more than 5 years of experience.",
+      "No more than 5 years",
+      null,
+    ],
+    ["ability", "The pace is CRAZY.", "CRAZY", "INTENSE"],
+    ["ability", "Do a sanity check first.", "sanity check", "quick check"],
+    ["ability", "You must be able to lift 20kg.", "must be able to lift", null],
+  ];
+  for (const [category, text, match, suggestion] of flagged) {
+    test(`flags “${match}” as ${category}`, () => {
+      const findings = lintJobDescription(text);
+      assert.equal(findings.length, 1, JSON.stringify(findings));
+      const [finding] = findings;
+      assert.equal(finding.category, category);
+      assert.equal(finding.text, match);
+      assert.equal(text.slice(finding.start, finding.end), match);
+      assert.equal(finding.suggestion, suggestion);
+      assert.equal(finding.severity, suggestion ? "warning" : "info");
+      assert.equal(finding.source, "rules");
+    });
+  }
+
+  const clean = [
+    "We offer a competitive salary and benefits.",
+    "Competitive compensation package.",
+    "A high degree of ownership is expected.",
+    "We give 360 degree feedback.",
+    "Proficient in MS Office.",
+    "Bachelor's degree or equivalent experience.",
+    "A master's degree is a plus.",
+  ];
+  for (const text of clean) {
+    test(`leaves “${text}” alone`, () => {
+      assert.deepEqual(lintJobDescription(text), []);
+    });
+  }
+
+  test("suggests an alternative for a required degree", () => {
+    const text =
+      "Requirements:\n- Bachelor's degree in Computer Science required.";
+    const [finding] = lintJobDescription(text);
+    assert.equal(finding.category, "degree");
+    assert.equal(
+      finding.text,
+      "Bachelor's degree in Computer Science required."
+    );
+    assert.equal(
+      applyFixes(text, [finding]),
+      "Requirements:\n- Bachelor's degree in Computer Science or equivalent experience required."
+    );
+  });
+
+  test("flags a requirement list longer than the limit", () => {
+    const bullets = (count) =>
+      Array.from({ length: count }, (_, i) => `- Skill ${i + 1}`).join("\n");
+    const long = lintJobDescription(
+      `Requirements:\n${bullets(MAX_REQUIREMENTS + 1)}`
+    );
+    assert.deepEqual(
+      long.map((f) => [f.category, f.text]),
+      [["requirements", "Requirements"]]
+    );
+    assert.deepEqual(
+      lintJobDescription(`Requirements:\n${bullets(MAX_REQUIREMENTS)}`),
+      []
+    );
+    // A nice-to-have list can be as long as it likes
+    assert.deepEqual(
+      lintJobDescription(
+        `Preferred qualifications:\n${bullets(MAX_REQUIREMENTS + 1)}`
+      ),
+      []
+    );
+  });
+
+  test("keeps the longer of two overlapping findings", () => {
+    const findings = lintJobDescription(
+      "He/she joins a young and dynamic team."
+    );
+    assert.deepEqual(
+      findings.map((f) => f.text),
+      ["He/she", "young and dynamic"]
+    );
+  });
+
+  test("produces fixes that lint clean", () => {
+    const text = "Our aggressive salesman will dominate the market.";
+    const fixed = applyFixes(text, lintJobDescription(text));
+    assert.equal(fixed, "Our proactive salesperson will lead the market.");
+    assert.deepEqual(lintJobDescription(fixed), []);
+  });
+});
+
+describe("lintWithAI", () => {
+  before(() => seedDefaultPrompts());
+
+  const answering = (answer) => ({
+    calls: [],
+    async complete(messages, options) {
+      this.calls.push({ messages, options });
+      return answer;
+    },
+  });
+
+  test("locates the model's findings and drops unusable ones", async () => {
+    const jd = "We need a culture fit who works hard and plays hard.";
+    const llm = answering(
+      "```json\n" +
+        JSON.stringify({
+          findings: [
+            {
+              text: "Culture fit",
+              category: "gender",
+              message: "Vague and often exclusionary.",
+              suggestion: "values match",
+            },
+            { text: "not in the text", category: "age", message: "x" },
+            { text: "plays hard", category: "tone", message: "x" },
+            { text: "works hard", category: "age", suggestion: "x" },
+          ],
+        }) +
+        "\n```"
+    );
+
+    const findings = await lintWithAI(llm, { jd, findings: [] });
+    assert.equal(llm.calls[0].options.json, true);
+    assert.deepEqual(findings, [
+      {
+        id: "ai:10",
+        rule: "ai",
+        category: "gender",
+        severity: "info",
+        start: 10,
+        end: 21,
+        text: "culture fit",
+        message: "Vague and often exclusionary.",
+        suggestion: "values match",
+        source: "ai",
+      },
+    ]);
+  });
+
+  test("leaves words the rules already flagged to the rules", async () => {
+    const jd = "An aggressive self-starter.";
+    const llm = answering(
+      JSON.stringify({
+        findings: [
+          { text: "aggressive self-starter", category: "gender", message: "x" },
+        ],
+      })
+    );
+    const findings = await lintWithAI(llm, {
+      jd,
+      findings: lintJobDescription(jd),
+    });
+    assert.deepEqual(findings, []);
+  });
+
+  test("fails with ai_invalid_output without a findings array", async () => {
+    await assert.rejects(
+      lintWithAI(answering('{"issues": []}'), { jd: "x", findings: [] }),
+      { code: "ai_invalid_output" }
+    );
+    await assert.rejects(
+      lintWithAI(answering("Looks fine!"), { jd: "x", findings: [] }),
+      { code: "ai_invalid_output" }
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startServer } from "./helpers.js";
+
+describe("/api/v1/jds", () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startServer();
+    request = await server.signUp("recruiter");
+  });
+  after(() => server.stop());
+
+  test("a JD created final needs the pay range its location requires", async () => {
+    const jd = {
+      title: "Engineer",
+      location: "Denver, CO",
+      content: "Build things",
+      final: true,
+    };
+    const refused = await request("POST", "/jds", jd);
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.code, "pay_range_required");
+
+    const draft = await request("POST", "/jds", { ...jd, final: false });
+    assert.equal(draft.status, 201);
+
+    const priced = await request("POST", "/jds", {
+      ...jd,
+      content: "Build things. Pay: $120,000 – $150,000 per year.",
+    });
+    assert.equal(priced.status, 201);
+    assert.equal(priced.body.jd.final, true);
+  });
+
+  test("an edit that leaves a JD final is checked too", async () => {
+    const { body } = await request("POST", "/jds", {
+      title: "Engineer",
+      location: "Denver, CO",
+      content: "Build things. Pay: $120,000 – $150,000 per year.",
+      final: true,
+    });
+
+    const unpriced = await request("PUT", `/jds/${body.jd.id}`, {
+      content: "Build things",
+    });
+    assert.equal(unpriced.status, 400);
+    assert.equal(unpriced.body.code, "pay_range_required");
+
+    const draft = await request("PUT", `/jds/${body.jd.id}`, {
+      content: "Build things",
+      final: false,
+    });
+    assert.equal(draft.status, 200);
+
+    const missing = await request("PUT", "/jds/nope", { title: "Engineer" });
+    assert.equal(missing.status, 404);
+  });
+
+  test("deleting a JD deletes its pipeline and interviews", async () => {
+    const { body } = await request("POST", "/jds", {
+      title: "SRE",
+      content: "Run things",
+    });
+    const jdId = body.jd.id;
+    const { body: created } = await request("POST", "/interviewers", {
+      name: "Ana",
+      email: "ana@example.com",
+      timeZone: "UTC",
+      availability: [1, 2, 3, 4, 5].map((day) => ({
+        day,
+        start: "00:00",
+        end: "23:59",
+      })),
+    });
+    const { body: saved } = await request(
+      "PUT",
+      `/jds/${jdId}/interview-loop`,
+      {
+        stages: [
+          {
+            name: "Screen",
+            durationMinutes: 30,
+            interviewerIds: [created.interviewer.id],
+          },
+        ],
+      }
+    );
+    const stageId = saved.stages[0].id;
+    await request("POST", "/candidates", {
+      jdId,
+      name: "Sam",
+      email: "sam@example.com",
+    });
+    const { body: found } = await request("POST", "/interviews/slots", {
+      jdId,
+      stageId,
+      timeZone: "UTC",
+    });
+    const { body: booked } = await request("POST", "/interviews", {
+      jdId,
+      stageId,
+      start: found.slots[0].start,
+      timeZone: "UTC",
+      candidate: { name: "Sam", email: "sam@example.com" },
+    });
+
+    const refused = await request("DELETE", `/jds/${jdId}`);
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, "jd_has_interviews");
+
+    await request("POST", `/interviews/${booked.interview.id}/cancel`);
+    assert.equal((await request("DELETE", `/jds/${jdId}`)).status, 204);
+
+    const pipeline = await request("GET", `/candidates?jdId=${jdId}`);
+    assert.deepEqual(pipeline.body.items, []);
+    const interviews = await request("GET", `/interviews?jdId=${jdId}`);
+    assert.deepEqual(interviews.body.items, []);
+    const loops = JSON.parse(
+      await fs.readFile(
+        path.join(server.dataDir, "interviewLoops.json"),
+        "utf8"
+      )
+    );
+    assert.equal(loops.filter((loop) => loop.jdId === jdId).length, 0);
+  });
+});
@@ -0,0 +1,151 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// The store reads DATA_DIR when it is first imported, and the match prompt
+// comes from the store
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "matching-test-"));
+process.env.DATA_DIR = dataDir;
+const { assessCandidate, keywordsOf, requirementsFromAnswers, scoreResume } =
+  await import("../lib/matching.js");
+const { seedDefaultPrompts } = await import("../lib/prompts.js");
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const RESUME = [
+  "Jane Doe",
+  "Senior engineer at Acme, 2019-2024",
+  "- Built billing APIs in Node.js and managed a team of five",
+  "- Ran Kubernetes clusters for 40 services",
+].join("\n");
+
+test("requirementsFromAnswers splits skills, goals and KPIs", () => {
+  const requirements = requirementsFromAnswers({
+    skills: ["Node.js", " PostgreSQL "],
+    goals: "Launch 3 products, Cut churn 20%",
+    kpi: "- Uptime\n- Ticket response time",
+  });
+  assert.deepEqual(
+    requirements.map((r) => [r.id, r.text, r.weight]),
+    [
+      ["skill-1", "Node.js", 2],
+      ["skill-2", "PostgreSQL", 2],
+      ["goal-1", "Launch 3 products", 1],
+      ["goal-2", "Cut churn 20%", 1],
+      ["kpi-1", "Uptime", 1],
+      ["kpi-2", "Ticket response time", 1],
+    ]
+  );
+  assert.deepEqual(requirementsFromAnswers(), []);
+});
+
+test("keywordsOf drops stop words and numbers and keeps tech names", () => {
+  assert.deepEqual(keywordsOf("Strong experience with C++, C# and Node.js"), [
+    "c++",
+    "c#",
+    "node.js",
+  ]);
+  assert.deepEqual(keywordsOf("Managed teams"), keywordsOf("managing team"));
+  assert.deepEqual(keywordsOf("Grow revenue 20% in 2025"), ["grow", "revenu"]);
+});
+
+describe("scoreResume", () => {
+  const cases = [
+    ["a skill named exactly as in the JD", "Node.js", "met", 1],
+    ["every keyword, in other forms", "Managing teams", "met", 1],
+    ["some of the keywords", "Kubernetes administration", "partial", 0.5],
+    ["none of the keywords", "Go", "missing", 0],
+  ];
+  for (const [name, text, status, score] of cases) {
+    test(`rates ${name} as ${status}`, () => {
+      const [item] = scoreResume(
+        [{ id: "skill-1", kind: "skill", text, weight: 2 }],
+        RESUME
+      ).breakdown;
+      assert.equal(item.status, status);
+      assert.equal(item.score, score);
+    });
+  }
+
+  test("weights skills twice and quotes the best line as evidence", () => {
+    const result = scoreResume(
+      requirementsFromAnswers({
+        skills: ["Node.js", "Go"],
+        goals: "Manage a team",
+        kpi: "Billing uptime",
+      }),
+      RESUME
+    );
+
+    // (2 × 1 + 2 × 0 + 1 × 1 + 1 × 0.5) / 6
+    assert.equal(result.score, 58);
+    assert.deepEqual(result.byKind, { skill: 50, goal: 100, kpi: 50 });
+    const [node, go, , uptime] = result.breakdown;
+    assert.equal(
+      node.evidence,
+      "- Built billing APIs in Node.js and managed a team of five"
+    );
+    assert.equal(go.evidence, null);
+    assert.deepEqual(uptime.missing, ["uptime"]);
+  });
+
+  test("scores nothing without requirements", () => {
+    assert.deepEqual(scoreResume([], RESUME), {
+      score: null,
+      byKind: { skill: null, goal: null, kpi: null },
+      breakdown: [],
+    });
+  });
+});
+
+describe("assessCandidate", () => {
+  before(() => seedDefaultPrompts());
+
+  const answering = (answer) => ({
+    async complete() {
+      return answer;
+    },
+  });
+  const { breakdown } = scoreResume(
+    requirementsFromAnswers({ skills: ["Node.js", "Go"] }),
+    RESUME
+  );
+
+  test("scores with the model's statuses, keeping skipped ones", async () => {
+    const assessment = await assessCandidate(
+      answering(
+        JSON.stringify({
+          summary: " Strong backend engineer. ",
+          recommendation: "possible",
+          requirements: [
+            { id: "skill-2", status: "partial", rationale: "Knows Rust" },
+            { id: "skill-9", status: "met" },
+            { id: "skill-1", status: "excellent" },
+          ],
+        })
+      ),
+      { title: "Engineer", breakdown, resume: RESUME }
+    );
+
+    assert.deepEqual(assessment, {
+      score: 75,
+      summary: "Strong backend engineer.",
+      recommendation: "possible",
+      requirements: {
+        "skill-2": { status: "partial", rationale: "Knows Rust" },
+      },
+    });
+  });
+
+  test("fails with ai_invalid_output without requirements", async () => {
+    await assert.rejects(
+      assessCandidate(answering('{"summary": "Fine"}'), {
+        title: "Engineer",
+        breakdown,
+        resume: RESUME,
+      }),
+      { code: "ai_invalid_output" }
+    );
+  });
+});
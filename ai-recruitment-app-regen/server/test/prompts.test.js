@@ -0,0 +1,73 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+describe("seedDefaultPrompts", () => {
+  let dataDir;
+  let prompts;
+
+  before(async () => {
+    // The store reads DATA_DIR when it is first imported
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "prompts-test-"));
+    process.env.DATA_DIR = dataDir;
+    prompts = await import("../lib/prompts.js");
+  });
+  after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+  // Each test seeds first, so none depends on another having run
+
+  test("seeds every prompt once", async () => {
+    await prompts.seedDefaultPrompts();
+    for (const name of Object.keys(prompts.PROMPTS)) {
+      assert.ok(await prompts.getCurrentPrompt(name), name);
+    }
+    assert.deepEqual(await prompts.seedDefaultPrompts(), []);
+  });
+
+  test("stores a changed built-in default nobody has edited", async () => {
+    await prompts.seedDefaultPrompts();
+    const { template } = await prompts.getCurrentPrompt("generate");
+    await prompts.savePromptVersion("generate", "An older default", {
+      note: "Built-in default",
+    });
+
+    assert.ok((await prompts.seedDefaultPrompts()).includes("generate"));
+    const current = await prompts.getCurrentPrompt("generate");
+    assert.equal(current.template, template);
+    assert.equal(current.note, "Built-in default (updated)");
+  });
+
+  test("keeps a prompt an admin has edited", async () => {
+    await prompts.seedDefaultPrompts();
+    await prompts.savePromptVersion("polish", "Our own polish prompt", {
+      createdBy: { id: "1", username: "admin" },
+    });
+
+    assert.ok(!(await prompts.seedDefaultPrompts()).includes("polish"));
+    const current = await prompts.getCurrentPrompt("polish");
+    assert.equal(current.template, "Our own polish prompt");
+  });
+
+  test("an install seeded before the Boolean guidance gets it", async () => {
+    await prompts.seedDefaultPrompts();
+    const guidance = "Write Boolean operators in capitals";
+    const { template } = await prompts.getCurrentPrompt("sourcing");
+    assert.ok(template.includes(guidance));
+    const before = template
+      .split("\n")
+      .filter((line) => !line.startsWith(guidance))
+      .join("\n");
+    await prompts.savePromptVersion("sourcing", before, {
+      note: "Built-in default",
+    });
+
+    assert.ok((await prompts.seedDefaultPrompts()).includes("sourcing"));
+    const { text } = await prompts.renderPrompt("sourcing", {
+      location: "Austin, TX",
+      companyCount: 10,
+    });
+    assert.ok(text.includes(guidance));
+  });
+});
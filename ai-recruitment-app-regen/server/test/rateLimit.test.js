@@ -0,0 +1,101 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  clientKey,
+  createRateLimiter,
+  rateLimitFromEnv,
+} from "../middleware/rateLimit.js";
+
+// Run a limiter against a fake request and report what it answered
+function call(limiter, req = { ip: "10.0.0.1" }) {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    body: null,
+    set(name, value) {
+      headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  limiter(req, res, () => {
+    passed = true;
+  });
+  return { passed, status: res.statusCode, body: res.body, headers };
+}
+
+describe("createRateLimiter", () => {
+  test("allows a burst, then answers 429 with Retry-After", (t) => {
+    t.mock.method(Date, "now", () => 1_000_000);
+    const limiter = createRateLimiter({ name: "test", burst: 3, perMinute: 6 });
+
+    const results = [1, 2, 3, 4].map(() => call(limiter));
+    assert.deepEqual(
+      results.map((r) => r.passed),
+      [true, true, true, false]
+    );
+    const rejected = results[3];
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.body.limiter, "test");
+    // One token every 10 seconds
+    assert.equal(rejected.headers["Retry-After"], "10");
+    assert.equal(rejected.headers["RateLimit-Limit"], "3");
+    assert.equal(rejected.headers["RateLimit-Remaining"], "0");
+    assert.equal(rejected.headers["RateLimit-Policy"], "3;w=30");
+  });
+
+  test("refills at perMinute tokens a minute, up to the burst", (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, "now", () => now);
+    const limiter = createRateLimiter({ name: "test", burst: 2, perMinute: 6 });
+
+    call(limiter);
+    call(limiter);
+    assert.equal(call(limiter).passed, false);
+
+    now += 10_000;
+    assert.equal(call(limiter).passed, true);
+    assert.equal(call(limiter).passed, false);
+
+    now += 10 * 60_000;
+    assert.equal(call(limiter).headers["RateLimit-Remaining"], "1");
+  });
+
+  test("keeps a separate bucket per client", (t) => {
+    t.mock.method(Date, "now", () => 1_000_000);
+    const limiter = createRateLimiter({ name: "test", burst: 1, perMinute: 1 });
+
+    assert.equal(call(limiter, { ip: "10.0.0.1" }).passed, true);
+    assert.equal(call(limiter, { ip: "10.0.0.1" }).passed, false);
+    assert.equal(call(limiter, { ip: "10.0.0.2" }).passed, true);
+    assert.equal(
+      call(limiter, { ip: "10.0.0.1", user: { id: "u1" } }).passed,
+      true
+    );
+  });
+});
+
+test("clientKey charges signed-in users by account, others by IP", () => {
+  assert.equal(clientKey({ ip: "10.0.0.1", user: { id: "u1" } }), "user:u1");
+  assert.equal(clientKey({ ip: "10.0.0.1" }), "ip:10.0.0.1");
+});
+
+test("rateLimitFromEnv reads RATE_LIMIT_<NAME>_* with defaults", (t) => {
+  t.after(() => {
+    delete process.env.RATE_LIMIT_EXAMPLE_BURST;
+  });
+  process.env.RATE_LIMIT_EXAMPLE_BURST = "7";
+  assert.deepEqual(rateLimitFromEnv("example", { burst: 1, perMinute: 2 }), {
+    name: "example",
+    burst: 7,
+    perMinute: 2,
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createCircuitBreaker,
+  resilienceFromEnv,
+  withResilience,
+} from "../lib/providers/resilience.js";
+import {
+  AI_ERROR_CODES,
+  AIProviderError,
+  UpstreamError,
+} from "../lib/providers/errors.js";
+
+const OPTIONS = {
+  timeoutMs: 50,
+  maxRetries: 2,
+  retryBaseMs: 1,
+  retryMaxMs: 5,
+  failureThreshold: 2,
+  resetTimeoutMs: 60000,
+};
+
+/**
+ * A provider whose complete() answers with the given outcomes in turn: an
+ * Error is thrown, anything else is returned
+ */
+function scripted(...outcomes) {
+  const provider = {
+    name: "test",
+    model: "test-model",
+    calls: 0,
+    async complete() {
+      const outcome = outcomes[Math.min(provider.calls++, outcomes.length - 1)];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    },
+  };
+  return provider;
+}
+
+const outage = () => new UpstreamError("test", 503, "down");
+const misconfigured = () =>
+  new AIProviderError(AI_ERROR_CODES.MISCONFIGURED, { detail: "no key" });
+
+describe("withResilience", () => {
+  test("retries outages and returns the first success", async () => {
+    const provider = scripted(outage(), outage(), "ok");
+    const resilient = withResilience(provider, {
+      ...OPTIONS,
+      failureThreshold: 10,
+    });
+
+    assert.equal(await resilient.complete([]), "ok");
+    assert.equal(provider.calls, 3);
+    assert.equal(resilient.breaker.state, "closed");
+  });
+
+  test("gives up after maxRetries with a classified error", async () => {
+    const provider = scripted(outage());
+    const resilient = withResilience(provider, {
+      ...OPTIONS,
+      failureThreshold: 10,
+    });
+
+    await assert.rejects(resilient.complete([]), {
+      code: AI_ERROR_CODES.UNAVAILABLE,
+      status: 502,
+    });
+    assert.equal(provider.calls, 3);
+  });
+
+  test("does not retry a rejected request", async () => {
+    const provider = scripted(new UpstreamError("test", 400, "bad"));
+    const resilient = withResilience(provider, OPTIONS);
+
+    await assert.rejects(resilient.complete([]), {
+      code: AI_ERROR_CODES.REJECTED,
+    });
+    assert.equal(provider.calls, 1);
+  });
+
+  test("returns a long Retry-After right away", async () => {
+    const provider = scripted(new UpstreamError("test", 429, "slow", 120));
+    const resilient = withResilience(provider, OPTIONS);
+
+    await assert.rejects(resilient.complete([]), {
+      code: AI_ERROR_CODES.RATE_LIMITED,
+      retryAfter: 120,
+    });
+    assert.equal(provider.calls, 1);
+  });
+
+  test("times out a call that makes no progress", async () => {
+    const provider = {
+      name: "test",
+      model: "test-model",
+      complete: (messages, { signal }) =>
+        new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(signal.reason))
+        ),
+    };
+    const resilient = withResilience(provider, { ...OPTIONS, maxRetries: 0 });
+
+    await assert.rejects(resilient.complete([]), {
+      code: AI_ERROR_CODES.TIMEOUT,
+    });
+  });
+
+  test("opens the circuit after repeated outages and fails fast", async () => {
+    const provider = scripted(outage());
+    const resilient = withResilience(provider, { ...OPTIONS, maxRetries: 0 });
+
+    await assert.rejects(resilient.complete([]));
+    await assert.rejects(resilient.complete([]));
+    assert.equal(resilient.breaker.state, "open");
+
+    await assert.rejects(resilient.complete([]), {
+      code: AI_ERROR_CODES.CIRCUIT_OPEN,
+    });
+    assert.equal(provider.calls, 2);
+  });
+
+  test("keeps configuration errors out of the circuit", async () => {
+    const provider = scripted(outage(), misconfigured(), outage());
+    const resilient = withResilience(provider, { ...OPTIONS, maxRetries: 0 });
+
+    await assert.rejects(resilient.complete([]));
+    await assert.rejects(resilient.complete([]), {
+      code: AI_ERROR_CODES.MISCONFIGURED,
+    });
+    await assert.rejects(resilient.complete([]));
+    assert.equal(resilient.breaker.state, "open");
+  });
+
+  test("only retries a stream before its first token", async () => {
+    let calls = 0;
+    const provider = {
+      name: "test",
+      model: "test-model",
+      async stream(messages, { onToken }) {
+        calls++;
+        onToken("Hello");
+        throw outage();
+      },
+    };
+    const resilient = withResilience(provider, OPTIONS);
+    const tokens = [];
+
+    await assert.rejects(
+      resilient.stream([], { onToken: (token) => tokens.push(token) }),
+      { code: AI_ERROR_CODES.UNAVAILABLE }
+    );
+    assert.equal(calls, 1);
+    assert.deepEqual(tokens, ["Hello"]);
+  });
+});
+
+describe("createCircuitBreaker", () => {
+  test("lets one trial call through once the reset timeout passes", (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, "now", () => now);
+    const breaker = createCircuitBreaker({
+      failureThreshold: 1,
+      resetTimeoutMs: 1000,
+    });
+
+    breaker.record(true);
+    assert.throws(() => breaker.check(), { code: "ai_circuit_open" });
+
+    now += 1000;
+    breaker.check();
+    assert.equal(breaker.state, "half-open");
+    assert.throws(() => breaker.check(), { code: "ai_circuit_open" });
+
+    breaker.record(false);
+    assert.equal(breaker.state, "closed");
+    breaker.check();
+  });
+
+  test("reopens when the trial call fails", (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, "now", () => now);
+    const breaker = createCircuitBreaker({
+      failureThreshold: 3,
+      resetTimeoutMs: 1000,
+    });
+
+    breaker.record(true);
+    breaker.record(true);
+    breaker.record(true);
+    now += 1000;
+    breaker.check();
+    breaker.record(true);
+    assert.equal(breaker.state, "open");
+  });
+});
+
+test("resilienceFromEnv falls back to defaults for blank or bad values", () => {
+  const options = resilienceFromEnv({
+    LLM_TIMEOUT_MS: "1000",
+    LLM_MAX_RETRIES: "",
+    LLM_CIRCUIT_FAILURES: "many",
+  });
+  assert.equal(options.timeoutMs, 1000);
+  assert.equal(options.maxRetries, 2);
+  assert.equal(options.failureThreshold, 5);
+});
@@ -0,0 +1,202 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CLASH_MESSAGE,
+  availabilityErrors,
+  findSlots,
+  parseClock,
+  slotProblem,
+} from "../lib/scheduling.js";
+import { buildInvite } from "../lib/ics.js";
+
+// Monday 19 October 2026, 06:00 in New York
+const NOW = new Date("2026-10-19T10:00:00Z");
+const weekdays = (start, end) =>
+  [1, 2, 3, 4, 5].map((day) => ({ day, start, end }));
+const ana = {
+  id: "i1",
+  timeZone: "America/New_York",
+  availability: weekdays("10:00", "12:00"),
+};
+const ben = {
+  id: "i2",
+  timeZone: "Europe/London",
+  availability: weekdays("14:00", "18:00"),
+};
+
+test("parseClock reads HH:MM up to the end of the day", () => {
+  assert.equal(parseClock("09:30"), 570);
+  assert.equal(parseClock("24:00"), 1440);
+  for (const bad of ["9:30", "24:30", "12:60", "", undefined]) {
+    assert.equal(parseClock(bad), null, String(bad));
+  }
+});
+
+test("availabilityErrors flags bad and empty windows", () => {
+  assert.deepEqual(
+    availabilityErrors([
+      { day: 1, start: "09:00", end: "17:00" },
+      { day: 2, start: "9am", end: "17:00" },
+      { day: 3, start: "17:00", end: "09:00" },
+    ]),
+    {
+      "availability[1]": "Times must be HH:MM, e.g. 09:00.",
+      "availability[2]": "The end must be after the start.",
+    }
+  );
+});
+
+describe("slotProblem", () => {
+  const slot = (iso, overrides = {}) =>
+    slotProblem({
+      start: new Date(iso),
+      durationMinutes: 60,
+      interviewers: [ana],
+      busy: [],
+      zone: "America/New_York",
+      now: NOW,
+      ...overrides,
+    });
+
+  test("accepts a time inside everyone's hours", () => {
+    // 10:00 in New York
+    assert.equal(slot("2026-10-20T14:00:00Z"), null);
+  });
+
+  const problems = [
+    ["a time that has passed", "2026-10-19T09:00:00Z", {}, /passed/],
+    [
+      "a time outside the candidate's hours",
+      "2026-10-20T14:00:00Z",
+      { zone: "Asia/Tokyo" },
+      /candidate's working hours/,
+    ],
+    ["a weekend", "2026-10-24T14:00:00Z", { zone: null }, /isn't available/],
+    [
+      "a slot running past the interviewer's hours",
+      "2026-10-20T15:30:00Z",
+      {},
+      /isn't available/,
+    ],
+    [
+      "an overlapping interview",
+      "2026-10-20T14:00:00Z",
+      {
+        busy: [
+          {
+            start: "2026-10-20T14:30:00Z",
+            end: "2026-10-20T15:00:00Z",
+            interviewers: [{ id: "i1" }],
+          },
+        ],
+      },
+      new RegExp(CLASH_MESSAGE),
+    ],
+  ];
+  for (const [name, iso, overrides, reason] of problems) {
+    test(`refuses ${name}`, () => {
+      assert.match(slot(iso, overrides), reason);
+    });
+  }
+
+  test("ignores other interviewers' interviews and back-to-back ones", () => {
+    const busy = [
+      {
+        start: "2026-10-20T14:00:00Z",
+        end: "2026-10-20T15:00:00Z",
+        interviewers: [{ id: "i2" }],
+      },
+      {
+        start: "2026-10-20T13:00:00Z",
+        end: "2026-10-20T14:00:00Z",
+        interviewers: [{ id: "i1" }],
+      },
+    ];
+    assert.equal(slot("2026-10-20T14:00:00Z", { busy }), null);
+  });
+});
+
+describe("findSlots", () => {
+  test("finds the hours every interviewer and the candidate share", () => {
+    // Ana's 10:00-12:00 in New York and Ben's 14:00-18:00 in London overlap
+    // from 10:00 to 12:00 New York time (14:00-16:00 UTC)
+    const slots = findSlots({
+      durationMinutes: 60,
+      interviewers: [ana, ben],
+      busy: [],
+      zone: "America/New_York",
+      days: 2,
+      now: NOW,
+    });
+    assert.deepEqual(slots, [
+      { start: "2026-10-19T14:00:00.000Z", end: "2026-10-19T15:00:00.000Z" },
+      { start: "2026-10-19T14:30:00.000Z", end: "2026-10-19T15:30:00.000Z" },
+      { start: "2026-10-19T15:00:00.000Z", end: "2026-10-19T16:00:00.000Z" },
+      { start: "2026-10-20T14:00:00.000Z", end: "2026-10-20T15:00:00.000Z" },
+      { start: "2026-10-20T14:30:00.000Z", end: "2026-10-20T15:30:00.000Z" },
+      { start: "2026-10-20T15:00:00.000Z", end: "2026-10-20T16:00:00.000Z" },
+    ]);
+  });
+
+  test("caps the slots per day and leaves out booked times", () => {
+    const allDay = { ...ana, availability: weekdays("00:00", "24:00") };
+    const slots = findSlots({
+      durationMinutes: 30,
+      interviewers: [allDay],
+      busy: [
+        {
+          start: "2026-10-20T13:00:00Z",
+          end: "2026-10-20T14:00:00Z",
+          interviewers: [{ id: "i1" }],
+        },
+      ],
+      zone: "America/New_York",
+      from: new Date("2026-10-20T00:00:00Z"),
+      days: 1,
+      now: NOW,
+    });
+    assert.deepEqual(
+      slots.map((s) => s.start),
+      [
+        "2026-10-20T14:00:00.000Z",
+        "2026-10-20T14:30:00.000Z",
+        "2026-10-20T15:00:00.000Z",
+        "2026-10-20T15:30:00.000Z",
+      ]
+    );
+  });
+});
+
+describe("buildInvite", () => {
+  const invite = (fields) =>
+    buildInvite({
+      uid: "1@test",
+      start: "2026-10-20T14:00:00Z",
+      end: "2026-10-20T15:00:00Z",
+      summary: "Interview",
+      ...fields,
+    });
+
+  test("escapes text and every kind of line break", () => {
+    const ics = invite({
+      description: "One; two, three\\\r\nfour\rfive\nsix",
+    });
+    assert.match(
+      ics,
+      /\r\nDESCRIPTION:One\\; two\\, three\\\\\\nfour\\nfive\\nsix\r\n/
+    );
+  });
+
+  test("folds long lines at 75 octets without splitting characters", () => {
+    const lines = invite({ summary: "é".repeat(100) }).split("\r\n");
+    for (const line of lines) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    const summary = lines
+      .slice(lines.findIndex((line) => line.startsWith("SUMMARY:")))
+      .filter((line, i) => i === 0 || line.startsWith(" "))
+      .map((line, i) => (i ? line.slice(1) : line))
+      .join("");
+    assert.equal(summary, `SUMMARY:${"é".repeat(100)}`);
+  });
+});
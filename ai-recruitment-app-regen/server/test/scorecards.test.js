@@ -0,0 +1,112 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  criteriaFromAnswers,
+  ratingErrors,
+  summarizeScorecards,
+} from "../lib/scorecards.js";
+
+const CRITERIA = criteriaFromAnswers({
+  skills: ["Go"],
+  goals: "Ship the billing rewrite",
+  superstar: "Mentors the team",
+});
+
+test("criteriaFromAnswers adds the superstar outcomes", () => {
+  assert.deepEqual(CRITERIA, [
+    { id: "skill-1", kind: "skill", text: "Go" },
+    { id: "goal-1", kind: "goal", text: "Ship the billing rewrite" },
+    { id: "superstar-1", kind: "superstar", text: "Mentors the team" },
+  ]);
+});
+
+describe("ratingErrors", () => {
+  test("lets a draft skip evidence", () => {
+    assert.deepEqual(
+      ratingErrors(CRITERIA, [{ criterionId: "skill-1", rating: 3 }], {
+        submit: false,
+      }),
+      {}
+    );
+  });
+
+  test("asks a submission for evidence and at least one rating", () => {
+    assert.deepEqual(
+      ratingErrors(CRITERIA, [{ criterionId: "skill-1", rating: 3 }], {
+        submit: true,
+      }),
+      { "ratings[0].evidence": "Add the evidence for this rating." }
+    );
+    assert.deepEqual(ratingErrors(CRITERIA, [], { submit: true }), {
+      ratings: "Rate at least one criterion.",
+    });
+  });
+
+  test("refuses unknown and repeated criteria", () => {
+    const errors = ratingErrors(
+      CRITERIA,
+      [
+        { criterionId: "skill-9", rating: 3, evidence: "x" },
+        { criterionId: "goal-1", rating: 3, evidence: "x" },
+        { criterionId: "goal-1", rating: 2, evidence: "x" },
+      ],
+      { submit: true }
+    );
+    assert.deepEqual(Object.keys(errors), ["ratings[0]", "ratings[2]"]);
+  });
+});
+
+describe("summarizeScorecards", () => {
+  const scorecard = (recommendation, ratings, criteria = CRITERIA) => ({
+    recommendation,
+    criteria,
+    ratings: Object.entries(ratings).map(([criterionId, rating]) => ({
+      criterionId,
+      rating,
+      evidence: "x",
+    })),
+  });
+
+  const decisions = [
+    ["hire", ["yes", "strong_yes"], 3.5],
+    ["mixed", ["strong_no", "strong_yes", "strong_yes"], 3],
+    ["mixed", ["no", "yes"], 2.5],
+    ["no_hire", ["no", "strong_no"], 1.5],
+  ];
+  for (const [decision, recommendations, score] of decisions) {
+    test(`decides ${decision} for ${recommendations.join(", ")}`, () => {
+      const summary = summarizeScorecards(
+        recommendations.map((r) => scorecard(r, {}))
+      );
+      assert.equal(summary.decision, decision);
+      assert.equal(summary.score, score);
+    });
+  }
+
+  test("averages each criterion, matching edited JDs by text", () => {
+    const renumbered = CRITERIA.map((c) =>
+      c.kind === "skill" ? { ...c, id: "skill-2" } : c
+    );
+    const summary = summarizeScorecards([
+      scorecard("yes", { "skill-1": 3, "superstar-1": 4 }),
+      scorecard("yes", { "skill-2": 4 }, renumbered),
+    ]);
+    assert.deepEqual(
+      summary.criteria.map((c) => [c.text, c.average, c.ratings]),
+      [
+        ["Go", 3.5, [3, 4]],
+        ["Mentors the team", 4, [4]],
+      ]
+    );
+    assert.deepEqual(summary.recommendations, {
+      strong_no: 0,
+      no: 0,
+      yes: 2,
+      strong_yes: 0,
+    });
+  });
+
+  test("has no decision without scorecards", () => {
+    assert.equal(summarizeScorecards([]).decision, null);
+  });
+});
@@ -0,0 +1,143 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// The store reads DATA_DIR when it is first imported, and the sourcing prompt
+// comes from the store
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "sourcing-test-"));
+process.env.DATA_DIR = dataDir;
+const {
+  SOURCING_COMPANY_COUNT,
+  generateSourcingStrategy,
+  parseSourcingResponse,
+} = await import("../lib/sourcing.js");
+const { seedDefaultPrompts } = await import("../lib/prompts.js");
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+function strategy(overrides = {}) {
+  return {
+    companies: Array.from({ length: SOURCING_COMPANY_COUNT }, (_, i) => ({
+      name: `Company ${i + 1}`,
+      linkedinSearch: `site:linkedin.com/in "Company ${i + 1}" engineer`,
+      reason: "Large engineering team",
+    })),
+    diceSearch: "engineer AND (java OR python)",
+    summary: "Target large engineering teams",
+    ...overrides,
+  };
+}
+
+describe("parseSourcingResponse", () => {
+  test("accepts a valid strategy, with or without a code fence", () => {
+    const json = JSON.stringify(strategy());
+    assert.deepEqual(parseSourcingResponse(json), {
+      data: strategy(),
+      errors: [],
+    });
+    assert.deepEqual(
+      parseSourcingResponse("```json\n" + json + "\n```").data,
+      strategy()
+    );
+  });
+
+  test("drops fields the schema doesn't know", () => {
+    const { data } = parseSourcingResponse(
+      JSON.stringify({ ...strategy(), confidence: "high" })
+    );
+    assert.deepEqual(data, strategy());
+  });
+
+  const invalid = [
+    ["text that isn't JSON", "Here you go!", /not valid JSON/],
+    [
+      "a missing field",
+      JSON.stringify({ ...strategy(), summary: undefined }),
+      /summary/,
+    ],
+    [
+      "a blank string",
+      JSON.stringify(strategy({ diceSearch: "   " })),
+      /\/diceSearch/,
+    ],
+    [
+      "the wrong number of companies",
+      JSON.stringify(strategy({ companies: strategy().companies.slice(1) })),
+      /\/companies/,
+    ],
+    [
+      "repeated companies",
+      JSON.stringify(
+        strategy({
+          companies: strategy().companies.map((c, i) =>
+            i === 1 ? { ...c, name: " company 1 " } : c
+          ),
+        })
+      ),
+      /distinct \(repeated: company 1\)/,
+    ],
+  ];
+  for (const [name, text, error] of invalid) {
+    test(`rejects ${name}`, () => {
+      const { data, errors } = parseSourcingResponse(text);
+      assert.equal(data, null);
+      assert.ok(
+        errors.some((e) => error.test(e)),
+        errors.join("; ")
+      );
+    });
+  }
+});
+
+describe("generateSourcingStrategy", () => {
+  before(() => seedDefaultPrompts());
+
+  // A provider answering with the given responses in turn
+  function scripted(...responses) {
+    const calls = [];
+    return {
+      calls,
+      async complete(messages, options) {
+        calls.push({ messages: [...messages], options });
+        return responses[calls.length - 1];
+      },
+    };
+  }
+
+  test("asks in JSON mode and returns a valid first answer", async () => {
+    const llm = scripted(JSON.stringify(strategy()));
+    const result = await generateSourcingStrategy(llm, {
+      jd: "Senior engineer",
+      location: "Austin, TX",
+    });
+
+    assert.deepEqual(result, strategy());
+    assert.equal(llm.calls.length, 1);
+    assert.equal(llm.calls[0].options.json, true);
+  });
+
+  test("re-prompts with the validation errors and uses the repair", async () => {
+    const broken = JSON.stringify(strategy({ summary: "" }));
+    const llm = scripted(broken, JSON.stringify(strategy()));
+    const result = await generateSourcingStrategy(llm, {
+      jd: "Senior engineer",
+      location: "Austin, TX",
+    });
+
+    assert.deepEqual(result, strategy());
+    const [assistant, repair] = llm.calls[1].messages.slice(-2);
+    assert.deepEqual(assistant, { role: "assistant", content: broken });
+    assert.equal(repair.role, "user");
+    assert.match(repair.content, /\/summary/);
+  });
+
+  test("fails with ai_invalid_output when the repair is invalid too", async () => {
+    const llm = scripted("nope", "still nope");
+    await assert.rejects(
+      generateSourcingStrategy(llm, { jd: "x", location: "y" }),
+      { code: "ai_invalid_output" }
+    );
+    assert.equal(llm.calls.length, 2);
+  });
+});
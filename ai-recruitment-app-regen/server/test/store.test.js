@@ -0,0 +1,75 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+describe("createCollection", () => {
+  let dataDir;
+  let createCollection;
+
+  before(async () => {
+    // The store reads DATA_DIR when it is first imported
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "store-test-"));
+    process.env.DATA_DIR = dataDir;
+    ({ createCollection } = await import("../lib/store.js"));
+  });
+  after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+  const readFile = async (name) =>
+    JSON.parse(await fs.readFile(path.join(dataDir, `${name}.json`), "utf8"));
+
+  test("keeps an insert made while the first load is in flight", async () => {
+    await fs.writeFile(
+      path.join(dataDir, "loading.json"),
+      JSON.stringify([{ id: "a" }])
+    );
+    const docs = createCollection("loading");
+
+    await Promise.all([docs.insert({ id: "b" }), docs.list()]);
+    assert.deepEqual(
+      (await docs.list()).map((doc) => doc.id),
+      ["a", "b"]
+    );
+    assert.equal((await readFile("loading")).length, 2);
+  });
+
+  test("insertUnless skips a clashing document", async () => {
+    const docs = createCollection("unique");
+    const clash = (doc) => doc.email === "a@example.com";
+
+    const [first, second] = await Promise.all([
+      docs.insertUnless(clash, { email: "a@example.com" }),
+      docs.insertUnless(clash, { email: "a@example.com" }),
+    ]);
+    assert.ok(first);
+    assert.equal(second, null);
+    assert.equal((await docs.list()).length, 1);
+  });
+
+  test("upsert creates a document, then changes it in place", async () => {
+    const totals = createCollection("totals");
+    const add = (current) => ({ count: (current?.count || 0) + 1 });
+
+    await Promise.all([totals.upsert("a", add), totals.upsert("a", add)]);
+    assert.deepEqual(await totals.list(), [{ id: "a", count: 2 }]);
+  });
+
+  test("writes again after a failed write", async () => {
+    const docs = createCollection("flaky");
+    await docs.insert({ id: "1" });
+
+    // A directory in place of the file makes the next rename fail
+    const file = path.join(dataDir, "flaky.json");
+    await fs.rm(file);
+    await fs.mkdir(file);
+    await assert.rejects(docs.insert({ id: "2" }));
+
+    await fs.rmdir(file);
+    await docs.insert({ id: "3" });
+    assert.deepEqual(
+      (await readFile("flaky")).map((doc) => doc.id),
+      ["1", "2", "3"]
+    );
+  });
+});
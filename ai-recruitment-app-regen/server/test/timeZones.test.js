@@ -0,0 +1,88 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import TimeZones from "../../shared/timeZones.js";
+
+describe("TimeZones.resolve", () => {
+  const cases = [
+    // The JD builder's suggestions
+    ["PST (Pacific)", "America/Los_Angeles"],
+    ["EST (Eastern)", "America/New_York"],
+    ["CST (Central)", "America/Chicago"],
+    ["MST (Mountain)", "America/Denver"],
+    ["GMT (UTC)", "UTC"],
+    // IANA names win over anything else in the answer
+    ["Europe/Berlin", "Europe/Berlin"],
+    ["EST, or America/Toronto", "America/Toronto"],
+    // Zones outside the US aren't read as US ones
+    ["CET", "Europe/Berlin"],
+    ["Central European Time", "Europe/Berlin"],
+    ["EET", "Europe/Athens"],
+    ["Eastern European", "Europe/Athens"],
+    ["AEST", "Australia/Sydney"],
+    ["Australian Eastern Time", "Australia/Sydney"],
+    ["IST", "Asia/Kolkata"],
+    // US zones by name only in US wording
+    ["US Central", "America/Chicago"],
+    ["U.S. Pacific", "America/Los_Angeles"],
+    ["Eastern Standard Time", "America/New_York"],
+    ["Central Time", "America/Chicago"],
+    ["Eastern", null],
+    // Offsets
+    ["UTC+2", "Etc/GMT-2"],
+    ["GMT -05:00", "Etc/GMT+5"],
+    ["UTC−3", "Etc/GMT+3"],
+    ["UTC+0", "UTC"],
+    ["UTC+5:30", "Asia/Kolkata"],
+    ["UTC+0545", "Asia/Kathmandu"],
+    ["+09:30", "Australia/Darwin"],
+    ["UTC+3:15", null],
+    ["UTC+15", null],
+    // A range of hours isn't an offset
+    ["9-5 EST", "America/New_York"],
+  ];
+  for (const [answer, zone] of cases) {
+    test(`reads “${answer}” as ${zone}`, () => {
+      assert.deepEqual(TimeZones.resolve(answer), { zone, flexible: false });
+    });
+  }
+
+  test("recognizes flexible answers", () => {
+    for (const answer of ["Flexible", "Any timezone", "Remote, anywhere"]) {
+      assert.deepEqual(TimeZones.resolve(answer), {
+        zone: null,
+        flexible: true,
+      });
+    }
+    assert.deepEqual(TimeZones.resolve(""), { zone: null, flexible: false });
+  });
+});
+
+describe("TimeZones.toInstant", () => {
+  test("converts wall-clock times on either side of a DST change", () => {
+    const zone = "America/New_York";
+    assert.equal(
+      TimeZones.toInstant(
+        { year: 2026, month: 3, day: 7, hour: 9, minute: 0 },
+        zone
+      ).toISOString(),
+      "2026-03-07T14:00:00.000Z"
+    );
+    assert.equal(
+      TimeZones.toInstant(
+        { year: 2026, month: 3, day: 9, hour: 9, minute: 0 },
+        zone
+      ).toISOString(),
+      "2026-03-09T13:00:00.000Z"
+    );
+  });
+
+  test("round-trips through partsIn", () => {
+    const instant = new Date("2026-10-19T07:30:00Z");
+    const parts = TimeZones.partsIn(instant, "Asia/Kolkata");
+    assert.deepEqual([parts.hour, parts.minute, parts.weekday], [13, 0, 1]);
+    assert.equal(
+      TimeZones.toInstant(parts, "Asia/Kolkata").getTime(),
+      instant.getTime()
+    );
+  });
+});
@@ -0,0 +1,151 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+describe("usage", () => {
+  let dataDir;
+  let usage;
+
+  before(async () => {
+    // The store reads DATA_DIR when it is first imported
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "usage-test-"));
+    process.env.DATA_DIR = dataDir;
+    usage = await import("../lib/usage.js");
+  });
+  after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+  const today = () => new Date(new Date().toISOString().slice(0, 10));
+  const tomorrow = () => new Date(today().getTime() + 24 * 60 * 60 * 1000);
+
+  test("priceFor matches dated snapshots by prefix", () => {
+    assert.deepEqual(usage.priceFor("gpt-4o-mini-2024-07-18"), {
+      input: 0.15,
+      output: 0.6,
+    });
+    assert.equal(usage.priceFor("gpt-4o").input, 2.5);
+    assert.equal(usage.priceFor("my-local-model"), null);
+  });
+
+  test("refuses usage without a user", async () => {
+    await assert.rejects(
+      usage.recordUsage(
+        { user: null, feature: "chat", provider: "mock" },
+        { model: "gpt-4o-mini", promptTokens: 1, completionTokens: 1 }
+      ),
+      /for a user/
+    );
+  });
+
+  test("adds calls on the same day to one daily total", async () => {
+    const user = { id: "u1", username: "amy" };
+    const context = {
+      user,
+      feature: "generate",
+      provider: "openai",
+      requisitionId: "req-1",
+    };
+    await Promise.all([
+      usage.recordUsage(context, {
+        model: "gpt-4o-mini",
+        promptTokens: 1000,
+        completionTokens: 500,
+      }),
+      usage.recordUsage(context, {
+        model: "gpt-4o-mini",
+        promptTokens: 2000,
+        completionTokens: 1000,
+        estimated: true,
+      }),
+    ]);
+
+    const days = await usage.listUsage({
+      from: today(),
+      to: tomorrow(),
+      userId: "u1",
+    });
+    assert.equal(days.length, 1);
+    assert.equal(days[0].requests, 2);
+    assert.equal(days[0].totalTokens, 4500);
+    assert.equal(days[0].estimated, 1);
+    // 3000 input and 1500 output tokens at $0.15 and $0.60 per million
+    assert.equal(days[0].cost, 0.00135);
+  });
+
+  test("keeps running totals per user for the quota checks", async () => {
+    const { createCollection } = await import("../lib/store.js");
+    const runningTotals = createCollection("usageTotals");
+    await runningTotals.insert({ id: "cy|2000-01-01", period: "2000-01-01" });
+
+    const context = { user: { id: "u3", username: "Cy" }, feature: "sourcing" };
+    const call = {
+      model: "gpt-4o-mini",
+      promptTokens: 10,
+      completionTokens: 5,
+    };
+    await usage.recordUsage(context, call);
+    // A repair re-prompt for the same request
+    await usage.recordUsage({ ...context, followUp: true }, call);
+
+    const day = new Date().toISOString().slice(0, 10);
+    for (const period of [day, day.slice(0, 7)]) {
+      const totals = await usage.totalUsage({ period, usernames: ["CY"] });
+      assert.equal(totals.requests, 1);
+      assert.equal(totals.totalTokens, 30);
+    }
+    assert.equal(await runningTotals.findById("cy|2000-01-01"), null);
+  });
+
+  test("summarizes by period, feature, user and requisition", () => {
+    const day = (fields) => ({
+      requests: 1,
+      promptTokens: 100,
+      completionTokens: 100,
+      totalTokens: 200,
+      cost: 0.001,
+      estimated: 0,
+      ...fields,
+    });
+    const summary = usage.summarizeUsage(
+      [
+        day({ day: "2026-09-30", username: "amy", feature: "generate" }),
+        day({
+          day: "2026-10-01",
+          username: "amy",
+          feature: "generate",
+          requisitionId: "req-1",
+          requests: 2,
+          cost: 0.004,
+        }),
+        day({ day: "2026-10-02", username: "bo", feature: "chat" }),
+      ],
+      "month"
+    );
+
+    assert.equal(summary.totals.requests, 4);
+    assert.equal(summary.totals.cost, 0.006);
+    assert.deepEqual(
+      summary.buckets.map((b) => [b.period, b.requests]),
+      [
+        ["2026-09", 1],
+        ["2026-10", 3],
+      ]
+    );
+    assert.deepEqual(
+      summary.byUser.map((u) => [u.username, u.requests]),
+      [
+        ["amy", 3],
+        ["bo", 1],
+      ]
+    );
+    assert.deepEqual(
+      summary.byFeature.map((f) => f.feature),
+      ["generate", "chat"]
+    );
+    assert.deepEqual(summary.costPerRequisition, {
+      requisitions: 1,
+      average: 0.004,
+    });
+  });
+});
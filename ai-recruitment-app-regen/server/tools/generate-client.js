@@ -0,0 +1,149 @@
+/**
+ * Generate the SPA's proxy client (scripts/aiClient.js) from the OpenAPI
+ * document, one method per operation.
+ *
+ *   node tools/generate-client.js           write the client
+ *   node tools/generate-client.js --check   exit 1 if it is out of date
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildOpenApiDocument } from "../lib/openapi.js";
+
+const OUTPUT = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "..",
+  "scripts",
+  "aiClient.js"
+);
+
+const HTTP_METHODS = ["get", "post", "put", "delete"];
+
+/**
+ * Describe a request body's fields, e.g. { answers, model?, requisitionId? }
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} Field list
+ */
+function describeBody(operation) {
+  const schema = operation.requestBody.content["application/json"].schema;
+  const required = new Set(schema.required || []);
+  const fields = Object.keys(schema.properties).map(
+    (name) => name + (required.has(name) ? "" : "?")
+  );
+  return `{ ${fields.join(", ")} }`;
+}
+
+/**
+ * Describe what a successful response holds
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} e.g. "JSON TextResponse" or "text/event-stream"
+ */
+function describeResponse(operation) {
+  const [type, { schema }] = Object.entries(
+    operation.responses[200].content
+  )[0];
+  if (type !== "application/json") return type;
+  return schema.$ref ? `JSON ${schema.$ref.split("/").pop()}` : "JSON";
+}
+
+/**
+ * Write one client method
+ * @param {string} method - HTTP method
+ * @param {string} url - Path, including the server prefix
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} Method source
+ */
+function renderMethod(method, url, operation) {
+  const hasBody = Boolean(operation.requestBody);
+  const doc = [
+    `  /**`,
+    `   * ${operation.summary}`,
+    `   * ${method.toUpperCase()} ${url}`,
+    ...(hasBody
+      ? [`   * @param {Object} body - ${describeBody(operation)}`]
+      : []),
+    `   * @param {Object} options - { baseUrl, signal }`,
+    `   * @returns {Promise<Response>} 200: ${describeResponse(operation)}`,
+    `   */`,
+  ];
+  const params = hasBody ? "body, options" : "options";
+  const args = [
+    JSON.stringify(method.toUpperCase()),
+    JSON.stringify(url),
+    hasBody ? "body" : "undefined",
+    "options",
+  ].join(", ");
+  return [
+    ...doc,
+    `  ${operation.operationId}(${params}) {`,
+    `    return this.send(${args});`,
+    `  },`,
+  ].join("\n");
+}
+
+/**
+ * Generate the client source
+ * @param {Object} document - OpenAPI document
+ * @returns {string} Client source
+ */
+function renderClient(document) {
+  const methods = [];
+  for (const [route, pathItem] of Object.entries(document.paths)) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+      const server = (operation.servers || document.servers)[0].url;
+      methods.push(
+        renderMethod(method, server.replace(/\/$/, "") + route, operation)
+      );
+    }
+  }
+
+  return `/**
+ * Client for the AI recruitment proxy, generated from its OpenAPI document
+ * (${document.info.title} ${
+    document.info.version
+  }) by server/tools/generate-client.js.
+ * Do not edit: change the API contract or server/lib/openapi.js and run
+ * \`npm run generate:client\` in server/. Every method resolves with the
+ * fetch Response, whatever its status.
+ */
+const AIClient = {
+  /**
+   * Send a request to the proxy with the session cookie
+   * @param {string} method - HTTP method
+   * @param {string} path - Path on the proxy
+   * @param {Object} body - JSON body (optional)
+   * @param {Object} options - { baseUrl, signal }
+   * @returns {Promise<Response>} Fetch response
+   */
+  send(method, path, body, { baseUrl = "", signal } = {}) {
+    return fetch(baseUrl + path, {
+      method,
+      credentials: "include",
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal,
+    });
+  },
+
+${methods.join("\n\n")}
+};
+`;
+}
+
+const source = renderClient(buildOpenApiDocument());
+
+if (process.argv.includes("--check")) {
+  const current = await fs.readFile(OUTPUT, "utf8").catch(() => "");
+  if (current !== source) {
+    console.error(
+      "scripts/aiClient.js is out of date; run `npm run generate:client`"
+    );
+    process.exit(1);
+  }
+} else {
+  await fs.writeFile(OUTPUT, source);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
@@ -0,0 +1,641 @@
+/**
+ * Proxy API contract shared by the SPA (loaded as a classic script, exposing
+ * the global `ApiContract`) and the server (imported from server.js).
+ * Route paths and request bodies are defined once here so the two can't drift.
+ */
+(function (root, factory) {
+  const contract = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = contract;
+  } else {
+    root.ApiContract = contract;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const VERSION = "v1";
+  const BASE_PATH = `/api/${VERSION}`;
+
+  const MODEL = { type: "string", maxLength: 100 };
+  // Groups the AI calls made for one job requisition, for cost reporting
+  const REQUISITION_ID = { type: "string", maxLength: 100 };
+  const JD_TEXT = {
+    type: "string",
+    required: true,
+    minLength: 1,
+    maxLength: 50000,
+  };
+  const RESUME_TEXT = {
+    type: "string",
+    required: true,
+    minLength: 1,
+    maxLength: 50000,
+  };
+  const CURRENCY = { type: "string", minLength: 3, maxLength: 3 };
+  const PAY_PERIOD = { type: "string", enum: ["year", "month", "hour"] };
+  // The pay range answer; job boards in several states require one
+  const COMPENSATION = {
+    type: "object",
+    properties: {
+      min: { type: "number" },
+      max: { type: "number" },
+      currency: CURRENCY,
+      period: PAY_PERIOD,
+      // Equity, bonus or on-target earnings, as free text
+      variablePay: { type: "string", maxLength: 500 },
+    },
+  };
+  const ID = { type: "string", required: true, minLength: 1, maxLength: 100 };
+  const PERSON = {
+    name: { type: "string", required: true, minLength: 1, maxLength: 200 },
+    email: { type: "string", required: true, minLength: 3, maxLength: 320 },
+  };
+  // IANA name, e.g. "Europe/Berlin"
+  const TIME_ZONE = { type: "string", minLength: 1, maxLength: 100 };
+  // Weekly hours in the interviewer's time zone; day 0 is Sunday and times
+  // are "HH:MM"
+  const INTERVIEWER = {
+    ...PERSON,
+    timeZone: { ...TIME_ZONE, required: true },
+    availability: {
+      type: "array",
+      required: true,
+      maxLength: 50,
+      items: {
+        type: "object",
+        properties: {
+          day: { type: "number", required: true, enum: [0, 1, 2, 3, 4, 5, 6] },
+          start: { type: "string", required: true, minLength: 5, maxLength: 5 },
+          end: { type: "string", required: true, minLength: 5, maxLength: 5 },
+        },
+      },
+    },
+  };
+  // A candidate's place in a JD's hiring pipeline, in board order
+  const PIPELINE_STAGE = {
+    type: "string",
+    enum: [
+      "sourced",
+      "contacted",
+      "screen",
+      "interview",
+      "offer",
+      "hired",
+      "rejected",
+    ],
+  };
+  const CANDIDATE = {
+    name: PERSON.name,
+    email: { type: "string", maxLength: 320 },
+    phone: { type: "string", maxLength: 50 },
+    // LinkedIn, GitHub or portfolio link
+    profileUrl: { type: "string", maxLength: 2000 },
+    // Where they were found, e.g. "LinkedIn" or "Referral"
+    source: { type: "string", maxLength: 100 },
+  };
+  const OUTREACH_CHANNEL = { type: "string", enum: ["inmail", "email", "sms"] };
+  const OUTREACH_TONE = {
+    type: "string",
+    enum: ["friendly", "professional", "casual", "direct"],
+  };
+  // The messages of an outreach sequence, in order; each is sent `delayDays`
+  // after the one before (see shared/outreach.js for the channel limits)
+  const OUTREACH_STEPS = {
+    type: "array",
+    required: true,
+    minLength: 1,
+    maxLength: 4,
+    items: {
+      type: "object",
+      properties: {
+        delayDays: { type: "number", required: true },
+        subject: { type: "string", maxLength: 200 },
+        body: { type: "string", required: true, minLength: 1, maxLength: 3000 },
+      },
+    },
+  };
+  const ANSWERS = {
+    type: "object",
+    required: true,
+    properties: {
+      role: { type: "string", required: true, minLength: 1, maxLength: 200 },
+      location: { type: "string", maxLength: 200 },
+      compensation: COMPENSATION,
+    },
+  };
+
+  /**
+   * Every proxy route. `body` describes the JSON request body: each field has
+   * a `type` and optionally `required`, `minLength`/`maxLength`, `enum`,
+   * `properties` (objects) and `items` (arrays).
+   */
+  const ROUTES = {
+    signup: { method: "POST", path: "/auth/signup" },
+    login: { method: "POST", path: "/auth/login" },
+    logout: { method: "POST", path: "/auth/logout" },
+    me: { method: "GET", path: "/auth/me" },
+
+    listJDs: { method: "GET", path: "/jds" },
+    getJD: { method: "GET", path: "/jds/:id" },
+    createJD: { method: "POST", path: "/jds" },
+    updateJD: { method: "PUT", path: "/jds/:id" },
+    deleteJD: { method: "DELETE", path: "/jds/:id" },
+
+    listPrompts: { method: "GET", path: "/prompts" },
+    getPrompt: { method: "GET", path: "/prompts/:name" },
+    savePrompt: {
+      method: "POST",
+      path: "/prompts/:name",
+      body: {
+        template: {
+          type: "string",
+          required: true,
+          minLength: 1,
+          maxLength: 20000,
+        },
+        note: { type: "string", maxLength: 200 },
+      },
+    },
+    rollbackPrompt: {
+      method: "POST",
+      path: "/prompts/:name/rollback",
+      body: { version: { type: "number", required: true } },
+    },
+
+    // Send either an uploaded file (PDF, DOCX or TXT, base64-encoded) or text
+    parseResume: {
+      method: "POST",
+      path: "/resumes/parse",
+      body: {
+        filename: { type: "string", minLength: 1, maxLength: 255 },
+        // Base64 of a file of up to 5 MB
+        data: { type: "string", minLength: 1, maxLength: 7 * 1024 * 1024 },
+        text: { type: "string", minLength: 1, maxLength: 200000 },
+      },
+    },
+
+    listInterviewers: { method: "GET", path: "/interviewers" },
+    createInterviewer: {
+      method: "POST",
+      path: "/interviewers",
+      body: INTERVIEWER,
+    },
+    updateInterviewer: {
+      method: "PUT",
+      path: "/interviewers/:id",
+      body: INTERVIEWER,
+    },
+    deleteInterviewer: { method: "DELETE", path: "/interviewers/:id" },
+    getInterviewLoop: { method: "GET", path: "/jds/:id/interview-loop" },
+    // The interview stages of a JD, in order; each stage's interviewers must
+    // all be free for a slot
+    saveInterviewLoop: {
+      method: "PUT",
+      path: "/jds/:id/interview-loop",
+      body: {
+        stages: {
+          type: "array",
+          required: true,
+          maxLength: 10,
+          items: {
+            type: "object",
+            properties: {
+              // Omit for a new stage
+              id: { type: "string", maxLength: 100 },
+              name: {
+                type: "string",
+                required: true,
+                minLength: 1,
+                maxLength: 100,
+              },
+              durationMinutes: {
+                type: "number",
+                required: true,
+                enum: [15, 30, 45, 60, 90, 120],
+              },
+              interviewerIds: {
+                type: "array",
+                required: true,
+                minLength: 1,
+                maxLength: 10,
+                items: ID,
+              },
+            },
+          },
+        },
+      },
+    },
+    findInterviewSlots: {
+      method: "POST",
+      path: "/interviews/slots",
+      body: {
+        jdId: ID,
+        stageId: ID,
+        // The candidate's time zone; defaults to the JD's time zone answer
+        timeZone: TIME_ZONE,
+        // ISO date to search from (default now) and how many days ahead
+        from: { type: "string", maxLength: 40 },
+        days: { type: "number" },
+      },
+    },
+    listInterviews: { method: "GET", path: "/interviews" },
+    scheduleInterview: {
+      method: "POST",
+      path: "/interviews",
+      body: {
+        jdId: ID,
+        stageId: ID,
+        // ISO date-time, one of the slots found above
+        start: { type: "string", required: true, minLength: 1, maxLength: 40 },
+        candidate: { type: "object", required: true, properties: PERSON },
+        timeZone: TIME_ZONE,
+        // Meeting room or video call link
+        location: { type: "string", maxLength: 500 },
+      },
+    },
+    cancelInterview: { method: "POST", path: "/interviews/:id/cancel" },
+    interviewInvite: { method: "GET", path: "/interviews/:id/invite.ics" },
+    // Invites sent by the local mail outbox
+    listOutbox: { method: "GET", path: "/outbox" },
+
+    // The signed-in user's scorecard for an interview, and what it rates
+    getScorecard: { method: "GET", path: "/interviews/:id/scorecard" },
+    saveScorecard: {
+      method: "PUT",
+      path: "/interviews/:id/scorecard",
+      body: {
+        // Criteria the interview didn't cover are left out or unrated
+        ratings: {
+          type: "array",
+          required: true,
+          maxLength: 100,
+          items: {
+            type: "object",
+            properties: {
+              criterionId: ID,
+              rating: { type: "number", enum: [1, 2, 3, 4] },
+              evidence: { type: "string", maxLength: 2000 },
+            },
+          },
+        },
+        recommendation: {
+          type: "string",
+          enum: ["strong_no", "no", "yes", "strong_yes"],
+        },
+        notes: { type: "string", maxLength: 5000 },
+        // Lock the scorecard and share it with the rest of the panel
+        submit: { type: "boolean" },
+      },
+    },
+    // The panel's submitted scorecards for a candidate: ?jdId=&email=
+    candidateScorecards: { method: "GET", path: "/candidates/scorecards" },
+
+    // Candidates tracked against a JD: ?jdId=
+    listCandidates: { method: "GET", path: "/candidates" },
+    createCandidate: {
+      method: "POST",
+      path: "/candidates",
+      body: {
+        jdId: ID,
+        ...CANDIDATE,
+        // Defaults to "sourced"
+        stage: PIPELINE_STAGE,
+        note: { type: "string", maxLength: 5000 },
+      },
+    },
+    updateCandidate: {
+      method: "PUT",
+      path: "/candidates/:id",
+      body: CANDIDATE,
+    },
+    deleteCandidate: { method: "DELETE", path: "/candidates/:id" },
+    moveCandidate: {
+      method: "POST",
+      path: "/candidates/:id/stage",
+      body: { stage: { ...PIPELINE_STAGE, required: true } },
+    },
+    addCandidateNote: {
+      method: "POST",
+      path: "/candidates/:id/notes",
+      body: {
+        text: { type: "string", required: true, minLength: 1, maxLength: 5000 },
+      },
+    },
+    // The outreach sequence a candidate is on, with placeholders filled in;
+    // replacing it starts them again from the first message
+    setCandidateOutreach: {
+      method: "PUT",
+      path: "/candidates/:id/outreach",
+      body: {
+        channel: { ...OUTREACH_CHANNEL, required: true },
+        steps: OUTREACH_STEPS,
+        templateId: { type: "string", maxLength: 100 },
+      },
+    },
+    deleteCandidateOutreach: {
+      method: "DELETE",
+      path: "/candidates/:id/outreach",
+    },
+    // Record that the next message of the sequence went out
+    markOutreachSent: {
+      method: "POST",
+      path: "/candidates/:id/outreach/sent",
+      body: { step: { type: "number", required: true } },
+    },
+
+    // The signed-in user's saved outreach sequences
+    listOutreachTemplates: { method: "GET", path: "/outreach/templates" },
+    createOutreachTemplate: {
+      method: "POST",
+      path: "/outreach/templates",
+      body: {
+        name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+        channel: { ...OUTREACH_CHANNEL, required: true },
+        tone: OUTREACH_TONE,
+        steps: OUTREACH_STEPS,
+      },
+    },
+    updateOutreachTemplate: {
+      method: "PUT",
+      path: "/outreach/templates/:id",
+      body: {
+        name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+        channel: { ...OUTREACH_CHANNEL, required: true },
+        tone: OUTREACH_TONE,
+        steps: OUTREACH_STEPS,
+      },
+    },
+    deleteOutreachTemplate: {
+      method: "DELETE",
+      path: "/outreach/templates/:id",
+    },
+
+    usage: { method: "GET", path: "/usage" },
+    quota: { method: "GET", path: "/usage/quota" },
+
+    generate: {
+      method: "POST",
+      path: "/generate",
+      body: { answers: ANSWERS, model: MODEL, requisitionId: REQUISITION_ID },
+    },
+    generateStream: {
+      method: "POST",
+      path: "/generate/stream",
+      body: { answers: ANSWERS, model: MODEL, requisitionId: REQUISITION_ID },
+    },
+    polish: {
+      method: "POST",
+      path: "/polish",
+      body: {
+        jd: JD_TEXT,
+        instructions: {
+          type: "string",
+          required: true,
+          minLength: 1,
+          maxLength: 2000,
+        },
+        model: MODEL,
+        requisitionId: REQUISITION_ID,
+      },
+    },
+    polishStream: {
+      method: "POST",
+      path: "/polish/stream",
+      body: {
+        jd: JD_TEXT,
+        instructions: {
+          type: "string",
+          required: true,
+          minLength: 1,
+          maxLength: 2000,
+        },
+        model: MODEL,
+        requisitionId: REQUISITION_ID,
+      },
+    },
+    sourcing: {
+      method: "POST",
+      path: "/sourcing",
+      body: {
+        jd: JD_TEXT,
+        location: {
+          type: "string",
+          required: true,
+          minLength: 1,
+          maxLength: 200,
+        },
+        model: MODEL,
+        requisitionId: REQUISITION_ID,
+      },
+    },
+    lintJD: {
+      method: "POST",
+      path: "/jd/lint",
+      body: {
+        jd: JD_TEXT,
+        // Also ask the model for findings the word lists miss
+        ai: { type: "boolean" },
+        model: MODEL,
+        requisitionId: REQUISITION_ID,
+      },
+    },
+    translate: {
+      method: "POST",
+      path: "/translate",
+      body: {
+        jd: JD_TEXT,
+        // Languages and countries we localize JDs for
+        locale: {
+          type: "string",
+          required: true,
+          enum: [
+            "en-US",
+            "en-GB",
+            "es-ES",
+            "es-MX",
+            "de-DE",
+            "fr-FR",
+            "fr-CA",
+            "pt-BR",
+            "hi-IN",
+            "ja-JP",
+          ],
+        },
+        model: MODEL,
+        requisitionId: REQUISITION_ID,
+      },
+    },
+    matchCandidate: {
+      method: "POST",
+      path: "/candidates/match",
+      body: {
+        // Saved JD whose skills, goals and KPIs the resume is scored against
+        jdId: { type: "string", required: true, minLength: 1, maxLength: 100 },
+        resume: RESUME_TEXT,
+        // Also ask the model for a rationale per requirement
+        ai: { type: "boolean" },
+        model: MODEL,
+      },
+    },
+    // Write a first message and follow-ups for a candidate
+    generateOutreach: {
+      method: "POST",
+      path: "/outreach/generate",
+      body: {
+        jd: JD_TEXT,
+        channel: { ...OUTREACH_CHANNEL, required: true },
+        tone: { ...OUTREACH_TONE, required: true },
+        // How many messages, the first one included (1 to 4)
+        steps: { type: "number", enum: [1, 2, 3, 4] },
+        // A few lines from their profile: current role, projects, interests
+        profile: { type: "string", maxLength: 5000 },
+        // The company they work at and why it was picked (from sourcing)
+        company: {
+          type: "object",
+          properties: {
+            name: { type: "string", maxLength: 200 },
+            reason: { type: "string", maxLength: 1000 },
+          },
+        },
+        model: MODEL,
+        requisitionId: REQUISITION_ID,
+      },
+    },
+    estimateSalary: {
+      method: "POST",
+      path: "/salary/estimate",
+      body: {
+        role: { type: "string", required: true, minLength: 1, maxLength: 200 },
+        location: { type: "string", maxLength: 200 },
+        hireType: { type: "string", maxLength: 50 },
+        skills: { type: "string", maxLength: 2000 },
+        currency: CURRENCY,
+        period: PAY_PERIOD,
+        model: MODEL,
+        requisitionId: REQUISITION_ID,
+      },
+    },
+    chat: {
+      method: "POST",
+      path: "/chat",
+      body: {
+        messages: {
+          type: "array",
+          required: true,
+          minLength: 1,
+          maxLength: 50,
+          items: {
+            type: "object",
+            properties: {
+              role: {
+                type: "string",
+                required: true,
+                enum: ["system", "user", "assistant"],
+              },
+              content: { type: "string", required: true, maxLength: 50000 },
+            },
+          },
+        },
+        model: MODEL,
+        temperature: { type: "number" },
+        json: { type: "boolean" },
+      },
+    },
+  };
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+  }
+
+  function checkField(name, spec, value, errors) {
+    if (value === undefined || value === null) {
+      if (spec.required) errors[name] = `${name} is required.`;
+      return;
+    }
+    if (typeOf(value) !== spec.type) {
+      errors[name] = `${name} must be a${
+        /^[aeiou]/.test(spec.type) ? "n" : ""
+      } ${spec.type}.`;
+      return;
+    }
+
+    const length =
+      spec.type === "string"
+        ? value.trim().length
+        : spec.type === "array"
+        ? value.length
+        : null;
+    if (length !== null && spec.minLength && length < spec.minLength) {
+      errors[name] =
+        spec.minLength === 1
+          ? `${name} must not be empty.`
+          : `${name} must have at least ${spec.minLength} ${
+              spec.type === "array" ? "items" : "characters"
+            }.`;
+      return;
+    }
+    if (length !== null && spec.maxLength && length > spec.maxLength) {
+      errors[name] = `${name} must have at most ${spec.maxLength} ${
+        spec.type === "array" ? "items" : "characters"
+      }.`;
+      return;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      errors[name] = `${name} must be one of: ${spec.enum.join(", ")}.`;
+      return;
+    }
+
+    if (spec.properties) {
+      Object.entries(spec.properties).forEach(([key, child]) =>
+        checkField(`${name}.${key}`, child, value[key], errors)
+      );
+    }
+    if (spec.items) {
+      value.forEach((item, i) =>
+        checkField(`${name}[${i}]`, spec.items, item, errors)
+      );
+    }
+  }
+
+  return {
+    VERSION,
+    BASE_PATH,
+    ROUTES,
+
+    /**
+     * Build the full path of a route
+     * @param {string} name - Route name
+     * @param {Object} params - Values for `:param` placeholders
+     * @returns {string} Path, e.g. /api/v1/jds/123
+     */
+    path(name, params = {}) {
+      const route = ROUTES[name];
+      if (!route) throw new Error(`Unknown API route: ${name}`);
+      return (
+        BASE_PATH +
+        route.path.replace(/:(\w+)/g, (match, key) =>
+          encodeURIComponent(params[key])
+        )
+      );
+    },
+
+    /**
+     * Validate a request body against a route's contract
+     * @param {string} name - Route name
+     * @param {Object} body - Request body
+     * @returns {Object} Field errors keyed by field path (empty when valid)
+     */
+    validate(name, body) {
+      const errors = {};
+      const fields = ROUTES[name]?.body || {};
+      if (typeOf(body) !== "object") {
+        errors.body = "Request body must be a JSON object.";
+        return errors;
+      }
+      Object.entries(fields).forEach(([key, spec]) =>
+        checkField(key, spec, body[key], errors)
+      );
+      return errors;
+    },
+  };
+});
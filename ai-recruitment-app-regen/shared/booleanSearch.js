@@ -0,0 +1,696 @@
+/**
+ * Boolean search strings, shared by the SPA (loaded as a classic script,
+ * exposing the global `BooleanSearch`) and the server (imported by the
+ * sourcing generator). A string is read the way the platform it's pasted
+ * into reads it, checked against that platform's rules, and the common
+ * mistakes are fixed: curly quotes, lowercase operators, unbalanced
+ * parentheses and quotes, operators with nothing on one side. Searches can
+ * also be rewritten from one platform's syntax to another's, or compiled
+ * from the query builder's groups of terms.
+ */
+(function (root, factory) {
+  const booleanSearch = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = booleanSearch;
+  } else {
+    root.BooleanSearch = booleanSearch;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Search operators of the X-ray engines, written `name:value`
+  const XRAY_FIELDS = ["site", "intitle", "inurl", "intext", "filetype"];
+
+  /**
+   * What each platform understands. `prefix` starts every search written
+   * for it: the profile pages an X-ray search is limited to, or GitHub's
+   * user filter. `and` joins terms (" " where AND is implied) and `not` is
+   * how an exclusion is written; `orBindsTighter` is Google's reading of
+   * `a b OR c` as `a AND (b OR c)`. `fields` are the `name:value` operators
+   * it accepts, and `maxLength`, `maxWords` and `maxOperators` are what it
+   * reads of a search (0: no limit).
+   */
+  const PLATFORMS = {
+    google: {
+      label: "Google X-ray",
+      prefix: "site:linkedin.com/in/",
+      and: " ",
+      not: "-",
+      orBindsTighter: true,
+      fields: XRAY_FIELDS,
+      wildcards: true,
+      maxLength: 2048,
+      maxWords: 32,
+      maxOperators: 0,
+    },
+    linkedin: {
+      label: "LinkedIn Recruiter",
+      prefix: "",
+      and: " AND ",
+      not: "NOT",
+      orBindsTighter: false,
+      fields: [],
+      wildcards: false,
+      maxLength: 2000,
+      maxWords: 0,
+      maxOperators: 0,
+    },
+    dice: {
+      label: "Dice",
+      prefix: "",
+      and: " AND ",
+      not: "NOT",
+      orBindsTighter: false,
+      fields: [],
+      wildcards: true,
+      maxLength: 0,
+      maxWords: 0,
+      maxOperators: 0,
+    },
+    indeed: {
+      label: "Indeed",
+      prefix: "",
+      and: " AND ",
+      not: "NOT",
+      orBindsTighter: false,
+      fields: [],
+      wildcards: true,
+      maxLength: 0,
+      maxWords: 0,
+      maxOperators: 0,
+    },
+    github: {
+      label: "GitHub",
+      prefix: "type:user",
+      and: " ",
+      not: "NOT",
+      orBindsTighter: false,
+      fields: ["type", "location", "language", "in", "repos", "followers"],
+      wildcards: false,
+      maxLength: 256,
+      maxWords: 0,
+      maxOperators: 5,
+    },
+    // Stack Overflow's own search has no OR and finds posts, not people, so
+    // its profiles are X-rayed through Google
+    stackoverflow: {
+      label: "Stack Overflow",
+      prefix: "site:stackoverflow.com/users",
+      and: " ",
+      not: "-",
+      orBindsTighter: true,
+      fields: XRAY_FIELDS,
+      wildcards: true,
+      maxLength: 2048,
+      maxWords: 32,
+      maxOperators: 0,
+    },
+    bing: {
+      label: "Bing",
+      prefix: "site:linkedin.com/in/",
+      and: " AND ",
+      not: "NOT",
+      orBindsTighter: false,
+      fields: XRAY_FIELDS,
+      wildcards: false,
+      maxLength: 1500,
+      maxWords: 0,
+      maxOperators: 0,
+    },
+  };
+
+  // Every `name:value` operator any platform knows; the rest are words
+  const FIELDS = [
+    ...new Set(Object.values(PLATFORMS).flatMap((p) => p.fields)),
+  ];
+
+  const SMART_QUOTES_RE = /[“”„‟″〝〞]/g;
+
+  /**
+   * Split a search into tokens: "(", ")", op (AND, OR, NOT), minus (a
+   * leading "-"), phrase, term and field. A quote that is never closed runs
+   * to the end of the string and is marked `unclosed`.
+   * @param {string} text - Search string, curly quotes already straightened
+   * @returns {Array<Object>} Tokens
+   */
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    const readPhrase = () => {
+      const end = text.indexOf('"', i + 1);
+      const token = {
+        type: "phrase",
+        value: text.slice(i + 1, end < 0 ? text.length : end),
+        unclosed: end < 0,
+      };
+      i = end < 0 ? text.length : end + 1;
+      return token;
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === "(" || ch === ")") {
+        tokens.push({ type: ch });
+        i++;
+      } else if (ch === '"') {
+        tokens.push(readPhrase());
+      } else if (ch === "-" && /[^\s()]/.test(text[i + 1] || " ")) {
+        tokens.push({ type: "minus" });
+        i++;
+      } else {
+        let end = i;
+        while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+        const word = text.slice(i, end);
+        i = end;
+        const field = /^([a-z]+):(.*)$/i.exec(word);
+        if (field && FIELDS.includes(field[1].toLowerCase())) {
+          tokens.push({
+            type: "field",
+            name: field[1].toLowerCase(),
+            value:
+              !field[2] && text[i] === '"'
+                ? readPhrase()
+                : { type: "term", value: field[2] },
+          });
+        } else if (/^(?:AND|OR|NOT)$/.test(word)) {
+          tokens.push({ type: "op", value: word });
+        } else {
+          tokens.push({ type: "term", value: word });
+        }
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * With an odd number of quotes, find the stray one and close it around the
+   * words next to it, up to an operator, parenthesis or other quote. Quotes
+   * after a space, "(", "-" or a search operator's ":" open a phrase and the
+   * others close one.
+   * @param {string} text - Search string
+   * @returns {string|null} Fixed search; null when no stray quote was found
+   */
+  function closeStrayQuote(text) {
+    const stack = [];
+    let stray = null;
+    for (let i = 0; i < text.length && stray === null; i++) {
+      if (text[i] !== '"') continue;
+      if (i === 0 || /[\s(:-]/.test(text[i - 1])) stack.push(i);
+      else if (stack.length) stack.pop();
+      else stray = { at: i, opens: false };
+    }
+    if (stray === null && stack.length) stray = { at: stack[0], opens: true };
+    if (stray === null) return null;
+
+    const isOperator = (word) => /^(?:AND|OR|NOT)$/.test(word);
+    if (stray.opens) {
+      const word = /\s*([^\s()"]+)/y;
+      word.lastIndex = stray.at + 1;
+      let end = null;
+      for (let m; (m = word.exec(text)) && !isOperator(m[1]); ) {
+        end = word.lastIndex;
+      }
+      return end === null ? null : `${text.slice(0, end)}"${text.slice(end)}`;
+    }
+    let start = null;
+    const words = [...text.slice(0, stray.at).matchAll(/[^\s()"]+/g)];
+    for (let k = words.length - 1; k >= 0; k--) {
+      const { 0: found, index } = words[k];
+      const gap = text.slice(index + found.length, start ?? stray.at);
+      if (isOperator(found) || gap.trim()) break;
+      start = index;
+    }
+    return start === null
+      ? null
+      : `${text.slice(0, start)}"${text.slice(start)}`;
+  }
+
+  function tokenText(token) {
+    switch (token.type) {
+      case "op":
+        return token.value;
+      case "minus":
+        return "-";
+      case "phrase":
+        return `"${token.value}"`;
+      case "field":
+        return `${token.name}:${tokenText(token.value)}`;
+      case "term":
+        return token.value;
+      default:
+        return token.type;
+    }
+  }
+
+  function serialize(tokens) {
+    return tokens
+      .map((token, i) => {
+        const prev = tokens[i - 1];
+        const glued =
+          !prev ||
+          prev.type === "(" ||
+          prev.type === "minus" ||
+          token.type === ")";
+        return (glued ? "" : " ") + tokenText(token);
+      })
+      .join("");
+  }
+
+  const isNegation = (token) =>
+    token?.type === "minus" || (token?.type === "op" && token.value === "NOT");
+  const endsOperand = (token) =>
+    !!token && ["phrase", "term", "field", ")"].includes(token.type);
+  const startsOperand = (token) =>
+    !!token &&
+    (["phrase", "term", "field", "("].includes(token.type) ||
+      isNegation(token));
+
+  /**
+   * Read tokens into a tree: { type: "and"|"or", children }, { type: "not",
+   * child }, { type: "phrase"|"term", value } or { type: "field", name,
+   * value }. Expects tokens that lint() has already fixed.
+   * @param {Array<Object>} tokens - Tokens
+   * @param {Object} rules - One of PLATFORMS
+   * @returns {Object|null} Tree; null for an empty search
+   */
+  function parseTokens(tokens, rules) {
+    // LinkedIn and Dice: NOT, then AND, then OR
+    const levels = rules.orBindsTighter ? ["and", "or"] : ["or", "and"];
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek()?.type === "op" && peek().value === value;
+
+    const continues = (type) =>
+      type === "or"
+        ? isOp("OR")
+        : !!peek() && peek().type !== ")" && !isOp("OR");
+
+    function parseUnary() {
+      const token = tokens[pos++];
+      if (!token) return null;
+      if (isNegation(token)) return { type: "not", child: parseUnary() };
+      if (token.type === "(") {
+        const node = parseLevel(0);
+        if (peek()?.type === ")") pos++;
+        return node;
+      }
+      if (token.type === "field") {
+        return { type: "field", name: token.name, value: token.value.value };
+      }
+      if (token.type === "phrase" || token.type === "term") {
+        return { type: token.type, value: token.value };
+      }
+      return parseUnary();
+    }
+
+    function parseLevel(level) {
+      if (level === levels.length) return parseUnary();
+      const type = levels[level];
+      const children = [parseLevel(level + 1)];
+      while (continues(type)) {
+        if (isOp(type.toUpperCase())) pos++;
+        children.push(parseLevel(level + 1));
+      }
+      const present = children.filter(Boolean);
+      if (present.length < 2) return present[0] || null;
+      return { type, children: present };
+    }
+
+    return tokens.length ? parseLevel(0) : null;
+  }
+
+  /**
+   * Which platform a search was written for: Google X-ray strings use
+   * search operators such as `site:`
+   * @param {string} query - Search string
+   * @param {string} fallback - Platform otherwise, e.g. "linkedin"
+   * @returns {string} One of PLATFORMS
+   */
+  function detectPlatform(query, fallback) {
+    return tokenize(String(query || "")).some(
+      (t) => t.type === "field" && XRAY_FIELDS.includes(t.name)
+    )
+      ? "google"
+      : fallback;
+  }
+
+  /**
+   * Check a search against a platform's rules and fix what can be fixed
+   * @param {string} query - Search string
+   * @param {string} platform - One of PLATFORMS
+   * @returns {Object} { problems: [{ code, severity, message, fixable }],
+   *   fixed, tree } - `fixed` is the search with every fixable problem
+   *   fixed (null when none is), `tree` how the platform reads it once fixed
+   */
+  function lint(query, platform) {
+    const rules = PLATFORMS[platform];
+    const problems = [];
+    const add = (code, severity, message, fixable = false) => {
+      if (!problems.some((p) => p.code === code)) {
+        problems.push({ code, severity, message, fixable });
+      }
+    };
+
+    const text = String(query || "");
+    const straight = text.replace(SMART_QUOTES_RE, '"');
+    if (straight !== text) {
+      add(
+        "smart_quotes",
+        "error",
+        `Curly quotes aren't read as quotes by ${rules.label}; use straight ones (").`,
+        true
+      );
+    }
+
+    let quoted = straight;
+    if ((straight.match(/"/g) || []).length % 2) {
+      quoted = closeStrayQuote(straight) ?? straight;
+      if (quoted !== straight) {
+        add(
+          "unclosed_quote",
+          "error",
+          "A quotation mark is never closed, so everything after it is read as one phrase.",
+          true
+        );
+      }
+    }
+
+    let tokens = [];
+    for (const token of tokenize(quoted)) {
+      const phrase = token.type === "field" ? token.value : token;
+      if (phrase.unclosed) {
+        add(
+          "unclosed_quote",
+          "error",
+          "A quotation mark is never closed, so everything after it is read as one phrase.",
+          true
+        );
+        // Close it before any parentheses it swallowed
+        const [, value, tail] = /^([\s\S]*?)([\s)]*)$/.exec(phrase.value);
+        const closed = { type: "phrase", value: value.trim() };
+        if (closed.value || token.type === "field") {
+          tokens.push(
+            token.type === "field" ? { ...token, value: closed } : closed
+          );
+        }
+        for (const ch of tail) if (ch === ")") tokens.push({ type: ")" });
+      } else if (
+        token.type === "term" &&
+        /^(?:and|or|not)$/i.test(token.value)
+      ) {
+        add(
+          "lowercase_operator",
+          "error",
+          "Operators written in lowercase (and, or, not) are searched as words; write them in capitals.",
+          true
+        );
+        tokens.push({ type: "op", value: token.value.toUpperCase() });
+      } else {
+        tokens.push(token);
+      }
+    }
+
+    // Exclusions the way the platform writes them
+    tokens = tokens.map((token) => {
+      if (!isNegation(token)) return token;
+      const written = token.type === "minus" ? "-" : "NOT";
+      if (written === rules.not) return token;
+      add(
+        "negation",
+        "error",
+        rules.not === "-"
+          ? `${rules.label} ignores NOT; put a minus sign right before the excluded term.`
+          : `${rules.label} doesn't read a leading minus sign as an exclusion; write NOT before the term.`,
+        true
+      );
+      return rules.not === "-"
+        ? { type: "minus" }
+        : { type: "op", value: "NOT" };
+    });
+
+    let depth = 0;
+    tokens = tokens.filter((token) => {
+      if (token.type === "(") depth++;
+      if (token.type !== ")") return true;
+      if (depth) {
+        depth--;
+        return true;
+      }
+      add(
+        "unmatched_paren",
+        "error",
+        "A closing parenthesis has no opening one.",
+        true
+      );
+      return false;
+    });
+    if (depth) {
+      add(
+        "unclosed_paren",
+        "error",
+        "An opening parenthesis is never closed.",
+        true
+      );
+      for (; depth; depth--) tokens.push({ type: ")" });
+    }
+
+    // Drop empty groups and operators missing a side until none are left,
+    // as dropping one can strand another
+    for (let changed = true; changed; ) {
+      changed = false;
+      for (let i = 0; i < tokens.length && !changed; i++) {
+        const [prev, token, next] = [tokens[i - 1], tokens[i], tokens[i + 1]];
+        if (token.type === "(" && next?.type === ")") {
+          add("empty_group", "error", "A pair of parentheses is empty.", true);
+          tokens.splice(i, 2);
+          changed = true;
+        } else if (
+          (token.type === "op" &&
+            token.value !== "NOT" &&
+            !(endsOperand(prev) && startsOperand(next))) ||
+          (isNegation(token) && !startsOperand(next))
+        ) {
+          add(
+            "dangling_operator",
+            "error",
+            "An operator is missing a term on one side.",
+            true
+          );
+          tokens.splice(i, 1);
+          changed = true;
+        }
+      }
+    }
+
+    const fixed = problems.length ? serialize(tokens) : null;
+    const result = fixed ?? text;
+
+    if (!tokens.length) {
+      add("empty", "error", "The search has no terms.");
+    }
+    const unsupported = tokens.find(
+      (t) => t.type === "field" && !rules.fields.includes(t.name)
+    );
+    if (unsupported) {
+      add(
+        "search_operator",
+        "error",
+        `${rules.label} doesn't support the ${unsupported.name}: operator.`
+      );
+    }
+    if (
+      !rules.wildcards &&
+      tokens.some((t) => t.type === "term" && t.value.includes("*"))
+    ) {
+      add(
+        "wildcard",
+        "warning",
+        `${rules.label} doesn't support * wildcards; list the variations with OR.`
+      );
+    }
+    if (rules.maxLength && result.length > rules.maxLength) {
+      add(
+        "too_long",
+        "error",
+        `The search is ${result.length} characters; ${rules.label} takes up to ${rules.maxLength}.`
+      );
+    }
+    if (rules.maxWords) {
+      const words = tokens.reduce(
+        (count, token) =>
+          count +
+          (token.type === "phrase"
+            ? token.value.split(/\s+/).filter(Boolean).length
+            : ["term", "field", "op"].includes(token.type)
+            ? 1
+            : 0),
+        0
+      );
+      if (words > rules.maxWords) {
+        add(
+          "too_many_words",
+          "warning",
+          `${rules.label} only reads the first ${rules.maxWords} words; this search has ${words}.`
+        );
+      }
+    }
+
+    if (rules.maxOperators) {
+      const operators = tokens.filter(
+        (t) => t.type === "op" || t.type === "minus"
+      ).length;
+      if (operators > rules.maxOperators) {
+        add(
+          "too_many_operators",
+          "error",
+          `${rules.label} takes up to ${rules.maxOperators} AND, OR and NOT operators; this search has ${operators}.`
+        );
+      }
+    }
+
+    problems.sort(
+      (a, b) =>
+        (a.severity === "error" ? 0 : 1) - (b.severity === "error" ? 0 : 1)
+    );
+    return { problems, fixed, tree: parseTokens(tokens, rules) };
+  }
+
+  /**
+   * The platform-neutral part of a search: its `name:value` operators (X-ray
+   * sites, GitHub qualifiers) belong to the platform and are dropped, and
+   * nested ANDs and ORs are flattened
+   * @param {Object|null} node - Tree from lint()
+   * @returns {Object|null} Canonical tree; null when nothing is left
+   */
+  function canonical(node) {
+    if (!node || node.type === "field") return null;
+    if (node.type === "not") {
+      const child = canonical(node.child);
+      return child && { type: "not", child };
+    }
+    if (node.type !== "and" && node.type !== "or") return node;
+    const children = node.children
+      .map(canonical)
+      .filter(Boolean)
+      .flatMap((child) =>
+        child.type === node.type ? child.children : [child]
+      );
+    if (children.length < 2) return children[0] || null;
+    return { type: node.type, children };
+  }
+
+  /**
+   * Write a canonical tree as a search for a platform, after its prefix.
+   * Groups are always parenthesized, so the search means the same under
+   * every platform's operator precedence.
+   * @param {Object|null} tree - Canonical tree
+   * @param {string} platform - One of PLATFORMS
+   * @returns {string} Search string
+   */
+  function render(tree, platform) {
+    const rules = PLATFORMS[platform];
+    const write = (node, nested) => {
+      switch (node.type) {
+        case "phrase":
+          return `"${node.value}"`;
+        case "field":
+          return `${node.name}:${
+            /\s/.test(node.value) ? `"${node.value}"` : node.value
+          }`;
+        case "not": {
+          const child = write(node.child, true);
+          return rules.not === "-" ? `-${child}` : `NOT ${child}`;
+        }
+        case "and":
+        case "or": {
+          const joined = node.children
+            .map((child) => write(child, true))
+            .join(node.type === "or" ? " OR " : rules.and);
+          return nested ? `(${joined})` : joined;
+        }
+        default:
+          return node.value;
+      }
+    };
+    // After a prefix, an OR has to be grouped to stay one condition
+    const body = tree ? write(tree, !!rules.prefix && tree.type === "or") : "";
+    return [rules.prefix, body].filter(Boolean).join(" ");
+  }
+
+  /**
+   * Rewrite a search written for one platform for another
+   * @param {string} query - Search string
+   * @param {string} from - Platform it was written for
+   * @param {string} to - Platform to write it for
+   * @returns {Object} { query, problems } - problems from lint() on `to`
+   */
+  function convert(query, from, to) {
+    const converted = render(canonical(lint(query, from).tree), to);
+    return { query: converted, problems: lint(converted, to).problems };
+  }
+
+  /**
+   * The groups of the query builder, in the order they're written. Every
+   * must-have and every exclusion has to match on its own; the other groups
+   * match when any one of their terms does.
+   */
+  const BUILDER_GROUPS = {
+    titles: { label: "Job titles", join: "or" },
+    mustHave: { label: "Must-have skills", join: "and" },
+    niceToHave: { label: "Nice-to-have skills", join: "or" },
+    companies: { label: "Companies", join: "or" },
+    locations: { label: "Locations", join: "or" },
+    exclude: { label: "Exclude", join: "not" },
+  };
+
+  /**
+   * A builder term as a tree node: one plain word stays a word, anything
+   * else (several words, punctuation like C++, an operator word) becomes
+   * an exact phrase
+   * @param {string} text - Term as typed
+   * @returns {Object|null} Phrase or term node; null when empty
+   */
+  function termNode(text) {
+    const value = String(text || "")
+      .replace(SMART_QUOTES_RE, "")
+      .replace(/"/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!value) return null;
+    return /^\w+\*?$/.test(value) && !/^(AND|OR|NOT)$/i.test(value)
+      ? { type: "term", value }
+      : { type: "phrase", value };
+  }
+
+  /**
+   * Compile the query builder's groups to a canonical tree, for render()
+   * @param {Object} groups - Terms per BUILDER_GROUPS key, e.g.
+   *   { titles: ["SRE", "Site Reliability Engineer"], exclude: ["intern"] }
+   * @returns {Object|null} Canonical tree; null when there are no terms
+   */
+  function build(groups) {
+    const children = Object.entries(BUILDER_GROUPS).flatMap(
+      ([key, { join }]) => {
+        const nodes = (groups[key] || []).map(termNode).filter(Boolean);
+        if (join === "and") return nodes;
+        if (join === "not")
+          return nodes.map((child) => ({ type: "not", child }));
+        return nodes.length ? [{ type: "or", children: nodes }] : [];
+      }
+    );
+    return canonical({ type: "and", children });
+  }
+
+  return {
+    PLATFORMS,
+    FIELDS,
+    detectPlatform,
+    lint,
+    canonical,
+    render,
+    convert,
+    BUILDER_GROUPS,
+    build,
+  };
+});
@@ -0,0 +1,127 @@
+/**
+ * Candidate outreach rules shared by the SPA (loaded as a classic script,
+ * exposing the global `Outreach`) and the server (imported by the outreach
+ * generator and the candidate routes): the channels messages go out on and
+ * their length limits, the tone presets, and the placeholders a saved
+ * sequence is written with.
+ */
+(function (root, factory) {
+  const outreach = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = outreach;
+  } else {
+    root.Outreach = outreach;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * Where messages are sent. `maxLength` limits the body and
+   * `subjectMaxLength` the subject (0: the channel has none). InMail's are
+   * LinkedIn's own limits; email has no hard limit, so its are what still
+   * gets read, and SMS keeps to one 160-character segment.
+   */
+  const CHANNELS = {
+    inmail: {
+      label: "LinkedIn InMail",
+      subjectMaxLength: 200,
+      maxLength: 1900,
+    },
+    email: { label: "Email", subjectMaxLength: 120, maxLength: 3000 },
+    sms: { label: "SMS", subjectMaxLength: 0, maxLength: 160 },
+  };
+
+  // How each tone is described to the model
+  const TONES = {
+    friendly: {
+      label: "Friendly",
+      guidance:
+        "warm and personable, like a note from someone who read their profile",
+    },
+    professional: {
+      label: "Professional",
+      guidance: "polished and respectful, without sounding stiff",
+    },
+    casual: {
+      label: "Casual",
+      guidance: "relaxed and conversational, with short sentences",
+    },
+    direct: {
+      label: "Direct",
+      guidance: "brief and to the point: the role, why them, and one clear ask",
+    },
+  };
+
+  // A sequence is a first message and up to three follow-ups, each sent
+  // `delayDays` after the one before it
+  const MAX_STEPS = 4;
+  const DEFAULT_DELAYS = [0, 3, 5, 7];
+
+  // Filled in per candidate, so one sequence can be reused across them
+  const PLACEHOLDERS = {
+    firstName: "Candidate's first name",
+    company: "Candidate's current company",
+    role: "Job title",
+    senderName: "Your name",
+  };
+
+  const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+  /**
+   * Fill in a message's placeholders; unknown ones and ones without a value
+   * are left as they are, so they stand out
+   * @param {string} text - Message text
+   * @param {Object} values - Placeholder values, e.g. { firstName: "Ana" }
+   * @returns {string}
+   */
+  function fill(text, values = {}) {
+    return String(text || "").replace(PLACEHOLDER_RE, (match, key) =>
+      key in PLACEHOLDERS && values[key] ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * The known placeholders still in a message
+   * @param {string} text - Message text
+   * @returns {Array<string>} Placeholder keys, e.g. ["company"]
+   */
+  function placeholdersIn(text) {
+    const keys = [];
+    for (const [, key] of String(text || "").matchAll(PLACEHOLDER_RE)) {
+      if (key in PLACEHOLDERS && !keys.includes(key)) keys.push(key);
+    }
+    return keys;
+  }
+
+  /**
+   * Check a message against its channel's limits
+   * @param {string} channel - One of CHANNELS
+   * @param {Object} step - { subject, body }
+   * @returns {Array<string>} Problems; empty when the message fits
+   */
+  function problems(channel, { subject = "", body = "" }) {
+    const limits = CHANNELS[channel];
+    const found = [];
+    if (!body.trim()) found.push("The message is empty.");
+    if (body.length > limits.maxLength) {
+      found.push(
+        `The message is ${body.length} characters; ${limits.label} allows ${limits.maxLength}.`
+      );
+    }
+    if (limits.subjectMaxLength && subject.length > limits.subjectMaxLength) {
+      found.push(
+        `The subject is ${subject.length} characters; ${limits.label} allows ${limits.subjectMaxLength}.`
+      );
+    }
+    return found;
+  }
+
+  return {
+    CHANNELS,
+    TONES,
+    MAX_STEPS,
+    DEFAULT_DELAYS,
+    PLACEHOLDERS,
+    fill,
+    placeholdersIn,
+    problems,
+  };
+});
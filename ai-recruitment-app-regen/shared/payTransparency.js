@@ -0,0 +1,232 @@
+/**
+ * Pay-transparency rules shared by the SPA (loaded as a classic script,
+ * exposing the global `PayTransparency`) and the server (imported by the JD
+ * library routes). Given a job's location, it says which pay-transparency
+ * laws apply and whether the job description states the pay range they
+ * require.
+ */
+(function (root, factory) {
+  const rules = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = rules;
+  } else {
+    root.PayTransparency = rules;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * Jurisdictions whose job postings must include a pay range. `names` is
+   * matched case-insensitively anywhere in the location; `codes` are state or
+   * province abbreviations, matched by case on their own or after a comma
+   * ("Denver, CO"). Keep this list in step with the laws; it is not legal
+   * advice.
+   */
+  const JURISDICTIONS = [
+    {
+      id: "us-co",
+      name: "Colorado",
+      law: "Equal Pay for Equal Work Act",
+      names: /\b(?:colorado|denver|boulder|fort collins)\b/i,
+      codes: ["CO"],
+    },
+    {
+      id: "us-ca",
+      name: "California",
+      law: "SB 1162",
+      names:
+        /\b(?:california|san francisco|los angeles|san diego|san jose|oakland|sacramento|palo alto|silicon valley|bay area)\b/i,
+      codes: ["CA"],
+    },
+    {
+      id: "us-wa",
+      name: "Washington",
+      law: "Equal Pay and Opportunities Act",
+      names:
+        /\b(?:washington(?!,?\s*d\.?c\b)|seattle|bellevue|redmond|spokane|tacoma)\b/i,
+      codes: ["WA"],
+    },
+    {
+      id: "us-ny",
+      name: "New York",
+      law: "NY Labor Law § 194-b and NYC Local Law 32",
+      names:
+        /\b(?:new york|nyc|manhattan|brooklyn|queens|the bronx|staten island|buffalo|albany)\b/i,
+      codes: ["NY"],
+    },
+    {
+      id: "us-nj",
+      name: "New Jersey",
+      law: "S2310",
+      names: /\b(?:new jersey|jersey city|hoboken|newark)\b/i,
+      codes: ["NJ"],
+    },
+    {
+      id: "us-il",
+      name: "Illinois",
+      law: "Equal Pay Act (HB 3129)",
+      names: /\b(?:illinois|chicago)\b/i,
+      codes: ["IL"],
+    },
+    {
+      id: "us-ma",
+      name: "Massachusetts",
+      law: "Frances Perkins Workplace Equity Act",
+      names: /\b(?:massachusetts|boston)\b/i,
+      codes: ["MA"],
+    },
+    {
+      id: "us-md",
+      name: "Maryland",
+      law: "Wage Range Transparency Act",
+      names: /\b(?:maryland|baltimore)\b/i,
+      codes: ["MD"],
+    },
+    {
+      id: "us-mn",
+      name: "Minnesota",
+      law: "Minn. Stat. § 181.173",
+      names: /\b(?:minnesota|minneapolis|st\.? paul)\b/i,
+      codes: ["MN"],
+    },
+    {
+      id: "us-vt",
+      name: "Vermont",
+      law: "Act 155",
+      names: /\bvermont\b/i,
+      codes: ["VT"],
+    },
+    {
+      id: "us-hi",
+      name: "Hawaii",
+      law: "SB 1057",
+      names: /\b(?:hawaii|honolulu)\b/i,
+      codes: ["HI"],
+    },
+    {
+      id: "us-dc",
+      name: "Washington, D.C.",
+      law: "Wage Transparency Omnibus Amendment Act",
+      names: /\b(?:d\.c\.|district of columbia|washington,?\s*dc)\b/i,
+      codes: ["DC"],
+    },
+    {
+      id: "ca-on",
+      name: "Ontario",
+      law: "Working for Workers Four Act",
+      names: /\b(?:ontario|toronto|ottawa|mississauga)\b/i,
+      codes: ["ON"],
+    },
+    {
+      id: "ca-bc",
+      name: "British Columbia",
+      law: "Pay Transparency Act",
+      names: /\b(?:british columbia|vancouver)\b/i,
+      codes: ["BC"],
+    },
+  ];
+
+  const REMOTE_RE = /\bremote\b/i;
+
+  // An amount with a currency marker, then "-", "–", "to" or "〜", then
+  // another amount: "$120,000 – $150,000", "€50k to €60k", "90,000-110,000
+  // USD", "55.000 € - 65.000 €" and, in translated JDs, "30万円〜50万円"
+  const CURRENCY =
+    "(?:[A-Z]{0,2}\\$|[£€¥₹円]|\\b(?:USD|CAD|EUR|GBP|AUD|INR|Rs\\.?))";
+  const AMOUNT = "\\d[\\d,.]*(?:\\s?(?:[kK]\\b|万))?";
+  const RANGE_SEPARATOR = "\\s*(?:-|–|—|to|〜|~)\\s*";
+  const PAY_RANGE_RE = new RegExp(
+    [
+      `${CURRENCY}\\s?${AMOUNT}${RANGE_SEPARATOR}${CURRENCY}?\\s?${AMOUNT}`,
+      `\\b${AMOUNT}\\s?${CURRENCY}?${RANGE_SEPARATOR}${AMOUNT}\\s?${CURRENCY}`,
+    ].join("|")
+  );
+
+  const PERIODS = { year: "per year", month: "per month", hour: "per hour" };
+
+  /**
+   * The jurisdictions whose pay-transparency laws cover a location
+   * @param {string} location - Job location, e.g. "Denver, CO"
+   * @returns {Array<Object>} [{ id, name, law }]
+   */
+  function jurisdictionsFor(location) {
+    const text = String(location || "");
+    return JURISDICTIONS.filter(
+      ({ names, codes }) =>
+        names.test(text) ||
+        new RegExp(`(?:^|,)\\s*(?:${codes.join("|")})\\b`).test(text)
+    ).map(({ id, name, law }) => ({ id, name, law }));
+  }
+
+  /**
+   * Find a pay range stated in a job description
+   * @param {string} text - Job description text
+   * @returns {Object|null} { text, index } of the first range, or null
+   */
+  function findPayRange(text) {
+    const match = String(text || "").match(PAY_RANGE_RE);
+    return match ? { text: match[0], index: match.index } : null;
+  }
+
+  /**
+   * Format a compensation answer as a pay range
+   * @param {Object} compensation - { min, max, currency, period }
+   * @returns {string} e.g. "$120,000 – $150,000 per year"
+   */
+  function formatRange({ min, max, currency = "USD", period = "year" }) {
+    const format = (amount) => {
+      try {
+        return new Intl.NumberFormat("en-US", {
+          style: "currency",
+          currency,
+          minimumFractionDigits: period === "hour" ? 2 : 0,
+          maximumFractionDigits: period === "hour" ? 2 : 0,
+        }).format(amount);
+      } catch (e) {
+        // Not an ISO currency code
+        return `${currency} ${amount.toLocaleString("en-US")}`;
+      }
+    };
+    return `${format(min)} – ${format(max)} ${PERIODS[period] || period}`;
+  }
+
+  /**
+   * Check a job description against the pay-transparency laws for its location
+   * @param {Object} job - { location, content }
+   * @returns {Object} { ok, required, jurisdictions, remote, range, message }:
+   *   `ok` is false when a law requires a range the text doesn't state
+   */
+  function check({ location, content }) {
+    const jurisdictions = jurisdictionsFor(location);
+    const required = jurisdictions.length > 0;
+    const range = findPayRange(content);
+    const remote = !required && REMOTE_RE.test(location || "");
+    const names = jurisdictions.map((j) => j.name).join(", ");
+
+    let message = null;
+    if (required && !range) {
+      message = `A pay range is required to post jobs in ${names}. Add the salary range to the job description.`;
+    } else if (required) {
+      message = `States a pay range (${range.text}), as required in ${names}.`;
+    } else if (remote && !range) {
+      message =
+        "Remote roles can be filled from places that require a pay range, such as Colorado or New York. Consider stating one.";
+    }
+
+    return {
+      ok: !required || Boolean(range),
+      required,
+      jurisdictions,
+      remote,
+      range,
+      message,
+    };
+  }
+
+  return {
+    JURISDICTIONS,
+    PERIODS,
+    jurisdictionsFor,
+    findPayRange,
+    formatRange,
+    check,
+  };
+});
@@ -0,0 +1,200 @@
+/**
+ * Time zone helpers shared by the SPA (loaded as a classic script, exposing
+ * the global `TimeZones`) and the server (imported by the interview
+ * scheduling routes). They turn the JD builder's free-text time zone answer
+ * ("EST (Eastern)", "Europe/Berlin", "UTC+5:30") into an IANA zone and convert
+ * between wall-clock times in a zone and instants, using only Intl.
+ */
+(function (root, factory) {
+  const zones = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = zones;
+  } else {
+    root.TimeZones = zones;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * The US zones, by abbreviation or by name in US wording ("US Central",
+   * "Central Time"): "Central" or "Eastern" alone could be anywhere
+   */
+  function usZone(abbreviations, name) {
+    return new RegExp(
+      `\\b(?:${abbreviations}|(?:u\\.?s\\.?|american?)\\s+${name}|` +
+        `${name}\\s+(?:standard\\s+|daylight\\s+)?time)\\b`,
+      "i"
+    );
+  }
+
+  /**
+   * Abbreviations and names people type for a time zone, most specific first
+   * so "CET" or "Australian Eastern" isn't read as a US zone. Summer and
+   * winter abbreviations map to the same zone: interviews follow local time.
+   */
+  const ALIASES = [
+    [/\b(?:aest|aedt|sydney|australian eastern)\b/i, "Australia/Sydney"],
+    [/\b(?:acst|acdt|adelaide|australian central)\b/i, "Australia/Adelaide"],
+    [/\b(?:cet|cest|central europe(?:an)?)\b/i, "Europe/Berlin"],
+    [/\b(?:eet|eest|eastern europe(?:an)?)\b/i, "Europe/Athens"],
+    [/\b(?:bst|uk|london)\b/i, "Europe/London"],
+    [/\b(?:ist|india)\b/i, "Asia/Kolkata"],
+    [/\b(?:sgt|singapore)\b/i, "Asia/Singapore"],
+    [/\bjst\b/i, "Asia/Tokyo"],
+    [/\b(?:akst|akdt|alaska)\b/i, "America/Anchorage"],
+    [/\b(?:hst|hawaii)\b/i, "Pacific/Honolulu"],
+    [usZone("p[sd]?t", "pacific"), "America/Los_Angeles"],
+    [usZone("m[sd]t", "mountain"), "America/Denver"],
+    [usZone("c[sd]t", "central"), "America/Chicago"],
+    [usZone("e[sd]?t", "eastern"), "America/New_York"],
+    [/\b(?:gmt|utc)\b(?!\s*[+-−]\s*\d)/i, "UTC"],
+  ];
+
+  // Answers that mean the role has no fixed hours
+  const FLEXIBLE_RE = /\b(?:flexible|any(?:\s+time\s*zone|where)?|remote)\b/i;
+  // "UTC+2", "GMT -05:00", "+05:30"; a bare offset needs its minutes, so a
+  // range like "9-5" isn't read as one
+  const OFFSET_RE =
+    /\b(?:utc|gmt)\s*([+-−])\s*(\d{1,2})(?::?(\d{2}))?(?![:\d])|(?<![\w:])([+-−])(\d{1,2}):(\d{2})(?![:\d])/i;
+  // Etc/GMT zones only come in whole hours, so offsets with minutes map to
+  // a zone that keeps that offset all year
+  const PART_HOUR_ZONES = {
+    "-09:30": "Pacific/Marquesas",
+    "+03:30": "Asia/Tehran",
+    "+04:30": "Asia/Kabul",
+    "+05:30": "Asia/Kolkata",
+    "+05:45": "Asia/Kathmandu",
+    "+06:30": "Asia/Yangon",
+    "+08:45": "Australia/Eucla",
+    "+09:30": "Australia/Darwin",
+  };
+
+  /**
+   * Whether Intl knows a time zone name
+   * @param {string} zone - IANA name, e.g. "Europe/Berlin"
+   * @returns {boolean}
+   */
+  function isValid(zone) {
+    if (typeof zone !== "string" || !zone) return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: zone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Read a time zone answer
+   * @param {string} answer - JD builder answer, e.g. "EST (Eastern)"
+   * @returns {Object} { zone, flexible }: `zone` is an IANA name or null when
+   *   the answer is flexible or not recognized
+   */
+  function resolve(answer) {
+    const text = String(answer || "").trim();
+    if (!text) return { zone: null, flexible: false };
+    const iana = text.match(/\b[A-Z][A-Za-z_]+\/[A-Za-z_/]+\b/)?.[0];
+    if (iana && isValid(iana)) return { zone: iana, flexible: false };
+
+    const offset = text.match(OFFSET_RE);
+    if (offset) {
+      const sign = (offset[1] || offset[4]) === "+" ? "+" : "-";
+      const hours = Number(offset[2] || offset[5]);
+      const minutes = offset[3] || offset[6] || "00";
+      // Etc/GMT zones have the sign reversed: UTC+2 is Etc/GMT-2
+      const zone =
+        minutes !== "00"
+          ? PART_HOUR_ZONES[
+              `${sign}${String(hours).padStart(2, "0")}:${minutes}`
+            ]
+          : hours
+          ? `Etc/GMT${sign === "+" ? "-" : "+"}${hours}`
+          : "UTC";
+      return { zone: isValid(zone) ? zone : null, flexible: false };
+    }
+    const alias = ALIASES.find(([pattern]) => pattern.test(text));
+    if (alias) return { zone: alias[1], flexible: false };
+    return { zone: null, flexible: FLEXIBLE_RE.test(text) };
+  }
+
+  const formatters = new Map();
+
+  function formatterFor(zone) {
+    if (!formatters.has(zone)) {
+      formatters.set(
+        zone,
+        new Intl.DateTimeFormat("en-US", {
+          timeZone: zone,
+          hourCycle: "h23",
+          weekday: "short",
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+          second: "2-digit",
+        })
+      );
+    }
+    return formatters.get(zone);
+  }
+
+  const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  /**
+   * The wall-clock time of an instant in a zone
+   * @param {Date} date - Instant
+   * @param {string} zone - IANA name
+   * @returns {Object} { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+   */
+  function partsIn(date, zone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(zone).formatToParts(date)) {
+      parts[type] = value;
+    }
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS.indexOf(parts.weekday),
+    };
+  }
+
+  /**
+   * Minutes a zone is ahead of UTC at an instant
+   * @param {Date} date - Instant
+   * @param {string} zone - IANA name
+   * @returns {number} e.g. -240 for New York in summer
+   */
+  function offsetMinutes(date, zone) {
+    const p = partsIn(date, zone);
+    const asUtc = Date.UTC(
+      p.year,
+      p.month - 1,
+      p.day,
+      p.hour,
+      p.minute,
+      p.second
+    );
+    return Math.round((asUtc - date.getTime()) / 60000);
+  }
+
+  /**
+   * The instant a wall-clock time in a zone happens. A time skipped by a
+   * daylight-saving change comes out an hour early; a repeated one is the
+   * first of the two.
+   * @param {Object} time - { year, month (1-12), day, hour, minute }
+   * @param {string} zone - IANA name
+   * @returns {Date} Instant
+   */
+  function toInstant({ year, month, day, hour = 0, minute = 0 }, zone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const first = offsetMinutes(new Date(guess), zone);
+    const instant = guess - first * 60000;
+    const second = offsetMinutes(new Date(instant), zone);
+    return new Date(second === first ? instant : guess - second * 60000);
+  }
+
+  return { ALIASES, isValid, resolve, partsIn, offsetMinutes, toInstant };
+});
@@ -304,6 +304,21 @@ server {
         proxy_set_header X-Forwarded-Proto $scheme;
     }
 
+    # Readiness probe for the load balancer (/metrics stays internal)
+    location = /ready {
+        proxy_pass http://localhost:8787/ready;
+    }
+
+    # Resume uploads for candidate validation: files up to 5 MB, base64-encoded
+    location ^~ /api/v1/resumes/ {
+        client_max_body_size 8m;
+        proxy_pass http://localhost:8787;
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+    }
+
     # API endpoints
     location /api/ {
         proxy_pass http://localhost:8787;
@@ -419,6 +434,10 @@ sudo systemctl status nginx --no-pager -l
 echo
 echo "=== Port Status ==="
 sudo netstat -tlnp | grep -E ':(80|8000|8787) '
+echo
+echo "=== API Readiness ==="
+curl -s http://localhost:8787/ready || echo "API server is not answering"
+echo
 EOF
 
     # Create logs script
@@ -479,6 +498,8 @@ show_final_instructions() {
     echo "   - Main app: http://$PUBLIC_IP"
     echo "   - Direct static: http://$PUBLIC_IP:8000"
     echo "   - Direct API: http://$PUBLIC_IP:8787"
+    echo "   - Load balancer health check: http://$PUBLIC_IP/ready"
+    echo "   - Prometheus metrics: http://$PUBLIC_IP:8787/metrics"
     echo
     info "🔒 Security notes:"
     echo "   - Firewall is configured with UFW"
@@ -103,8 +103,15 @@ upload_files() {
     info "Uploading styles..."
     scp -i "$KEY_FILE" -r "$LOCAL_APP_DIR/styles" ubuntu@$EC2_IP:$REMOTE_APP_DIR/
     
+    info "Uploading shared API contract and pay-transparency rules..."
+    scp -i "$KEY_FILE" -r "$LOCAL_APP_DIR/shared" ubuntu@$EC2_IP:$REMOTE_APP_DIR/
+
     info "Uploading server files..."
-    scp -i "$KEY_FILE" "$LOCAL_APP_DIR/server/server.js" ubuntu@$EC2_IP:$REMOTE_APP_DIR/server/
+    scp -i "$KEY_FILE" "$LOCAL_APP_DIR/server/server.js" "$LOCAL_APP_DIR/server/package.json" ubuntu@$EC2_IP:$REMOTE_APP_DIR/server/
+    for dir in lib middleware routes prompts; do
+        scp -i "$KEY_FILE" -r "$LOCAL_APP_DIR/server/$dir" ubuntu@$EC2_IP:$REMOTE_APP_DIR/server/
+    done
+    ssh -i "$KEY_FILE" ubuntu@$EC2_IP "cd $REMOTE_APP_DIR/server && npm install --omit=dev"
     
     log "All files uploaded successfully"
 }